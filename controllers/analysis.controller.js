@@ -0,0 +1,104 @@
+const Chapter = require('../models/Chapter');
+const Project = require('../models/Project');
+const { countProse, combineCounts, proseMetrics } = require('../utils/readability');
+const { cachedAnalysis, cachedAnalyses } = require('../utils/analysisCache');
+
+// Check project ownership
+const checkProjectOwnership = async (projectId, userId) => {
+  const project = await Project.findById(projectId);
+  if (!project) {
+    return { error: 'Project not found', status: 404 };
+  }
+  if (project.userId.toString() !== userId) {
+    return { error: 'Not authorized to access this project', status: 403 };
+  }
+  return { project };
+};
+
+// @desc    Get readability and prose statistics for a chapter
+// @route   GET /api/chapters/:id/analysis
+// @access  Private
+exports.getChapterAnalysis = async (req, res) => {
+  try {
+    const chapter = await Chapter.findById(req.params.id)
+      .select('projectId title revision content format');
+
+    if (!chapter) {
+      return res.status(404).json({
+        success: false,
+        message: 'Chapter not found'
+      });
+    }
+
+    // Check project ownership
+    const ownershipCheck = await checkProjectOwnership(chapter.projectId, req.user.id);
+    if (ownershipCheck.error) {
+      return res.status(ownershipCheck.status).json({
+        success: false,
+        message: ownershipCheck.error
+      });
+    }
+
+    const counts = await cachedAnalysis(chapter, 'prose', countProse);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        chapterId: chapter._id,
+        title: chapter.title,
+        ...proseMetrics(counts)
+      }
+    });
+  } catch (error) {
+    console.error('Get chapter analysis error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while analysing chapter',
+      error: process.env.NODE_ENV === 'production' ? {} : error
+    });
+  }
+};
+
+// @desc    Get readability and prose statistics for a whole project
+// @route   GET /api/projects/:id/analysis
+// @access  Private
+exports.getProjectAnalysis = async (req, res) => {
+  try {
+    const projectId = req.params.projectId || req.params.id;
+
+    // Check project ownership
+    const ownershipCheck = await checkProjectOwnership(projectId, req.user.id);
+    if (ownershipCheck.error) {
+      return res.status(ownershipCheck.status).json({
+        success: false,
+        message: ownershipCheck.error
+      });
+    }
+
+    // Content is only loaded for chapters without a cached analysis
+    const chapters = await Chapter.find({ projectId })
+      .select('projectId title orderIndex revision')
+      .sort({ orderIndex: 1 });
+    const counts = await cachedAnalyses(chapters, 'prose', countProse);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        summary: proseMetrics(combineCounts(counts)),
+        chapters: chapters.map((chapter, index) => ({
+          chapterId: chapter._id,
+          title: chapter.title,
+          orderIndex: chapter.orderIndex,
+          ...proseMetrics(counts[index])
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('Get project analysis error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while analysing project',
+      error: process.env.NODE_ENV === 'production' ? {} : error
+    });
+  }
+};
@@ -0,0 +1,450 @@
+const mongoose = require('mongoose');
+const Beat = require('../models/Beat');
+const Project = require('../models/Project');
+const Chapter = require('../models/Chapter');
+const Codex = require('../models/Codex');
+const { buildOutline, unwrittenBeats } = require('../utils/outline');
+
+const VALID_BEAT_STATUSES = ['planned', 'drafting', 'done', 'cut'];
+
+// Check project ownership
+const checkProjectOwnership = async (projectId, userId) => {
+  const project = await Project.findById(projectId);
+  if (!project) {
+    return { error: 'Project not found', status: 404 };
+  }
+  if (project.userId.toString() !== userId) {
+    return { error: 'Not authorized to access this project', status: 403 };
+  }
+  return { project };
+};
+
+// Validate the plain fields of a beat from a request body. Returns an error
+// message or null.
+const validateBeatFields = ({ act, status, tension }) => {
+  if (status !== undefined && !VALID_BEAT_STATUSES.includes(status)) {
+    return `status must be one of: ${VALID_BEAT_STATUSES.join(', ')}`;
+  }
+  if (act !== undefined && act !== null && (!Number.isInteger(act) || act < 1)) {
+    return 'act must be a whole number of at least 1';
+  }
+  if (tension !== undefined && tension !== null && (typeof tension !== 'number' || tension < 0 || tension > 10)) {
+    return 'tension must be a number from 0 to 10';
+  }
+  return null;
+};
+
+// Check that linked chapters or codex entries exist in the project.
+// Returns { ids } (undefined when not given) or { error, status }.
+const validateLinks = async (Model, ids, projectId, field) => {
+  if (ids === undefined) return {};
+  if (!Array.isArray(ids) || !ids.every(id => mongoose.Types.ObjectId.isValid(id))) {
+    return { error: `${field} must be an array of IDs`, status: 400 };
+  }
+
+  const unique = [...new Set(ids.map(String))];
+  const found = await Model.countDocuments({ _id: { $in: unique }, projectId });
+  if (found !== unique.length) {
+    return { error: `${field} must only list items from this project`, status: 400 };
+  }
+  return { ids: unique };
+};
+
+// Live chapters and codex entries of a project, for filling in an outline
+const loadOutline = async (projectId) => {
+  const [beats, chapters, entities] = await Promise.all([
+    Beat.find({ projectId }).sort({ orderIndex: 1 }),
+    Chapter.find({ projectId })
+      .select('title orderIndex status isComplete wordCount targetWordCount')
+      .sort({ orderIndex: 1 }),
+    Codex.find({ projectId }).select('type name')
+  ]);
+  return buildOutline(beats, chapters, entities);
+};
+
+// @desc    Get a project's beats in story order
+// @route   GET /api/beats/projects/:projectId/beats
+// @access  Private
+exports.getBeats = async (req, res) => {
+  try {
+    const projectId = req.params.projectId || req.params.id;
+
+    // Check project ownership
+    const ownershipCheck = await checkProjectOwnership(projectId, req.user.id);
+    if (ownershipCheck.error) {
+      return res.status(ownershipCheck.status).json({
+        success: false,
+        message: ownershipCheck.error
+      });
+    }
+
+    const query = { projectId };
+    if (req.query.act) query.act = parseInt(req.query.act, 10);
+    if (req.query.status) query.status = req.query.status;
+    if (req.query.chapterId) query.chapterIds = req.query.chapterId;
+    if (req.query.entityId) query.entityIds = req.query.entityId;
+
+    const beats = await Beat.find(query).sort({ orderIndex: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: beats.length,
+      data: beats
+    });
+  } catch (error) {
+    console.error('Get beats error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching beats',
+      error: process.env.NODE_ENV === 'production' ? {} : error
+    });
+  }
+};
+
+// @desc    Create a beat, at the end of the outline or at `orderIndex`
+// @route   POST /api/beats/projects/:projectId/beats
+// @access  Private
+exports.createBeat = async (req, res) => {
+  try {
+    const projectId = req.params.projectId || req.params.id;
+    const { title, synopsis, act, status, tension, chapterIds, entityIds } = req.body;
+
+    const fieldError = validateBeatFields(req.body);
+    if (fieldError) {
+      return res.status(400).json({
+        success: false,
+        message: fieldError
+      });
+    }
+
+    // Check project ownership
+    const ownershipCheck = await checkProjectOwnership(projectId, req.user.id);
+    if (ownershipCheck.error) {
+      return res.status(ownershipCheck.status).json({
+        success: false,
+        message: ownershipCheck.error
+      });
+    }
+
+    const chapterCheck = await validateLinks(Chapter, chapterIds, projectId, 'chapterIds');
+    const entityCheck = chapterCheck.error ? {} : await validateLinks(Codex, entityIds, projectId, 'entityIds');
+    const linkError = chapterCheck.error ? chapterCheck : entityCheck;
+    if (linkError.error) {
+      return res.status(linkError.status).json({
+        success: false,
+        message: linkError.error
+      });
+    }
+
+    const beatCount = await Beat.countDocuments({ projectId });
+    let orderIndex = beatCount + 1;
+    if (req.body.orderIndex !== undefined) {
+      orderIndex = Math.min(Math.max(parseInt(req.body.orderIndex, 10) || 1, 1), beatCount + 1);
+      await Beat.updateMany(
+        { projectId, orderIndex: { $gte: orderIndex } },
+        { $inc: { orderIndex: 1 } }
+      );
+    }
+
+    const beat = await Beat.create({
+      projectId,
+      title,
+      synopsis,
+      act,
+      status,
+      tension,
+      chapterIds: chapterCheck.ids || [],
+      entityIds: entityCheck.ids || [],
+      orderIndex
+    });
+
+    res.status(201).json({
+      success: true,
+      data: beat
+    });
+  } catch (error) {
+    console.error('Create beat error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating beat',
+      error: process.env.NODE_ENV === 'production' ? {} : error
+    });
+  }
+};
+
+// @desc    Get a single beat
+// @route   GET /api/beats/:id
+// @access  Private
+exports.getBeat = async (req, res) => {
+  try {
+    const beat = await Beat.findById(req.params.id)
+      .populate('chapterIds', 'title orderIndex status wordCount')
+      .populate('entityIds', 'type name');
+
+    if (!beat) {
+      return res.status(404).json({
+        success: false,
+        message: 'Beat not found'
+      });
+    }
+
+    // Check project ownership
+    const ownershipCheck = await checkProjectOwnership(beat.projectId, req.user.id);
+    if (ownershipCheck.error) {
+      return res.status(ownershipCheck.status).json({
+        success: false,
+        message: ownershipCheck.error
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: beat
+    });
+  } catch (error) {
+    console.error('Get beat error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching beat',
+      error: process.env.NODE_ENV === 'production' ? {} : error
+    });
+  }
+};
+
+// @desc    Update a beat and its chapter and codex links
+// @route   PUT /api/beats/:id
+// @access  Private
+exports.updateBeat = async (req, res) => {
+  try {
+    const { title, synopsis, act, status, tension, chapterIds, entityIds } = req.body;
+
+    let beat = await Beat.findById(req.params.id);
+
+    if (!beat) {
+      return res.status(404).json({
+        success: false,
+        message: 'Beat not found'
+      });
+    }
+
+    // Check project ownership
+    const ownershipCheck = await checkProjectOwnership(beat.projectId, req.user.id);
+    if (ownershipCheck.error) {
+      return res.status(ownershipCheck.status).json({
+        success: false,
+        message: ownershipCheck.error
+      });
+    }
+
+    const fieldError = validateBeatFields(req.body);
+    if (fieldError) {
+      return res.status(400).json({
+        success: false,
+        message: fieldError
+      });
+    }
+
+    const chapterCheck = await validateLinks(Chapter, chapterIds, beat.projectId, 'chapterIds');
+    const entityCheck = chapterCheck.error ? {} : await validateLinks(Codex, entityIds, beat.projectId, 'entityIds');
+    const linkError = chapterCheck.error ? chapterCheck : entityCheck;
+    if (linkError.error) {
+      return res.status(linkError.status).json({
+        success: false,
+        message: linkError.error
+      });
+    }
+
+    // Build update object
+    const updateFields = { updatedAt: Date.now() };
+    if (title !== undefined) updateFields.title = title;
+    if (synopsis !== undefined) updateFields.synopsis = synopsis;
+    if (act !== undefined) updateFields.act = act;
+    if (status !== undefined) updateFields.status = status;
+    if (tension !== undefined) updateFields.tension = tension;
+    if (chapterCheck.ids) updateFields.chapterIds = chapterCheck.ids;
+    if (entityCheck.ids) updateFields.entityIds = entityCheck.ids;
+
+    beat = await Beat.findByIdAndUpdate(
+      req.params.id,
+      { $set: updateFields },
+      { new: true, runValidators: true }
+    );
+
+    res.status(200).json({
+      success: true,
+      data: beat
+    });
+  } catch (error) {
+    console.error('Update beat error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating beat',
+      error: process.env.NODE_ENV === 'production' ? {} : error
+    });
+  }
+};
+
+// @desc    Delete a beat
+// @route   DELETE /api/beats/:id
+// @access  Private
+exports.deleteBeat = async (req, res) => {
+  try {
+    const beat = await Beat.findById(req.params.id);
+
+    if (!beat) {
+      return res.status(404).json({
+        success: false,
+        message: 'Beat not found'
+      });
+    }
+
+    // Check project ownership
+    const ownershipCheck = await checkProjectOwnership(beat.projectId, req.user.id);
+    if (ownershipCheck.error) {
+      return res.status(ownershipCheck.status).json({
+        success: false,
+        message: ownershipCheck.error
+      });
+    }
+
+    await beat.deleteOne();
+
+    // Close the gap in the outline
+    await Beat.updateMany(
+      { projectId: beat.projectId, orderIndex: { $gt: beat.orderIndex } },
+      { $inc: { orderIndex: -1 } }
+    );
+
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (error) {
+    console.error('Delete beat error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting beat',
+      error: process.env.NODE_ENV === 'production' ? {} : error
+    });
+  }
+};
+
+// @desc    Reorder a project's beats
+// @route   PUT /api/beats/projects/:projectId/beats/reorder
+// @access  Private
+exports.reorderBeats = async (req, res) => {
+  try {
+    const projectId = req.params.projectId || req.params.id;
+    const { beatOrder } = req.body;
+
+    if (!Array.isArray(beatOrder)) {
+      return res.status(400).json({
+        success: false,
+        message: 'beatOrder must be an array of beat IDs'
+      });
+    }
+
+    // Check project ownership
+    const ownershipCheck = await checkProjectOwnership(projectId, req.user.id);
+    if (ownershipCheck.error) {
+      return res.status(ownershipCheck.status).json({
+        success: false,
+        message: ownershipCheck.error
+      });
+    }
+
+    const beats = await Beat.find({ projectId }).select('_id');
+    const beatIds = beats.map(beat => beat._id.toString());
+
+    if (beatOrder.length !== beatIds.length || !beatOrder.every(id => beatIds.includes(String(id)))) {
+      return res.status(400).json({
+        success: false,
+        message: 'beatOrder must list every beat in the project exactly once'
+      });
+    }
+
+    await Beat.bulkWrite(beatOrder.map((beatId, index) => ({
+      updateOne: {
+        filter: { _id: beatId, projectId },
+        update: { $set: { orderIndex: index + 1 } }
+      }
+    })));
+
+    res.status(200).json({
+      success: true,
+      message: 'Beats reordered successfully'
+    });
+  } catch (error) {
+    console.error('Reorder beats error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while reordering beats',
+      error: process.env.NODE_ENV === 'production' ? {} : error
+    });
+  }
+};
+
+// @desc    Get the outline: beats in order with their chapters' progress
+// @route   GET /api/beats/projects/:projectId/outline
+// @access  Private
+exports.getOutline = async (req, res) => {
+  try {
+    const projectId = req.params.projectId || req.params.id;
+
+    // Check project ownership
+    const ownershipCheck = await checkProjectOwnership(projectId, req.user.id);
+    if (ownershipCheck.error) {
+      return res.status(ownershipCheck.status).json({
+        success: false,
+        message: ownershipCheck.error
+      });
+    }
+
+    const outline = await loadOutline(projectId);
+
+    res.status(200).json({
+      success: true,
+      data: outline
+    });
+  } catch (error) {
+    console.error('Get outline error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while building outline',
+      error: process.env.NODE_ENV === 'production' ? {} : error
+    });
+  }
+};
+
+// @desc    Get the beats with no chapter written for them yet
+// @route   GET /api/beats/projects/:projectId/outline/unwritten
+// @access  Private
+exports.getUnwrittenBeats = async (req, res) => {
+  try {
+    const projectId = req.params.projectId || req.params.id;
+
+    // Check project ownership
+    const ownershipCheck = await checkProjectOwnership(projectId, req.user.id);
+    if (ownershipCheck.error) {
+      return res.status(ownershipCheck.status).json({
+        success: false,
+        message: ownershipCheck.error
+      });
+    }
+
+    const beats = unwrittenBeats(await loadOutline(projectId));
+
+    res.status(200).json({
+      success: true,
+      count: beats.length,
+      data: beats
+    });
+  } catch (error) {
+    console.error('Get unwritten beats error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while finding unwritten beats',
+      error: process.env.NODE_ENV === 'production' ? {} : error
+    });
+  }
+};
@@ -1,6 +1,42 @@
 const Chapter = require('../models/Chapter');
 const Project = require('../models/Project');
 const Version = require('../models/Version');
+const Scene = require('../models/Scene');
+const Part = require('../models/Part');
+const Codex = require('../models/Codex');
+const Mention = require('../models/Mention');
+const Beat = require('../models/Beat');
+const Comment = require('../models/Comment');
+const { diffContent } = require('../utils/diff');
+const {
+  revisionOf,
+  chapterEtag,
+  parseBaseRevision,
+  revisionFilter,
+  recordRevision,
+  findRevisionContent,
+  commitChapterUpdate
+} = require('../utils/revisions');
+const { mergeContent } = require('../utils/merge');
+const { applyBlockOperations } = require('../utils/patch');
+const { sumSceneWords, chapterWordCount } = require('../utils/scenes');
+const { wordCountOptions } = require('../utils/wordCount');
+const { indexChapterMentions } = require('../utils/mentions');
+const { getCalendar, normalizeRange } = require('../utils/calendar');
+const { remapChapterComments } = require('../utils/comments');
+const { getStatuses, isFinalStatus } = require('../utils/workflow');
+const { trashChapter, purgeChapter, shiftChapters, reorderChaptersAroundTrash, purgeDate } = require('../utils/trash');
+const { splitContent, mergeContents } = require('../utils/splitMerge');
+const { HEADER_LEVELS } = require('../utils/draft');
+const {
+  DEFAULT_FORMAT,
+  CONTENT_FORMATS,
+  normalizeFormat,
+  validateContent,
+  toDraft,
+  convertContent,
+  contentWordCount
+} = require('../utils/formats');
 const mongoose = require('mongoose');
 
 // Helper function to check project ownership
@@ -15,28 +51,117 @@ const checkProjectOwnership = async (projectId, userId) => {
   return { project };
 };
 
-// Count words in content
-const countWords = (content) => {
-  try {
-    if (!content) return 0;
-    
-    // If content is a string (plain text)
-    if (typeof content === 'string') {
-      return content.split(/\s+/).filter(Boolean).length;
-    }
-    
-    // If content is Draft.js raw content
-    if (typeof content === 'object' && content.blocks) {
-      return content.blocks
-        .map(block => block.text.split(/\s+/).filter(Boolean).length)
-        .reduce((sum, count) => sum + count, 0);
+// Helper function to check a book/part belongs to the project
+const validatePart = async (partId, projectId) => {
+  if (!partId) return {};
+  if (!mongoose.Types.ObjectId.isValid(partId)) {
+    return { error: 'Invalid part ID', status: 400 };
+  }
+  const part = await Part.findOne({ _id: partId, projectId });
+  if (!part) {
+    return { error: 'Part not found in this project', status: 404 };
+  }
+  return { part };
+};
+
+// Check a structured reorder lists every chapter of the project exactly once
+// and only refers to the project's own books and parts
+const validateChapterStructure = async (projectId, structure) => {
+  const malformed = structure.some(group => !group || !Array.isArray(group.chapterIds));
+  if (malformed) {
+    return { error: 'Each structure entry needs a chapterIds array', status: 400 };
+  }
+  
+  const partIds = [...new Set(structure.filter(group => group.partId).map(group => String(group.partId)))];
+  if (partIds.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+    return { error: 'Invalid part ID', status: 400 };
+  }
+  const partCount = await Part.countDocuments({ _id: { $in: partIds }, projectId });
+  if (partCount !== partIds.length) {
+    return { error: 'One or more parts not found in this project', status: 400 };
+  }
+  
+  const listed = structure.flatMap(group => group.chapterIds.map(String));
+  const chapters = await Chapter.find({ projectId }).select('_id');
+  const existing = new Set(chapters.map(chapter => chapter._id.toString()));
+  if (listed.length !== existing.size || new Set(listed).size !== listed.length
+    || !listed.every(id => existing.has(id))) {
+    return { error: 'structure must list every chapter of the project exactly once', status: 400 };
+  }
+  return {};
+};
+
+// Respond with 409 Conflict and the stored copy of the chapter
+const sendConflict = (res, chapter, extra = {}) => {
+  res.set('ETag', chapterEtag(chapter));
+  return res.status(409).json({
+    success: false,
+    message: 'Chapter has been modified since the revision this save was based on',
+    data: {
+      revision: revisionOf(chapter),
+      chapter,
+      ...extra
     }
-    
-    return 0;
-  } catch (error) {
-    console.error('Error counting words:', error);
-    return 0;
+  });
+};
+
+// Three-way merge a save made against an older revision. `toContent` turns
+// the base revision's content into the client's intended content.
+// Returns { content }, { conflict } with extra data for the 409 response,
+// or { error } when the client's changes cannot be applied to the base.
+const mergeStaleSave = async (chapter, baseRevision, toContent) => {
+  // Three-way merges work on Draft.js blocks only
+  if (chapter.format && chapter.format !== DEFAULT_FORMAT) {
+    return { conflict: { mergeable: false } };
+  }
+  
+  const base = await findRevisionContent(chapter._id, baseRevision);
+  if (!base) {
+    return { conflict: { mergeable: false } };
+  }
+  
+  const ours = toContent(base.content);
+  if (ours.error) {
+    return { error: ours.error };
   }
+  
+  const result = mergeContent(base.content, ours.content, chapter.content);
+  if (result.conflicts.length > 0) {
+    return { conflict: { merged: result.content, conflicts: result.conflicts } };
+  }
+  return { content: result.content };
+};
+
+// Convert a chapter's content to another editor format, keeping the old
+// content as a version. Returns null if the chapter was saved meanwhile.
+const convertChapterFormat = async (chapter, project, format) => {
+  const content = convertContent(chapter.content, chapter.format, format);
+  
+  const version = chapter.content ? await Version.create({
+    projectId: chapter.projectId,
+    chapterId: chapter._id,
+    content: chapter.content,
+    format: chapter.format,
+    wordCount: chapter.wordCount,
+    description: `Before converting from ${chapter.format} to ${format}`,
+    kind: 'convert'
+  }) : null;
+  
+  const updatedChapter = await commitChapterUpdate({
+    chapter,
+    project,
+    updateFields: {
+      content,
+      format,
+      wordCount: await chapterWordCount(chapter._id, content, format, wordCountOptions(project))
+    },
+    snapshot: false
+  });
+  
+  if (!updatedChapter && version) {
+    await Version.deleteMany({ _id: version._id });
+  }
+  return updatedChapter;
 };
 
 // @desc    Get all chapters for a project
@@ -56,10 +181,29 @@ exports.getChapters = async (req, res) => {
     }
     
     // Get chapters
-    const chapters = await Chapter.find({ projectId })
+    let chapters = await Chapter.find({ projectId })
       .select('-content') // Exclude content for performance
       .sort({ orderIndex: 1 });
     
+    // Optionally nest each chapter's scenes
+    if (req.query.include === 'scenes') {
+      const scenes = await Scene.find({ projectId })
+        .select('-content')
+        .sort({ orderIndex: 1 });
+      
+      const scenesByChapter = {};
+      scenes.forEach(scene => {
+        const chapterId = scene.chapterId.toString();
+        if (!scenesByChapter[chapterId]) scenesByChapter[chapterId] = [];
+        scenesByChapter[chapterId].push(scene);
+      });
+      
+      chapters = chapters.map(chapter => ({
+        ...chapter.toObject(),
+        scenes: scenesByChapter[chapter._id.toString()] || []
+      }));
+    }
+    
     res.status(200).json({
       success: true,
       count: chapters.length,
@@ -81,7 +225,7 @@ exports.getChapters = async (req, res) => {
 exports.createChapter = async (req, res) => {
   try {
     const projectId = req.params.projectId || req.params.id;
-    const { title, content, notes } = req.body;
+    const { title, content, notes, partId, targetWordCount } = req.body;
     
     // Check project ownership
     const ownershipCheck = await checkProjectOwnership(projectId, req.user.id);
@@ -92,27 +236,97 @@ exports.createChapter = async (req, res) => {
       });
     }
     
+    // New chapters start at the first workflow status unless told otherwise
+    const statuses = getStatuses(ownershipCheck.project);
+    const status = req.body.status || statuses[0].key;
+    if (!statuses.some(candidate => candidate.key === status)) {
+      return res.status(400).json({
+        success: false,
+        message: `status must be one of: ${statuses.map(candidate => candidate.key).join(', ')}`
+      });
+    }
+    
+    const partCheck = await validatePart(partId, projectId);
+    if (partCheck.error) {
+      return res.status(partCheck.status).json({
+        success: false,
+        message: partCheck.error
+      });
+    }
+    
     // Get highest orderIndex
     const highestOrder = await Chapter.findOne({ projectId })
       .sort({ orderIndex: -1 })
       .select('orderIndex');
     
-    const orderIndex = highestOrder ? highestOrder.orderIndex + 1 : 1;
+    let orderIndex = highestOrder ? highestOrder.orderIndex + 1 : 1;
+    
+    // Chapters added to a book or part go at the end of its run of chapters
+    if (partCheck.part) {
+      const childParts = await Part.find({ parentId: partCheck.part._id }).select('_id');
+      const lastInPart = await Chapter.findOne({
+        projectId,
+        partId: { $in: [partCheck.part._id, ...childParts.map(child => child._id)] }
+      })
+        .sort({ orderIndex: -1 })
+        .select('orderIndex');
+      
+      if (lastInPart) {
+        orderIndex = lastInPart.orderIndex + 1;
+        await shiftChapters(projectId, { orderIndex: { $gte: orderIndex } }, 1);
+      }
+    }
+    
+    // Chapters are written in the project's editor format unless told otherwise
+    const format = normalizeFormat(req.body.format || ownershipCheck.project.contentFormat);
+    if (!format) {
+      return res.status(400).json({
+        success: false,
+        message: `format must be one of: ${CONTENT_FORMATS.join(', ')}`
+      });
+    }
+    const contentError = validateContent(content, format);
+    if (contentError) {
+      return res.status(400).json({
+        success: false,
+        message: contentError
+      });
+    }
+    
+    const whenCheck = req.body.when === undefined ? { when: null } : normalizeRange(getCalendar(ownershipCheck.project), req.body.when);
+    if (whenCheck.error) {
+      return res.status(400).json({
+        success: false,
+        message: whenCheck.error
+      });
+    }
     
     // Count words if content is provided
-    const wordCount = content ? countWords(content) : 0;
+    const wordCount = content ? contentWordCount(content, format, wordCountOptions(ownershipCheck.project)) : 0;
     
     // Create chapter
     const chapter = await Chapter.create({
       projectId,
       title,
       content,
+      format,
       notes,
+      partId: partCheck.part ? partCheck.part._id : null,
+      targetWordCount,
+      when: whenCheck.when,
       orderIndex,
       wordCount,
-      isComplete: false
+      status,
+      statusHistory: [{ status, at: new Date() }],
+      isComplete: isFinalStatus(status, statuses)
     });
     
+    await recordRevision(chapter);
+    if (content) {
+      await indexChapterMentions(chapter);
+    }
+    
+    res.set('ETag', chapterEtag(chapter));
     res.status(201).json({
       success: true,
       data: chapter
@@ -150,6 +364,7 @@ exports.getChapter = async (req, res) => {
       });
     }
     
+    res.set('ETag', chapterEtag(chapter));
     res.status(200).json({
       success: true,
       data: chapter
@@ -169,7 +384,8 @@ exports.getChapter = async (req, res) => {
 // @access  Private
 exports.updateChapter = async (req, res) => {
   try {
-    const { title, content, notes, orderIndex, isComplete } = req.body;
+    const { title, notes, orderIndex, isComplete, status, targetWordCount, merge } = req.body;
+    let { content } = req.body;
     
     let chapter = await Chapter.findById(req.params.id);
     
@@ -189,26 +405,98 @@ exports.updateChapter = async (req, res) => {
       });
     }
     
+    const statuses = getStatuses(ownershipCheck.project);
+    if (status !== undefined && !statuses.some(candidate => candidate.key === status)) {
+      return res.status(400).json({
+        success: false,
+        message: `status must be one of: ${statuses.map(candidate => candidate.key).join(', ')}`
+      });
+    }
+    
+    // Content is saved in the chapter's format; use the convert endpoint to change it
+    const contentError = content !== undefined && validateContent(content, chapter.format);
+    if (contentError) {
+      return res.status(400).json({
+        success: false,
+        message: contentError
+      });
+    }
+    
+    const whenCheck = req.body.when === undefined ? {} : normalizeRange(getCalendar(ownershipCheck.project), req.body.when);
+    if (whenCheck.error) {
+      return res.status(400).json({
+        success: false,
+        message: whenCheck.error
+      });
+    }
+    
+    // Content saves must say which revision they were based on
+    const base = parseBaseRevision(req);
+    if (base.error) {
+      return res.status(400).json({
+        success: false,
+        message: base.error
+      });
+    }
+    if (content !== undefined && base.revision === null && !base.any) {
+      return res.status(428).json({
+        success: false,
+        message: 'Content updates require an If-Match header or baseRevision'
+      });
+    }
+    
+    // Stale saves are rejected, or three-way merged when the client asks for it
+    let merged = false;
+    if (!base.any && base.revision !== null && base.revision !== revisionOf(chapter)) {
+      if (content === undefined || !merge) {
+        return sendConflict(res, chapter);
+      }
+      
+      const result = await mergeStaleSave(chapter, base.revision, () => ({ content }));
+      if (result.conflict) {
+        return sendConflict(res, chapter, result.conflict);
+      }
+      
+      content = result.content;
+      merged = true;
+    }
+    
     // Build update object
     const updateFields = {};
     if (title !== undefined) updateFields.title = title;
     if (content !== undefined) {
       updateFields.content = content;
-      updateFields.wordCount = countWords(content);
+      updateFields.wordCount = await chapterWordCount(chapter._id, content, chapter.format, wordCountOptions(ownershipCheck.project));
     }
     if (notes !== undefined) updateFields.notes = notes;
     if (orderIndex !== undefined) updateFields.orderIndex = orderIndex;
     if (isComplete !== undefined) updateFields.isComplete = isComplete;
+    if (targetWordCount !== undefined) updateFields.targetWordCount = targetWordCount;
+    if (whenCheck.when !== undefined) updateFields.when = whenCheck.when;
     
-    // Update the chapter
-    chapter = await Chapter.findByIdAndUpdate(
-      req.params.id,
-      { $set: updateFields },
-      { new: true, runValidators: true }
-    );
+    // Record when the chapter moves to another workflow status
+    if (status !== undefined && status !== chapter.status) {
+      updateFields.status = status;
+      updateFields.statusHistory = [...(chapter.statusHistory || []), { status, at: new Date() }];
+      if (isComplete === undefined) updateFields.isComplete = isFinalStatus(status, statuses);
+    }
     
+    // Update the chapter only if nobody saved in the meantime
+    const updatedChapter = await commitChapterUpdate({
+      chapter,
+      project: ownershipCheck.project,
+      updateFields
+    });
+    
+    if (!updatedChapter) {
+      return sendConflict(res, await Chapter.findById(req.params.id));
+    }
+    chapter = updatedChapter;
+    
+    res.set('ETag', chapterEtag(chapter));
     res.status(200).json({
       success: true,
+      merged,
       data: chapter
     });
   } catch (error) {
@@ -221,7 +509,130 @@ exports.updateChapter = async (req, res) => {
   }
 };
 
-// @desc    Delete a chapter
+// @desc    Apply block-level operations to a chapter's content
+// @route   PATCH /api/chapters/:id/content
+// @access  Private
+exports.patchChapterContent = async (req, res) => {
+  try {
+    const { operations, entityMap, merge } = req.body;
+    
+    if (!Array.isArray(operations) || operations.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'operations must be a non-empty array of block operations'
+      });
+    }
+    
+    const chapter = await Chapter.findById(req.params.id);
+    
+    if (!chapter) {
+      return res.status(404).json({
+        success: false,
+        message: 'Chapter not found'
+      });
+    }
+    
+    // Check project ownership
+    const ownershipCheck = await checkProjectOwnership(chapter.projectId, req.user.id);
+    if (ownershipCheck.error) {
+      return res.status(ownershipCheck.status).json({
+        success: false,
+        message: ownershipCheck.error
+      });
+    }
+    
+    // Block operations address Draft.js blocks by key
+    if (chapter.format !== DEFAULT_FORMAT) {
+      return res.status(400).json({
+        success: false,
+        message: `Block operations are only supported for ${DEFAULT_FORMAT} chapters; this chapter is ${chapter.format}`
+      });
+    }
+    
+    // Operations are only meaningful against a known revision
+    const base = parseBaseRevision(req);
+    if (base.error) {
+      return res.status(400).json({
+        success: false,
+        message: base.error
+      });
+    }
+    if (base.revision === null && !base.any) {
+      return res.status(428).json({
+        success: false,
+        message: 'Content patches require an If-Match header or baseRevision'
+      });
+    }
+    
+    const applyOperations = (content) => applyBlockOperations(content, operations, entityMap);
+    
+    let content;
+    let merged = false;
+    if (!base.any && base.revision !== null && base.revision !== revisionOf(chapter)) {
+      if (!merge) {
+        return sendConflict(res, chapter);
+      }
+      
+      const result = await mergeStaleSave(chapter, base.revision, applyOperations);
+      if (result.error) {
+        return res.status(400).json({
+          success: false,
+          message: result.error
+        });
+      }
+      if (result.conflict) {
+        return sendConflict(res, chapter, result.conflict);
+      }
+      
+      content = result.content;
+      merged = true;
+    } else {
+      const patched = applyOperations(chapter.content);
+      if (patched.error) {
+        return res.status(400).json({
+          success: false,
+          message: patched.error
+        });
+      }
+      content = patched.content;
+    }
+    
+    const updatedChapter = await commitChapterUpdate({
+      chapter,
+      project: ownershipCheck.project,
+      updateFields: {
+        content,
+        wordCount: await chapterWordCount(chapter._id, content, chapter.format, wordCountOptions(ownershipCheck.project))
+      }
+    });
+    
+    if (!updatedChapter) {
+      return sendConflict(res, await Chapter.findById(req.params.id));
+    }
+    
+    // Only the new revision is returned to keep autosave responses small
+    res.set('ETag', chapterEtag(updatedChapter));
+    res.status(200).json({
+      success: true,
+      merged,
+      data: {
+        _id: updatedChapter._id,
+        revision: revisionOf(updatedChapter),
+        wordCount: updatedChapter.wordCount,
+        updatedAt: updatedChapter.updatedAt
+      }
+    });
+  } catch (error) {
+    console.error('Patch chapter content error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating chapter content',
+      error: process.env.NODE_ENV === 'production' ? {} : error
+    });
+  }
+};
+
+// @desc    Move a chapter to the trash
 // @route   DELETE /api/chapters/:id
 // @access  Private
 exports.deleteChapter = async (req, res) => {
@@ -246,28 +657,18 @@ exports.deleteChapter = async (req, res) => {
       });
     }
     
-    // Delete chapter
-    console.log('Deleting chapter with ID:', req.params.id);
-    const deleteResult = await Chapter.findByIdAndDelete(req.params.id);
-    console.log('Chapter deletion result:', deleteResult ? 'SUCCESS' : 'FAILED');
-    
-    // Also delete associated versions
-    const versionsDeleted = await Version.deleteMany({ chapterId: req.params.id });
-    console.log('Deleted versions count:', versionsDeleted.deletedCount);
-    
-    // Reorder remaining chapters
-    await Chapter.updateMany(
-      { 
-        projectId: chapter.projectId, 
-        orderIndex: { $gt: chapter.orderIndex } 
-      },
-      { $inc: { orderIndex: -1 } }
-    );
+    // Move the chapter to the trash; its versions, scenes and comments stay
+    // with it until it is restored or purged
+    const deletedAt = await trashChapter(chapter);
     
     console.log('Sending success response for chapter deletion');
     res.status(200).json({
       success: true,
-      message: 'Chapter deleted successfully'
+      message: 'Chapter moved to trash',
+      data: {
+        deletedAt,
+        purgeAt: purgeDate(deletedAt)
+      }
     });
   } catch (error) {
     console.error('Delete chapter error:', error);
@@ -279,15 +680,79 @@ exports.deleteChapter = async (req, res) => {
   }
 };
 
+// @desc    Get the codex entities mentioned in a chapter
+// @route   GET /api/chapters/:id/entities
+// @access  Private
+exports.getChapterEntities = async (req, res) => {
+  try {
+    const chapter = await Chapter.findById(req.params.id).select('projectId');
+    
+    if (!chapter) {
+      return res.status(404).json({
+        success: false,
+        message: 'Chapter not found'
+      });
+    }
+    
+    // Check project ownership
+    const ownershipCheck = await checkProjectOwnership(chapter.projectId, req.user.id);
+    if (ownershipCheck.error) {
+      return res.status(ownershipCheck.status).json({
+        success: false,
+        message: ownershipCheck.error
+      });
+    }
+    
+    const mentions = await Mention.find({ chapterId: chapter._id });
+    const entities = await Codex.find({
+      _id: { $in: mentions.map(mention => mention.entityId) }
+    }).select('name aliases type');
+    
+    // Convert to a lookup map
+    const entityMap = {};
+    entities.forEach(entity => {
+      entityMap[entity._id] = entity;
+    });
+    
+    // Most mentioned first
+    const data = mentions
+      .filter(mention => entityMap[mention.entityId])
+      .map(mention => ({
+        entity: {
+          id: mention.entityId,
+          name: entityMap[mention.entityId].name,
+          aliases: entityMap[mention.entityId].aliases,
+          type: entityMap[mention.entityId].type
+        },
+        count: mention.count,
+        blocks: mention.blocks
+      }))
+      .sort((a, b) => b.count - a.count || a.entity.name.localeCompare(b.entity.name));
+    
+    res.status(200).json({
+      success: true,
+      count: data.length,
+      data
+    });
+  } catch (error) {
+    console.error('Get chapter entities error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching chapter entities',
+      error: process.env.NODE_ENV === 'production' ? {} : error
+    });
+  }
+};
+
 // @desc    Reorder chapters
 // @route   PUT /api/projects/:projectId/chapters/reorder
 // @access  Private
 exports.reorderChapters = async (req, res) => {
   try {
     const { projectId } = req.params;
-    const { chapterOrder } = req.body;
+    const { chapterOrder, structure } = req.body;
     
-    if (!Array.isArray(chapterOrder)) {
+    if (!Array.isArray(chapterOrder) && !Array.isArray(structure)) {
       return res.status(400).json({
         success: false,
         message: 'chapterOrder must be an array of chapter IDs'
@@ -303,15 +768,48 @@ exports.reorderChapters = async (req, res) => {
       });
     }
     
+    // Structured reorder: [{ partId, chapterIds }] in manuscript order,
+    // moving chapters between books/parts as well as within them
+    if (Array.isArray(structure)) {
+      const structureCheck = await validateChapterStructure(projectId, structure);
+      if (structureCheck.error) {
+        return res.status(structureCheck.status).json({
+          success: false,
+          message: structureCheck.error
+        });
+      }
+      
+      let orderIndex = 0;
+      const operations = [];
+      structure.forEach(group => {
+        group.chapterIds.forEach(chapterId => {
+          orderIndex++;
+          operations.push({
+            updateOne: {
+              filter: { _id: chapterId, projectId },
+              update: { $set: { partId: group.partId || null, orderIndex } }
+            }
+          });
+        });
+      });
+      
+      if (operations.length > 0) {
+        await reorderChaptersAroundTrash(projectId, () => Chapter.bulkWrite(operations));
+      }
+      
+      return res.status(200).json({
+        success: true,
+        message: 'Chapters reordered successfully'
+      });
+    }
+    
     // Update each chapter's order
-    const updatePromises = chapterOrder.map((chapterId, index) => {
+    await reorderChaptersAroundTrash(projectId, () => Promise.all(chapterOrder.map((chapterId, index) => {
       return Chapter.findOneAndUpdate(
         { _id: chapterId, projectId },
         { orderIndex: index + 1 }
       );
-    });
-    
-    await Promise.all(updatePromises);
+    })));
     
     res.status(200).json({
       success: true,
@@ -327,6 +825,399 @@ exports.reorderChapters = async (req, res) => {
   }
 };
 
+// @desc    Convert chapters to another editor content format
+// @route   POST /api/chapters/projects/:projectId/chapters/convert
+// @access  Private
+exports.convertChapters = async (req, res) => {
+  try {
+    const { projectId } = req.params;
+    const { chapterIds } = req.body;
+    const format = req.body.format && normalizeFormat(req.body.format);
+    
+    if (!format) {
+      return res.status(400).json({
+        success: false,
+        message: `format must be one of: ${CONTENT_FORMATS.join(', ')}`
+      });
+    }
+    if (chapterIds !== undefined && (!Array.isArray(chapterIds) || !chapterIds.every(id => mongoose.Types.ObjectId.isValid(id)))) {
+      return res.status(400).json({
+        success: false,
+        message: 'chapterIds must be an array of chapter IDs'
+      });
+    }
+    
+    // Check project ownership
+    const ownershipCheck = await checkProjectOwnership(projectId, req.user.id);
+    if (ownershipCheck.error) {
+      return res.status(ownershipCheck.status).json({
+        success: false,
+        message: ownershipCheck.error
+      });
+    }
+    
+    const query = { projectId, format: { $ne: format } };
+    if (chapterIds) query._id = { $in: chapterIds };
+    const chapters = await Chapter.find(query).sort({ orderIndex: 1 });
+    
+    const converted = [];
+    const conflicts = [];
+    for (const chapter of chapters) {
+      const updatedChapter = await convertChapterFormat(chapter, ownershipCheck.project, format);
+      if (updatedChapter) {
+        converted.push({ chapterId: chapter._id, from: chapter.format, revision: revisionOf(updatedChapter) });
+      } else {
+        conflicts.push(chapter._id);
+      }
+    }
+    
+    // Converting the whole project also makes it the format for new chapters
+    if (!chapterIds && ownershipCheck.project.contentFormat !== format) {
+      await Project.updateOne({ _id: projectId }, { $set: { contentFormat: format } });
+    }
+    
+    res.status(200).json({
+      success: true,
+      data: {
+        format,
+        converted,
+        conflicts
+      }
+    });
+  } catch (error) {
+    console.error('Convert chapters error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while converting chapters',
+      error: process.env.NODE_ENV === 'production' ? {} : error
+    });
+  }
+};
+
+// @desc    Split a chapter in two at a block, the second half becoming a new chapter right after it
+// @route   POST /api/chapters/:id/split
+// @access  Private
+exports.splitChapter = async (req, res) => {
+  try {
+    const { blockKey, title, notes } = req.body;
+    
+    if (typeof blockKey !== 'string' || !blockKey) {
+      return res.status(400).json({
+        success: false,
+        message: 'blockKey of the block that starts the new chapter is required'
+      });
+    }
+    
+    const chapter = await Chapter.findById(req.params.id);
+    
+    if (!chapter) {
+      return res.status(404).json({
+        success: false,
+        message: 'Chapter not found'
+      });
+    }
+    
+    // Check project ownership
+    const ownershipCheck = await checkProjectOwnership(chapter.projectId, req.user.id);
+    if (ownershipCheck.error) {
+      return res.status(ownershipCheck.status).json({
+        success: false,
+        message: ownershipCheck.error
+      });
+    }
+    
+    if (chapter.format !== DEFAULT_FORMAT) {
+      return res.status(400).json({
+        success: false,
+        message: `Splitting is only supported for ${DEFAULT_FORMAT} chapters; this chapter is ${chapter.format}`
+      });
+    }
+    
+    // A block key only means something against the revision the client saw
+    const base = parseBaseRevision(req);
+    if (base.error) {
+      return res.status(400).json({
+        success: false,
+        message: base.error
+      });
+    }
+    if (base.revision === null && !base.any) {
+      return res.status(428).json({
+        success: false,
+        message: 'Splitting requires an If-Match header or baseRevision'
+      });
+    }
+    if (!base.any && base.revision !== revisionOf(chapter)) {
+      return sendConflict(res, chapter);
+    }
+    
+    const split = splitContent(chapter.content, blockKey);
+    if (split.error) {
+      return res.status(400).json({
+        success: false,
+        message: split.error
+      });
+    }
+    
+    const version = await Version.create({
+      projectId: chapter.projectId,
+      chapterId: chapter._id,
+      content: chapter.content,
+      format: chapter.format,
+      wordCount: chapter.wordCount,
+      description: 'Before splitting the chapter',
+      kind: 'split'
+    });
+    
+    // Comment threads on the moved blocks go with them
+    const newChapterId = new mongoose.Types.ObjectId();
+    const movedThreads = await Comment.find({
+      chapterId: chapter._id,
+      parentId: null,
+      'anchor.blockKey': { $in: split.movedKeys }
+    }).select('_id');
+    const movedThreadIds = movedThreads.map(thread => thread._id);
+    const movedComments = {
+      chapterId: chapter._id,
+      $or: [{ _id: { $in: movedThreadIds } }, { parentId: { $in: movedThreadIds } }]
+    };
+    await Comment.updateMany(movedComments, { $set: { chapterId: newChapterId } });
+    
+    const countOptions = wordCountOptions(ownershipCheck.project);
+    const updatedChapter = await commitChapterUpdate({
+      chapter,
+      project: ownershipCheck.project,
+      updateFields: {
+        content: split.before,
+        wordCount: await chapterWordCount(chapter._id, split.before, chapter.format, countOptions)
+      },
+      snapshot: false
+    });
+    
+    if (!updatedChapter) {
+      await Comment.updateMany(
+        { ...movedComments, chapterId: newChapterId },
+        { $set: { chapterId: chapter._id } }
+      );
+      await Version.deleteOne({ _id: version._id });
+      return sendConflict(res, await Chapter.findById(chapter._id));
+    }
+    
+    // Make room right after the original
+    await shiftChapters(chapter.projectId, { orderIndex: { $gt: chapter.orderIndex } }, 1);
+    
+    // A heading at the split point names the new chapter
+    const [firstBlock] = split.after.blocks;
+    const defaultTitle = HEADER_LEVELS[firstBlock.type] && firstBlock.text.trim()
+      ? firstBlock.text.trim()
+      : `${chapter.title} (continued)`;
+    const newChapter = await Chapter.create({
+      _id: newChapterId,
+      projectId: chapter.projectId,
+      partId: chapter.partId,
+      title: (title || defaultTitle).slice(0, 100),
+      content: split.after,
+      format: chapter.format,
+      notes: notes !== undefined ? notes : chapter.notes,
+      orderIndex: chapter.orderIndex + 1,
+      wordCount: contentWordCount(split.after, chapter.format, countOptions),
+      status: chapter.status,
+      statusHistory: [{ status: chapter.status, at: new Date() }],
+      isComplete: chapter.isComplete
+    });
+    
+    await recordRevision(newChapter);
+    await indexChapterMentions(newChapter);
+    
+    // Beats told in the original now run on into the new chapter
+    await Beat.updateMany({ chapterIds: chapter._id }, { $addToSet: { chapterIds: newChapter._id } });
+    
+    res.set('ETag', chapterEtag(updatedChapter));
+    res.status(201).json({
+      success: true,
+      data: {
+        chapter: updatedChapter,
+        newChapter,
+        versionId: version._id
+      }
+    });
+  } catch (error) {
+    console.error('Split chapter error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while splitting chapter',
+      error: process.env.NODE_ENV === 'production' ? {} : error
+    });
+  }
+};
+
+// @desc    Merge adjacent chapters into the first of them
+// @route   POST /api/chapters/merge
+// @access  Private
+exports.mergeChapters = async (req, res) => {
+  try {
+    const { chapterIds, title, baseRevisions = {} } = req.body;
+    
+    if (!Array.isArray(chapterIds) || chapterIds.length < 2
+      || !chapterIds.every(id => mongoose.Types.ObjectId.isValid(id))
+      || new Set(chapterIds.map(String)).size !== chapterIds.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'chapterIds must be an array of at least two different chapter IDs'
+      });
+    }
+    
+    const chapters = await Chapter.find({ _id: { $in: chapterIds } }).sort({ orderIndex: 1 });
+    
+    if (chapters.length !== chapterIds.length) {
+      return res.status(404).json({
+        success: false,
+        message: 'One or more chapters not found'
+      });
+    }
+    
+    const [target, ...absorbed] = chapters;
+    if (absorbed.some(chapter => chapter.projectId.toString() !== target.projectId.toString())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Chapters must belong to the same project'
+      });
+    }
+    
+    // Check project ownership
+    const ownershipCheck = await checkProjectOwnership(target.projectId, req.user.id);
+    if (ownershipCheck.error) {
+      return res.status(ownershipCheck.status).json({
+        success: false,
+        message: ownershipCheck.error
+      });
+    }
+    
+    if (chapters.some((chapter, index) => chapter.orderIndex !== target.orderIndex + index)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Only adjacent chapters can be merged'
+      });
+    }
+    
+    const otherFormat = chapters.find(chapter => chapter.format !== DEFAULT_FORMAT);
+    if (otherFormat) {
+      return res.status(400).json({
+        success: false,
+        message: `Merging is only supported for ${DEFAULT_FORMAT} chapters; "${otherFormat.title}" is ${otherFormat.format}`
+      });
+    }
+    
+    // Optional { chapterId: revision } map of the revisions the client saw
+    const stale = chapters.find(chapter => {
+      const revision = baseRevisions[chapter._id.toString()];
+      return revision !== undefined && Number(revision) !== revisionOf(chapter);
+    });
+    if (stale) {
+      return sendConflict(res, stale);
+    }
+    
+    // Snapshot each chapter as it was; they all end up in the merged chapter's
+    // history. Chapters with no content yet have nothing to keep.
+    const titles = chapters.map(chapter => `"${chapter.title}"`).join(', ');
+    const versions = [];
+    for (const chapter of chapters.filter(candidate => candidate.content)) {
+      versions.push(await Version.create({
+        projectId: chapter.projectId,
+        chapterId: chapter._id,
+        content: chapter.content,
+        format: chapter.format,
+        wordCount: chapter.wordCount,
+        description: `Before merging ${titles}`,
+        kind: 'merge'
+      }));
+    }
+    
+    const merged = mergeContents(chapters.map(chapter => chapter.content));
+    const notes = chapters
+      .map(chapter => (chapter.notes || '').trim())
+      .filter(Boolean)
+      .join('\n\n');
+    const targets = chapters
+      .map(chapter => chapter.targetWordCount)
+      .filter(count => count !== null && count !== undefined);
+    
+    // Every chapter's scenes end up in the merged chapter
+    let sceneWords = 0;
+    for (const chapter of chapters) {
+      sceneWords += await sumSceneWords(chapter._id);
+    }
+    
+    const updatedChapter = await commitChapterUpdate({
+      chapter: target,
+      project: ownershipCheck.project,
+      updateFields: {
+        title: title || target.title,
+        content: merged.content,
+        notes,
+        targetWordCount: targets.length > 0 ? targets.reduce((sum, count) => sum + count, 0) : null,
+        wordCount: contentWordCount(merged.content, target.format, wordCountOptions(ownershipCheck.project)) + sceneWords
+      },
+      snapshot: false
+    });
+    
+    if (!updatedChapter) {
+      await Version.deleteMany({ _id: { $in: versions.map(version => version._id) } });
+      return sendConflict(res, await Chapter.findById(target._id));
+    }
+    
+    // Move what the other chapters own over before deleting them
+    let sceneCount = await Scene.countDocuments({ chapterId: target._id });
+    for (const [index, chapter] of absorbed.entries()) {
+      for (const [oldKey, newKey] of merged.rekeyed[index + 1]) {
+        await Comment.updateMany(
+          { chapterId: chapter._id, 'anchor.blockKey': oldKey },
+          { $set: { 'anchor.blockKey': newKey } }
+        );
+      }
+      await Comment.updateMany({ chapterId: chapter._id }, { $set: { chapterId: target._id } });
+      await Version.updateMany({ chapterId: chapter._id }, { $set: { chapterId: target._id } });
+      await Beat.updateMany({ chapterIds: chapter._id }, { $addToSet: { chapterIds: target._id } });
+    
+      const scenes = await Scene.find({ chapterId: chapter._id }).select('_id').sort({ orderIndex: 1 });
+      if (scenes.length > 0) {
+        await Scene.bulkWrite(scenes.map(scene => ({
+          updateOne: {
+            filter: { _id: scene._id },
+            update: { $set: { chapterId: target._id, orderIndex: ++sceneCount } }
+          }
+        })));
+      }
+    
+      // Revisions, mentions and cached analyses are rebuilt for the merged chapter
+      await purgeChapter(chapter._id);
+    }
+    
+    // The merged chapter now holds the other chapters' scenes too
+    await indexChapterMentions(updatedChapter);
+    
+    // Close the gap the merged chapters leave
+    await shiftChapters(target.projectId, { orderIndex: { $gt: chapters[chapters.length - 1].orderIndex } }, -absorbed.length);
+    
+    res.set('ETag', chapterEtag(updatedChapter));
+    res.status(200).json({
+      success: true,
+      data: {
+        chapter: updatedChapter,
+        mergedChapterIds: absorbed.map(chapter => chapter._id),
+        versionIds: versions.map(version => version._id)
+      }
+    });
+  } catch (error) {
+    console.error('Merge chapters error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while merging chapters',
+      error: process.env.NODE_ENV === 'production' ? {} : error
+    });
+  }
+};
+
 // @desc    Create a version snapshot of a chapter
 // @route   POST /api/chapters/:id/versions
 // @access  Private
@@ -357,8 +1248,10 @@ exports.createVersion = async (req, res) => {
       projectId: chapter.projectId,
       chapterId: chapter._id,
       content: chapter.content,
+      format: chapter.format,
       wordCount: chapter.wordCount,
-      description: description || `Snapshot created on ${new Date().toLocaleDateString()}`
+      description: description || `Snapshot created on ${new Date().toLocaleDateString()}`,
+      kind: 'manual'
     });
     
     res.status(201).json({
@@ -398,8 +1291,11 @@ exports.getVersions = async (req, res) => {
       });
     }
     
-    // Get versions
-    const versions = await Version.find({ chapterId: req.params.id })
+    // Get versions, optionally only those of one kind (manual, auto, restore, replace, convert, split, merge)
+    const query = { chapterId: req.params.id };
+    if (req.query.kind) query.kind = req.query.kind;
+    
+    const versions = await Version.find(query)
       .select('-content') // Exclude content for performance
       .sort({ createdAt: -1 });
     
@@ -455,6 +1351,105 @@ exports.getVersion = async (req, res) => {
   }
 };
 
+// @desc    Diff a version against another version or the current chapter content
+// @route   GET /api/chapters/versions/:id/diff?against=<versionId|current>
+// @access  Private
+exports.diffVersion = async (req, res) => {
+  try {
+    const against = req.query.against || 'current';
+
+    if (against !== 'current' && !mongoose.Types.ObjectId.isValid(against)) {
+      return res.status(400).json({
+        success: false,
+        message: 'against must be a version ID or "current"'
+      });
+    }
+
+    const version = await Version.findById(req.params.id);
+    
+    if (!version) {
+      return res.status(404).json({
+        success: false,
+        message: 'Version not found'
+      });
+    }
+    
+    // Check project ownership
+    const ownershipCheck = await checkProjectOwnership(version.projectId, req.user.id);
+    if (ownershipCheck.error) {
+      return res.status(ownershipCheck.status).json({
+        success: false,
+        message: ownershipCheck.error
+      });
+    }
+    
+    // Resolve what the version is compared to
+    let target;
+    if (against === 'current') {
+      const chapter = await Chapter.findById(version.chapterId);
+      if (!chapter) {
+        return res.status(404).json({
+          success: false,
+          message: 'Associated chapter not found'
+        });
+      }
+      target = {
+        ref: { id: 'current', chapterId: chapter._id, updatedAt: chapter.updatedAt },
+        content: convertContent(chapter.content, chapter.format, DEFAULT_FORMAT)
+      };
+    } else {
+      const otherVersion = await Version.findById(against);
+      if (!otherVersion) {
+        return res.status(404).json({
+          success: false,
+          message: 'Version to compare against not found'
+        });
+      }
+      if (otherVersion.chapterId.toString() !== version.chapterId.toString()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Versions belong to different chapters'
+        });
+      }
+      target = {
+        ref: {
+          id: otherVersion._id,
+          description: otherVersion.description,
+          createdAt: otherVersion.createdAt
+        },
+        content: convertContent(otherVersion.content, otherVersion.format, DEFAULT_FORMAT)
+      };
+    }
+    
+    // Versions are compared as Draft.js content, so they can be in different formats
+    const diff = diffContent(
+      convertContent(version.content, version.format, DEFAULT_FORMAT),
+      target.content,
+      wordCountOptions(ownershipCheck.project)
+    );
+    
+    res.status(200).json({
+      success: true,
+      data: {
+        base: {
+          id: version._id,
+          description: version.description,
+          createdAt: version.createdAt
+        },
+        against: target.ref,
+        ...diff
+      }
+    });
+  } catch (error) {
+    console.error('Diff version error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while comparing versions',
+      error: process.env.NODE_ENV === 'production' ? {} : error
+    });
+  }
+};
+
 // @desc    Restore a chapter to a specific version
 // @route   POST /api/versions/:id/restore
 // @access  Private
@@ -493,15 +1488,24 @@ exports.restoreVersion = async (req, res) => {
       projectId: chapter.projectId,
       chapterId: chapter._id,
       content: chapter.content,
+      format: chapter.format,
       wordCount: chapter.wordCount,
-      description: 'Auto-saved before version restore'
+      description: 'Auto-saved before version restore',
+      kind: 'restore'
     });
     
-    // Restore chapter to version content
-    chapter.content = version.content;
-    chapter.wordCount = version.wordCount;
+    // Restore chapter to version content, in the chapter's current format
+    const previousContent = toDraft(chapter.content, chapter.format);
+    chapter.content = convertContent(version.content, version.format, chapter.format);
+    chapter.wordCount = await chapterWordCount(chapter._id, chapter.content, chapter.format, wordCountOptions(ownershipCheck.project));
+    chapter.revision = revisionOf(chapter) + 1;
     await chapter.save();
+    await recordRevision(chapter);
+    await indexChapterMentions(chapter);
+    await remapChapterComments(chapter._id, previousContent, toDraft(chapter.content, chapter.format));
     
+    res.set('ETag', chapterEtag(chapter));
+
     res.status(200).json({
       success: true,
       message: 'Chapter restored to selected version',
@@ -1,6 +1,11 @@
 const Codex = require('../models/Codex');
 const Project = require('../models/Project');
 const Relationship = require('../models/Relationship');
+const Chapter = require('../models/Chapter');
+const Mention = require('../models/Mention');
+const { indexEntityMentions, reindexProjectMentions } = require('../utils/mentions');
+const { trashEntity, purgeDate } = require('../utils/trash');
+const { getCalendar, normalizeRange } = require('../utils/calendar');
 const mongoose = require('mongoose');
 
 // Check project ownership
@@ -18,6 +23,50 @@ const checkProjectOwnership = async (projectId, userId) => {
 // Valid entity types for validation
 const VALID_ENTITY_TYPES = ['character', 'location', 'item', 'event', 'concept'];
 
+// Helper function to clean up a list of aliases; returns null if it is not a list of strings
+const normalizeAliases = (aliases) => {
+  if (!Array.isArray(aliases) || !aliases.every(alias => typeof alias === 'string')) {
+    return null;
+  }
+  return [...new Set(aliases.map(alias => alias.trim()).filter(Boolean))];
+};
+
+const VALID_EVENT_KINDS = ['general', 'birth', 'death'];
+
+// Helper function to validate the timeline fields in a request body: the
+// in-world date range, the kind of event and its participants. Returns
+// { fields } with the ones given, or { error, status }.
+const validateTimelineFields = async ({ when, eventKind, participantIds }, project) => {
+  const fields = {};
+  
+  if (when !== undefined) {
+    const whenCheck = normalizeRange(getCalendar(project), when);
+    if (whenCheck.error) return { error: whenCheck.error, status: 400 };
+    fields.when = whenCheck.when;
+  }
+  
+  if (eventKind !== undefined) {
+    if (!VALID_EVENT_KINDS.includes(eventKind)) {
+      return { error: `eventKind must be one of: ${VALID_EVENT_KINDS.join(', ')}`, status: 400 };
+    }
+    fields.eventKind = eventKind;
+  }
+  
+  if (participantIds !== undefined) {
+    if (!Array.isArray(participantIds) || !participantIds.every(id => mongoose.Types.ObjectId.isValid(id))) {
+      return { error: 'participantIds must be an array of codex entity IDs', status: 400 };
+    }
+    const unique = [...new Set(participantIds.map(String))];
+    const found = await Codex.countDocuments({ _id: { $in: unique }, projectId: project._id });
+    if (found !== unique.length) {
+      return { error: 'participantIds must only list codex entities from this project', status: 400 };
+    }
+    fields.participantIds = unique;
+  }
+  
+  return { fields };
+};
+
 // @desc    Get all codex entities for a project
 // @route   GET /api/projects/:projectId/codex
 // @access  Private
@@ -91,6 +140,14 @@ exports.createEntity = async (req, res) => {
       });
     }
     
+    const aliases = req.body.aliases === undefined ? [] : normalizeAliases(req.body.aliases);
+    if (!aliases) {
+      return res.status(400).json({
+        success: false,
+        message: 'aliases must be an array of names'
+      });
+    }
+    
     // Check project ownership
     const ownershipCheck = await checkProjectOwnership(projectId, req.user.id);
     if (ownershipCheck.error) {
@@ -100,17 +157,30 @@ exports.createEntity = async (req, res) => {
       });
     }
     
+    const timelineCheck = await validateTimelineFields(req.body, ownershipCheck.project);
+    if (timelineCheck.error) {
+      return res.status(timelineCheck.status).json({
+        success: false,
+        message: timelineCheck.error
+      });
+    }
+    
     // Create entity
     const entity = await Codex.create({
       projectId,
       type,
       name,
+      aliases,
       description,
       attributes: attributes || {},
       images: images || [],
-      tags: tags || []
+      tags: tags || [],
+      ...timelineCheck.fields
     });
     
+    // Find where the new entity is already mentioned
+    await indexEntityMentions(entity);
+    
     res.status(201).json({
       success: true,
       data: entity
@@ -167,7 +237,15 @@ exports.getEntity = async (req, res) => {
 // @access  Private
 exports.updateEntity = async (req, res) => {
   try {
-    const { name, description, attributes, images, tags } = req.body;
+    const { name, aliases, description, attributes, images, tags } = req.body;
+    
+    const cleanAliases = aliases === undefined ? undefined : normalizeAliases(aliases);
+    if (cleanAliases === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'aliases must be an array of names'
+      });
+    }
     
     let entity = await Codex.findById(req.params.id);
     
@@ -187,9 +265,18 @@ exports.updateEntity = async (req, res) => {
       });
     }
     
+    const timelineCheck = await validateTimelineFields(req.body, ownershipCheck.project);
+    if (timelineCheck.error) {
+      return res.status(timelineCheck.status).json({
+        success: false,
+        message: timelineCheck.error
+      });
+    }
+    
     // Build update object
-    const updateFields = {};
+    const updateFields = { ...timelineCheck.fields };
     if (name !== undefined) updateFields.name = name;
+    if (cleanAliases !== undefined) updateFields.aliases = cleanAliases;
     if (description !== undefined) updateFields.description = description;
     if (attributes !== undefined) updateFields.attributes = attributes;
     if (images !== undefined) updateFields.images = images;
@@ -202,6 +289,11 @@ exports.updateEntity = async (req, res) => {
       { new: true, runValidators: true }
     );
     
+    // A new name or aliases change where the entity is mentioned
+    if (name !== undefined || cleanAliases !== undefined) {
+      await indexEntityMentions(entity);
+    }
+    
     res.status(200).json({
       success: true,
       data: entity
@@ -216,7 +308,7 @@ exports.updateEntity = async (req, res) => {
   }
 };
 
-// @desc    Delete a codex entity
+// @desc    Move a codex entity to the trash
 // @route   DELETE /api/codex/:id
 // @access  Private
 exports.deleteEntity = async (req, res) => {
@@ -239,20 +331,16 @@ exports.deleteEntity = async (req, res) => {
       });
     }
     
-    // Delete entity
-    await entity.remove();
-    
-    // Delete associated relationships
-    await Relationship.deleteMany({ 
-      $or: [
-        { sourceId: req.params.id },
-        { targetId: req.params.id }
-      ]
-    });
+    // Move the entity and its relationships to the trash
+    const deletedAt = await trashEntity(entity);
     
     res.status(200).json({
       success: true,
-      message: 'Codex entity deleted successfully'
+      message: 'Codex entity moved to trash',
+      data: {
+        deletedAt,
+        purgeAt: purgeDate(deletedAt)
+      }
     });
   } catch (error) {
     console.error('Delete codex entity error:', error);
@@ -350,6 +438,123 @@ exports.getEntityRelationships = async (req, res) => {
   }
 };
 
+// @desc    Get the chapters a codex entity is mentioned in
+// @route   GET /api/codex/codex/:id/mentions
+// @access  Private
+exports.getEntityMentions = async (req, res) => {
+  try {
+    const entity = await Codex.findById(req.params.id);
+    
+    if (!entity) {
+      return res.status(404).json({
+        success: false,
+        message: 'Codex entity not found'
+      });
+    }
+    
+    // Check project ownership
+    const ownershipCheck = await checkProjectOwnership(entity.projectId, req.user.id);
+    if (ownershipCheck.error) {
+      return res.status(ownershipCheck.status).json({
+        success: false,
+        message: ownershipCheck.error
+      });
+    }
+    
+    const mentions = await Mention.find({ entityId: entity._id });
+    const chapters = await Chapter.find({
+      _id: { $in: mentions.map(mention => mention.chapterId) }
+    }).select('title orderIndex');
+    
+    // Convert to a lookup map
+    const chapterMap = {};
+    chapters.forEach(chapter => {
+      chapterMap[chapter._id] = chapter;
+    });
+    
+    // Mentions in manuscript order
+    const appearances = mentions
+      .filter(mention => chapterMap[mention.chapterId])
+      .map(mention => ({
+        chapterId: mention.chapterId,
+        title: chapterMap[mention.chapterId].title,
+        orderIndex: chapterMap[mention.chapterId].orderIndex,
+        count: mention.count,
+        blocks: mention.blocks
+      }))
+      .sort((a, b) => a.orderIndex - b.orderIndex);
+    
+    const first = appearances[0];
+    const last = appearances[appearances.length - 1];
+    
+    res.status(200).json({
+      success: true,
+      data: {
+        entity: {
+          id: entity._id,
+          name: entity.name,
+          aliases: entity.aliases,
+          type: entity.type
+        },
+        totalCount: appearances.reduce((sum, appearance) => sum + appearance.count, 0),
+        chapterCount: appearances.length,
+        firstAppearance: first ? {
+          chapterId: first.chapterId,
+          title: first.title,
+          sceneId: first.blocks.length > 0 ? first.blocks[0].sceneId || null : null,
+          blockKey: first.blocks.length > 0 ? first.blocks[0].blockKey : null
+        } : null,
+        lastAppearance: last ? {
+          chapterId: last.chapterId,
+          title: last.title,
+          sceneId: last.blocks.length > 0 ? last.blocks[last.blocks.length - 1].sceneId || null : null,
+          blockKey: last.blocks.length > 0 ? last.blocks[last.blocks.length - 1].blockKey : null
+        } : null,
+        chapters: appearances
+      }
+    });
+  } catch (error) {
+    console.error('Get entity mentions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching entity mentions',
+      error: process.env.NODE_ENV === 'production' ? {} : error
+    });
+  }
+};
+
+// @desc    Rebuild the mention index for a project
+// @route   POST /api/codex/projects/:projectId/mentions/reindex
+// @access  Private
+exports.reindexMentions = async (req, res) => {
+  try {
+    const { projectId } = req.params;
+    
+    // Check project ownership
+    const ownershipCheck = await checkProjectOwnership(projectId, req.user.id);
+    if (ownershipCheck.error) {
+      return res.status(ownershipCheck.status).json({
+        success: false,
+        message: ownershipCheck.error
+      });
+    }
+    
+    const chapterCount = await reindexProjectMentions(projectId);
+    
+    res.status(200).json({
+      success: true,
+      message: `Mentions re-indexed across ${chapterCount} chapters`
+    });
+  } catch (error) {
+    console.error('Reindex mentions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while re-indexing mentions',
+      error: process.env.NODE_ENV === 'production' ? {} : error
+    });
+  }
+};
+
 // @desc    Search codex entities
 // @route   GET /api/projects/:projectId/codex/search
 // @access  Private
@@ -379,6 +584,7 @@ exports.searchEntities = async (req, res) => {
       projectId,
       $or: [
         { name: { $regex: query, $options: 'i' } },
+        { aliases: { $regex: query, $options: 'i' } },
         { description: { $regex: query, $options: 'i' } },
         { tags: { $regex: query, $options: 'i' } }
       ]
@@ -393,7 +599,7 @@ exports.searchEntities = async (req, res) => {
     }
     
     const entities = await Codex.find(searchQuery)
-      .select('name type description tags')
+      .select('name aliases type description tags')
       .sort({ name: 1 })
       .limit(20);
     
@@ -0,0 +1,377 @@
+const Comment = require('../models/Comment');
+const Chapter = require('../models/Chapter');
+const Project = require('../models/Project');
+const { getBlocks } = require('../utils/draft');
+const { toDraft } = require('../utils/formats');
+
+const VALID_COMMENT_STATUSES = ['open', 'resolved'];
+
+// Check project ownership
+const checkProjectOwnership = async (projectId, userId) => {
+  const project = await Project.findById(projectId);
+  if (!project) {
+    return { error: 'Project not found', status: 404 };
+  }
+  if (project.userId.toString() !== userId) {
+    return { error: 'Not authorized to access this project', status: 403 };
+  }
+  return { project };
+};
+
+// Load a chapter and check the user owns its project
+const findOwnedChapter = async (chapterId, userId) => {
+  const chapter = await Chapter.findById(chapterId);
+  if (!chapter) {
+    return { error: 'Chapter not found', status: 404 };
+  }
+  const ownershipCheck = await checkProjectOwnership(chapter.projectId, userId);
+  if (ownershipCheck.error) return ownershipCheck;
+  return { chapter };
+};
+
+// Load a comment and check the user owns its project
+const findOwnedComment = async (commentId, userId) => {
+  const comment = await Comment.findById(commentId);
+  if (!comment) {
+    return { error: 'Comment not found', status: 404 };
+  }
+  const ownershipCheck = await checkProjectOwnership(comment.projectId, userId);
+  if (ownershipCheck.error) return ownershipCheck;
+  return { comment };
+};
+
+// Check an anchor points at existing text in the chapter and capture that text.
+// Offset and length are in code points, and the range must hold at least one.
+const resolveAnchor = (anchor, content) => {
+  if (!anchor || typeof anchor.blockKey !== 'string') {
+    return { error: 'anchor.blockKey is required' };
+  }
+
+  const block = getBlocks(content).find(candidate => candidate.key === anchor.blockKey);
+  if (!block) {
+    return { error: 'anchor.blockKey does not match a block in this chapter' };
+  }
+
+  const chars = Array.from(block.text);
+  const offset = anchor.offset === undefined ? 0 : anchor.offset;
+  const length = anchor.length === undefined ? chars.length - offset : anchor.length;
+  if (!Number.isInteger(offset) || !Number.isInteger(length) || offset < 0 || length < 0
+    || offset + length > chars.length) {
+    return { error: 'anchor offset and length must fall within the block text' };
+  }
+  if (length < 1) {
+    return { error: 'anchor must cover at least one character of the block text' };
+  }
+
+  return {
+    anchor: {
+      blockKey: block.key,
+      offset,
+      length,
+      quote: chars.slice(offset, offset + length).join('')
+    }
+  };
+};
+
+// @desc    Get comment threads on a chapter
+// @route   GET /api/chapters/:id/comments
+// @access  Private
+exports.getComments = async (req, res) => {
+  try {
+    const { status, orphaned } = req.query;
+
+    if (status && !VALID_COMMENT_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `status must be one of: ${VALID_COMMENT_STATUSES.join(', ')}`
+      });
+    }
+
+    const chapterCheck = await findOwnedChapter(req.params.id, req.user.id);
+    if (chapterCheck.error) {
+      return res.status(chapterCheck.status).json({
+        success: false,
+        message: chapterCheck.error
+      });
+    }
+
+    const query = { chapterId: req.params.id, parentId: null };
+    if (status) query.status = status;
+    if (orphaned !== undefined) query.orphaned = orphaned === 'true';
+
+    const threads = await Comment.find(query).sort({ createdAt: 1 });
+    const replies = await Comment.find({
+      parentId: { $in: threads.map(thread => thread._id) }
+    }).sort({ createdAt: 1 });
+
+    // Group replies under their thread
+    const repliesByThread = {};
+    replies.forEach(reply => {
+      const key = reply.parentId.toString();
+      if (!repliesByThread[key]) repliesByThread[key] = [];
+      repliesByThread[key].push(reply);
+    });
+
+    const data = threads.map(thread => ({
+      ...thread.toObject(),
+      replies: repliesByThread[thread._id.toString()] || []
+    }));
+
+    res.status(200).json({
+      success: true,
+      count: data.length,
+      data
+    });
+  } catch (error) {
+    console.error('Get comments error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching comments',
+      error: process.env.NODE_ENV === 'production' ? {} : error
+    });
+  }
+};
+
+// @desc    Comment on a range of chapter text
+// @route   POST /api/chapters/:id/comments
+// @access  Private
+exports.createComment = async (req, res) => {
+  try {
+    const { body, anchor } = req.body;
+
+    const chapterCheck = await findOwnedChapter(req.params.id, req.user.id);
+    if (chapterCheck.error) {
+      return res.status(chapterCheck.status).json({
+        success: false,
+        message: chapterCheck.error
+      });
+    }
+    const { chapter } = chapterCheck;
+
+    const anchorCheck = resolveAnchor(anchor, toDraft(chapter.content, chapter.format));
+    if (anchorCheck.error) {
+      return res.status(400).json({
+        success: false,
+        message: anchorCheck.error
+      });
+    }
+
+    const comment = await Comment.create({
+      projectId: chapter.projectId,
+      chapterId: chapter._id,
+      userId: req.user.id,
+      authorName: req.user.username,
+      body,
+      anchor: anchorCheck.anchor
+    });
+
+    res.status(201).json({
+      success: true,
+      data: comment
+    });
+  } catch (error) {
+    console.error('Create comment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating comment',
+      error: process.env.NODE_ENV === 'production' ? {} : error
+    });
+  }
+};
+
+// @desc    Reply to a comment thread
+// @route   POST /api/chapters/comments/:id/replies
+// @access  Private
+exports.replyToComment = async (req, res) => {
+  try {
+    const { body } = req.body;
+
+    const commentCheck = await findOwnedComment(req.params.id, req.user.id);
+    if (commentCheck.error) {
+      return res.status(commentCheck.status).json({
+        success: false,
+        message: commentCheck.error
+      });
+    }
+
+    // Replies to a reply join the same thread
+    const thread = commentCheck.comment.parentId
+      ? await Comment.findById(commentCheck.comment.parentId)
+      : commentCheck.comment;
+    if (!thread) {
+      return res.status(404).json({
+        success: false,
+        message: 'Comment thread not found'
+      });
+    }
+
+    const reply = await Comment.create({
+      projectId: thread.projectId,
+      chapterId: thread.chapterId,
+      parentId: thread._id,
+      userId: req.user.id,
+      authorName: req.user.username,
+      body
+    });
+
+    res.status(201).json({
+      success: true,
+      data: reply
+    });
+  } catch (error) {
+    console.error('Reply to comment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while replying to comment',
+      error: process.env.NODE_ENV === 'production' ? {} : error
+    });
+  }
+};
+
+// @desc    Edit a comment's text, or move its anchor
+// @route   PUT /api/chapters/comments/:id
+// @access  Private
+exports.updateComment = async (req, res) => {
+  try {
+    const { body, anchor } = req.body;
+
+    const commentCheck = await findOwnedComment(req.params.id, req.user.id);
+    if (commentCheck.error) {
+      return res.status(commentCheck.status).json({
+        success: false,
+        message: commentCheck.error
+      });
+    }
+    const { comment } = commentCheck;
+
+    // Only the author can change what a comment says
+    if (body !== undefined && comment.userId.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the author can edit this comment'
+      });
+    }
+
+    if (body !== undefined) comment.body = body;
+
+    // Re-anchoring also clears the orphaned flag
+    if (anchor !== undefined) {
+      if (comment.parentId) {
+        return res.status(400).json({
+          success: false,
+          message: 'Replies cannot be anchored'
+        });
+      }
+      const chapter = await Chapter.findById(comment.chapterId).select('content format');
+      const anchorCheck = resolveAnchor(anchor, chapter && toDraft(chapter.content, chapter.format));
+      if (anchorCheck.error) {
+        return res.status(400).json({
+          success: false,
+          message: anchorCheck.error
+        });
+      }
+      comment.anchor = anchorCheck.anchor;
+      comment.orphaned = false;
+    }
+
+    await comment.save();
+
+    res.status(200).json({
+      success: true,
+      data: comment
+    });
+  } catch (error) {
+    console.error('Update comment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating comment',
+      error: process.env.NODE_ENV === 'production' ? {} : error
+    });
+  }
+};
+
+// Resolve or reopen a comment thread
+const setThreadStatus = (status) => async (req, res) => {
+  try {
+    const commentCheck = await findOwnedComment(req.params.id, req.user.id);
+    if (commentCheck.error) {
+      return res.status(commentCheck.status).json({
+        success: false,
+        message: commentCheck.error
+      });
+    }
+    const { comment } = commentCheck;
+
+    if (comment.parentId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Only a thread\'s first comment can be resolved or reopened'
+      });
+    }
+
+    comment.status = status;
+    comment.resolvedAt = status === 'resolved' ? Date.now() : null;
+    comment.resolvedBy = status === 'resolved' ? req.user.id : null;
+    await comment.save();
+
+    res.status(200).json({
+      success: true,
+      data: comment
+    });
+  } catch (error) {
+    console.error('Set comment status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating comment status',
+      error: process.env.NODE_ENV === 'production' ? {} : error
+    });
+  }
+};
+
+// @desc    Resolve a comment thread
+// @route   POST /api/chapters/comments/:id/resolve
+// @access  Private
+exports.resolveComment = setThreadStatus('resolved');
+
+// @desc    Reopen a resolved comment thread
+// @route   POST /api/chapters/comments/:id/reopen
+// @access  Private
+exports.reopenComment = setThreadStatus('open');
+
+// @desc    Delete a comment, and its replies if it starts a thread
+// @route   DELETE /api/chapters/comments/:id
+// @access  Private
+exports.deleteComment = async (req, res) => {
+  try {
+    const commentCheck = await findOwnedComment(req.params.id, req.user.id);
+    if (commentCheck.error) {
+      return res.status(commentCheck.status).json({
+        success: false,
+        message: commentCheck.error
+      });
+    }
+    const { comment } = commentCheck;
+
+    if (comment.userId.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the author can delete this comment'
+      });
+    }
+
+    await Comment.deleteMany({ parentId: comment._id });
+    await Comment.findByIdAndDelete(comment._id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Comment deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete comment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting comment',
+      error: process.env.NODE_ENV === 'production' ? {} : error
+    });
+  }
+};
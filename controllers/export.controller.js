@@ -0,0 +1,220 @@
+const mongoose = require('mongoose');
+const Project = require('../models/Project');
+const Chapter = require('../models/Chapter');
+const Part = require('../models/Part');
+const { buildEpub, loadCoverImage } = require('../utils/epub');
+const { MANUSCRIPT_FONTS, buildManuscriptDocx } = require('../utils/docx');
+const { toDraft } = require('../utils/formats');
+const { getCalendar } = require('../utils/calendar');
+const { parseTimelineQuery, buildTimeline, chronologyIssues } = require('../utils/timeline');
+
+// Check project ownership
+const checkProjectOwnership = async (projectId, userId) => {
+  const project = await Project.findById(projectId);
+  if (!project) {
+    return { error: 'Project not found', status: 404 };
+  }
+  if (project.userId.toString() !== userId) {
+    return { error: 'Not authorized to access this project', status: 403 };
+  }
+  return { project };
+};
+
+// The EPUB and DOCX builders read Draft.js content, whatever the editor wrote
+const convertToDraft = (chapters) => {
+  chapters.forEach(chapter => {
+    chapter.content = toDraft(chapter.content, chapter.format);
+  });
+  return chapters;
+};
+
+// Build a safe download file name from the project title
+const exportFileName = (title, extension) => {
+  const base = (title || 'manuscript')
+    .normalize('NFKD')
+    .replace(/[^\w\s-]/g, '')
+    .trim()
+    .replace(/\s+/g, '-')
+    .toLowerCase();
+  return `${base || 'manuscript'}.${extension}`;
+};
+
+// @desc    Export a project as an EPUB 3 file
+// @route   GET /api/projects/:id/export/epub
+// @access  Private
+exports.exportEpub = async (req, res) => {
+  try {
+    const projectId = req.params.projectId || req.params.id;
+
+    // Check project ownership
+    const ownershipCheck = await checkProjectOwnership(projectId, req.user.id);
+    if (ownershipCheck.error) {
+      return res.status(ownershipCheck.status).json({
+        success: false,
+        message: ownershipCheck.error
+      });
+    }
+    const { project } = ownershipCheck;
+
+    // Get chapters in manuscript order
+    const chapters = convertToDraft(await Chapter.find({ projectId })
+      .select('title content format orderIndex partId')
+      .sort({ orderIndex: 1 })
+      .lean());
+    const parts = await Part.find({ projectId });
+
+    const cover = await loadCoverImage(project.coverImage);
+
+    const epub = await buildEpub({
+      project,
+      chapters,
+      parts,
+      author: req.user.username,
+      language: project.language,
+      cover
+    });
+
+    res.set({
+      'Content-Type': 'application/epub+zip',
+      'Content-Disposition': `attachment; filename="${exportFileName(project.title, 'epub')}"`,
+      'Content-Length': epub.length
+    });
+    res.status(200).send(epub);
+  } catch (error) {
+    console.error('Export EPUB error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while exporting EPUB',
+      error: process.env.NODE_ENV === 'production' ? {} : error
+    });
+  }
+};
+
+// @desc    Export a project as a Standard Manuscript Format DOCX file
+// @route   GET /api/projects/:id/export/docx
+// @access  Private
+exports.exportDocx = async (req, res) => {
+  try {
+    const projectId = req.params.projectId || req.params.id;
+    const { chapters: chapterIds, font, author } = req.query;
+
+    if (font && (typeof font !== 'string' || !MANUSCRIPT_FONTS[font])) {
+      return res.status(400).json({
+        success: false,
+        message: `font must be one of: ${Object.keys(MANUSCRIPT_FONTS).join(', ')}`
+      });
+    }
+
+    // Check project ownership
+    const ownershipCheck = await checkProjectOwnership(projectId, req.user.id);
+    if (ownershipCheck.error) {
+      return res.status(ownershipCheck.status).json({
+        success: false,
+        message: ownershipCheck.error
+      });
+    }
+    const { project } = ownershipCheck;
+
+    // Limit to a subset of chapters if requested
+    const query = { projectId };
+    if (chapterIds) {
+      // ?chapters=a,b and ?chapters=a&chapters=b both list chapters
+      const ids = [].concat(chapterIds).join(',').split(',').map(id => id.trim()).filter(Boolean);
+      if (ids.length === 0 || !ids.every(id => mongoose.Types.ObjectId.isValid(id))) {
+        return res.status(400).json({
+          success: false,
+          message: 'chapters must be a comma-separated list of chapter IDs'
+        });
+      }
+      query._id = { $in: ids };
+    }
+
+    // Get chapters in manuscript order
+    const chapters = convertToDraft(await Chapter.find(query)
+      .select('title content format orderIndex wordCount partId')
+      .sort({ orderIndex: 1 })
+      .lean());
+    const parts = await Part.find({ projectId });
+
+    if (chapterIds && chapters.length !== new Set(query._id.$in).size) {
+      return res.status(404).json({
+        success: false,
+        message: 'One or more chapters were not found in this project'
+      });
+    }
+
+    const docx = await buildManuscriptDocx({
+      project,
+      chapters,
+      parts,
+      author: typeof author === 'string' && author ? author : req.user.username,
+      contact: [req.user.email],
+      font
+    });
+
+    res.set({
+      'Content-Type': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+      'Content-Disposition': `attachment; filename="${exportFileName(project.title, 'docx')}"`,
+      'Content-Length': docx.length
+    });
+    res.status(200).send(docx);
+  } catch (error) {
+    console.error('Export DOCX error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while exporting DOCX',
+      error: process.env.NODE_ENV === 'production' ? {} : error
+    });
+  }
+};
+
+// @desc    Export the story timeline as JSON for visualisation tools
+// @route   GET /api/projects/:id/export/timeline
+// @access  Private
+exports.exportTimeline = async (req, res) => {
+  try {
+    const projectId = req.params.id;
+
+    // Check project ownership
+    const ownershipCheck = await checkProjectOwnership(projectId, req.user.id);
+    if (ownershipCheck.error) {
+      return res.status(ownershipCheck.status).json({
+        success: false,
+        message: ownershipCheck.error
+      });
+    }
+    const { project } = ownershipCheck;
+    const calendar = getCalendar(project);
+
+    const filterCheck = parseTimelineQuery(req.query, calendar);
+    if (filterCheck.error) {
+      return res.status(400).json({
+        success: false,
+        message: filterCheck.error
+      });
+    }
+
+    // Ticks are minutes from the start of the calendar, so items from any
+    // calendar can be laid out on one axis
+    const timeline = {
+      project: { _id: project._id, title: project.title },
+      exportedAt: new Date(),
+      calendar,
+      items: await buildTimeline(project, filterCheck.filters),
+      issues: await chronologyIssues(project)
+    };
+
+    res.set({
+      'Content-Type': 'application/json; charset=utf-8',
+      'Content-Disposition': `attachment; filename="${exportFileName(`${project.title} timeline`, 'json')}"`
+    });
+    res.status(200).send(JSON.stringify(timeline, null, 2));
+  } catch (error) {
+    console.error('Export timeline error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while exporting timeline',
+      error: process.env.NODE_ENV === 'production' ? {} : error
+    });
+  }
+};
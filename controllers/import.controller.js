@@ -0,0 +1,139 @@
+const path = require('path');
+const Project = require('../models/Project');
+const Chapter = require('../models/Chapter');
+const { IMPORTERS, splitIntoChapters } = require('../utils/importers');
+const { wordCountOptions } = require('../utils/wordCount');
+const { recordRevision } = require('../utils/revisions');
+const { indexChapterMentions } = require('../utils/mentions');
+const { getStatuses } = require('../utils/workflow');
+
+// Check project ownership
+const checkProjectOwnership = async (projectId, userId) => {
+  const project = await Project.findById(projectId);
+  if (!project) {
+    return { error: 'Project not found', status: 404 };
+  }
+  if (project.userId.toString() !== userId) {
+    return { error: 'Not authorized to access this project', status: 403 };
+  }
+  return { project };
+};
+
+const VALID_SPLIT_MODES = ['heading', 'separator'];
+
+// @desc    Import a manuscript file (.docx, .md, .txt) as chapters
+// @route   POST /api/projects/:id/import
+// @access  Private
+exports.importManuscript = async (req, res) => {
+  try {
+    const projectId = req.params.projectId || req.params.id;
+    const { splitBy = 'heading', separator, headingLevel } = req.body;
+
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'A manuscript file is required'
+      });
+    }
+
+    if (!VALID_SPLIT_MODES.includes(splitBy)) {
+      return res.status(400).json({
+        success: false,
+        message: `splitBy must be one of: ${VALID_SPLIT_MODES.join(', ')}`
+      });
+    }
+
+    if (splitBy === 'separator' && (!separator || !separator.trim())) {
+      return res.status(400).json({
+        success: false,
+        message: 'A separator is required when splitting by separator'
+      });
+    }
+
+    if (headingLevel !== undefined && !/^[1-6]$/.test(String(headingLevel))) {
+      return res.status(400).json({
+        success: false,
+        message: 'headingLevel must be between 1 and 6'
+      });
+    }
+
+    // Check project ownership
+    const ownershipCheck = await checkProjectOwnership(projectId, req.user.id);
+    if (ownershipCheck.error) {
+      return res.status(ownershipCheck.status).json({
+        success: false,
+        message: ownershipCheck.error
+      });
+    }
+
+    // Parse the file into Draft.js blocks
+    const extension = path.extname(req.file.originalname).slice(1).toLowerCase();
+    let blocks;
+    try {
+      blocks = await IMPORTERS[extension](req.file.buffer);
+    } catch (parseError) {
+      console.error('Manuscript parse error:', parseError);
+      return res.status(400).json({
+        success: false,
+        message: 'Could not read the uploaded file'
+      });
+    }
+
+    const parsedChapters = splitIntoChapters(blocks, {
+      splitBy,
+      separator,
+      headingLevel,
+      fallbackTitle: path.basename(req.file.originalname, path.extname(req.file.originalname)),
+      countOptions: wordCountOptions(ownershipCheck.project)
+    });
+
+    if (parsedChapters.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No text found in the uploaded file'
+      });
+    }
+
+    // Append after existing chapters
+    const highestOrder = await Chapter.findOne({ projectId })
+      .sort({ orderIndex: -1 })
+      .select('orderIndex');
+    const startIndex = highestOrder ? highestOrder.orderIndex + 1 : 1;
+    const [{ key: status }] = getStatuses(ownershipCheck.project);
+    const importedAt = new Date();
+
+    const chapters = await Chapter.insertMany(parsedChapters.map((chapter, index) => ({
+      projectId,
+      title: chapter.title,
+      content: chapter.content,
+      wordCount: chapter.wordCount,
+      orderIndex: startIndex + index,
+      status,
+      statusHistory: [{ status, at: importedAt }],
+      isComplete: false
+    })));
+    
+    await Promise.all(chapters.map(recordRevision));
+    for (const chapter of chapters) {
+      await indexChapterMentions(chapter);
+    }
+
+    res.status(201).json({
+      success: true,
+      count: chapters.length,
+      data: chapters.map(chapter => ({
+        _id: chapter._id,
+        title: chapter.title,
+        orderIndex: chapter.orderIndex,
+        wordCount: chapter.wordCount
+      }))
+    });
+  } catch (error) {
+    console.error('Import manuscript error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while importing manuscript',
+      error: process.env.NODE_ENV === 'production' ? {} : error
+    });
+  }
+};
@@ -0,0 +1,397 @@
+const Part = require('../models/Part');
+const Chapter = require('../models/Chapter');
+const Project = require('../models/Project');
+const { buildStructureTree, reorderContainerRuns } = require('../utils/structure');
+const { TRASHED, reorderChaptersAroundTrash } = require('../utils/trash');
+
+// Check project ownership
+const checkProjectOwnership = async (projectId, userId) => {
+  const project = await Project.findById(projectId);
+  if (!project) {
+    return { error: 'Project not found', status: 404 };
+  }
+  if (project.userId.toString() !== userId) {
+    return { error: 'Not authorized to access this project', status: 403 };
+  }
+  return { project };
+};
+
+const VALID_PART_KINDS = ['book', 'part'];
+
+// Helper function to check a parent container is a book in the same project
+const validateParent = async (parentId, projectId, kind) => {
+  if (!parentId) return {};
+  if (kind === 'book') {
+    return { error: 'Books cannot be nested inside another container', status: 400 };
+  }
+
+  const parent = await Part.findById(parentId);
+  if (!parent) {
+    return { error: 'Parent book not found', status: 404 };
+  }
+  if (parent.projectId.toString() !== projectId.toString()) {
+    return { error: 'Parent book does not belong to this project', status: 400 };
+  }
+  if (parent.kind !== 'book') {
+    return { error: 'Parts can only be nested inside a book', status: 400 };
+  }
+  return { parent };
+};
+
+// Rewrite chapter orderIndex values to follow the given sequence of chapters
+const writeChapterOrder = async (projectId, chapters) => {
+  if (chapters.length === 0) return;
+  await reorderChaptersAroundTrash(projectId, () => Chapter.bulkWrite(chapters.map((chapter, index) => ({
+    updateOne: {
+      filter: { _id: chapter._id, projectId },
+      update: { $set: { orderIndex: index + 1 } }
+    }
+  }))));
+};
+
+// @desc    Get all books and parts for a project
+// @route   GET /api/projects/:projectId/parts
+// @access  Private
+exports.getParts = async (req, res) => {
+  try {
+    const projectId = req.params.projectId || req.params.id;
+
+    // Check project ownership
+    const ownershipCheck = await checkProjectOwnership(projectId, req.user.id);
+    if (ownershipCheck.error) {
+      return res.status(ownershipCheck.status).json({
+        success: false,
+        message: ownershipCheck.error
+      });
+    }
+
+    const parts = await Part.find({ projectId }).sort({ orderIndex: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: parts.length,
+      data: parts
+    });
+  } catch (error) {
+    console.error('Get parts error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching parts',
+      error: process.env.NODE_ENV === 'production' ? {} : error
+    });
+  }
+};
+
+// @desc    Create a book or part
+// @route   POST /api/projects/:projectId/parts
+// @access  Private
+exports.createPart = async (req, res) => {
+  try {
+    const projectId = req.params.projectId || req.params.id;
+    const { title, description, kind = 'part', parentId } = req.body;
+
+    if (!VALID_PART_KINDS.includes(kind)) {
+      return res.status(400).json({
+        success: false,
+        message: `kind must be one of: ${VALID_PART_KINDS.join(', ')}`
+      });
+    }
+
+    // Check project ownership
+    const ownershipCheck = await checkProjectOwnership(projectId, req.user.id);
+    if (ownershipCheck.error) {
+      return res.status(ownershipCheck.status).json({
+        success: false,
+        message: ownershipCheck.error
+      });
+    }
+
+    const parentCheck = await validateParent(parentId, projectId, kind);
+    if (parentCheck.error) {
+      return res.status(parentCheck.status).json({
+        success: false,
+        message: parentCheck.error
+      });
+    }
+
+    // Append after its siblings
+    const highestOrder = await Part.findOne({ projectId, parentId: parentId || null })
+      .sort({ orderIndex: -1 })
+      .select('orderIndex');
+
+    const part = await Part.create({
+      projectId,
+      parentId: parentId || null,
+      kind,
+      title,
+      description,
+      orderIndex: highestOrder ? highestOrder.orderIndex + 1 : 1
+    });
+
+    res.status(201).json({
+      success: true,
+      data: part
+    });
+  } catch (error) {
+    console.error('Create part error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating part',
+      error: process.env.NODE_ENV === 'production' ? {} : error
+    });
+  }
+};
+
+// @desc    Get a single book or part
+// @route   GET /api/parts/:id
+// @access  Private
+exports.getPart = async (req, res) => {
+  try {
+    const part = await Part.findById(req.params.id);
+
+    if (!part) {
+      return res.status(404).json({
+        success: false,
+        message: 'Part not found'
+      });
+    }
+
+    // Check project ownership
+    const ownershipCheck = await checkProjectOwnership(part.projectId, req.user.id);
+    if (ownershipCheck.error) {
+      return res.status(ownershipCheck.status).json({
+        success: false,
+        message: ownershipCheck.error
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: part
+    });
+  } catch (error) {
+    console.error('Get part error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching part',
+      error: process.env.NODE_ENV === 'production' ? {} : error
+    });
+  }
+};
+
+// @desc    Update a book or part
+// @route   PUT /api/parts/:id
+// @access  Private
+exports.updatePart = async (req, res) => {
+  try {
+    const { title, description } = req.body;
+
+    let part = await Part.findById(req.params.id);
+
+    if (!part) {
+      return res.status(404).json({
+        success: false,
+        message: 'Part not found'
+      });
+    }
+
+    // Check project ownership
+    const ownershipCheck = await checkProjectOwnership(part.projectId, req.user.id);
+    if (ownershipCheck.error) {
+      return res.status(ownershipCheck.status).json({
+        success: false,
+        message: ownershipCheck.error
+      });
+    }
+
+    // Build update object
+    const updateFields = { updatedAt: Date.now() };
+    if (title !== undefined) updateFields.title = title;
+    if (description !== undefined) updateFields.description = description;
+
+    part = await Part.findByIdAndUpdate(
+      req.params.id,
+      { $set: updateFields },
+      { new: true, runValidators: true }
+    );
+
+    res.status(200).json({
+      success: true,
+      data: part
+    });
+  } catch (error) {
+    console.error('Update part error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating part',
+      error: process.env.NODE_ENV === 'production' ? {} : error
+    });
+  }
+};
+
+// @desc    Delete a book or part; its chapters and parts move up a level
+// @route   DELETE /api/parts/:id
+// @access  Private
+exports.deletePart = async (req, res) => {
+  try {
+    const part = await Part.findById(req.params.id);
+
+    if (!part) {
+      return res.status(404).json({
+        success: false,
+        message: 'Part not found'
+      });
+    }
+
+    // Check project ownership
+    const ownershipCheck = await checkProjectOwnership(part.projectId, req.user.id);
+    if (ownershipCheck.error) {
+      return res.status(ownershipCheck.status).json({
+        success: false,
+        message: ownershipCheck.error
+      });
+    }
+
+    const children = await Part.find({ parentId: part._id }).sort({ orderIndex: 1 });
+
+    // Child parts take the deleted container's place among its siblings
+    await Part.updateMany(
+      {
+        projectId: part.projectId,
+        parentId: part.parentId,
+        orderIndex: { $gt: part.orderIndex }
+      },
+      { $inc: { orderIndex: children.length - 1 } }
+    );
+    await Promise.all(children.map((child, index) => Part.updateOne(
+      { _id: child._id },
+      { $set: { parentId: part.parentId, orderIndex: part.orderIndex + index } }
+    )));
+
+    // Chapters stay in place in the manuscript, directly under the parent (if
+    // any); those in the trash move too, so they are restored there
+    await Chapter.updateMany(
+      { projectId: part.projectId, partId: part._id },
+      { $set: { partId: part.parentId } }
+    );
+    await Chapter.updateMany(
+      { projectId: part.projectId, partId: part._id, deletedAt: TRASHED },
+      { $set: { partId: part.parentId } }
+    );
+
+    await Part.findByIdAndDelete(part._id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Part deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete part error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting part',
+      error: process.env.NODE_ENV === 'production' ? {} : error
+    });
+  }
+};
+
+// @desc    Reorder sibling books/parts, moving their chapters with them
+// @route   PUT /api/projects/:projectId/parts/reorder
+// @access  Private
+exports.reorderParts = async (req, res) => {
+  try {
+    const { projectId } = req.params;
+    const { partOrder, parentId = null } = req.body;
+
+    if (!Array.isArray(partOrder)) {
+      return res.status(400).json({
+        success: false,
+        message: 'partOrder must be an array of part IDs'
+      });
+    }
+
+    // Check project ownership
+    const ownershipCheck = await checkProjectOwnership(projectId, req.user.id);
+    if (ownershipCheck.error) {
+      return res.status(ownershipCheck.status).json({
+        success: false,
+        message: ownershipCheck.error
+      });
+    }
+
+    const parts = await Part.find({ projectId });
+    const siblingIds = parts
+      .filter(part => (part.parentId ? part.parentId.toString() : null) === (parentId ? parentId.toString() : null))
+      .map(part => part._id.toString());
+
+    if (partOrder.length !== siblingIds.length || !partOrder.every(id => siblingIds.includes(String(id)))) {
+      return res.status(400).json({
+        success: false,
+        message: 'partOrder must list every book or part under the given parent exactly once'
+      });
+    }
+
+    // Move chapters with their containers, then store the new container order
+    const chapters = await Chapter.find({ projectId })
+      .select('_id partId orderIndex')
+      .sort({ orderIndex: 1 });
+    const reordered = reorderContainerRuns(parts, chapters, parentId, partOrder);
+
+    await writeChapterOrder(projectId, reordered);
+    await Part.bulkWrite(partOrder.map((partId, index) => ({
+      updateOne: {
+        filter: { _id: partId, projectId },
+        update: { $set: { orderIndex: index + 1 } }
+      }
+    })));
+
+    res.status(200).json({
+      success: true,
+      message: 'Parts reordered successfully'
+    });
+  } catch (error) {
+    console.error('Reorder parts error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while reordering parts',
+      error: process.env.NODE_ENV === 'production' ? {} : error
+    });
+  }
+};
+
+// @desc    Get the book/part/chapter tree of a project
+// @route   GET /api/projects/:projectId/structure
+// @access  Private
+exports.getStructure = async (req, res) => {
+  try {
+    const projectId = req.params.projectId || req.params.id;
+
+    // Check project ownership
+    const ownershipCheck = await checkProjectOwnership(projectId, req.user.id);
+    if (ownershipCheck.error) {
+      return res.status(ownershipCheck.status).json({
+        success: false,
+        message: ownershipCheck.error
+      });
+    }
+
+    const [parts, chapters] = await Promise.all([
+      Part.find({ projectId }),
+      Chapter.find({ projectId })
+        .select('title orderIndex wordCount isComplete partId')
+        .sort({ orderIndex: 1 })
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: buildStructureTree(parts, chapters)
+    });
+  } catch (error) {
+    console.error('Get structure error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching project structure',
+      error: process.env.NODE_ENV === 'production' ? {} : error
+    });
+  }
+};
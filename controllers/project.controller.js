@@ -2,6 +2,21 @@ const mongoose = require('mongoose');
 const Project = require('../models/Project');
 const Chapter = require('../models/Chapter');
 const Codex = require('../models/Codex');
+const Part = require('../models/Part');
+const { buildStructureTree } = require('../utils/structure');
+const { getStatuses, normalizeStatuses } = require('../utils/workflow');
+const { pacingReport, DEFAULT_TOLERANCE, DEFAULT_OUTLIER_RATIO } = require('../utils/pacing');
+const { trashProject, purgeDate } = require('../utils/trash');
+const { CONTENT_FORMATS, normalizeFormat } = require('../utils/formats');
+const { normalizeLanguage, normalizeWordCountRules, wordCountOptions } = require('../utils/wordCount');
+const { recountProjectWords } = require('../utils/recount');
+const { findTemplate, applyTemplate } = require('../utils/templates');
+const { copyProject } = require('../utils/duplicate');
+
+const LANGUAGE_ERROR = 'language must be a BCP 47 language tag such as en, ja or pt-BR';
+
+// Longest title a copy can have (the Project title limit)
+const DUPLICATE_TITLE_LENGTH = 100;
 
 // @desc    Get all projects for a user
 // @route   GET /api/projects
@@ -31,7 +46,43 @@ exports.getProjects = async (req, res) => {
 // @access  Private
 exports.createProject = async (req, res) => {
   try {
-    const { title, description, genre, coverImage, wordCountGoal, dailyWordCountGoal } = req.body;
+    const { title, description, genre, coverImage, wordCountGoal, plannedChapterCount, dailyWordCountGoal } = req.body;
+
+    const contentFormat = normalizeFormat(req.body.contentFormat);
+    if (!contentFormat) {
+      return res.status(400).json({
+        success: false,
+        message: `contentFormat must be one of: ${CONTENT_FORMATS.join(', ')}`
+      });
+    }
+
+    const language = req.body.language === undefined ? undefined : normalizeLanguage(req.body.language);
+    if (language === null) {
+      return res.status(400).json({
+        success: false,
+        message: LANGUAGE_ERROR
+      });
+    }
+    const ruleCheck = req.body.wordCountRules === undefined ? { rules: undefined } : normalizeWordCountRules(req.body.wordCountRules);
+    if (ruleCheck.error) {
+      return res.status(400).json({
+        success: false,
+        message: ruleCheck.error
+      });
+    }
+
+    // A built-in or saved template pre-creates the project's outline
+    let template = null;
+    if (req.body.template !== undefined && req.body.template !== null) {
+      const templateCheck = await findTemplate(req.body.template, req.user.id);
+      if (templateCheck.error) {
+        return res.status(templateCheck.status).json({
+          success: false,
+          message: templateCheck.error
+        });
+      }
+      template = templateCheck.template;
+    }
 
     // Create project
     const project = await Project.create({
@@ -40,13 +91,23 @@ exports.createProject = async (req, res) => {
       description,
       genre,
       coverImage,
-      wordCountGoal,
+      wordCountGoal: wordCountGoal === undefined && template && template.wordCountGoal ? template.wordCountGoal : wordCountGoal,
+      plannedChapterCount,
+      contentFormat,
+      language,
+      wordCountRules: ruleCheck.rules,
+      workflowStatuses: template && template.workflowStatuses && template.workflowStatuses.length > 0
+        ? template.workflowStatuses
+        : undefined,
       dailyWordCountGoal
     });
 
+    const created = template ? await applyTemplate(project, template) : null;
+
     res.status(201).json({
       success: true,
-      data: project
+      data: project,
+      template: created
     });
   } catch (error) {
     console.error('Create project error:', error);
@@ -103,7 +164,7 @@ exports.getProject = async (req, res) => {
 // @access  Private
 exports.updateProject = async (req, res) => {
   try {
-    const { title, description, genre, coverImage, wordCountGoal, dailyWordCountGoal, isArchived } = req.body;
+    const { title, description, genre, coverImage, wordCountGoal, plannedChapterCount, dailyWordCountGoal, isArchived, versioning, workflowStatuses, crutchWords, contentFormat, language, wordCountRules } = req.body;
 
     let project = await Project.findById(req.params.id);
 
@@ -129,18 +190,101 @@ exports.updateProject = async (req, res) => {
     if (genre !== undefined) updateFields.genre = genre;
     if (coverImage !== undefined) updateFields.coverImage = coverImage;
     if (wordCountGoal !== undefined) updateFields.wordCountGoal = wordCountGoal;
+    if (plannedChapterCount !== undefined) updateFields.plannedChapterCount = plannedChapterCount;
     if (dailyWordCountGoal !== undefined) updateFields.dailyWordCountGoal = dailyWordCountGoal;
     if (isArchived !== undefined) updateFields.isArchived = isArchived;
+    if (versioning) {
+      ['autoSnapshots', 'snapshotInterval', 'wordDeltaThreshold'].forEach(key => {
+        if (versioning[key] !== undefined) updateFields[`versioning.${key}`] = versioning[key];
+      });
+    }
+
+    if (language !== undefined) {
+      updateFields.language = normalizeLanguage(language);
+      if (!updateFields.language) {
+        return res.status(400).json({
+          success: false,
+          message: LANGUAGE_ERROR
+        });
+      }
+    }
+
+    if (wordCountRules !== undefined) {
+      const ruleCheck = normalizeWordCountRules(wordCountRules);
+      if (ruleCheck.error) {
+        return res.status(400).json({
+          success: false,
+          message: ruleCheck.error
+        });
+      }
+      Object.keys(ruleCheck.rules).forEach(rule => {
+        updateFields[`wordCountRules.${rule}`] = ruleCheck.rules[rule];
+      });
+    }
+
+    // Only affects new chapters; existing ones are converted through the chapters API
+    if (contentFormat !== undefined) {
+      updateFields.contentFormat = normalizeFormat(contentFormat);
+      if (!updateFields.contentFormat) {
+        return res.status(400).json({
+          success: false,
+          message: `contentFormat must be one of: ${CONTENT_FORMATS.join(', ')}`
+        });
+      }
+    }
+
+    if (crutchWords !== undefined) {
+      if (!Array.isArray(crutchWords) || crutchWords.some(word => typeof word !== 'string')) {
+        return res.status(400).json({
+          success: false,
+          message: 'crutchWords must be an array of words or phrases'
+        });
+      }
+      updateFields.crutchWords = [...new Set(crutchWords.map(word => word.trim()).filter(Boolean))];
+    }
+
+    if (workflowStatuses !== undefined) {
+      const workflow = normalizeStatuses(workflowStatuses);
+      if (workflow.error) {
+        return res.status(400).json({
+          success: false,
+          message: workflow.error
+        });
+      }
+
+      // Statuses still in use cannot be dropped
+      const removed = getStatuses(project)
+        .map(status => status.key)
+        .filter(key => !workflow.statuses.some(status => status.key === key));
+      const inUse = removed.length > 0
+        ? await Chapter.distinct('status', { projectId: project._id, status: { $in: removed } })
+        : [];
+      if (inUse.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: `Move chapters out of these statuses before removing them: ${inUse.join(', ')}`
+        });
+      }
+
+      updateFields.workflowStatuses = workflow.statuses;
+    }
 
     // Update the project
+    const previousCountOptions = wordCountOptions(project);
     project = await Project.findByIdAndUpdate(
       req.params.id,
       { $set: updateFields },
       { new: true, runValidators: true }
     );
 
+    // Stored word counts follow a change of language or counting rules
+    const recount = JSON.stringify(wordCountOptions(project)) !== JSON.stringify(previousCountOptions)
+      ? await recountProjectWords(project)
+      : null;
+
     res.status(200).json({
       success: true,
+      recount,
       data: project
     });
   } catch (error) {
@@ -153,7 +297,7 @@ exports.updateProject = async (req, res) => {
   }
 };
 
-// @desc    Delete a project
+// @desc    Move a project to the trash
 // @route   DELETE /api/projects/:id
 // @access  Private
 exports.deleteProject = async (req, res) => {
@@ -175,20 +319,16 @@ exports.deleteProject = async (req, res) => {
       });
     }
 
-    // Delete project and all related data
-    await Promise.all([
-      // Delete project
-      project.remove(),
-      // Delete chapters
-      Chapter.deleteMany({ projectId: req.params.id }),
-      // Delete codex entries
-      Codex.deleteMany({ projectId: req.params.id })
-      // Add other related collections here
-    ]);
+    // Move the project to the trash; its contents are kept until it is purged
+    const deletedAt = await trashProject(project);
 
     res.status(200).json({
       success: true,
-      message: 'Project deleted successfully'
+      message: 'Project moved to trash',
+      data: {
+        deletedAt,
+        purgeAt: purgeDate(deletedAt)
+      }
     });
   } catch (error) {
     console.error('Delete project error:', error);
@@ -223,7 +363,10 @@ exports.getProjectStats = async (req, res) => {
     }
 
     // Get chapters and calculate total word count
-    const chapters = await Chapter.find({ projectId: req.params.id });
+    const chapters = await Chapter.find({ projectId: req.params.id })
+      .select('title orderIndex wordCount targetWordCount isComplete partId')
+      .sort({ orderIndex: 1 });
+    const parts = await Part.find({ projectId: req.params.id });
     
     const totalWordCount = chapters.reduce((sum, chapter) => sum + (chapter.wordCount || 0), 0);
     
@@ -249,8 +392,10 @@ exports.getProjectStats = async (req, res) => {
       data: {
         totalWordCount,
         chapterCount: chapters.length,
+        structure: buildStructureTree(parts, chapters),
         codexCounts,
         progressPercentage,
+        pacing: pacingReport(chapters, project).summary,
         wordCountGoal: project.wordCountGoal,
         dailyWordCountGoal: project.dailyWordCountGoal
       }
@@ -263,4 +408,174 @@ exports.getProjectStats = async (req, res) => {
       error: process.env.NODE_ENV === 'production' ? {} : error
     });
   }
-};
\ No newline at end of file
+};
+
+// @desc    Get each chapter's length against its target and its neighbours
+// @route   GET /api/projects/:id/pacing
+// @access  Private
+exports.getPacingReport = async (req, res) => {
+  try {
+    const project = await Project.findById(req.params.id);
+
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found'
+      });
+    }
+
+    // Check if user owns the project
+    if (project.userId.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to access this project'
+      });
+    }
+
+    // tolerance is a percentage either side of the target
+    const tolerance = req.query.tolerance !== undefined
+      ? parseFloat(req.query.tolerance) / 100
+      : DEFAULT_TOLERANCE;
+    const outlierRatio = req.query.ratio !== undefined
+      ? parseFloat(req.query.ratio)
+      : DEFAULT_OUTLIER_RATIO;
+
+    if (!Number.isFinite(tolerance) || tolerance < 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'tolerance must be a non-negative percentage'
+      });
+    }
+    if (!Number.isFinite(outlierRatio) || outlierRatio <= 1) {
+      return res.status(400).json({
+        success: false,
+        message: 'ratio must be a number greater than 1'
+      });
+    }
+
+    const chapters = await Chapter.find({ projectId: req.params.id })
+      .select('title orderIndex wordCount targetWordCount')
+      .sort({ orderIndex: 1 });
+
+    const report = pacingReport(chapters, project, { tolerance, outlierRatio });
+
+    res.status(200).json({
+      success: true,
+      summary: report.summary,
+      data: report.data
+    });
+  } catch (error) {
+    console.error('Get pacing report error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while building pacing report',
+      error: process.env.NODE_ENV === 'production' ? {} : error
+    });
+  }
+};
+
+// @desc    Recount the words of every chapter, scene and version in a project
+// @route   POST /api/projects/:id/recount
+// @access  Private
+exports.recountWords = async (req, res) => {
+  try {
+    const project = await Project.findById(req.params.id);
+
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found'
+      });
+    }
+
+    // Check if user owns the project
+    if (project.userId.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to access this project'
+      });
+    }
+
+    const updated = await recountProjectWords(project);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        options: wordCountOptions(project),
+        updated
+      }
+    });
+  } catch (error) {
+    console.error('Recount words error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while recounting words',
+      error: process.env.NODE_ENV === 'production' ? {} : error
+    });
+  }
+};
+
+// @desc    Copy a project with its chapters, codex and structure into a new, independent project
+// @route   POST /api/projects/:id/duplicate
+// @access  Private
+exports.duplicateProject = async (req, res) => {
+  try {
+    const { title, includeVersions, includeComments } = req.body;
+
+    if (title !== undefined && (typeof title !== 'string' || !title.trim())) {
+      return res.status(400).json({
+        success: false,
+        message: 'title must be a non-empty string'
+      });
+    }
+    if (title !== undefined && title.trim().length > DUPLICATE_TITLE_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        message: `title cannot be more than ${DUPLICATE_TITLE_LENGTH} characters`
+      });
+    }
+    if ((includeVersions !== undefined && typeof includeVersions !== 'boolean')
+      || (includeComments !== undefined && typeof includeComments !== 'boolean')) {
+      return res.status(400).json({
+        success: false,
+        message: 'includeVersions and includeComments must be true or false'
+      });
+    }
+
+    const project = await Project.findById(req.params.id);
+
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found'
+      });
+    }
+
+    // Check if user owns the project
+    if (project.userId.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to access this project'
+      });
+    }
+
+    const { project: copy, counts } = await copyProject(project, {
+      title: title !== undefined ? title.trim() : `${project.title} (copy)`.slice(0, DUPLICATE_TITLE_LENGTH),
+      versions: includeVersions === true,
+      comments: includeComments !== false
+    });
+
+    res.status(201).json({
+      success: true,
+      data: copy,
+      copied: counts
+    });
+  } catch (error) {
+    console.error('Duplicate project error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while duplicating project',
+      error: process.env.NODE_ENV === 'production' ? {} : error
+    });
+  }
+};
@@ -1,6 +1,7 @@
 const Relationship = require('../models/Relationship');
 const Codex = require('../models/Codex');
 const Project = require('../models/Project');
+const { trashRelationship, purgeDate } = require('../utils/trash');
 const mongoose = require('mongoose');
 
 // Check project ownership
@@ -149,6 +150,16 @@ exports.createRelationship = async (req, res) => {
       });
     }
     
+    // A new relationship replaces any identical ones in the trash
+    await Relationship.deleteMany({
+      projectId,
+      $or: [
+        { sourceId, targetId, type },
+        ...(createInverse ? [{ sourceId: targetId, targetId: sourceId, type: inverseType || type }] : [])
+      ],
+      deletedAt: { $ne: null }
+    });
+    
     // Create relationship
     const relationship = await Relationship.create({
       projectId,
@@ -346,7 +357,7 @@ exports.updateRelationship = async (req, res) => {
   }
 };
 
-// @desc    Delete a relationship
+// @desc    Move a relationship to the trash
 // @route   DELETE /api/relationships/:id
 // @access  Private
 exports.deleteRelationship = async (req, res) => {
@@ -369,12 +380,16 @@ exports.deleteRelationship = async (req, res) => {
       });
     }
     
-    // Delete relationship
-    await relationship.remove();
+    // Move relationship to the trash
+    const deletedAt = await trashRelationship(relationship);
     
     res.status(200).json({
       success: true,
-      message: 'Relationship deleted successfully'
+      message: 'Relationship moved to trash',
+      data: {
+        deletedAt,
+        purgeAt: purgeDate(deletedAt)
+      }
     });
   } catch (error) {
     console.error('Delete relationship error:', error);
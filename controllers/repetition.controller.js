@@ -0,0 +1,132 @@
+const Chapter = require('../models/Chapter');
+const Project = require('../models/Project');
+const { createRepetitionCollector, DEFAULT_CRUTCH_WORDS, DEFAULT_ECHO_WINDOW } = require('../utils/repetition');
+const { toDraft } = require('../utils/formats');
+const { chapterScenes } = require('../utils/scenes');
+
+const DEFAULT_LIMIT = 25;
+const MAX_LIMIT = 100;
+const MAX_ECHO_WINDOW = 500;
+
+// Check project ownership
+const checkProjectOwnership = async (projectId, userId) => {
+  const project = await Project.findById(projectId);
+  if (!project) {
+    return { error: 'Project not found', status: 404 };
+  }
+  if (project.userId.toString() !== userId) {
+    return { error: 'Not authorized to access this project', status: 403 };
+  }
+  return { project };
+};
+
+// Positive integer query string option, clamped to `max`
+const queryInt = (value, fallback, max = Infinity) => {
+  const parsed = parseInt(value, 10);
+  if (!Number.isFinite(parsed) || parsed < 1) return fallback;
+  return Math.min(parsed, max);
+};
+
+// Report options from the query string. Crutch words come from ?crutchWords=
+// (comma separated), then the project's list, then the built-in one.
+const reportOptions = (query, project) => {
+  const crutchWords = query.crutchWords !== undefined
+    ? String(query.crutchWords).split(',')
+    : project.crutchWords || DEFAULT_CRUTCH_WORDS;
+
+  return {
+    collector: {
+      crutchWords,
+      echoWindow: queryInt(query.window, DEFAULT_ECHO_WINDOW, MAX_ECHO_WINDOW)
+    },
+    report: {
+      limit: queryInt(query.limit, DEFAULT_LIMIT, MAX_LIMIT),
+      minCount: queryInt(query.minCount, 2)
+    }
+  };
+};
+
+// @desc    Get overused words, repeated phrases, echoes and crutch words in a chapter
+// @route   GET /api/chapters/:id/repetition
+// @access  Private
+exports.getChapterRepetition = async (req, res) => {
+  try {
+    const chapter = await Chapter.findById(req.params.id).select('projectId content format');
+
+    if (!chapter) {
+      return res.status(404).json({
+        success: false,
+        message: 'Chapter not found'
+      });
+    }
+
+    // Check project ownership
+    const ownershipCheck = await checkProjectOwnership(chapter.projectId, req.user.id);
+    if (ownershipCheck.error) {
+      return res.status(ownershipCheck.status).json({
+        success: false,
+        message: ownershipCheck.error
+      });
+    }
+
+    const options = reportOptions(req.query, ownershipCheck.project);
+    const collector = createRepetitionCollector(options.collector);
+    collector.addChapter(chapter._id, toDraft(chapter.content, chapter.format), await chapterScenes(chapter._id));
+
+    res.status(200).json({
+      success: true,
+      data: collector.report(options.report)
+    });
+  } catch (error) {
+    console.error('Get chapter repetition error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while building repetition report',
+      error: process.env.NODE_ENV === 'production' ? {} : error
+    });
+  }
+};
+
+// @desc    Get overused words, repeated phrases, echoes and crutch words across a project
+// @route   GET /api/projects/:id/repetition
+// @access  Private
+exports.getProjectRepetition = async (req, res) => {
+  try {
+    const projectId = req.params.projectId || req.params.id;
+
+    // Check project ownership
+    const ownershipCheck = await checkProjectOwnership(projectId, req.user.id);
+    if (ownershipCheck.error) {
+      return res.status(ownershipCheck.status).json({
+        success: false,
+        message: ownershipCheck.error
+      });
+    }
+
+    const options = reportOptions(req.query, ownershipCheck.project);
+    const collector = createRepetitionCollector(options.collector);
+
+    // Stream chapters so only one chapter's content and scenes are held at a time
+    const cursor = Chapter.find({ projectId })
+      .select('content format')
+      .sort({ orderIndex: 1 })
+      .lean()
+      .cursor();
+
+    for await (const chapter of cursor) {
+      collector.addChapter(chapter._id, toDraft(chapter.content, chapter.format), await chapterScenes(chapter._id));
+    }
+
+    res.status(200).json({
+      success: true,
+      data: collector.report(options.report)
+    });
+  } catch (error) {
+    console.error('Get project repetition error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while building repetition report',
+      error: process.env.NODE_ENV === 'production' ? {} : error
+    });
+  }
+};
@@ -0,0 +1,496 @@
+const mongoose = require('mongoose');
+const Scene = require('../models/Scene');
+const Chapter = require('../models/Chapter');
+const Project = require('../models/Project');
+const Codex = require('../models/Codex');
+const { countWords, wordCountOptions } = require('../utils/wordCount');
+const { refreshChapterWordCount } = require('../utils/scenes');
+const { indexChapterMentionsById } = require('../utils/mentions');
+const { getCalendar, normalizeRange } = require('../utils/calendar');
+
+// Check project ownership
+const checkProjectOwnership = async (projectId, userId) => {
+  const project = await Project.findById(projectId);
+  if (!project) {
+    return { error: 'Project not found', status: 404 };
+  }
+  if (project.userId.toString() !== userId) {
+    return { error: 'Not authorized to access this project', status: 403 };
+  }
+  return { project };
+};
+
+// Helper function to check a linked codex entity belongs to the project and has the right type
+const validateCodexLink = async (entityId, projectId, type, label) => {
+  if (!entityId) return {};
+  if (!mongoose.Types.ObjectId.isValid(entityId)) {
+    return { error: `${label} ID is invalid`, status: 400 };
+  }
+
+  const entity = await Codex.findById(entityId).select('projectId type');
+  if (!entity) {
+    return { error: `${label} not found`, status: 404 };
+  }
+  if (entity.projectId.toString() !== projectId.toString()) {
+    return { error: `${label} does not belong to this project`, status: 400 };
+  }
+  if (entity.type !== type) {
+    return { error: `${label} must be a codex ${type}`, status: 400 };
+  }
+  return { entity };
+};
+
+// Validate the POV character and setting links in a request body
+const validateSceneLinks = async ({ povCharacterId, settingId }, projectId) => {
+  if (povCharacterId !== undefined) {
+    const check = await validateCodexLink(povCharacterId, projectId, 'character', 'POV character');
+    if (check.error) return check;
+  }
+  if (settingId !== undefined) {
+    const check = await validateCodexLink(settingId, projectId, 'location', 'Setting');
+    if (check.error) return check;
+  }
+  return {};
+};
+
+// Load a scene and check the user owns its project
+const findOwnedScene = async (sceneId, userId) => {
+  if (!mongoose.Types.ObjectId.isValid(sceneId)) {
+    return { error: 'Invalid scene ID', status: 400 };
+  }
+  const scene = await Scene.findById(sceneId);
+  if (!scene) {
+    return { error: 'Scene not found', status: 404 };
+  }
+  const ownershipCheck = await checkProjectOwnership(scene.projectId, userId);
+  if (ownershipCheck.error) return ownershipCheck;
+  return { scene, project: ownershipCheck.project };
+};
+
+// Load a chapter and check the user owns its project
+const findOwnedChapter = async (chapterId, userId) => {
+  if (!mongoose.Types.ObjectId.isValid(chapterId)) {
+    return { error: 'Invalid chapter ID', status: 400 };
+  }
+  const chapter = await Chapter.findById(chapterId);
+  if (!chapter) {
+    return { error: 'Chapter not found', status: 404 };
+  }
+  const ownershipCheck = await checkProjectOwnership(chapter.projectId, userId);
+  if (ownershipCheck.error) return ownershipCheck;
+  return { chapter, project: ownershipCheck.project };
+};
+
+// @desc    Get all scenes of a chapter
+// @route   GET /api/chapters/:id/scenes
+// @access  Private
+exports.getScenes = async (req, res) => {
+  try {
+    const chapterCheck = await findOwnedChapter(req.params.id, req.user.id);
+    if (chapterCheck.error) {
+      return res.status(chapterCheck.status).json({
+        success: false,
+        message: chapterCheck.error
+      });
+    }
+
+    const scenes = await Scene.find({ chapterId: req.params.id })
+      .select('-content') // Exclude content for performance
+      .sort({ orderIndex: 1 });
+
+    // Look up linked POV characters and settings
+    const entityIds = new Set();
+    scenes.forEach(scene => {
+      if (scene.povCharacterId) entityIds.add(scene.povCharacterId.toString());
+      if (scene.settingId) entityIds.add(scene.settingId.toString());
+    });
+    const entities = await Codex.find({ _id: { $in: Array.from(entityIds) } }).select('name type');
+    const entityMap = {};
+    entities.forEach(entity => {
+      entityMap[entity._id] = { id: entity._id, name: entity.name, type: entity.type };
+    });
+
+    const enrichedScenes = scenes.map(scene => ({
+      ...scene.toObject(),
+      povCharacter: scene.povCharacterId ? entityMap[scene.povCharacterId] || null : null,
+      setting: scene.settingId ? entityMap[scene.settingId] || null : null
+    }));
+
+    res.status(200).json({
+      success: true,
+      count: enrichedScenes.length,
+      data: enrichedScenes
+    });
+  } catch (error) {
+    console.error('Get scenes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching scenes',
+      error: process.env.NODE_ENV === 'production' ? {} : error
+    });
+  }
+};
+
+// @desc    Create a scene at the end of a chapter
+// @route   POST /api/chapters/:id/scenes
+// @access  Private
+exports.createScene = async (req, res) => {
+  try {
+    const { title, synopsis, content, notes, povCharacterId, settingId } = req.body;
+
+    const chapterCheck = await findOwnedChapter(req.params.id, req.user.id);
+    if (chapterCheck.error) {
+      return res.status(chapterCheck.status).json({
+        success: false,
+        message: chapterCheck.error
+      });
+    }
+    const { chapter, project } = chapterCheck;
+    const countOptions = wordCountOptions(project);
+
+    const linkCheck = await validateSceneLinks({ povCharacterId, settingId }, chapter.projectId);
+    if (linkCheck.error) {
+      return res.status(linkCheck.status).json({
+        success: false,
+        message: linkCheck.error
+      });
+    }
+
+    const whenCheck = req.body.when === undefined ? { when: null } : normalizeRange(getCalendar(project), req.body.when);
+    if (whenCheck.error) {
+      return res.status(400).json({
+        success: false,
+        message: whenCheck.error
+      });
+    }
+
+    // Get highest orderIndex
+    const highestOrder = await Scene.findOne({ chapterId: chapter._id })
+      .sort({ orderIndex: -1 })
+      .select('orderIndex');
+
+    const scene = await Scene.create({
+      projectId: chapter.projectId,
+      chapterId: chapter._id,
+      title,
+      synopsis,
+      content,
+      notes,
+      povCharacterId: povCharacterId || null,
+      settingId: settingId || null,
+      when: whenCheck.when,
+      orderIndex: highestOrder ? highestOrder.orderIndex + 1 : 1,
+      wordCount: countWords(content, countOptions)
+    });
+
+    await refreshChapterWordCount(chapter._id, countOptions);
+    await indexChapterMentionsById(chapter._id);
+
+    res.status(201).json({
+      success: true,
+      data: scene
+    });
+  } catch (error) {
+    console.error('Create scene error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating scene',
+      error: process.env.NODE_ENV === 'production' ? {} : error
+    });
+  }
+};
+
+// @desc    Get a single scene
+// @route   GET /api/chapters/scenes/:id
+// @access  Private
+exports.getScene = async (req, res) => {
+  try {
+    const sceneCheck = await findOwnedScene(req.params.id, req.user.id);
+    if (sceneCheck.error) {
+      return res.status(sceneCheck.status).json({
+        success: false,
+        message: sceneCheck.error
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: sceneCheck.scene
+    });
+  } catch (error) {
+    console.error('Get scene error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching scene',
+      error: process.env.NODE_ENV === 'production' ? {} : error
+    });
+  }
+};
+
+// @desc    Update a scene
+// @route   PUT /api/chapters/scenes/:id
+// @access  Private
+exports.updateScene = async (req, res) => {
+  try {
+    const { title, synopsis, content, notes, povCharacterId, settingId } = req.body;
+
+    const sceneCheck = await findOwnedScene(req.params.id, req.user.id);
+    if (sceneCheck.error) {
+      return res.status(sceneCheck.status).json({
+        success: false,
+        message: sceneCheck.error
+      });
+    }
+    const { scene, project } = sceneCheck;
+    const countOptions = wordCountOptions(project);
+
+    const linkCheck = await validateSceneLinks({ povCharacterId, settingId }, scene.projectId);
+    if (linkCheck.error) {
+      return res.status(linkCheck.status).json({
+        success: false,
+        message: linkCheck.error
+      });
+    }
+
+    const whenCheck = req.body.when === undefined ? {} : normalizeRange(getCalendar(project), req.body.when);
+    if (whenCheck.error) {
+      return res.status(400).json({
+        success: false,
+        message: whenCheck.error
+      });
+    }
+
+    // Build update object
+    const updateFields = { updatedAt: Date.now() };
+    if (title !== undefined) updateFields.title = title;
+    if (synopsis !== undefined) updateFields.synopsis = synopsis;
+    if (content !== undefined) {
+      updateFields.content = content;
+      updateFields.wordCount = countWords(content, countOptions);
+    }
+    if (notes !== undefined) updateFields.notes = notes;
+    if (povCharacterId !== undefined) updateFields.povCharacterId = povCharacterId || null;
+    if (settingId !== undefined) updateFields.settingId = settingId || null;
+    if (whenCheck.when !== undefined) updateFields.when = whenCheck.when;
+
+    const updatedScene = await Scene.findByIdAndUpdate(
+      req.params.id,
+      { $set: updateFields },
+      { new: true, runValidators: true }
+    );
+
+    if (content !== undefined) {
+      await refreshChapterWordCount(scene.chapterId, countOptions);
+      await indexChapterMentionsById(scene.chapterId);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: updatedScene
+    });
+  } catch (error) {
+    console.error('Update scene error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating scene',
+      error: process.env.NODE_ENV === 'production' ? {} : error
+    });
+  }
+};
+
+// @desc    Delete a scene
+// @route   DELETE /api/chapters/scenes/:id
+// @access  Private
+exports.deleteScene = async (req, res) => {
+  try {
+    const sceneCheck = await findOwnedScene(req.params.id, req.user.id);
+    if (sceneCheck.error) {
+      return res.status(sceneCheck.status).json({
+        success: false,
+        message: sceneCheck.error
+      });
+    }
+    const { scene, project } = sceneCheck;
+
+    await Scene.findByIdAndDelete(scene._id);
+
+    // Reorder remaining scenes
+    await Scene.updateMany(
+      {
+        chapterId: scene.chapterId,
+        orderIndex: { $gt: scene.orderIndex }
+      },
+      { $inc: { orderIndex: -1 } }
+    );
+
+    await refreshChapterWordCount(scene.chapterId, wordCountOptions(project));
+    await indexChapterMentionsById(scene.chapterId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Scene deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete scene error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting scene',
+      error: process.env.NODE_ENV === 'production' ? {} : error
+    });
+  }
+};
+
+// @desc    Reorder the scenes of a chapter
+// @route   PUT /api/chapters/:id/scenes/reorder
+// @access  Private
+exports.reorderScenes = async (req, res) => {
+  try {
+    const { sceneOrder } = req.body;
+
+    if (!Array.isArray(sceneOrder) || !sceneOrder.every(id => mongoose.Types.ObjectId.isValid(id))) {
+      return res.status(400).json({
+        success: false,
+        message: 'sceneOrder must be an array of scene IDs'
+      });
+    }
+
+    const chapterCheck = await findOwnedChapter(req.params.id, req.user.id);
+    if (chapterCheck.error) {
+      return res.status(chapterCheck.status).json({
+        success: false,
+        message: chapterCheck.error
+      });
+    }
+
+    // Update each scene's order
+    const updatePromises = sceneOrder.map((sceneId, index) => {
+      return Scene.findOneAndUpdate(
+        { _id: sceneId, chapterId: req.params.id },
+        { orderIndex: index + 1 }
+      );
+    });
+
+    await Promise.all(updatePromises);
+
+    res.status(200).json({
+      success: true,
+      message: 'Scenes reordered successfully'
+    });
+  } catch (error) {
+    console.error('Reorder scenes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while reordering scenes',
+      error: process.env.NODE_ENV === 'production' ? {} : error
+    });
+  }
+};
+
+// @desc    Move a scene to another chapter (or position)
+// @route   POST /api/chapters/scenes/:id/move
+// @access  Private
+exports.moveScene = async (req, res) => {
+  try {
+    const { chapterId, orderIndex } = req.body;
+
+    if (!chapterId) {
+      return res.status(400).json({
+        success: false,
+        message: 'chapterId is required'
+      });
+    }
+    if (!mongoose.Types.ObjectId.isValid(chapterId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid chapter ID'
+      });
+    }
+
+    const sceneCheck = await findOwnedScene(req.params.id, req.user.id);
+    if (sceneCheck.error) {
+      return res.status(sceneCheck.status).json({
+        success: false,
+        message: sceneCheck.error
+      });
+    }
+    const { scene, project } = sceneCheck;
+
+    const targetChapter = await Chapter.findById(chapterId).select('projectId');
+    if (!targetChapter) {
+      return res.status(404).json({
+        success: false,
+        message: 'Target chapter not found'
+      });
+    }
+    if (targetChapter.projectId.toString() !== scene.projectId.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Scenes can only be moved within the same project'
+      });
+    }
+
+    const sourceChapterId = scene.chapterId;
+
+    // Close the gap left in the source chapter
+    await Scene.updateMany(
+      {
+        chapterId: sourceChapterId,
+        orderIndex: { $gt: scene.orderIndex }
+      },
+      { $inc: { orderIndex: -1 } }
+    );
+
+    // Make room at the requested position (default: end) in the target chapter
+    const siblingCount = await Scene.countDocuments({
+      chapterId: targetChapter._id,
+      _id: { $ne: scene._id }
+    });
+    const position = Math.min(Math.max(parseInt(orderIndex, 10) || siblingCount + 1, 1), siblingCount + 1);
+
+    await Scene.updateMany(
+      {
+        chapterId: targetChapter._id,
+        _id: { $ne: scene._id },
+        orderIndex: { $gte: position }
+      },
+      { $inc: { orderIndex: 1 } }
+    );
+
+    const movedScene = await Scene.findByIdAndUpdate(
+      scene._id,
+      { $set: { chapterId: targetChapter._id, orderIndex: position, updatedAt: Date.now() } },
+      { new: true }
+    );
+
+    // Keep both chapters' word counts in step with their scenes
+    const countOptions = wordCountOptions(project);
+    const [sourceWordCount, targetWordCount] = await Promise.all([
+      refreshChapterWordCount(sourceChapterId, countOptions),
+      sourceChapterId.toString() === targetChapter._id.toString()
+        ? null
+        : refreshChapterWordCount(targetChapter._id, countOptions)
+    ]);
+    await indexChapterMentionsById(sourceChapterId);
+    if (sourceChapterId.toString() !== targetChapter._id.toString()) {
+      await indexChapterMentionsById(targetChapter._id);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        scene: movedScene,
+        chapters: [
+          { id: sourceChapterId, wordCount: sourceWordCount },
+          ...(targetWordCount === null ? [] : [{ id: targetChapter._id, wordCount: targetWordCount }])
+        ]
+      }
+    });
+  } catch (error) {
+    console.error('Move scene error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while moving scene',
+      error: process.env.NODE_ENV === 'production' ? {} : error
+    });
+  }
+};
@@ -0,0 +1,618 @@
+const Chapter = require('../models/Chapter');
+const Scene = require('../models/Scene');
+const Project = require('../models/Project');
+const Version = require('../models/Version');
+const ReplaceOperation = require('../models/ReplaceOperation');
+const { getBlocks } = require('../utils/draft');
+const { buildSearchPattern, findMatches } = require('../utils/search');
+const { REGEX_TIME_LIMIT_MS, regexTimeBudget, buildReplacePattern, findReplacements, applyReplacements } = require('../utils/replace');
+const { revisionOf, commitChapterUpdate } = require('../utils/revisions');
+const { chapterWordCount, refreshChapterWordCount } = require('../utils/scenes');
+const { indexChapterMentionsById } = require('../utils/mentions');
+const { countWords, wordCountOptions } = require('../utils/wordCount');
+const { DEFAULT_FORMAT, toDraft, convertContent } = require('../utils/formats');
+
+const DEFAULT_PAGE_SIZE = 20;
+// Formats whose text sits too deep in the stored JSON for a regex prefilter
+const NESTED_FORMATS = ['prosemirror', 'slate'];
+const MAX_PAGE_SIZE = 100;
+
+// Check project ownership
+const checkProjectOwnership = async (projectId, userId) => {
+  const project = await Project.findById(projectId);
+  if (!project) {
+    return { error: 'Project not found', status: 404 };
+  }
+  if (project.userId.toString() !== userId) {
+    return { error: 'Not authorized to access this project', status: 403 };
+  }
+  return { project };
+};
+
+// Read a boolean query string option
+const queryFlag = (value) => value === 'true' || value === '1';
+
+// Positive integer query string option, clamped to `max`
+const queryInt = (value, fallback, max = Infinity) => {
+  const parsed = parseInt(value, 10);
+  if (!Number.isFinite(parsed) || parsed < 1) return fallback;
+  return Math.min(parsed, max);
+};
+
+// Every match in a chapter or scene, content blocks first and then notes
+const textMatches = (content, notes, regex) => {
+  const matches = [];
+  getBlocks(content).forEach(block => {
+    findMatches(block.text, regex).forEach(match => {
+      matches.push({ field: 'content', blockKey: block.key, ...match });
+    });
+  });
+  findMatches(notes, regex).forEach(match => {
+    matches.push({ field: 'notes', blockKey: null, ...match });
+  });
+  return matches;
+};
+
+// Every match in a chapter, then in each of its scenes in order
+const chapterMatches = (chapter, scenes, regex) => [
+  ...textMatches(toDraft(chapter.content, chapter.format), chapter.notes, regex)
+    .map(match => ({ sceneId: null, sceneTitle: null, ...match })),
+  ...scenes.flatMap(scene => textMatches(scene.content, scene.notes, regex)
+    .map(match => ({ sceneId: scene._id, sceneTitle: scene.title || null, ...match })))
+];
+
+// @desc    Search the text of every chapter and scene in a project
+// @route   GET /api/projects/:id/search
+// @access  Private
+exports.searchManuscript = async (req, res) => {
+  try {
+    const projectId = req.params.projectId || req.params.id;
+    const { q } = req.query;
+
+    const pattern = buildSearchPattern({
+      q,
+      phrase: queryFlag(req.query.phrase),
+      caseSensitive: queryFlag(req.query.caseSensitive),
+      wholeWord: queryFlag(req.query.wholeWord)
+    });
+    if (pattern.error) {
+      return res.status(400).json({
+        success: false,
+        message: pattern.error
+      });
+    }
+
+    // Check project ownership
+    const ownershipCheck = await checkProjectOwnership(projectId, req.user.id);
+    if (ownershipCheck.error) {
+      return res.status(ownershipCheck.status).json({
+        success: false,
+        message: ownershipCheck.error
+      });
+    }
+
+    const page = queryInt(req.query.page, 1);
+    const limit = queryInt(req.query.limit, DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+    const skip = (page - 1) * limit;
+
+    // Scene prose is stored as Draft.js content or plain text
+    const scenePrefilter = [
+      { 'content.blocks.text': pattern.prefilter },
+      { content: pattern.prefilter },
+      { notes: pattern.prefilter }
+    ];
+    const sceneChapterIds = await Scene.distinct('chapterId', { projectId, $or: scenePrefilter });
+    const withScenes = new Set(sceneChapterIds.map(String));
+
+    // Let MongoDB rule out chapters that cannot match, then stream the rest
+    // one at a time so only the requested page of matches is kept
+    const cursor = Chapter.find({
+      projectId,
+      $or: [
+        { 'content.blocks.text': pattern.prefilter },
+        { content: pattern.prefilter },
+        { notes: pattern.prefilter },
+        // Text in nested editor JSON can only be searched once converted
+        { format: { $in: NESTED_FORMATS } },
+        { _id: { $in: sceneChapterIds } }
+      ]
+    })
+      .select('title orderIndex content format notes')
+      .sort({ orderIndex: 1 })
+      .lean()
+      .cursor();
+
+    const results = [];
+    let total = 0;
+    let chapterCount = 0;
+
+    for await (const chapter of cursor) {
+      const scenes = withScenes.has(chapter._id.toString())
+        ? await Scene.find({ chapterId: chapter._id, $or: scenePrefilter })
+          .select('title orderIndex content notes')
+          .sort({ orderIndex: 1 })
+          .lean()
+        : [];
+      const matches = chapterMatches(chapter, scenes, pattern.regex);
+      if (matches.length === 0) continue;
+      chapterCount++;
+
+      matches.forEach(match => {
+        if (total >= skip && results.length < limit) {
+          results.push({
+            chapterId: chapter._id,
+            chapterTitle: chapter.title,
+            ...match
+          });
+        }
+        total++;
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      count: results.length,
+      total,
+      chapterCount,
+      page,
+      pages: Math.ceil(total / limit),
+      data: results
+    });
+  } catch (error) {
+    console.error('Search manuscript error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while searching manuscript',
+      error: process.env.NODE_ENV === 'production' ? {} : error
+    });
+  }
+};
+
+// Match ids include the chapter revision, so a preview goes stale as soon as
+// the chapter is edited and its ids no longer select anything
+const replacementId = (chapter, match) => `${chapter._id}:${revisionOf(chapter)}:${match.blockKey}:${match.offset}`;
+
+// Scenes have no revision, so their last update time stands in for it
+const sceneReplacementId = (scene, match) => `${scene._id}:${new Date(scene.updatedAt).getTime()}:${match.blockKey}:${match.offset}`;
+
+// @desc    Find and replace across every chapter and scene, or preview it with dryRun
+// @route   POST /api/projects/:id/replace
+// @access  Private
+exports.replaceInManuscript = async (req, res) => {
+  try {
+    const projectId = req.params.projectId || req.params.id;
+    const { find, replace = '', dryRun, matchIds } = req.body;
+    const options = {
+      regex: req.body.regex === true,
+      wholeWord: req.body.wholeWord === true,
+      caseSensitive: req.body.caseSensitive === true,
+      preserveCase: req.body.preserveCase === true
+    };
+
+    if (typeof replace !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'replace must be a string'
+      });
+    }
+    if (matchIds !== undefined && !Array.isArray(matchIds)) {
+      return res.status(400).json({
+        success: false,
+        message: 'matchIds must be an array of match IDs from a preview'
+      });
+    }
+
+    const pattern = buildReplacePattern({ find, ...options });
+    if (pattern.error) {
+      return res.status(400).json({
+        success: false,
+        message: pattern.error
+      });
+    }
+
+    // Check project ownership
+    const ownershipCheck = await checkProjectOwnership(projectId, req.user.id);
+    if (ownershipCheck.error) {
+      return res.status(ownershipCheck.status).json({
+        success: false,
+        message: ownershipCheck.error
+      });
+    }
+
+    const query = { projectId };
+    if (pattern.prefilter) {
+      query.$or = [
+        { 'content.blocks.text': pattern.prefilter },
+        { content: pattern.prefilter },
+        { format: { $in: NESTED_FORMATS } }
+      ];
+    }
+
+    const cursor = Chapter.find(query)
+      .select('projectId title orderIndex content format wordCount revision')
+      .sort({ orderIndex: 1 })
+      .cursor();
+
+    // Regex patterns share one time limit for the whole manuscript
+    const budget = options.regex ? regexTimeBudget() : null;
+    const findOptions = {
+      regex: pattern.regex,
+      replace,
+      isRegex: options.regex,
+      preserveCase: options.preserveCase,
+      budget
+    };
+    const tooSlow = () => res.status(400).json({
+      success: false,
+      message: `find took longer than ${REGEX_TIME_LIMIT_MS / 1000} seconds to match; simplify the pattern`
+    });
+
+    const selected = matchIds ? new Set(matchIds.map(String)) : null;
+    const found = new Set();
+    const preview = [];
+    const touched = [];
+    const touchedScenes = [];
+    const skipped = [];
+
+    // The matches to act on, all of them unless matchIds picks some
+    const choose = (matches) => {
+      const chosen = selected ? matches.filter(match => selected.has(match.id)) : matches;
+      chosen.forEach(match => found.add(match.id));
+      return chosen;
+    };
+
+    for await (const chapter of cursor) {
+      const replacements = findReplacements(toDraft(chapter.content, chapter.format), findOptions);
+      if (!replacements) return tooSlow();
+
+      // Writing Draft.js back to another format would lose what Draft.js
+      // cannot hold (links, images, tables), so those chapters are only reported
+      if (chapter.format !== DEFAULT_FORMAT) {
+        if (replacements.length > 0) {
+          skipped.push({
+            chapterId: chapter._id,
+            chapterTitle: chapter.title,
+            format: chapter.format,
+            matchCount: replacements.length
+          });
+        }
+        continue;
+      }
+
+      const chosen = choose(replacements.map(match => ({ id: replacementId(chapter, match), ...match })));
+      if (chosen.length === 0) continue;
+
+      if (dryRun) {
+        chosen.forEach(match => preview.push({
+          chapterId: chapter._id,
+          chapterTitle: chapter.title,
+          sceneId: null,
+          sceneTitle: null,
+          ...match
+        }));
+      } else {
+        touched.push({ chapter, matches: chosen });
+      }
+    }
+
+    // Scene prose (Draft.js content or plain text) of chapters not in the trash
+    const chapters = new Map((await Chapter.find({ projectId }).select('title orderIndex').lean())
+      .map(chapter => [chapter._id.toString(), chapter]));
+    const sceneQuery = { projectId, chapterId: { $in: [...chapters.values()].map(chapter => chapter._id) } };
+    if (pattern.prefilter) {
+      sceneQuery.$or = [
+        { 'content.blocks.text': pattern.prefilter },
+        { content: pattern.prefilter }
+      ];
+    }
+
+    const sceneCursor = Scene.find(sceneQuery)
+      .select('chapterId title orderIndex content updatedAt')
+      .sort({ orderIndex: 1 })
+      .lean()
+      .cursor();
+
+    for await (const scene of sceneCursor) {
+      const replacements = findReplacements(scene.content, findOptions);
+      if (!replacements) return tooSlow();
+
+      const chosen = choose(replacements.map(match => ({ id: sceneReplacementId(scene, match), ...match })));
+      if (chosen.length === 0) continue;
+
+      if (dryRun) {
+        chosen.forEach(match => preview.push({
+          chapterId: scene.chapterId,
+          chapterTitle: chapters.get(scene.chapterId.toString()).title,
+          sceneId: scene._id,
+          sceneTitle: scene.title || null,
+          ...match
+        }));
+      } else {
+        touchedScenes.push({ scene, matches: chosen });
+      }
+    }
+
+    // Ids from a preview that no longer match, usually because the text changed
+    const stale = selected ? [...selected].filter(id => !found.has(id)) : [];
+
+    if (dryRun) {
+      // Manuscript order: each chapter's own text, then its scenes
+      const orderOf = match => chapters.get(match.chapterId.toString()).orderIndex;
+      preview.sort((a, b) => orderOf(a) - orderOf(b));
+
+      return res.status(200).json({
+        success: true,
+        count: preview.length,
+        chapterCount: new Set(preview.map(match => match.chapterId.toString())).size,
+        stale,
+        skipped,
+        data: preview
+      });
+    }
+
+    const countOptions = wordCountOptions(ownershipCheck.project);
+
+    // Scenes first, so the chapter word counts below include them. Scenes
+    // have no versions; the operation keeps their old text for undo. A scene
+    // updated since it was read is left alone.
+    const appliedScenes = [];
+    const sceneConflicts = [];
+    for (const { scene, matches } of touchedScenes) {
+      const content = applyReplacements(scene.content, matches);
+      const updatedAt = new Date();
+      const result = await Scene.updateOne(
+        { _id: scene._id, updatedAt: scene.updatedAt },
+        { $set: { content, wordCount: countWords(content, countOptions), updatedAt } }
+      );
+
+      if (result.matchedCount === 0) {
+        sceneConflicts.push(scene._id);
+        continue;
+      }
+
+      appliedScenes.push({
+        sceneId: scene._id,
+        chapterId: scene.chapterId,
+        content: scene.content,
+        updatedAt,
+        matchCount: matches.length
+      });
+    }
+
+    // Snapshot each chapter, then write the replaced content if the chapter
+    // is still at the revision the matches were found in
+    const applied = [];
+    const conflicts = [];
+    for (const { chapter, matches } of touched) {
+      const content = applyReplacements(chapter.content, matches);
+
+      const version = await Version.create({
+        projectId: chapter.projectId,
+        chapterId: chapter._id,
+        content: chapter.content,
+        format: chapter.format,
+        wordCount: chapter.wordCount,
+        description: `Before replacing "${find}" with "${replace}"`,
+        kind: 'replace'
+      });
+
+      const updatedChapter = await commitChapterUpdate({
+        chapter,
+        project: ownershipCheck.project,
+        updateFields: {
+          content,
+          wordCount: await chapterWordCount(chapter._id, content, chapter.format, countOptions)
+        },
+        snapshot: false
+      });
+
+      if (!updatedChapter) {
+        await Version.deleteMany({ _id: version._id });
+        conflicts.push(chapter._id);
+        continue;
+      }
+
+      applied.push({
+        chapterId: chapter._id,
+        versionId: version._id,
+        revision: revisionOf(updatedChapter),
+        matchCount: matches.length
+      });
+    }
+
+    // Chapters whose scenes changed but whose own text did not
+    const recounted = new Set(applied.map(entry => entry.chapterId.toString()));
+    for (const chapterId of new Set(appliedScenes.map(entry => entry.chapterId.toString()))) {
+      if (recounted.has(chapterId)) continue;
+      await refreshChapterWordCount(chapterId, countOptions);
+      await indexChapterMentionsById(chapterId);
+    }
+
+    const operation = applied.length > 0 || appliedScenes.length > 0
+      ? await ReplaceOperation.create({
+        projectId,
+        find,
+        replace,
+        options,
+        matchCount: [...applied, ...appliedScenes].reduce((sum, entry) => sum + entry.matchCount, 0),
+        chapters: applied,
+        scenes: appliedScenes
+      })
+      : null;
+
+    res.status(200).json({
+      success: true,
+      data: {
+        operationId: operation ? operation._id : null,
+        replaced: operation ? operation.matchCount : 0,
+        chapters: applied,
+        scenes: appliedScenes.map(({ content, ...entry }) => entry),
+        conflicts,
+        sceneConflicts,
+        stale,
+        skipped
+      }
+    });
+  } catch (error) {
+    console.error('Replace in manuscript error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while replacing text',
+      error: process.env.NODE_ENV === 'production' ? {} : error
+    });
+  }
+};
+
+// @desc    Undo a find and replace, restoring every chapter and scene it changed
+// @route   POST /api/projects/:id/replace/:operationId/undo
+// @access  Private
+exports.undoReplace = async (req, res) => {
+  try {
+    const projectId = req.params.projectId || req.params.id;
+    const { force } = req.body;
+
+    // Check project ownership
+    const ownershipCheck = await checkProjectOwnership(projectId, req.user.id);
+    if (ownershipCheck.error) {
+      return res.status(ownershipCheck.status).json({
+        success: false,
+        message: ownershipCheck.error
+      });
+    }
+
+    const operation = await ReplaceOperation.findOne({ _id: req.params.operationId, projectId });
+    if (!operation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Replace operation not found'
+      });
+    }
+    if (operation.undoneAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'Replace operation has already been undone'
+      });
+    }
+
+    const chapters = await Chapter.find({
+      _id: { $in: operation.chapters.map(entry => entry.chapterId) }
+    });
+    const chapterMap = new Map(chapters.map(chapter => [chapter._id.toString(), chapter]));
+
+    const scenes = await Scene.find({
+      _id: { $in: operation.scenes.map(entry => entry.sceneId) }
+    });
+    const sceneMap = new Map(scenes.map(scene => [scene._id.toString(), scene]));
+
+    // Chapters and scenes edited after the replace would lose those edits
+    const modified = operation.chapters
+      .filter(entry => {
+        const chapter = chapterMap.get(entry.chapterId.toString());
+        return chapter && revisionOf(chapter) !== entry.revision;
+      })
+      .map(entry => entry.chapterId);
+    const modifiedScenes = operation.scenes
+      .filter(entry => {
+        const scene = sceneMap.get(entry.sceneId.toString());
+        return scene && new Date(scene.updatedAt).getTime() !== new Date(entry.updatedAt).getTime();
+      })
+      .map(entry => entry.sceneId);
+
+    if ((modified.length > 0 || modifiedScenes.length > 0) && !force) {
+      return res.status(409).json({
+        success: false,
+        message: 'Some chapters or scenes have changed since the replace; send force: true to undo anyway',
+        data: { modified, modifiedScenes }
+      });
+    }
+
+    // Scenes first, so the chapter word counts below include them. Scenes
+    // have no versions, so forcing the undo overwrites later scene edits.
+    const countOptions = wordCountOptions(ownershipCheck.project);
+    const restoredScenes = [];
+    const skippedScenes = [];
+    for (const entry of operation.scenes) {
+      const scene = sceneMap.get(entry.sceneId.toString());
+      if (!scene) {
+        skippedScenes.push(entry.sceneId);
+        continue;
+      }
+
+      await Scene.updateOne(
+        { _id: scene._id },
+        { $set: { content: entry.content, wordCount: countWords(entry.content, countOptions), updatedAt: Date.now() } }
+      );
+      restoredScenes.push(scene._id);
+    }
+
+    const restored = [];
+    const skipped = [];
+    for (const entry of operation.chapters) {
+      const chapter = chapterMap.get(entry.chapterId.toString());
+      const version = chapter && await Version.findById(entry.versionId);
+      if (!chapter || !version) {
+        skipped.push(entry.chapterId);
+        continue;
+      }
+
+      // Keep later edits recoverable when forcing the undo over them
+      const changedSince = revisionOf(chapter) !== entry.revision;
+      if (changedSince) {
+        await Version.create({
+          projectId: chapter.projectId,
+          chapterId: chapter._id,
+          content: chapter.content,
+          format: chapter.format,
+          wordCount: chapter.wordCount,
+          description: 'Auto-saved before undoing replace',
+          kind: 'restore'
+        });
+      }
+
+      // The chapter may have been converted to another format since
+      const content = convertContent(version.content, version.format, chapter.format);
+      const updatedChapter = await commitChapterUpdate({
+        chapter,
+        project: ownershipCheck.project,
+        updateFields: {
+          content,
+          wordCount: await chapterWordCount(chapter._id, content, chapter.format, countOptions)
+        },
+        snapshot: false
+      });
+
+      if (updatedChapter) restored.push(chapter._id);
+      else skipped.push(chapter._id);
+    }
+
+    // Chapters whose scenes were restored but whose own text was not
+    const recounted = new Set(restored.map(String));
+    const sceneChapterIds = new Set(scenes.map(scene => scene.chapterId.toString()));
+    for (const chapterId of sceneChapterIds) {
+      if (recounted.has(chapterId)) continue;
+      await refreshChapterWordCount(chapterId, countOptions);
+      await indexChapterMentionsById(chapterId);
+    }
+
+    operation.undoneAt = Date.now();
+    await operation.save();
+
+    res.status(200).json({
+      success: true,
+      data: {
+        operationId: operation._id,
+        restored,
+        skipped,
+        restoredScenes,
+        skippedScenes
+      }
+    });
+  } catch (error) {
+    console.error('Undo replace error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while undoing replace',
+      error: process.env.NODE_ENV === 'production' ? {} : error
+    });
+  }
+};
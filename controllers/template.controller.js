@@ -0,0 +1,141 @@
+const Project = require('../models/Project');
+const Template = require('../models/Template');
+const { BUILT_IN_TEMPLATES, templateSummary, findTemplate, templateFromProject } = require('../utils/templates');
+
+// Check project ownership
+const checkProjectOwnership = async (projectId, userId) => {
+  const project = await Project.findById(projectId);
+  if (!project) {
+    return { error: 'Project not found', status: 404 };
+  }
+  if (project.userId.toString() !== userId) {
+    return { error: 'Not authorized to access this project', status: 403 };
+  }
+  return { project };
+};
+
+// @desc    Get the built-in templates and the user's saved ones
+// @route   GET /api/projects/templates
+// @access  Private
+exports.getTemplates = async (req, res) => {
+  try {
+    const saved = await Template.find({ userId: req.user.id }).sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        builtIn: BUILT_IN_TEMPLATES.map(templateSummary),
+        saved: saved.map(templateSummary)
+      }
+    });
+  } catch (error) {
+    console.error('Get templates error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching templates',
+      error: process.env.NODE_ENV === 'production' ? {} : error
+    });
+  }
+};
+
+// @desc    Get a template's parts, chapters and codex entries
+// @route   GET /api/projects/templates/:templateId
+// @access  Private
+exports.getTemplate = async (req, res) => {
+  try {
+    const templateCheck = await findTemplate(req.params.templateId, req.user.id);
+    if (templateCheck.error) {
+      return res.status(templateCheck.status).json({
+        success: false,
+        message: templateCheck.error
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: templateCheck.template
+    });
+  } catch (error) {
+    console.error('Get template error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching template',
+      error: process.env.NODE_ENV === 'production' ? {} : error
+    });
+  }
+};
+
+// @desc    Save a project's structure, without its prose, as a template
+// @route   POST /api/projects/:id/template
+// @access  Private
+exports.saveProjectTemplate = async (req, res) => {
+  try {
+    const { name, description, includeCodex = true } = req.body;
+
+    // Check project ownership
+    const ownershipCheck = await checkProjectOwnership(req.params.id, req.user.id);
+    if (ownershipCheck.error) {
+      return res.status(ownershipCheck.status).json({
+        success: false,
+        message: ownershipCheck.error
+      });
+    }
+
+    const structure = await templateFromProject(ownershipCheck.project, { includeCodex: includeCodex !== false });
+    const template = await Template.create({
+      userId: req.user.id,
+      name: name || ownershipCheck.project.title,
+      description,
+      ...structure
+    });
+
+    res.status(201).json({
+      success: true,
+      data: template
+    });
+  } catch (error) {
+    console.error('Save template error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while saving template',
+      error: process.env.NODE_ENV === 'production' ? {} : error
+    });
+  }
+};
+
+// @desc    Delete a saved template
+// @route   DELETE /api/projects/templates/:templateId
+// @access  Private
+exports.deleteTemplate = async (req, res) => {
+  try {
+    const template = await Template.findById(req.params.templateId);
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Template not found'
+      });
+    }
+
+    if (template.userId.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to delete this template'
+      });
+    }
+
+    await template.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (error) {
+    console.error('Delete template error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting template',
+      error: process.env.NODE_ENV === 'production' ? {} : error
+    });
+  }
+};
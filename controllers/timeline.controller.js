@@ -0,0 +1,175 @@
+const Project = require('../models/Project');
+const { GREGORIAN, getCalendar, normalizeCalendar } = require('../utils/calendar');
+const { parseTimelineQuery, buildTimeline, chronologyIssues, retickProject, applyRetick } = require('../utils/timeline');
+
+// How many misfitting dates to list when a calendar change is refused
+const MAX_CALENDAR_ERRORS = 10;
+
+// Check project ownership
+const checkProjectOwnership = async (projectId, userId) => {
+  const project = await Project.findById(projectId);
+  if (!project) {
+    return { error: 'Project not found', status: 404 };
+  }
+  if (project.userId.toString() !== userId) {
+    return { error: 'Not authorized to access this project', status: 403 };
+  }
+  return { project };
+};
+
+// @desc    Get a project's calendar
+// @route   GET /api/projects/:id/calendar
+// @access  Private
+exports.getProjectCalendar = async (req, res) => {
+  try {
+    // Check project ownership
+    const ownershipCheck = await checkProjectOwnership(req.params.id, req.user.id);
+    if (ownershipCheck.error) {
+      return res.status(ownershipCheck.status).json({
+        success: false,
+        message: ownershipCheck.error
+      });
+    }
+
+    const calendar = getCalendar(ownershipCheck.project);
+
+    res.status(200).json({
+      success: true,
+      custom: calendar !== GREGORIAN,
+      data: calendar
+    });
+  } catch (error) {
+    console.error('Get calendar error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching calendar',
+      error: process.env.NODE_ENV === 'production' ? {} : error
+    });
+  }
+};
+
+// @desc    Set a project's custom calendar, or go back to the Gregorian one with null
+// @route   PUT /api/projects/:id/calendar
+// @access  Private
+exports.updateProjectCalendar = async (req, res) => {
+  try {
+    const { calendar } = req.body;
+
+    const calendarCheck = calendar === null ? { calendar: null } : normalizeCalendar(calendar);
+    if (calendarCheck.error) {
+      return res.status(400).json({
+        success: false,
+        message: calendarCheck.error
+      });
+    }
+
+    // Check project ownership
+    const ownershipCheck = await checkProjectOwnership(req.params.id, req.user.id);
+    if (ownershipCheck.error) {
+      return res.status(ownershipCheck.status).json({
+        success: false,
+        message: ownershipCheck.error
+      });
+    }
+
+    // Every date already on the timeline must still make sense
+    const retick = await retickProject(ownershipCheck.project, calendarCheck.calendar || GREGORIAN);
+    if (retick.errors) {
+      return res.status(400).json({
+        success: false,
+        message: `${retick.errors.length} timeline date(s) do not fit this calendar; change them first`,
+        errors: retick.errors.slice(0, MAX_CALENDAR_ERRORS)
+      });
+    }
+
+    const project = await Project.findByIdAndUpdate(
+      req.params.id,
+      { $set: { calendar: calendarCheck.calendar || { months: [], eras: [] }, updatedAt: Date.now() } },
+      { new: true, runValidators: true }
+    );
+    await applyRetick(retick.updates);
+
+    res.status(200).json({
+      success: true,
+      custom: calendarCheck.calendar !== null,
+      data: getCalendar(project)
+    });
+  } catch (error) {
+    console.error('Update calendar error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating calendar',
+      error: process.env.NODE_ENV === 'production' ? {} : error
+    });
+  }
+};
+
+// @desc    Get dated codex entries, chapters and scenes in in-world order
+// @route   GET /api/projects/:id/timeline
+// @access  Private
+exports.getTimeline = async (req, res) => {
+  try {
+    // Check project ownership
+    const ownershipCheck = await checkProjectOwnership(req.params.id, req.user.id);
+    if (ownershipCheck.error) {
+      return res.status(ownershipCheck.status).json({
+        success: false,
+        message: ownershipCheck.error
+      });
+    }
+
+    const filterCheck = parseTimelineQuery(req.query, getCalendar(ownershipCheck.project));
+    if (filterCheck.error) {
+      return res.status(400).json({
+        success: false,
+        message: filterCheck.error
+      });
+    }
+
+    const items = await buildTimeline(ownershipCheck.project, filterCheck.filters);
+
+    res.status(200).json({
+      success: true,
+      count: items.length,
+      data: items
+    });
+  } catch (error) {
+    console.error('Get timeline error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching timeline',
+      error: process.env.NODE_ENV === 'production' ? {} : error
+    });
+  }
+};
+
+// @desc    Check the timeline for chronology problems
+// @route   GET /api/projects/:id/timeline/issues
+// @access  Private
+exports.getChronologyIssues = async (req, res) => {
+  try {
+    // Check project ownership
+    const ownershipCheck = await checkProjectOwnership(req.params.id, req.user.id);
+    if (ownershipCheck.error) {
+      return res.status(ownershipCheck.status).json({
+        success: false,
+        message: ownershipCheck.error
+      });
+    }
+
+    const issues = await chronologyIssues(ownershipCheck.project);
+
+    res.status(200).json({
+      success: true,
+      count: issues.length,
+      data: issues
+    });
+  } catch (error) {
+    console.error('Get chronology issues error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while checking chronology',
+      error: process.env.NODE_ENV === 'production' ? {} : error
+    });
+  }
+};
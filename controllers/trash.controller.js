@@ -0,0 +1,260 @@
+const Project = require('../models/Project');
+const Chapter = require('../models/Chapter');
+const Codex = require('../models/Codex');
+const Relationship = require('../models/Relationship');
+const {
+  TRASHED,
+  retentionDays,
+  purgeDate,
+  restoreChapter,
+  purgeChapter,
+  restoreEntity,
+  purgeEntity,
+  restoreRelationship,
+  purgeRelationship,
+  restoreProject,
+  purgeProject
+} = require('../utils/trash');
+
+// Check project ownership
+const checkProjectOwnership = async (projectId, userId) => {
+  const project = await Project.findById(projectId);
+  if (!project) {
+    return { error: 'Project not found', status: 404 };
+  }
+  if (project.userId.toString() !== userId) {
+    return { error: 'Not authorized to access this project', status: 403 };
+  }
+  return { project };
+};
+
+// What can be in the trash, keyed by the name used in routes
+const TRASH_TYPES = {
+  projects: {
+    model: Project,
+    restore: async (project) => ({ data: await restoreProject(project) }),
+    purge: purgeProject
+  },
+  chapters: {
+    model: Chapter,
+    restore: async (chapter) => ({ data: await restoreChapter(chapter) }),
+    purge: purgeChapter
+  },
+  codex: {
+    model: Codex,
+    restore: async (entity) => ({ data: await restoreEntity(entity) }),
+    purge: purgeEntity
+  },
+  relationships: {
+    model: Relationship,
+    restore: async (relationship) => {
+      const result = await restoreRelationship(relationship);
+      return result.error ? result : { data: result.relationship };
+    },
+    purge: purgeRelationship
+  }
+};
+
+// Load a trashed item and check the user owns it. Items inside a trashed
+// project are only reachable by restoring the project.
+const findTrashedItem = async (typeName, id, userId) => {
+  const type = Object.prototype.hasOwnProperty.call(TRASH_TYPES, typeName) ? TRASH_TYPES[typeName] : null;
+  if (!type) {
+    return { error: `Trash type must be one of: ${Object.keys(TRASH_TYPES).join(', ')}`, status: 400 };
+  }
+
+  const item = await type.model.findOne({ _id: id, deletedAt: TRASHED });
+  if (!item) {
+    return { error: 'Item not found in trash', status: 404 };
+  }
+
+  if (type.model === Project) {
+    if (item.userId.toString() !== userId) {
+      return { error: 'Not authorized to access this project', status: 403 };
+    }
+  } else {
+    const ownershipCheck = await checkProjectOwnership(item.projectId, userId);
+    if (ownershipCheck.error) return ownershipCheck;
+  }
+
+  return { type, item };
+};
+
+// Projects whose trash a request covers: one project, or all of the user's
+const trashScope = async (req) => {
+  const projectId = req.params.id || req.query.projectId;
+  if (projectId) {
+    const ownershipCheck = await checkProjectOwnership(projectId, req.user.id);
+    if (ownershipCheck.error) return ownershipCheck;
+    return { projectIds: [ownershipCheck.project._id], includeProjects: false };
+  }
+
+  const projects = await Project.find({ userId: req.user.id }).select('_id');
+  return { projectIds: projects.map(project => project._id), includeProjects: true };
+};
+
+const withPurgeDate = (items) => items.map(item => ({
+  ...item.toObject(),
+  purgeAt: purgeDate(item.deletedAt)
+}));
+
+// @desc    List everything in the trash, for one project or all of a user's
+// @route   GET /api/trash
+// @route   GET /api/projects/:id/trash
+// @access  Private
+exports.getTrash = async (req, res) => {
+  try {
+    const scope = await trashScope(req);
+    if (scope.error) {
+      return res.status(scope.status).json({
+        success: false,
+        message: scope.error
+      });
+    }
+
+    const inScope = { projectId: { $in: scope.projectIds }, deletedAt: TRASHED };
+    const [projects, chapters, codex, relationships] = await Promise.all([
+      scope.includeProjects
+        ? Project.find({ userId: req.user.id, deletedAt: TRASHED })
+          .select('title description deletedAt')
+          .sort({ deletedAt: -1 })
+        : [],
+      Chapter.find(inScope)
+        .select('projectId partId title orderIndex wordCount deletedAt')
+        .sort({ deletedAt: -1 }),
+      Codex.find(inScope)
+        .select('projectId name type deletedAt')
+        .sort({ deletedAt: -1 }),
+      // Relationships trashed along with a codex entry come back with it
+      Relationship.find({ ...inScope, deletedWith: null })
+        .select('projectId sourceId targetId type deletedAt')
+        .sort({ deletedAt: -1 })
+    ]);
+
+    res.status(200).json({
+      success: true,
+      retentionDays: retentionDays(),
+      data: {
+        projects: withPurgeDate(projects),
+        chapters: withPurgeDate(chapters),
+        codex: withPurgeDate(codex),
+        relationships: withPurgeDate(relationships)
+      }
+    });
+  } catch (error) {
+    console.error('Get trash error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching trash',
+      error: process.env.NODE_ENV === 'production' ? {} : error
+    });
+  }
+};
+
+// @desc    Restore an item from the trash
+// @route   POST /api/trash/:type/:id/restore
+// @access  Private
+exports.restoreFromTrash = async (req, res) => {
+  try {
+    const trashCheck = await findTrashedItem(req.params.type, req.params.id, req.user.id);
+    if (trashCheck.error) {
+      return res.status(trashCheck.status).json({
+        success: false,
+        message: trashCheck.error
+      });
+    }
+
+    const result = await trashCheck.type.restore(trashCheck.item);
+    if (result.error) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: result.data
+    });
+  } catch (error) {
+    console.error('Restore from trash error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while restoring from trash',
+      error: process.env.NODE_ENV === 'production' ? {} : error
+    });
+  }
+};
+
+// @desc    Permanently delete an item in the trash
+// @route   DELETE /api/trash/:type/:id
+// @access  Private
+exports.purgeFromTrash = async (req, res) => {
+  try {
+    const trashCheck = await findTrashedItem(req.params.type, req.params.id, req.user.id);
+    if (trashCheck.error) {
+      return res.status(trashCheck.status).json({
+        success: false,
+        message: trashCheck.error
+      });
+    }
+
+    await trashCheck.type.purge(trashCheck.item._id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Item permanently deleted'
+    });
+  } catch (error) {
+    console.error('Purge from trash error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting from trash',
+      error: process.env.NODE_ENV === 'production' ? {} : error
+    });
+  }
+};
+
+// @desc    Permanently delete everything in the trash
+// @route   DELETE /api/trash
+// @access  Private
+exports.emptyTrash = async (req, res) => {
+  try {
+    const scope = await trashScope(req);
+    if (scope.error) {
+      return res.status(scope.status).json({
+        success: false,
+        message: scope.error
+      });
+    }
+
+    const inScope = { projectId: { $in: scope.projectIds }, deletedAt: TRASHED };
+    const projects = scope.includeProjects
+      ? await Project.find({ userId: req.user.id, deletedAt: TRASHED }).select('_id')
+      : [];
+    const chapters = await Chapter.find(inScope).select('_id');
+    const entities = await Codex.find(inScope).select('_id');
+
+    for (const project of projects) await purgeProject(project._id);
+    for (const chapter of chapters) await purgeChapter(chapter._id);
+    for (const entity of entities) await purgeEntity(entity._id);
+    const relationships = await Relationship.deleteMany(inScope);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        projects: projects.length,
+        chapters: chapters.length,
+        codex: entities.length,
+        relationships: relationships.deletedCount
+      }
+    });
+  } catch (error) {
+    console.error('Empty trash error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while emptying trash',
+      error: process.env.NODE_ENV === 'production' ? {} : error
+    });
+  }
+};
@@ -0,0 +1,103 @@
+const Chapter = require('../models/Chapter');
+const Project = require('../models/Project');
+const { getStatuses, statusOf, stageDurations, workflowStats } = require('../utils/workflow');
+
+// Check project ownership
+const checkProjectOwnership = async (projectId, userId) => {
+  const project = await Project.findById(projectId);
+  if (!project) {
+    return { error: 'Project not found', status: 404 };
+  }
+  if (project.userId.toString() !== userId) {
+    return { error: 'Not authorized to access this project', status: 403 };
+  }
+  return { project };
+};
+
+// @desc    Get a project's chapters grouped by workflow status
+// @route   GET /api/projects/:id/board
+// @access  Private
+exports.getBoard = async (req, res) => {
+  try {
+    const projectId = req.params.projectId || req.params.id;
+
+    // Check project ownership
+    const ownershipCheck = await checkProjectOwnership(projectId, req.user.id);
+    if (ownershipCheck.error) {
+      return res.status(ownershipCheck.status).json({
+        success: false,
+        message: ownershipCheck.error
+      });
+    }
+
+    const statuses = getStatuses(ownershipCheck.project);
+    const chapters = await Chapter.find({ projectId })
+      .select('title orderIndex wordCount partId status statusHistory')
+      .sort({ orderIndex: 1 });
+
+    const columns = statuses.map(status => ({ ...status, wordCount: 0, chapters: [] }));
+    const now = Date.now();
+
+    chapters.forEach(chapter => {
+      const column = columns.find(candidate => candidate.key === statusOf(chapter, statuses));
+      const stages = stageDurations(chapter.statusHistory, now);
+      const currentStage = stages[stages.length - 1];
+
+      column.wordCount += chapter.wordCount || 0;
+      column.chapters.push({
+        _id: chapter._id,
+        title: chapter.title,
+        orderIndex: chapter.orderIndex,
+        wordCount: chapter.wordCount,
+        partId: chapter.partId,
+        statusSince: currentStage && currentStage.status === column.key ? currentStage.start : null
+      });
+    });
+
+    res.status(200).json({
+      success: true,
+      data: columns
+    });
+  } catch (error) {
+    console.error('Get board error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching board',
+      error: process.env.NODE_ENV === 'production' ? {} : error
+    });
+  }
+};
+
+// @desc    Get how long chapters spend in each workflow status
+// @route   GET /api/projects/:id/board/stats
+// @access  Private
+exports.getWorkflowStats = async (req, res) => {
+  try {
+    const projectId = req.params.projectId || req.params.id;
+
+    // Check project ownership
+    const ownershipCheck = await checkProjectOwnership(projectId, req.user.id);
+    if (ownershipCheck.error) {
+      return res.status(ownershipCheck.status).json({
+        success: false,
+        message: ownershipCheck.error
+      });
+    }
+
+    const statuses = getStatuses(ownershipCheck.project);
+    const chapters = await Chapter.find({ projectId })
+      .select('title status statusHistory');
+
+    res.status(200).json({
+      success: true,
+      data: workflowStats(chapters, statuses)
+    });
+  } catch (error) {
+    console.error('Get workflow stats error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching workflow stats',
+      error: process.env.NODE_ENV === 'production' ? {} : error
+    });
+  }
+};
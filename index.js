@@ -17,13 +17,16 @@ const chapterRoutes = require('./routes/chapter.routes');
 const codexRoutes = require('./routes/codex.routes');
 const relationshipRoutes = require('./routes/relationship.routes');
 const statsRoutes = require('./routes/stats.routes');
+const partRoutes = require('./routes/part.routes');
+const trashRoutes = require('./routes/trash.routes');
+const beatRoutes = require('./routes/beat.routes');
 
 // Initialize express app
 const app = express();
 const PORT = process.env.PORT || 5000;
 
 // Connect to MongoDB
-connectDB();
+const connected = connectDB();
 
 // Indexes
 const Project = require('./models/Project');
@@ -36,14 +39,27 @@ Promise.all([
   Relationship.createIndexes()
 ]);
 
+// Purge anything that has been in the trash longer than TRASH_RETENTION_DAYS
+const { purgeExpiredTrash } = require('./utils/trash');
+setInterval(() => {
+  purgeExpiredTrash().catch(error => console.error('Trash purge error:', error));
+}, 60 * 60 * 1000).unref();
+
+// Recount projects whose word counts predate the current counting rules
+const { recountOutdatedProjects } = require('./utils/recount');
+connected
+  .then(recountOutdatedProjects)
+  .catch(error => console.error('Word recount error:', error));
+
 
 // Middleware
 app.use(express.json({ limit: '50mb' })); // For parsing JSON
 app.use(express.urlencoded({ extended: true, limit: '50mb' })); // For parsing URL-encoded data
 app.use(cors({
   origin: ['http://localhost:3000', 'http://127.0.0.1:3000'],
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization'],
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'If-Match'],
+  exposedHeaders: ['ETag'],
   credentials: true
 })); // Enable CORS
 app.use(helmet()); // Security headers
@@ -56,6 +72,9 @@ app.use('/api/chapters', chapterRoutes);
 app.use('/api/codex', codexRoutes);
 app.use('/api/relationships', relationshipRoutes);
 app.use('/api/stats', statsRoutes);
+app.use('/api/parts', partRoutes);
+app.use('/api/trash', trashRoutes);
+app.use('/api/beats', beatRoutes);
 
 // Serve static assets in production
 if (process.env.NODE_ENV === 'production') {
@@ -0,0 +1,37 @@
+const multer = require('multer');
+const path = require('path');
+const { IMPORTERS } = require('../utils/importers');
+
+// Largest manuscript file accepted for import (in bytes)
+const MAX_MANUSCRIPT_SIZE = 20 * 1024 * 1024;
+
+const manuscriptUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_MANUSCRIPT_SIZE, files: 1 },
+  fileFilter: (req, file, cb) => {
+    const extension = path.extname(file.originalname).slice(1).toLowerCase();
+    if (!IMPORTERS[extension]) {
+      return cb(new multer.MulterError('LIMIT_UNEXPECTED_FILE', file.fieldname));
+    }
+    cb(null, true);
+  }
+}).single('file');
+
+// Accept a single manuscript upload in the "file" field
+exports.uploadManuscript = (req, res, next) => {
+  manuscriptUpload(req, res, (err) => {
+    if (!err) return next();
+
+    if (err instanceof multer.MulterError) {
+      const message = err.code === 'LIMIT_FILE_SIZE'
+        ? `File is too large (maximum ${MAX_MANUSCRIPT_SIZE / (1024 * 1024)}MB)`
+        : `Upload a single .${Object.keys(IMPORTERS).join(', .')} file in the "file" field`;
+      return res.status(400).json({
+        success: false,
+        message
+      });
+    }
+
+    next(err);
+  });
+};
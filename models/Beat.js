@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+
+// A plot point in a project's outline, in story order, linked to the chapters
+// that tell it and the codex entries involved
+const BeatSchema = new mongoose.Schema({
+  projectId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    required: true
+  },
+  title: {
+    type: String,
+    required: [true, 'Please add a title'],
+    trim: true,
+    maxlength: [200, 'Title cannot be more than 200 characters']
+  },
+  synopsis: {
+    type: String,
+    trim: true,
+    maxlength: [5000, 'Synopsis cannot be more than 5000 characters']
+  },
+  act: {
+    type: Number,
+    default: null,
+    min: [1, 'Act must be at least 1']
+  },
+  status: {
+    type: String,
+    enum: ['planned', 'drafting', 'done', 'cut'],
+    default: 'planned'
+  },
+  // How tense the story is at this point, for plotting the tension curve
+  tension: {
+    type: Number,
+    default: null,
+    min: [0, 'Tension cannot be less than 0'],
+    max: [10, 'Tension cannot be more than 10']
+  },
+  chapterIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Chapter'
+  }],
+  entityIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Codex'
+  }],
+  orderIndex: {
+    type: Number,
+    required: true,
+    min: [1, 'Order index must be at least 1']
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+BeatSchema.index({ projectId: 1, orderIndex: 1 });
+BeatSchema.index({ chapterIds: 1 });
+BeatSchema.index({ entityIds: 1 });
+
+// Update the updatedAt field on save
+BeatSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+module.exports = mongoose.model('Beat', BeatSchema);
@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const softDelete = require('../utils/softDelete');
+const { inWorldRangeSchema } = require('../utils/calendar');
 
 const ChapterSchema = new mongoose.Schema({
   projectId: {
@@ -12,6 +14,12 @@ const ChapterSchema = new mongoose.Schema({
     trim: true,
     maxlength: [100, 'Title cannot be more than 100 characters']
   },
+  // Book or part the chapter belongs to, if any
+  partId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Part',
+    default: null
+  },
   orderIndex: {
     type: Number,
     required: true,
@@ -21,19 +29,54 @@ const ChapterSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.Mixed,
     default: null
   },
+  // Editor format the content is stored in (see utils/formats.js)
+  format: {
+    type: String,
+    enum: ['draftjs', 'prosemirror', 'slate', 'markdown', 'html'],
+    default: 'draftjs'
+  },
+  // Incremented on every content change; exposed to clients as the ETag
+  revision: {
+    type: Number,
+    default: 0,
+    min: [0, 'Revision cannot be negative']
+  },
   wordCount: {
     type: Number,
     default: 0,
     min: [0, 'Word count cannot be negative']
   },
+  // Planned length; chapters without one share what is left of the project goal
+  targetWordCount: {
+    type: Number,
+    default: null,
+    min: [0, 'Target word count cannot be negative']
+  },
   isComplete: {
     type: Boolean,
     default: false
   },
+  // Key of the chapter's status in the project workflow
+  status: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  // Every status the chapter has entered, oldest first
+  statusHistory: [{
+    _id: false,
+    status: String,
+    at: Date
+  }],
   notes: {
     type: String,
     trim: true
   },
+  // When the chapter takes place on the story timeline
+  when: {
+    type: inWorldRangeSchema,
+    default: null
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -44,10 +87,15 @@ const ChapterSchema = new mongoose.Schema({
   }
 });
 
+ChapterSchema.index({ projectId: 1, 'when.from': 1 });
+
 // Update the updatedAt field on save
 ChapterSchema.pre('save', function(next) {
   this.updatedAt = Date.now();
   next();
 });
 
+// Deleted chapters go to the trash until restored or purged
+ChapterSchema.plugin(softDelete);
+
 module.exports = mongoose.model('Chapter', ChapterSchema);
\ No newline at end of file
@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+// Cached result of analysing a chapter's text, valid for the chapter revision
+// and scenes it was computed from
+const ChapterAnalysisSchema = new mongoose.Schema({
+  projectId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    required: true
+  },
+  chapterId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Chapter',
+    required: true
+  },
+  // Which analysis this is, e.g. 'prose'
+  kind: {
+    type: String,
+    required: true
+  },
+  revision: {
+    type: Number,
+    required: true,
+    min: [0, 'Revision cannot be negative']
+  },
+  // Fingerprint of the chapter's scenes when it was computed; empty when the
+  // chapter had none
+  scenes: {
+    type: String,
+    default: ''
+  },
+  result: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+ChapterAnalysisSchema.index({ chapterId: 1, kind: 1 }, { unique: true });
+
+module.exports = mongoose.model('ChapterAnalysis', ChapterAnalysisSchema);
@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+// Short-lived log of chapter content per revision, kept so that
+// conflicting saves can be three-way merged against their common base
+const ChapterRevisionSchema = new mongoose.Schema({
+  projectId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    required: true
+  },
+  chapterId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Chapter',
+    required: true
+  },
+  revision: {
+    type: Number,
+    required: true,
+    min: [0, 'Revision cannot be negative']
+  },
+  content: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    expires: 60 * 60 * 24 * 7 // keep a week of revisions
+  }
+});
+
+ChapterRevisionSchema.index({ chapterId: 1, revision: 1 }, { unique: true });
+
+module.exports = mongoose.model('ChapterRevision', ChapterRevisionSchema);
@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const softDelete = require('../utils/softDelete');
+const { inWorldRangeSchema } = require('../utils/calendar');
 
 const CodexSchema = new mongoose.Schema({
   projectId: {
@@ -18,6 +20,12 @@ const CodexSchema = new mongoose.Schema({
     trim: true,
     maxlength: [100, 'Name cannot be more than 100 characters']
   },
+  // Other names the entity goes by in the text, used for mention detection
+  aliases: [{
+    type: String,
+    trim: true,
+    maxlength: [100, 'Alias cannot be more than 100 characters']
+  }],
   description: {
     type: String,
     trim: true
@@ -26,6 +34,22 @@ const CodexSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.Mixed,
     default: {}
   },
+  // In-world date range of an event (or any entry) on the story timeline
+  when: {
+    type: inWorldRangeSchema,
+    default: null
+  },
+  // Births and deaths of an event's participants are checked against the
+  // rest of the timeline
+  eventKind: {
+    type: String,
+    enum: ['general', 'birth', 'death'],
+    default: 'general'
+  },
+  participantIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Codex'
+  }],
   images: [String],
   tags: [String],
   createdAt: {
@@ -41,6 +65,7 @@ const CodexSchema = new mongoose.Schema({
 // Create text index for search
 CodexSchema.index({ name: 'text', description: 'text', tags: 'text' });
 CodexSchema.index({ projectId: 1, type: 1 });
+CodexSchema.index({ projectId: 1, 'when.from': 1 });
 
 // Update the updatedAt field on save
 CodexSchema.pre('save', function(next) {
@@ -48,4 +73,7 @@ CodexSchema.pre('save', function(next) {
   next();
 });
 
+// Deleted codex entries go to the trash until restored or purged
+CodexSchema.plugin(softDelete);
+
 module.exports = mongoose.model('Codex', CodexSchema);
\ No newline at end of file
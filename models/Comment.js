@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+
+// Comment on a chapter, anchored to a range of text in one block. Replies
+// point at the top-level comment of their thread and carry no anchor.
+const CommentSchema = new mongoose.Schema({
+  projectId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    required: true
+  },
+  chapterId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Chapter',
+    required: true
+  },
+  parentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Comment',
+    default: null
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  authorName: {
+    type: String,
+    trim: true
+  },
+  body: {
+    type: String,
+    required: [true, 'Please add a comment'],
+    trim: true,
+    maxlength: [5000, 'Comment cannot be more than 5000 characters']
+  },
+  // Offset and length are in code points, like Draft.js ranges
+  anchor: {
+    blockKey: String,
+    offset: Number,
+    length: Number,
+    // The anchored text, used to find it again if its block disappears
+    quote: String
+  },
+  // Set when the anchored text no longer exists in the chapter
+  orphaned: {
+    type: Boolean,
+    default: false
+  },
+  status: {
+    type: String,
+    enum: ['open', 'resolved'],
+    default: 'open'
+  },
+  resolvedAt: {
+    type: Date,
+    default: null
+  },
+  resolvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+CommentSchema.index({ chapterId: 1, parentId: 1, createdAt: 1 });
+
+// Update the updatedAt field on save
+CommentSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+module.exports = mongoose.model('Comment', CommentSchema);
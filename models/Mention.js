@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+// Where a codex entity is mentioned in one chapter, its own content or its
+// scenes, kept up to date as the chapter and its scenes are saved
+const MentionSchema = new mongoose.Schema({
+  projectId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    required: true
+  },
+  chapterId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Chapter',
+    required: true
+  },
+  entityId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Codex',
+    required: true
+  },
+  count: {
+    type: Number,
+    default: 0,
+    min: [0, 'Count cannot be negative']
+  },
+  // Blocks containing a mention, in document order: the chapter's own
+  // content first (sceneId null), then each scene's
+  blocks: [{
+    _id: false,
+    sceneId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Scene',
+      default: null
+    },
+    blockKey: String,
+    count: Number
+  }],
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+MentionSchema.index({ chapterId: 1, entityId: 1 }, { unique: true });
+MentionSchema.index({ entityId: 1 });
+
+module.exports = mongoose.model('Mention', MentionSchema);
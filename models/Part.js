@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+// Container grouping chapters: a book, or a part (optionally inside a book)
+const PartSchema = new mongoose.Schema({
+  projectId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    required: true
+  },
+  parentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Part',
+    default: null
+  },
+  kind: {
+    type: String,
+    enum: ['book', 'part'],
+    default: 'part'
+  },
+  title: {
+    type: String,
+    required: [true, 'Please add a title'],
+    trim: true,
+    maxlength: [100, 'Title cannot be more than 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  orderIndex: {
+    type: Number,
+    required: true,
+    min: [1, 'Order index must be at least 1']
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+PartSchema.index({ projectId: 1, parentId: 1, orderIndex: 1 });
+
+// Update the updatedAt field on save
+PartSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+module.exports = mongoose.model('Part', PartSchema);
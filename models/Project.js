@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const softDelete = require('../utils/softDelete');
+const { WORD_COUNT_VERSION, WORD_COUNT_RULES } = require('../utils/wordCount');
 
 const ProjectSchema = new mongoose.Schema({
   userId: {
@@ -29,11 +31,108 @@ const ProjectSchema = new mongoose.Schema({
     default: 50000,
     min: [0, 'Word count goal cannot be negative']
   },
+  // How many chapters the finished book should have, used to spread
+  // wordCountGoal across chapters that do not set their own target
+  plannedChapterCount: {
+    type: Number,
+    default: null,
+    min: [1, 'Planned chapter count must be at least 1']
+  },
+  // Words and phrases the repetition report flags; the built-in list is used
+  // until this is set
+  crutchWords: {
+    type: [String],
+    default: undefined
+  },
+  // Editor format new chapters are created in
+  contentFormat: {
+    type: String,
+    enum: ['draftjs', 'prosemirror', 'slate', 'markdown', 'html'],
+    default: 'draftjs'
+  },
+  // BCP 47 language tag of the manuscript, used for word counting and exports
+  language: {
+    type: String,
+    trim: true,
+    default: 'en'
+  },
+  // Overrides of the default word counting rules (see utils/wordCount.js)
+  wordCountRules: {
+    hyphenatedWords: { type: String, enum: WORD_COUNT_RULES.hyphenatedWords },
+    emDashes: { type: String, enum: WORD_COUNT_RULES.emDashes },
+    numbers: { type: String, enum: WORD_COUNT_RULES.numbers },
+    cjk: { type: String, enum: WORD_COUNT_RULES.cjk }
+  },
+  // Counting rules version the stored word counts were made with; older
+  // projects are recounted at startup
+  wordCountVersion: {
+    type: Number,
+    default: WORD_COUNT_VERSION
+  },
+  // When a server started recounting the project's words at startup, so
+  // other servers skip it until the recount is done or has gone stale
+  wordCountRecountStartedAt: {
+    type: Date,
+    default: null
+  },
+  // Custom in-world calendar for timeline dates; the Gregorian calendar is
+  // used while it has no months (see utils/calendar.js)
+  calendar: {
+    name: String,
+    months: [{
+      _id: false,
+      name: { type: String, required: true },
+      days: { type: Number, required: true, min: 1 }
+    }],
+    eras: [{
+      _id: false,
+      name: { type: String, required: true },
+      abbreviation: String,
+      years: Number,
+      countsDown: { type: Boolean, default: false }
+    }]
+  },
   dailyWordCountGoal: {
     type: Number,
     default: 500,
     min: [0, 'Daily word count goal cannot be negative']
   },
+  versioning: {
+    autoSnapshots: {
+      type: Boolean,
+      default: true
+    },
+    snapshotInterval: {
+      type: Number, // in minutes
+      default: 10,
+      min: [1, 'Snapshot interval must be at least 1 minute']
+    },
+    wordDeltaThreshold: {
+      type: Number,
+      default: 250,
+      min: [1, 'Word delta threshold must be at least 1']
+    }
+  },
+  // Ordered revision workflow for chapters; the last status means complete.
+  // Empty means the default workflow.
+  workflowStatuses: [{
+    _id: false,
+    key: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: [50, 'Status key cannot be more than 50 characters']
+    },
+    label: {
+      type: String,
+      trim: true,
+      maxlength: [50, 'Status label cannot be more than 50 characters']
+    },
+    color: {
+      type: String,
+      trim: true
+    }
+  }],
   isArchived: {
     type: Boolean,
     default: false
@@ -60,4 +159,7 @@ ProjectSchema.pre('save', function(next) {
   next();
 });
 
+// Deleted projects go to the trash until restored or purged
+ProjectSchema.plugin(softDelete);
+
 module.exports = mongoose.model('Project', ProjectSchema);
\ No newline at end of file
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const softDelete = require('../utils/softDelete');
 
 const RelationshipSchema = new mongoose.Schema({
   projectId: {
@@ -31,6 +32,12 @@ const RelationshipSchema = new mongoose.Schema({
     max: [10, 'Strength cannot be more than 10'],
     default: 5
   },
+  // Codex entry whose deletion took this relationship to the trash with it
+  deletedWith: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Codex',
+    default: null
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -53,4 +60,7 @@ RelationshipSchema.pre('save', function(next) {
   next();
 });
 
+// Deleted relationships go to the trash until restored or purged
+RelationshipSchema.plugin(softDelete);
+
 module.exports = mongoose.model('Relationship', RelationshipSchema);
\ No newline at end of file
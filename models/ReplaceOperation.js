@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+
+// A project-wide find and replace that was applied, with the snapshot taken
+// of each chapter (and the old text of each scene) beforehand so the whole
+// operation can be undone at once
+const ReplaceOperationSchema = new mongoose.Schema({
+  projectId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    required: true
+  },
+  find: {
+    type: String,
+    required: true
+  },
+  replace: {
+    type: String,
+    default: ''
+  },
+  options: {
+    regex: { type: Boolean, default: false },
+    wholeWord: { type: Boolean, default: false },
+    caseSensitive: { type: Boolean, default: false },
+    preserveCase: { type: Boolean, default: false }
+  },
+  matchCount: {
+    type: Number,
+    default: 0
+  },
+  chapters: [{
+    chapterId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Chapter',
+      required: true
+    },
+    versionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Version',
+      required: true
+    },
+    // Revision the replacement produced; undo checks nothing changed since
+    revision: {
+      type: Number,
+      required: true
+    },
+    matchCount: {
+      type: Number,
+      default: 0
+    }
+  }],
+  // Scenes have no versions, so the text each had before is kept here
+  scenes: [{
+    sceneId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Scene',
+      required: true
+    },
+    chapterId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Chapter',
+      required: true
+    },
+    content: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null
+    },
+    // When the replacement was written; undo checks nothing changed since
+    updatedAt: {
+      type: Date,
+      required: true
+    },
+    matchCount: {
+      type: Number,
+      default: 0
+    }
+  }],
+  undoneAt: {
+    type: Date,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+ReplaceOperationSchema.index({ projectId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('ReplaceOperation', ReplaceOperationSchema);
@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+const { inWorldRangeSchema } = require('../utils/calendar');
+
+const SceneSchema = new mongoose.Schema({
+  projectId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    required: true
+  },
+  chapterId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Chapter',
+    required: true
+  },
+  title: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Title cannot be more than 100 characters']
+  },
+  orderIndex: {
+    type: Number,
+    required: true,
+    min: [1, 'Order index must be at least 1']
+  },
+  synopsis: {
+    type: String,
+    trim: true,
+    maxlength: [2000, 'Synopsis cannot be more than 2000 characters']
+  },
+  content: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  wordCount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Word count cannot be negative']
+  },
+  povCharacterId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Codex',
+    default: null
+  },
+  settingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Codex',
+    default: null
+  },
+  notes: {
+    type: String,
+    trim: true
+  },
+  // When the scene takes place on the story timeline
+  when: {
+    type: inWorldRangeSchema,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+SceneSchema.index({ chapterId: 1, orderIndex: 1 });
+SceneSchema.index({ projectId: 1, 'when.from': 1 });
+
+// Update the updatedAt field on save
+SceneSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+module.exports = mongoose.model('Scene', SceneSchema);
@@ -0,0 +1,108 @@
+const mongoose = require('mongoose');
+
+// A user's reusable project structure: books and parts, chapter outlines and
+// starter codex entries, without any prose. Built-in templates live in
+// utils/templates.js and have the same shape.
+const TemplateSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Please add a name'],
+    trim: true,
+    maxlength: [100, 'Name cannot be more than 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot be more than 500 characters']
+  },
+  // Goal the chapter targets add up to; targets are scaled to the goal of the
+  // project the template is used for
+  wordCountGoal: {
+    type: Number,
+    default: null,
+    min: [0, 'Word count goal cannot be negative']
+  },
+  workflowStatuses: [{
+    _id: false,
+    key: { type: String, required: true },
+    label: String,
+    color: String
+  }],
+  // In tree order; parentIndex points at an earlier part
+  parts: [{
+    _id: false,
+    kind: {
+      type: String,
+      enum: ['book', 'part'],
+      default: 'part'
+    },
+    title: {
+      type: String,
+      required: true,
+      maxlength: [100, 'Title cannot be more than 100 characters']
+    },
+    description: String,
+    parentIndex: {
+      type: Number,
+      default: null
+    }
+  }],
+  // In manuscript order
+  chapters: [{
+    _id: false,
+    title: {
+      type: String,
+      required: true,
+      maxlength: [100, 'Title cannot be more than 100 characters']
+    },
+    notes: String,
+    targetWordCount: {
+      type: Number,
+      default: null,
+      min: [0, 'Target word count cannot be negative']
+    },
+    partIndex: {
+      type: Number,
+      default: null
+    }
+  }],
+  codex: [{
+    _id: false,
+    type: {
+      type: String,
+      enum: ['character', 'location', 'item', 'event', 'concept'],
+      required: true
+    },
+    name: {
+      type: String,
+      required: true,
+      maxlength: [100, 'Name cannot be more than 100 characters']
+    },
+    aliases: [String],
+    description: String,
+    tags: [String]
+  }],
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+TemplateSchema.index({ userId: 1, createdAt: -1 });
+
+// Update the updatedAt field on save
+TemplateSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+module.exports = mongoose.model('Template', TemplateSchema);
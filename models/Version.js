@@ -15,6 +15,12 @@ const VersionSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.Mixed,
     required: true
   },
+  // Format of the snapshot content, which may differ from the chapter's now
+  format: {
+    type: String,
+    enum: ['draftjs', 'prosemirror', 'slate', 'markdown', 'html'],
+    default: 'draftjs'
+  },
   wordCount: {
     type: Number,
     default: 0,
@@ -24,10 +30,18 @@ const VersionSchema = new mongoose.Schema({
     type: String,
     trim: true
   },
+  // How the snapshot was made; only automatic snapshots are ever pruned
+  kind: {
+    type: String,
+    enum: ['manual', 'auto', 'restore', 'replace', 'convert', 'split', 'merge'],
+    default: 'manual'
+  },
   createdAt: {
     type: Date,
     default: Date.now
   }
 });
 
+VersionSchema.index({ chapterId: 1, createdAt: -1 });
+
 module.exports = mongoose.model('Version', VersionSchema);
\ No newline at end of file
@@ -0,0 +1,33 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getBeats,
+  createBeat,
+  getBeat,
+  updateBeat,
+  deleteBeat,
+  reorderBeats,
+  getOutline,
+  getUnwrittenBeats
+} = require('../controllers/beat.controller');
+const { protect } = require('../middleware/auth');
+
+// Apply auth middleware to all routes
+router.use(protect);
+
+// Routes organized by project
+router.route('/projects/:projectId/beats')
+  .get(getBeats)
+  .post(createBeat);
+
+router.put('/projects/:projectId/beats/reorder', reorderBeats);
+router.get('/projects/:projectId/outline', getOutline);
+router.get('/projects/:projectId/outline/unwritten', getUnwrittenBeats);
+
+// Beat-specific routes
+router.route('/:id')
+  .get(getBeat)
+  .put(updateBeat)
+  .delete(deleteBeat);
+
+module.exports = router;
@@ -5,13 +5,39 @@ const {
   createChapter,
   getChapter,
   updateChapter,
+  patchChapterContent,
   deleteChapter,
+  getChapterEntities,
   reorderChapters,
+  convertChapters,
+  splitChapter,
+  mergeChapters,
   createVersion,
   getVersions,
   getVersion,
+  diffVersion,
   restoreVersion
 } = require('../controllers/chapter.controller');
+const {
+  getScenes,
+  createScene,
+  getScene,
+  updateScene,
+  deleteScene,
+  reorderScenes,
+  moveScene
+} = require('../controllers/scene.controller');
+const {
+  getComments,
+  createComment,
+  replyToComment,
+  updateComment,
+  resolveComment,
+  reopenComment,
+  deleteComment
+} = require('../controllers/comment.controller');
+const { getChapterAnalysis } = require('../controllers/analysis.controller');
+const { getChapterRepetition } = require('../controllers/repetition.controller');
 const { protect } = require('../middleware/auth');
 
 // Apply auth middleware to all routes
@@ -23,6 +49,8 @@ router.route('/projects/:projectId/chapters')
   .post(createChapter);
 
 router.put('/projects/:projectId/chapters/reorder', reorderChapters);
+router.post('/projects/:projectId/chapters/convert', convertChapters);
+router.post('/merge', mergeChapters);
 
 // Routes organized by chapter
 router.route('/:id')
@@ -30,12 +58,46 @@ router.route('/:id')
   .put(updateChapter)
   .delete(deleteChapter);
 
+router.patch('/:id/content', patchChapterContent);
+router.post('/:id/split', splitChapter);
+router.get('/:id/entities', getChapterEntities);
+router.get('/:id/analysis', getChapterAnalysis);
+router.get('/:id/repetition', getChapterRepetition);
+
 router.route('/:id/versions')
   .get(getVersions)
   .post(createVersion);
 
+router.route('/:id/scenes')
+  .get(getScenes)
+  .post(createScene);
+
+router.put('/:id/scenes/reorder', reorderScenes);
+
+// Scene-specific routes
+router.route('/scenes/:id')
+  .get(getScene)
+  .put(updateScene)
+  .delete(deleteScene);
+
+router.post('/scenes/:id/move', moveScene);
+
+router.route('/:id/comments')
+  .get(getComments)
+  .post(createComment);
+
+// Comment-specific routes
+router.route('/comments/:id')
+  .put(updateComment)
+  .delete(deleteComment);
+
+router.post('/comments/:id/replies', replyToComment);
+router.post('/comments/:id/resolve', resolveComment);
+router.post('/comments/:id/reopen', reopenComment);
+
 // Version-specific routes
 router.get('/versions/:id', getVersion);
+router.get('/versions/:id/diff', diffVersion);
 router.post('/versions/:id/restore', restoreVersion);
 
 module.exports = router;
\ No newline at end of file
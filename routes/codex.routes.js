@@ -7,6 +7,8 @@ const {
   updateEntity,
   deleteEntity,
   getEntityRelationships,
+  getEntityMentions,
+  reindexMentions,
   searchEntities
 } = require('../controllers/codex.controller');
 const { protect } = require('../middleware/auth');
@@ -20,6 +22,7 @@ router.route('/projects/:projectId/codex')
   .post(createEntity);
 
 router.get('/projects/:projectId/codex/search', searchEntities);
+router.post('/projects/:projectId/mentions/reindex', reindexMentions);
 
 // Entity-specific routes
 router.route('/codex/:id')
@@ -28,5 +31,6 @@ router.route('/codex/:id')
   .delete(deleteEntity);
 
 router.get('/codex/:id/relationships', getEntityRelationships);
+router.get('/codex/:id/mentions', getEntityMentions);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,31 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getParts,
+  createPart,
+  getPart,
+  updatePart,
+  deletePart,
+  reorderParts,
+  getStructure
+} = require('../controllers/part.controller');
+const { protect } = require('../middleware/auth');
+
+// Apply auth middleware to all routes
+router.use(protect);
+
+// Routes organized by project
+router.route('/projects/:projectId/parts')
+  .get(getParts)
+  .post(createPart);
+
+router.put('/projects/:projectId/parts/reorder', reorderParts);
+router.get('/projects/:projectId/structure', getStructure);
+
+// Part-specific routes
+router.route('/:id')
+  .get(getPart)
+  .put(updatePart)
+  .delete(deletePart);
+
+module.exports = router;
@@ -6,11 +6,40 @@ const {
   getProject, 
   updateProject, 
   deleteProject,
-  getProjectStats
+  getProjectStats,
+  getPacingReport,
+  recountWords,
+  duplicateProject
 } = require('../controllers/project.controller');
 const { getChapters, createChapter } = require('../controllers/chapter.controller');
 const { getEntities, createEntity } = require('../controllers/codex.controller');
+const { getParts, createPart, getStructure } = require('../controllers/part.controller');
+const { getBeats, createBeat, getOutline, getUnwrittenBeats } = require('../controllers/beat.controller');
+const {
+  searchManuscript,
+  replaceInManuscript,
+  undoReplace
+} = require('../controllers/search.controller');
+const { getBoard, getWorkflowStats } = require('../controllers/workflow.controller');
+const { getTrash } = require('../controllers/trash.controller');
+const { getProjectAnalysis } = require('../controllers/analysis.controller');
+const { getProjectRepetition } = require('../controllers/repetition.controller');
+const { exportEpub, exportDocx, exportTimeline } = require('../controllers/export.controller');
+const { importManuscript } = require('../controllers/import.controller');
+const {
+  getProjectCalendar,
+  updateProjectCalendar,
+  getTimeline,
+  getChronologyIssues
+} = require('../controllers/timeline.controller');
+const {
+  getTemplates,
+  getTemplate,
+  saveProjectTemplate,
+  deleteTemplate
+} = require('../controllers/template.controller');
 const { protect } = require('../middleware/auth');
+const { uploadManuscript } = require('../middleware/upload');
 
 // Apply auth middleware to all routes
 router.use(protect);
@@ -20,18 +49,67 @@ router.route('/')
   .get(getProjects)
   .post(createProject);
 
+// Template routes
+router.get('/templates', getTemplates);
+router.route('/templates/:templateId')
+  .get(getTemplate)
+  .delete(deleteTemplate);
+
 router.route('/:id')
   .get(getProject)
   .put(updateProject)
   .delete(deleteProject);
 
 router.get('/:id/stats', getProjectStats);
+router.get('/:id/pacing', getPacingReport);
+router.post('/:id/recount', recountWords);
+router.post('/:id/template', saveProjectTemplate);
+router.post('/:id/duplicate', duplicateProject);
+router.get('/:id/analysis', getProjectAnalysis);
+router.get('/:id/repetition', getProjectRepetition);
+router.get('/:id/trash', getTrash);
+router.get('/:id/search', searchManuscript);
+router.get('/:id/board', getBoard);
+router.get('/:id/board/stats', getWorkflowStats);
+router.post('/:id/replace', replaceInManuscript);
+router.post('/:id/replace/:operationId/undo', undoReplace);
+
+// Timeline routes
+router.route('/:id/calendar')
+  .get(getProjectCalendar)
+  .put(updateProjectCalendar);
+
+router.get('/:id/timeline', getTimeline);
+router.get('/:id/timeline/issues', getChronologyIssues);
+
+// Export routes
+router.get('/:id/export/epub', exportEpub);
+router.get('/:id/export/docx', exportDocx);
+router.get('/:id/export/timeline', exportTimeline);
+
+// Import routes
+router.post('/:id/import', uploadManuscript, importManuscript);
 
 // Chapter routes for projects
 router.route('/:id/chapters')
   .get(getChapters)
   .post(createChapter);
 
+// Book and part routes for projects
+router.route('/:id/parts')
+  .get(getParts)
+  .post(createPart);
+
+router.get('/:id/structure', getStructure);
+
+// Outline routes for projects
+router.route('/:id/beats')
+  .get(getBeats)
+  .post(createBeat);
+
+router.get('/:id/outline', getOutline);
+router.get('/:id/outline/unwritten', getUnwrittenBeats);
+
 // Codex routes for projects
 router.route('/:id/codex')
   .get(getEntities)
@@ -0,0 +1,21 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getTrash,
+  restoreFromTrash,
+  purgeFromTrash,
+  emptyTrash
+} = require('../controllers/trash.controller');
+const { protect } = require('../middleware/auth');
+
+// Apply auth middleware to all routes
+router.use(protect);
+
+router.route('/')
+  .get(getTrash)
+  .delete(emptyTrash);
+
+router.post('/:type/:id/restore', restoreFromTrash);
+router.delete('/:type/:id', purgeFromTrash);
+
+module.exports = router;
@@ -0,0 +1,106 @@
+const { describe, it, mock, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const Chapter = require('../../models/Chapter');
+const Project = require('../../models/Project');
+const revisions = require('../../utils/revisions');
+const scenes = require('../../utils/scenes');
+
+// The controller picks these up when it is required, so they are replaced first
+const commitChapterUpdate = mock.method(revisions, 'commitChapterUpdate', async ({ chapter, updateFields }) => ({
+  ...chapter,
+  ...updateFields,
+  revision: chapter.revision + 1
+}));
+mock.method(scenes, 'chapterWordCount', async () => 1);
+
+const { updateChapter, patchChapterContent } = require('../../controllers/chapter.controller');
+
+const USER_ID = 'user-1';
+
+const block = (key, text) => ({
+  key,
+  type: 'unstyled',
+  text,
+  depth: 0,
+  inlineStyleRanges: [],
+  entityRanges: [],
+  data: {}
+});
+
+const storedChapter = () => ({
+  _id: 'chapter-1',
+  projectId: 'project-1',
+  format: 'draftjs',
+  revision: 3,
+  content: { blocks: [block('a', 'one')], entityMap: {} }
+});
+
+const request = (ifMatch, body) => ({
+  params: { id: 'chapter-1' },
+  user: { id: USER_ID },
+  body,
+  get: (name) => (name === 'If-Match' ? ifMatch : undefined)
+});
+
+const response = () => ({
+  statusCode: 200,
+  headers: {},
+  body: null,
+  set(name, value) {
+    this.headers[name] = value;
+    return this;
+  },
+  status(code) {
+    this.statusCode = code;
+    return this;
+  },
+  json(body) {
+    this.body = body;
+    return this;
+  }
+});
+
+beforeEach(() => {
+  commitChapterUpdate.mock.resetCalls();
+  mock.method(Chapter, 'findById', async () => storedChapter());
+  mock.method(Project, 'findById', async () => ({ _id: 'project-1', userId: USER_ID }));
+});
+
+describe('updateChapter', () => {
+  it('saves over any revision with If-Match: *', async () => {
+    const res = response();
+    await updateChapter(request('*', { content: { blocks: [block('a', 'two')], entityMap: {} } }), res);
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.merged, false);
+    assert.equal(res.headers.ETag, '"4"');
+    assert.equal(commitChapterUpdate.mock.callCount(), 1);
+  });
+
+  it('still rejects a save based on an older revision', async () => {
+    const res = response();
+    await updateChapter(request('"2"', { content: { blocks: [block('a', 'two')], entityMap: {} } }), res);
+
+    assert.equal(res.statusCode, 409);
+    assert.equal(commitChapterUpdate.mock.callCount(), 0);
+  });
+});
+
+describe('patchChapterContent', () => {
+  it('applies operations to any revision with If-Match: *', async () => {
+    const res = response();
+    await patchChapterContent(request('*', { operations: [{ op: 'update', key: 'a', block: { text: 'two' } }] }), res);
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.data.revision, 4);
+    assert.equal(commitChapterUpdate.mock.calls[0].arguments[0].updateFields.content.blocks[0].text, 'two');
+  });
+
+  it('still rejects operations based on an older revision', async () => {
+    const res = response();
+    await patchChapterContent(request('"2"', { operations: [{ op: 'delete', key: 'a' }] }), res);
+
+    assert.equal(res.statusCode, 409);
+    assert.equal(commitChapterUpdate.mock.callCount(), 0);
+  });
+});
@@ -0,0 +1,89 @@
+const { describe, it, mock, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Scene = require('../../models/Scene');
+const Chapter = require('../../models/Chapter');
+const Project = require('../../models/Project');
+const Codex = require('../../models/Codex');
+const { createScene, updateScene, moveScene } = require('../../controllers/scene.controller');
+
+const USER_ID = 'user-1';
+const projectId = new mongoose.Types.ObjectId();
+const chapterId = new mongoose.Types.ObjectId();
+const sceneId = new mongoose.Types.ObjectId();
+
+const request = (params, body) => ({ params, body, user: { id: USER_ID } });
+
+const response = () => ({
+  statusCode: 200,
+  body: null,
+  status(code) {
+    this.statusCode = code;
+    return this;
+  },
+  json(body) {
+    this.body = body;
+    return this;
+  }
+});
+
+// Models are looked up only with well-formed IDs; a malformed one would be a CastError
+const findBy = (doc) => async (id) => {
+  assert.ok(mongoose.Types.ObjectId.isValid(id), `queried with malformed ID ${id}`);
+  return doc;
+};
+const selectable = (find) => (id) => ({ select: () => find(id) });
+
+beforeEach(() => {
+  mock.restoreAll();
+  mock.method(Project, 'findById', findBy({ _id: projectId, userId: USER_ID }));
+  mock.method(Chapter, 'findById', findBy({ _id: chapterId, projectId }));
+  mock.method(Scene, 'findById', findBy({ _id: sceneId, projectId, chapterId }));
+  mock.method(Codex, 'findById', selectable(findBy(null)));
+});
+
+describe('scene ID validation', () => {
+  it('rejects a malformed chapter ID when creating a scene', async () => {
+    const res = response();
+    await createScene(request({ id: 'not-an-id' }, { title: 'Scene' }), res);
+
+    assert.equal(res.statusCode, 400);
+    assert.equal(res.body.message, 'Invalid chapter ID');
+  });
+
+  it('rejects malformed POV character and setting IDs', async () => {
+    let res = response();
+    await createScene(request({ id: String(chapterId) }, { povCharacterId: 'bogus' }), res);
+    assert.equal(res.statusCode, 400);
+    assert.equal(res.body.message, 'POV character ID is invalid');
+
+    res = response();
+    await updateScene(request({ id: String(sceneId) }, { settingId: { $ne: null } }), res);
+    assert.equal(res.statusCode, 400);
+    assert.equal(res.body.message, 'Setting ID is invalid');
+  });
+
+  it('rejects a malformed scene ID when updating', async () => {
+    const res = response();
+    await updateScene(request({ id: '123' }, { title: 'Renamed' }), res);
+
+    assert.equal(res.statusCode, 400);
+    assert.equal(res.body.message, 'Invalid scene ID');
+  });
+
+  it('rejects a malformed target chapter when moving', async () => {
+    const res = response();
+    await moveScene(request({ id: String(sceneId) }, { chapterId: 'elsewhere' }), res);
+
+    assert.equal(res.statusCode, 400);
+    assert.equal(res.body.message, 'Invalid chapter ID');
+  });
+
+  it('still looks up well-formed links', async () => {
+    const res = response();
+    await createScene(request({ id: String(chapterId) }, { povCharacterId: String(new mongoose.Types.ObjectId()) }), res);
+
+    assert.equal(res.statusCode, 404);
+    assert.equal(res.body.message, 'POV character not found');
+  });
+});
@@ -0,0 +1,118 @@
+const { describe, it, mock, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const Chapter = require('../../models/Chapter');
+const Scene = require('../../models/Scene');
+const Project = require('../../models/Project');
+const Version = require('../../models/Version');
+const ReplaceOperation = require('../../models/ReplaceOperation');
+const revisions = require('../../utils/revisions');
+const scenes = require('../../utils/scenes');
+
+// The controller picks these up when it is required, so they are replaced first
+const commitChapterUpdate = mock.method(revisions, 'commitChapterUpdate', async ({ chapter, updateFields }) => ({
+  ...chapter,
+  ...updateFields,
+  revision: chapter.revision + 1
+}));
+mock.method(scenes, 'chapterWordCount', async () => 1);
+
+const { replaceInManuscript } = require('../../controllers/search.controller');
+
+const USER_ID = 'user-1';
+
+const block = (key, text) => ({
+  key,
+  type: 'unstyled',
+  text,
+  depth: 0,
+  inlineStyleRanges: [],
+  entityRanges: [],
+  data: {}
+});
+
+const draftChapter = {
+  _id: 'chapter-1',
+  projectId: 'project-1',
+  title: 'One',
+  orderIndex: 1,
+  format: 'draftjs',
+  revision: 1,
+  wordCount: 3,
+  content: { blocks: [block('a', 'The storm broke.')], entityMap: {} }
+};
+
+const markdownChapter = {
+  _id: 'chapter-2',
+  projectId: 'project-1',
+  title: 'Two',
+  orderIndex: 2,
+  format: 'markdown',
+  revision: 1,
+  wordCount: 4,
+  content: 'After [the storm](https://example.com/storm), calm.'
+};
+
+// Mongoose-style query chain that can be awaited or read with a cursor
+const query = (docs) => {
+  const chain = {
+    select: () => chain,
+    sort: () => chain,
+    lean: () => chain,
+    cursor: async function * () {
+      yield * docs;
+    },
+    then: (resolve, reject) => Promise.resolve(docs).then(resolve, reject)
+  };
+  return chain;
+};
+
+const request = (body) => ({ params: { id: 'project-1' }, body, user: { id: USER_ID } });
+
+const response = () => ({
+  statusCode: 200,
+  body: null,
+  status(code) {
+    this.statusCode = code;
+    return this;
+  },
+  json(body) {
+    this.body = body;
+    return this;
+  }
+});
+
+beforeEach(() => {
+  commitChapterUpdate.mock.resetCalls();
+  mock.method(Project, 'findById', async () => ({ _id: 'project-1', userId: USER_ID }));
+  mock.method(Chapter, 'find', () => query([draftChapter, markdownChapter]));
+  mock.method(Scene, 'find', () => query([]));
+  mock.method(Version, 'create', async () => ({ _id: 'version-1' }));
+  mock.method(ReplaceOperation, 'create', async (fields) => ({ _id: 'operation-1', ...fields }));
+});
+
+describe('replaceInManuscript', () => {
+  it('leaves chapters in other formats untouched and reports them as skipped', async () => {
+    const res = response();
+    await replaceInManuscript(request({ find: 'storm', replace: 'rain' }), res);
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(commitChapterUpdate.mock.callCount(), 1);
+    const [{ arguments: [{ chapter, updateFields }] }] = commitChapterUpdate.mock.calls;
+    assert.equal(chapter._id, 'chapter-1');
+    assert.equal(updateFields.content.blocks[0].text, 'The rain broke.');
+
+    assert.equal(markdownChapter.content, 'After [the storm](https://example.com/storm), calm.');
+    assert.deepEqual(res.body.data.skipped, [
+      { chapterId: 'chapter-2', chapterTitle: 'Two', format: 'markdown', matchCount: 1 }
+    ]);
+  });
+
+  it('lists skipped chapters in a preview without their matches', async () => {
+    const res = response();
+    await replaceInManuscript(request({ find: 'storm', replace: 'rain', dryRun: true }), res);
+
+    assert.equal(res.body.count, 1);
+    assert.equal(res.body.data[0].chapterId, 'chapter-1');
+    assert.deepEqual(res.body.skipped.map(entry => entry.chapterId), ['chapter-2']);
+  });
+});
@@ -0,0 +1,76 @@
+const { describe, it, mock, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const ChapterAnalysis = require('../../models/ChapterAnalysis');
+const Scene = require('../../models/Scene');
+const { cachedAnalysis } = require('../../utils/analysisCache');
+
+const block = (key, text) => ({
+  key,
+  type: 'unstyled',
+  text,
+  depth: 0,
+  inlineStyleRanges: [],
+  entityRanges: [],
+  data: {}
+});
+
+const chapter = {
+  _id: 'chapter-1',
+  projectId: 'project-1',
+  format: 'draftjs',
+  revision: 2,
+  content: { blocks: [block('a', 'Chapter text.')], entityMap: {} }
+};
+
+// Mongoose-style query chain resolving to the given documents
+const query = (docs) => {
+  const chain = {
+    select: () => chain,
+    sort: () => chain,
+    lean: async () => docs
+  };
+  return chain;
+};
+
+const texts = content => content.blocks.map(b => b.text);
+
+describe('cachedAnalysis', () => {
+  let stored;
+  let sceneDocs;
+
+  beforeEach(() => {
+    stored = [];
+    sceneDocs = [{
+      _id: 'scene-1',
+      chapterId: 'chapter-1',
+      updatedAt: new Date('2026-01-01'),
+      content: { blocks: [block('s', 'Scene text.')], entityMap: {} }
+    }];
+    mock.method(Scene, 'find', () => query(sceneDocs));
+    mock.method(ChapterAnalysis, 'find', async () => stored);
+    mock.method(ChapterAnalysis, 'updateOne', async (filter, { $set }) => {
+      stored = [{ chapterId: filter.chapterId, kind: filter.kind, ...$set }];
+    });
+  });
+
+  it('analyses scene prose after the chapter content', async () => {
+    const result = await cachedAnalysis(chapter, 'test', texts);
+    assert.deepEqual(result, ['Chapter text.', 'Scene text.']);
+  });
+
+  it('reuses the cached result while nothing has changed', async () => {
+    const analyze = mock.fn(texts);
+    await cachedAnalysis(chapter, 'test', analyze);
+    await cachedAnalysis(chapter, 'test', analyze);
+    assert.equal(analyze.mock.callCount(), 1);
+  });
+
+  it('recomputes when a scene is edited', async () => {
+    await cachedAnalysis(chapter, 'test', texts);
+    sceneDocs[0].updatedAt = new Date('2026-01-02');
+    sceneDocs[0].content = { blocks: [block('s', 'Edited scene.')], entityMap: {} };
+
+    const result = await cachedAnalysis(chapter, 'test', texts);
+    assert.deepEqual(result, ['Chapter text.', 'Edited scene.']);
+  });
+});
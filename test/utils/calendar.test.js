@@ -0,0 +1,96 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { GREGORIAN, getCalendar, normalizeCalendar, normalizeDate, normalizeRange, formatDate } = require('../../utils/calendar');
+
+const MINUTES_PER_DAY = 24 * 60;
+
+// Three ages: one counting down, one 100 years long and the current one
+const middleEarth = normalizeCalendar({
+  name: 'Reckoning',
+  months: [{ name: 'Afteryule', days: 30 }, { name: 'Solmath', days: 30 }],
+  eras: [
+    { name: 'First Age', abbreviation: 'FA', countsDown: true },
+    { name: 'Second Age', abbreviation: 'SA', years: 100 },
+    { name: 'Third Age', abbreviation: 'TA' }
+  ]
+}).calendar;
+
+describe('getCalendar', () => {
+  it('falls back to the Gregorian calendar without months', () => {
+    assert.equal(getCalendar({ calendar: { months: [] } }), GREGORIAN);
+    assert.equal(getCalendar({ calendar: middleEarth }), middleEarth);
+  });
+});
+
+describe('normalizeCalendar', () => {
+  it('rejects calendars that cannot order dates', () => {
+    assert.match(normalizeCalendar({ months: [] }).error, /1 to 100 months/);
+    assert.match(normalizeCalendar({ months: [{ name: 'M', days: 0 }] }).error, /whole number of days/);
+    assert.match(normalizeCalendar({
+      months: [{ name: 'M', days: 10 }],
+      eras: [{ name: 'A' }, { name: 'B', countsDown: true }]
+    }).error, /Only the first era can count down/);
+    assert.match(normalizeCalendar({
+      months: [{ name: 'M', days: 10 }],
+      eras: [{ name: 'A' }, { name: 'B' }, { name: 'C' }]
+    }).error, /Era "B" needs its length in years/);
+    assert.match(normalizeCalendar({
+      months: [{ name: 'M', days: 10 }],
+      eras: [{ name: 'Age', abbreviation: 'X' }, { name: 'Other', abbreviation: 'x' }]
+    }).error, /listed twice/);
+  });
+});
+
+describe('normalizeDate', () => {
+  it('orders Gregorian dates across eras and leap days', () => {
+    const bce = normalizeDate(GREGORIAN, '1-12-31 BCE');
+    const ce = normalizeDate(GREGORIAN, '1-1-1 CE');
+    assert.equal(ce.tick - bce.tick, MINUTES_PER_DAY);
+
+    const leap = normalizeDate(GREGORIAN, '2024-2-29');
+    assert.equal(normalizeDate(GREGORIAN, '2024-3-1').tick - leap.tick, MINUTES_PER_DAY);
+    assert.match(normalizeDate(GREGORIAN, '2023-2-29').error, /February 2023 has 28 days/);
+  });
+
+  it('counts custom eras on from each other', () => {
+    const lastOfSecond = normalizeDate(middleEarth, '100-2-30 SA');
+    const firstOfThird = normalizeDate(middleEarth, '1-1-1 TA');
+    assert.equal(firstOfThird.tick - lastOfSecond.tick, MINUTES_PER_DAY);
+    assert.match(normalizeDate(middleEarth, '101-1-1 SA').error, /only lasts 100 years/);
+  });
+
+  it('takes the latest era by default and adds the time of day', () => {
+    const result = normalizeDate(middleEarth, { year: 3, month: 2, day: 5, hour: 14, minute: 5 });
+    assert.equal(result.date.era, 'TA');
+    assert.equal(result.tick - normalizeDate(middleEarth, '3-2-5').tick, 14 * 60 + 5);
+  });
+
+  it('rejects unknown eras and malformed dates', () => {
+    assert.match(normalizeDate(middleEarth, '1-1-1 XY').error, /era must be one of: FA, SA, TA/);
+    assert.match(normalizeDate(GREGORIAN, 'yesterday').error, /Dates must be/);
+    assert.match(normalizeDate(GREGORIAN, '2000-1-1 25:00').error, /hour must be from 0 to 23/);
+  });
+});
+
+describe('normalizeRange', () => {
+  it('stores single moments with from equal to to', () => {
+    const { when } = normalizeRange(GREGORIAN, { start: '2000-1-1' });
+    assert.equal(when.end, null);
+    assert.equal(when.from, when.to);
+  });
+
+  it('rejects ranges that end before they start', () => {
+    assert.match(normalizeRange(GREGORIAN, { start: '2000-1-2', end: '2000-1-1' }).error, /cannot be before/);
+    assert.match(normalizeRange(GREGORIAN, { start: '2000-13-1' }).error, /^when.start: month must be from 1 to 12/);
+    assert.deepEqual(normalizeRange(GREGORIAN, null), { when: null });
+  });
+});
+
+describe('formatDate', () => {
+  it('writes the month name, era and time', () => {
+    const { date } = normalizeDate(middleEarth, '1204-2-15 14:05');
+    assert.equal(formatDate(middleEarth, date), '15 Solmath 1204 TA 14:05');
+    assert.equal(formatDate(GREGORIAN, normalizeDate(GREGORIAN, '2000-7-4').date), '4 July 2000 CE');
+    assert.equal(formatDate(GREGORIAN, null), null);
+  });
+});
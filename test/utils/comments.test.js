@@ -0,0 +1,90 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { mapPosition, remapAnchor } = require('../../utils/comments');
+
+const block = (key, text) => ({
+  key,
+  type: 'unstyled',
+  text,
+  depth: 0,
+  inlineStyleRanges: [],
+  entityRanges: [],
+  data: {}
+});
+
+const content = (...blocks) => ({ blocks, entityMap: {} });
+
+const anchorOn = (key, offset, length, quote) => ({ blockKey: key, offset, length, quote });
+
+describe('mapPosition', () => {
+  const ops = [
+    { op: 'equal', text: 'one ' },
+    { op: 'insert', text: 'new ' },
+    { op: 'equal', text: 'two' }
+  ];
+
+  it('moves a start past inserted text but leaves an end before it', () => {
+    assert.equal(mapPosition(ops, 4, false), 8);
+    assert.equal(mapPosition(ops, 4, true), 4);
+  });
+
+  it('collapses positions inside deleted text to the deletion', () => {
+    const deleted = [
+      { op: 'equal', text: 'a ' },
+      { op: 'delete', text: 'gone ' },
+      { op: 'equal', text: 'b' }
+    ];
+    assert.equal(mapPosition(deleted, 4, false), 2);
+    assert.equal(mapPosition(deleted, 7, false), 2);
+    assert.equal(mapPosition(deleted, 8, false), 3);
+  });
+});
+
+describe('remapAnchor', () => {
+  const before = content(block('a', 'The quick fox jumps'));
+
+  it('keeps an anchor whose block did not change', () => {
+    const anchor = anchorOn('a', 4, 5, 'quick');
+    assert.deepEqual(remapAnchor(anchor, before, before), { anchor, orphaned: false });
+  });
+
+  it('shifts an anchor past text inserted before it', () => {
+    const after = content(block('a', 'Then the quick fox jumps'));
+    const { anchor, orphaned } = remapAnchor(anchorOn('a', 10, 3, 'fox'), before, after);
+
+    assert.equal(orphaned, false);
+    assert.deepEqual(anchor, anchorOn('a', 15, 3, 'fox'));
+  });
+
+  it('follows the quote into another block when its own is gone', () => {
+    const after = content(block('b', 'Intro'), block('c', 'A quick fox'));
+    const { anchor, orphaned } = remapAnchor(anchorOn('a', 4, 5, 'quick'), before, after);
+
+    assert.equal(orphaned, false);
+    assert.deepEqual(anchor, anchorOn('c', 2, 5, 'quick'));
+  });
+
+  it('orphans an anchor whose text was deleted, keeping it as it was', () => {
+    const after = content(block('a', 'The fox jumps'));
+    const original = anchorOn('a', 4, 5, 'quick');
+
+    assert.deepEqual(remapAnchor(original, before, after), { anchor: original, orphaned: true });
+  });
+
+  it('finds an orphaned anchor again only by its quote', () => {
+    const after = content(block('a', 'The quick fox jumps'));
+    const stale = anchorOn('a', 0, 3, 'quick');
+    const { anchor, orphaned } = remapAnchor(stale, content(block('a', 'xyz')), after, true);
+
+    assert.equal(orphaned, false);
+    assert.deepEqual(anchor, anchorOn('a', 4, 5, 'quick'));
+  });
+
+  it('counts offsets in code points', () => {
+    const emoji = content(block('a', '😀 quick fox'));
+    const after = content(block('a', '😀 a quick fox'));
+    const { anchor } = remapAnchor(anchorOn('a', 2, 5, 'quick'), emoji, after);
+
+    assert.deepEqual(anchor, anchorOn('a', 4, 5, 'quick'));
+  });
+});
@@ -0,0 +1,56 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { renderContent } = require('../../utils/epub');
+
+const block = (key, text, type = 'unstyled', depth = 0) => ({
+  key,
+  type,
+  text,
+  depth,
+  inlineStyleRanges: [],
+  entityRanges: [],
+  data: {}
+});
+
+const content = (...blocks) => ({ blocks, entityMap: {} });
+
+describe('renderContent', () => {
+  it('nests deeper list items inside the item above them', () => {
+    const html = renderContent(content(
+      block('a', 'Top', 'unordered-list-item'),
+      block('b', 'Inner', 'ordered-list-item', 1),
+      block('c', 'Deepest', 'ordered-list-item', 2),
+      block('d', 'Next', 'unordered-list-item')
+    ));
+
+    assert.equal(html, [
+      '<ul>',
+      '<li>Top<ol>',
+      '<li>Inner<ol>',
+      '<li>Deepest</li>',
+      '</ol></li>',
+      '</ol></li>',
+      '<li>Next</li>',
+      '</ul>'
+    ].join('\n'));
+  });
+
+  it('nests a list at most one level below the one above it', () => {
+    const html = renderContent(content(
+      block('a', 'Top', 'unordered-list-item'),
+      block('b', 'Jump', 'unordered-list-item', 3)
+    ));
+
+    assert.equal(html, '<ul>\n<li>Top<ul>\n<li>Jump</li>\n</ul></li>\n</ul>');
+  });
+
+  it('starts a new list when the type changes at the same depth', () => {
+    const html = renderContent(content(
+      block('a', 'Bullet', 'unordered-list-item'),
+      block('b', 'Number', 'ordered-list-item'),
+      block('c', 'After & done')
+    ));
+
+    assert.equal(html, '<ul>\n<li>Bullet</li>\n</ul>\n<ol>\n<li>Number</li>\n</ol>\n<p>After &amp; done</p>');
+  });
+});
@@ -0,0 +1,93 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { convertContent, fromDraft, toDraft, normalizeFormat, validateContent } = require('../../utils/formats');
+
+const block = (key, text, type = 'unstyled', depth = 0, inlineStyleRanges = []) => ({
+  key,
+  type,
+  text,
+  depth,
+  inlineStyleRanges,
+  entityRanges: [],
+  data: {}
+});
+
+const content = (...blocks) => ({ blocks, entityMap: {} });
+
+// What survives a conversion: block types, text, depth and inline styles
+const shape = (raw) => raw.blocks.map(({ type, text, depth, inlineStyleRanges }) => ({ type, text, depth, inlineStyleRanges }));
+
+const sample = content(
+  block('a', 'Title', 'header-one'),
+  block('b', 'Plain and bold text.', 'unstyled', 0, [{ offset: 10, length: 4, style: 'BOLD' }]),
+  block('c', 'First', 'unordered-list-item'),
+  block('d', 'Nested', 'unordered-list-item', 1),
+  block('e', 'Deeper', 'ordered-list-item', 2),
+  block('f', 'Second', 'unordered-list-item'),
+  block('g', 'One', 'ordered-list-item'),
+  block('h', 'Two', 'ordered-list-item', 1),
+  block('i', 'Quoted', 'blockquote')
+);
+
+describe('format round trips', () => {
+  ['prosemirror', 'slate', 'markdown', 'html'].forEach(format => {
+    it(`keeps blocks, nesting and styles through ${format}`, () => {
+      const converted = convertContent(sample, 'draftjs', format);
+      assert.deepEqual(shape(convertContent(converted, format, 'draftjs')), shape(sample));
+    });
+  });
+
+  it('gives converted blocks keys from their position', () => {
+    const raw = toDraft(fromDraft(sample, 'markdown'), 'markdown');
+    assert.deepEqual(raw.blocks.map(b => b.key), ['b0', 'b1', 'b2', 'b3', 'b4', 'b5', 'b6', 'b7', 'b8']);
+  });
+});
+
+describe('markdown', () => {
+  it('escapes paragraphs that would read back as headings, quotes or lists', () => {
+    const lines = ['# not a heading', '> not a quote', '- not a list', '+ not a list', '* not a list', '1. not a list', '2) not a list'];
+    const raw = content(...lines.map((text, index) => block(`p${index}`, text)));
+
+    const markdown = fromDraft(raw, 'markdown');
+    assert.equal(markdown.split('\n\n')[5], '1\\. not a list');
+    assert.deepEqual(shape(toDraft(markdown, 'markdown')), shape(raw));
+  });
+
+  it('writes nested lists indented with their own numbering', () => {
+    const markdown = fromDraft(content(
+      block('a', 'One', 'ordered-list-item'),
+      block('b', 'Sub', 'ordered-list-item', 1),
+      block('c', 'Two', 'ordered-list-item')
+    ), 'markdown');
+
+    assert.equal(markdown, '1. One\n  1. Sub\n2. Two');
+  });
+});
+
+describe('html', () => {
+  it('nests deeper list items inside their parent item', () => {
+    const html = fromDraft(content(
+      block('a', 'Top', 'unordered-list-item'),
+      block('b', 'Inner', 'ordered-list-item', 1),
+      block('c', 'Next', 'unordered-list-item')
+    ), 'html');
+
+    assert.equal(html, '<ul>\n<li>Top<ol>\n<li>Inner</li>\n</ol></li>\n<li>Next</li>\n</ul>');
+  });
+});
+
+describe('normalizeFormat and validateContent', () => {
+  it('accepts aliases and rejects unknown formats', () => {
+    assert.equal(normalizeFormat(undefined), 'draftjs');
+    assert.equal(normalizeFormat(' Tiptap '), 'prosemirror');
+    assert.equal(normalizeFormat('md'), 'markdown');
+    assert.equal(normalizeFormat('rtf'), null);
+  });
+
+  it('checks content matches its format', () => {
+    assert.equal(validateContent({ type: 'doc', content: [] }, 'prosemirror'), null);
+    assert.equal(validateContent([{ children: [] }], 'slate'), null);
+    assert.match(validateContent('text', 'slate'), /not valid slate/);
+    assert.match(validateContent('text', 'rtf'), /format must be one of/);
+  });
+});
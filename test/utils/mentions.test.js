@@ -0,0 +1,46 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildMentionMatcher, findMentions, chapterMentions } = require('../../utils/mentions');
+
+const block = (key, text) => ({ key, type: 'unstyled', text, inlineStyleRanges: [], entityRanges: [] });
+
+const anna = { _id: 'anna', name: 'Anna', aliases: ['Anna Karenina', 'Ms K'] };
+const will = { _id: 'will', name: 'Will' };
+
+describe('findMentions', () => {
+  it('counts names and aliases as whole, case-sensitive words', () => {
+    const matcher = buildMentionMatcher([anna, will]);
+    const content = {
+      blocks: [block('a', 'Anna Karenina met Will. Annabel will not.'), block('b', 'Ms  K and Anna')],
+      entityMap: {}
+    };
+
+    const mentions = findMentions(content, matcher);
+
+    assert.deepEqual(mentions.get('anna'), { count: 3, blocks: [{ blockKey: 'a', count: 1 }, { blockKey: 'b', count: 2 }] });
+    assert.deepEqual(mentions.get('will'), { count: 1, blocks: [{ blockKey: 'a', count: 1 }] });
+  });
+
+  it('finds nothing without names to match', () => {
+    assert.equal(buildMentionMatcher([{ _id: 'x', name: ' ' }]), null);
+    assert.equal(findMentions('Anna', null).size, 0);
+  });
+});
+
+describe('chapterMentions', () => {
+  it('adds scene mentions after the chapter text, tagged with their scene', () => {
+    const matcher = buildMentionMatcher([anna]);
+    const chapter = { content: 'Anna waits', format: 'draftjs' };
+    const scenes = new Map([['anna', { count: 2, blocks: [{ sceneId: 's1', blockKey: 'x', count: 2 }] }]]);
+
+    const mentions = chapterMentions(chapter, matcher, scenes);
+
+    assert.deepEqual(mentions.get('anna'), {
+      count: 3,
+      blocks: [
+        { sceneId: null, blockKey: 'line-0', count: 1 },
+        { sceneId: 's1', blockKey: 'x', count: 2 }
+      ]
+    });
+  });
+});
@@ -0,0 +1,104 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { mergeContent } = require('../../utils/merge');
+
+const block = (key, text, entityRanges = []) => ({
+  key,
+  type: 'unstyled',
+  text,
+  depth: 0,
+  inlineStyleRanges: [],
+  entityRanges,
+  data: {}
+});
+
+const doc = (blocks, entityMap = {}) => ({ blocks, entityMap });
+
+const link = (url) => ({ type: 'LINK', mutability: 'MUTABLE', data: { url } });
+
+const texts = (content) => content.blocks.map(b => b.text);
+
+describe('mergeContent', () => {
+  it('takes edits made on different blocks from both sides', () => {
+    const base = doc([block('a', 'one'), block('b', 'two'), block('c', 'three')]);
+    const ours = doc([block('a', 'ONE'), block('b', 'two'), block('c', 'three')]);
+    const theirs = doc([block('a', 'one'), block('b', 'two'), block('c', 'THREE')]);
+
+    const { content, conflicts } = mergeContent(base, ours, theirs);
+
+    assert.deepEqual(conflicts, []);
+    assert.deepEqual(texts(content), ['ONE', 'two', 'THREE']);
+  });
+
+  it('keeps the stored version of a block both sides changed and reports it', () => {
+    const base = doc([block('a', 'one')]);
+    const ours = doc([block('a', 'ours')]);
+    const theirs = doc([block('a', 'theirs')]);
+
+    const { content, conflicts } = mergeContent(base, ours, theirs);
+
+    assert.deepEqual(texts(content), ['theirs']);
+    assert.deepEqual(conflicts, [{ key: 'a', reason: 'both-modified', base: 'one', ours: 'ours', theirs: 'theirs' }]);
+  });
+
+  it('places blocks added by the incoming save after their preceding block', () => {
+    const base = doc([block('a', 'one'), block('b', 'two')]);
+    const ours = doc([block('a', 'one'), block('n', 'new'), block('b', 'two')]);
+    const theirs = doc([block('a', 'one'), block('b', 'two'), block('t', 'tail')]);
+
+    const { content, conflicts } = mergeContent(base, ours, theirs);
+
+    assert.deepEqual(conflicts, []);
+    assert.deepEqual(texts(content), ['one', 'new', 'two', 'tail']);
+  });
+
+  it('drops blocks one side deleted and the other left alone', () => {
+    const base = doc([block('a', 'one'), block('b', 'two'), block('c', 'three')]);
+    const ours = doc([block('a', 'one'), block('c', 'three')]);
+    const theirs = doc([block('a', 'one'), block('b', 'two')]);
+
+    const { content, conflicts } = mergeContent(base, ours, theirs);
+
+    assert.deepEqual(conflicts, []);
+    assert.deepEqual(texts(content), ['one']);
+  });
+
+  it('keeps a block edited on one side and deleted on the other', () => {
+    const base = doc([block('a', 'one'), block('b', 'two')]);
+    const ours = doc([block('a', 'one')]);
+    const theirs = doc([block('a', 'one'), block('b', 'TWO')]);
+
+    const { content, conflicts } = mergeContent(base, ours, theirs);
+
+    assert.deepEqual(texts(content), ['one', 'TWO']);
+    assert.equal(conflicts[0].reason, 'deleted-by-ours');
+  });
+
+  it('renumbers entities so blocks from either side keep their own', () => {
+    const base = doc([block('a', 'one'), block('b', 'two')]);
+    // Both sides added a different link, each numbered 0 in its own document
+    const ours = doc([block('a', 'one link', [{ offset: 4, length: 4, key: 0 }]), block('b', 'two')], { 0: link('https://ours.example') });
+    const theirs = doc([block('a', 'one'), block('b', 'two link', [{ offset: 4, length: 4, key: 0 }])], { 0: link('https://theirs.example') });
+
+    const { content, conflicts } = mergeContent(base, ours, theirs);
+
+    assert.deepEqual(conflicts, []);
+    const urls = content.blocks.map(b => b.entityRanges.map(range => content.entityMap[range.key].data.url));
+    assert.deepEqual(urls, [['https://ours.example'], ['https://theirs.example']]);
+  });
+
+  it('does not treat renumbered entity keys as edits', () => {
+    const entities = { 0: link('https://first.example'), 1: link('https://second.example') };
+    const base = doc([block('a', 'first', [{ offset: 0, length: 5, key: 0 }]), block('b', 'second', [{ offset: 0, length: 6, key: 1 }])], entities);
+    // The incoming save dropped the first link, so its remaining entity became 0
+    const ours = doc([block('a', 'first'), block('b', 'second', [{ offset: 0, length: 6, key: 0 }])], { 0: entities[1] });
+    const theirs = doc([block('a', 'first', [{ offset: 0, length: 5, key: 0 }]), block('b', 'second!', [{ offset: 0, length: 6, key: 1 }])], entities);
+
+    const { content, conflicts } = mergeContent(base, ours, theirs);
+
+    assert.deepEqual(conflicts, []);
+    assert.deepEqual(texts(content), ['first', 'second!']);
+    assert.deepEqual(content.blocks[0].entityRanges, []);
+    assert.equal(content.entityMap[content.blocks[1].entityRanges[0].key].data.url, 'https://second.example');
+  });
+});
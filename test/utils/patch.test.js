@@ -0,0 +1,80 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { applyBlockOperations } = require('../../utils/patch');
+
+const block = (key, text) => ({
+  key,
+  type: 'unstyled',
+  text,
+  depth: 0,
+  inlineStyleRanges: [],
+  entityRanges: [],
+  data: {}
+});
+
+const content = () => ({ blocks: [block('a', 'one'), block('b', 'two')], entityMap: {} });
+
+const keys = (result) => result.content.blocks.map(b => b.key);
+
+describe('applyBlockOperations', () => {
+  it('inserts after a block, first with after: null and last without after', () => {
+    const result = applyBlockOperations(content(), [
+      { op: 'insert', after: 'a', block: { key: 'x', text: 'middle' } },
+      { op: 'insert', after: null, block: { key: 'y' } },
+      { op: 'insert', block: { key: 'z', type: 'header-one' } }
+    ]);
+
+    assert.deepEqual(keys(result), ['y', 'a', 'x', 'b', 'z']);
+    assert.deepEqual(result.content.blocks[0], { ...block('y', '') });
+    assert.equal(result.content.blocks[4].type, 'header-one');
+  });
+
+  it('updates only the given fields of a block', () => {
+    const result = applyBlockOperations(content(), [
+      { op: 'update', key: 'b', block: { text: 'TWO', key: 'ignored', extra: true } }
+    ]);
+
+    assert.deepEqual(result.content.blocks[1], { ...block('b', 'TWO') });
+  });
+
+  it('deletes blocks', () => {
+    const result = applyBlockOperations(content(), [{ op: 'delete', key: 'a' }]);
+
+    assert.deepEqual(keys(result), ['b']);
+  });
+
+  it('leaves the original content untouched', () => {
+    const original = content();
+    applyBlockOperations(original, [{ op: 'update', key: 'a', block: { text: 'changed' } }]);
+
+    assert.equal(original.blocks[0].text, 'one');
+  });
+
+  it('adds entities from the patch to the entity map', () => {
+    const result = applyBlockOperations({ ...content(), entityMap: { 0: { type: 'LINK' } } }, [], { 1: { type: 'IMAGE' } });
+
+    assert.deepEqual(result.content.entityMap, { 0: { type: 'LINK' }, 1: { type: 'IMAGE' } });
+  });
+
+  it('reports the failing operation', () => {
+    assert.deepEqual(applyBlockOperations(content(), 'nope'), { error: 'operations must be an array' });
+    assert.deepEqual(applyBlockOperations(content(), [{ op: 'move' }]), { error: 'Operation 0: op must be one of insert, update, delete' });
+    assert.deepEqual(
+      applyBlockOperations(content(), [{ op: 'delete', key: 'a' }, { op: 'update', key: 'a', block: {} }]),
+      { error: 'Operation 1: block a not found' }
+    );
+    assert.deepEqual(applyBlockOperations(content(), [{ op: 'insert', block: { key: 'a' } }]), { error: 'Operation 0: block a already exists' });
+    assert.deepEqual(applyBlockOperations(content(), [{ op: 'insert', block: {} }]), { error: 'Operation 0: inserted block needs a key' });
+    assert.deepEqual(applyBlockOperations(content(), [{ op: 'insert', after: 'q', block: { key: 'x' } }]), { error: 'Operation 0: block q not found' });
+    assert.deepEqual(
+      applyBlockOperations(content(), [{ op: 'update', key: 'a', block: { entityRanges: 'x' } }]),
+      { error: 'Operation 0: entityRanges must be an array' }
+    );
+  });
+
+  it('turns plain text content into blocks first', () => {
+    const result = applyBlockOperations('first\nsecond', [{ op: 'delete', key: 'line-0' }]);
+
+    assert.deepEqual(result.content.blocks.map(b => b.text), ['second']);
+  });
+});
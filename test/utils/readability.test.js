@@ -0,0 +1,89 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { countSyllables, splitSentences, countProse, combineCounts, proseMetrics } = require('../../utils/readability');
+
+const block = (key, text, type = 'unstyled') => ({
+  key,
+  type,
+  text,
+  depth: 0,
+  inlineStyleRanges: [],
+  entityRanges: [],
+  data: {}
+});
+
+const content = (...blocks) => ({ blocks, entityMap: {} });
+
+describe('countSyllables', () => {
+  it('estimates syllables in English words', () => {
+    assert.equal(countSyllables('cat'), 1);
+    assert.equal(countSyllables('table'), 2);
+    assert.equal(countSyllables('banana'), 3);
+    assert.equal(countSyllables('walked'), 1);
+  });
+});
+
+describe('splitSentences', () => {
+  it('does not end sentences at abbreviations or before lower case words', () => {
+    assert.deepEqual(
+      splitSentences('Mr. Smith left. "Really?" she asked. Then quiet!'),
+      ['Mr. Smith left.', '"Really?" she asked.', 'Then quiet!']
+    );
+  });
+
+  it('leaves out pieces without words', () => {
+    assert.deepEqual(splitSentences('Wait... ...'), ['Wait...']);
+  });
+});
+
+describe('countProse', () => {
+  it('counts paragraphs, dialogue, adverbs and passive sentences', () => {
+    const counts = countProse(content(
+      block('h', 'Chapter One', 'header-one'),
+      block('a', '"Run now," she said quietly. The door was opened.'),
+      block('b', 'He ran.')
+    ));
+
+    assert.equal(counts.paragraphs, 2);
+    assert.equal(counts.words, 11);
+    assert.equal(counts.sentences, 3);
+    assert.equal(counts.dialogueWords, 2);
+    assert.equal(counts.adverbs, 1);
+    assert.equal(counts.passiveSentences, 1);
+    assert.equal(counts.longestSentence, 5);
+    assert.deepEqual(counts.sentenceLengths, [3, 0, 0, 0, 0, 0, 0]);
+  });
+});
+
+describe('combineCounts', () => {
+  it('sums counts and keeps the longest sentence', () => {
+    const one = countProse(content(block('a', 'One two three.')));
+    const two = countProse(content(block('a', 'One two three four five six.')));
+    const total = combineCounts([one, two]);
+
+    assert.equal(total.words, 9);
+    assert.equal(total.sentences, 2);
+    assert.equal(total.longestSentence, 6);
+    assert.deepEqual(total.sentenceLengths, [1, 1, 0, 0, 0, 0, 0]);
+  });
+});
+
+describe('proseMetrics', () => {
+  it('gives null scores when there is no text', () => {
+    const metrics = proseMetrics(countProse(content()));
+
+    assert.equal(metrics.wordCount, 0);
+    assert.equal(metrics.fleschReadingEase, null);
+    assert.equal(metrics.dialogueRatio, null);
+    assert.equal(metrics.sentenceLengthDistribution.length, 7);
+    assert.deepEqual(metrics.sentenceLengthDistribution[6], { min: 41, max: null, count: 0 });
+  });
+
+  it('scores simple prose as easy to read', () => {
+    const metrics = proseMetrics(countProse(content(block('a', 'The cat sat. The dog ran.'))));
+
+    assert.equal(metrics.averageSentenceLength, 3);
+    assert.equal(metrics.fleschReadingEase, 119.19);
+    assert.equal(metrics.narrationRatio, 1);
+  });
+});
@@ -0,0 +1,84 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createRepetitionCollector } = require('../../utils/repetition');
+
+const block = (key, text) => ({
+  key,
+  type: 'unstyled',
+  text,
+  depth: 0,
+  inlineStyleRanges: [],
+  entityRanges: [],
+  data: {}
+});
+
+const content = (...blocks) => ({ blocks, entityMap: {} });
+
+const reportOn = (chapters, options, reportOptions) => {
+  const collector = createRepetitionCollector(options);
+  chapters.forEach(([chapterId, chapterContent, scenes]) => collector.addChapter(chapterId, chapterContent, scenes));
+  return collector.report(reportOptions);
+};
+
+describe('createRepetitionCollector', () => {
+  it('ranks frequent words across chapters, leaving out stop words', () => {
+    const report = reportOn([
+      ['c1', content(block('a', 'The storm broke. The storm raged.'))],
+      ['c2', content(block('b', 'After the storm, calm.'))]
+    ]);
+
+    assert.equal(report.totalWords, 10);
+    assert.deepEqual(report.words.map(word => [word.word, word.count]), [['storm', 3]]);
+    assert.equal(report.words[0].per1000Words, 300);
+    assert.deepEqual(report.words[0].locations[2], { chapterId: 'c2', sceneId: null, blockKey: 'b', offset: 10, length: 5 });
+  });
+
+  it('keeps only the longest of phrases repeated together', () => {
+    const report = reportOn([
+      ['c1', content(block('a', 'cold grey morning light'), block('b', 'a cold grey morning light'))]
+    ]);
+
+    assert.deepEqual(report.phrases.map(phrase => [phrase.phrase, phrase.count]), [['cold grey morning light', 2]]);
+    assert.deepEqual(report.phrases[0].locations[1], { chapterId: 'c1', sceneId: null, blockKey: 'b', offset: 2, length: 23 });
+  });
+
+  it('flags echoes within the window but not across chapters', () => {
+    const report = reportOn([
+      ['c1', content(block('a', 'Shadows fell. More shadows.'))],
+      ['c2', content(block('a', 'Shadows again.'))]
+    ], { echoWindow: 5 });
+
+    assert.equal(report.echoCount, 1);
+    assert.equal(report.echoes[0].word, 'shadows');
+    assert.equal(report.echoes[0].distance, 3);
+    assert.deepEqual(report.echoes[0].second, { chapterId: 'c1', sceneId: null, blockKey: 'a', offset: 19, length: 7 });
+  });
+
+  it('reads scenes after the chapter content and reports their scene', () => {
+    const report = reportOn([
+      ['c1', content(block('a', 'Shadows fell.')), [{ _id: 's1', content: content(block('b', 'More shadows.')) }]]
+    ], { echoWindow: 5 });
+
+    assert.equal(report.totalWords, 4);
+    assert.equal(report.echoCount, 1);
+    assert.deepEqual(report.echoes[0].first, { chapterId: 'c1', sceneId: null, blockKey: 'a', offset: 0, length: 7 });
+    assert.deepEqual(report.echoes[0].second, { chapterId: 'c1', sceneId: 's1', blockKey: 'b', offset: 5, length: 7 });
+  });
+
+  it('counts crutch words and phrases, case-insensitively', () => {
+    const report = reportOn([
+      ['c1', content(block('a', 'She Began to run. He began to wonder, just once.'))]
+    ], { crutchWords: ['began to', 'just', 'very'] });
+
+    assert.deepEqual(report.crutchWords.map(crutch => [crutch.phrase, crutch.count]), [['began to', 2], ['just', 1]]);
+    assert.deepEqual(report.crutchWords[0].locations[0], { chapterId: 'c1', sceneId: null, blockKey: 'a', offset: 4, length: 8 });
+  });
+
+  it('applies limit and minCount', () => {
+    const report = reportOn([
+      ['c1', content(block('a', 'apple apple apple pear pear plum'))]
+    ], {}, { limit: 1, minCount: 1 });
+
+    assert.deepEqual(report.words.map(word => word.word), ['apple']);
+  });
+});
@@ -0,0 +1,115 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  regexTimeBudget,
+  buildReplacePattern,
+  matchCase,
+  expandReplacement,
+  findReplacements,
+  applyReplacements
+} = require('../../utils/replace');
+
+const block = (key, text, extra = {}) => ({
+  key,
+  type: 'unstyled',
+  text,
+  depth: 0,
+  inlineStyleRanges: [],
+  entityRanges: [],
+  data: {},
+  ...extra
+});
+
+describe('buildReplacePattern', () => {
+  it('escapes literal text and rejects invalid patterns', () => {
+    assert.equal(buildReplacePattern({ find: 'a.b' }).regex.test('axb'), false);
+    assert.match(buildReplacePattern({ find: '(', regex: true }).error, /^Invalid regular expression/);
+    assert.deepEqual(buildReplacePattern({ find: '' }), { error: 'find is required' });
+  });
+
+  it('only prefilters literal searches', () => {
+    assert.deepEqual(buildReplacePattern({ find: 'Ann' }).prefilter, { $regex: 'Ann', $options: 'i' });
+    assert.equal(buildReplacePattern({ find: 'A.n', regex: true }).prefilter, null);
+  });
+
+  it('matches whole words only when asked', () => {
+    const { regex } = buildReplacePattern({ find: 'Ann', wholeWord: true });
+    assert.equal(regex.test('Annabel'), false);
+    regex.lastIndex = 0;
+    assert.equal(regex.test('ask Ann.'), true);
+  });
+});
+
+describe('matchCase', () => {
+  it('copies the capitalisation of the replaced text', () => {
+    assert.equal(matchCase('ANN', 'beth'), 'BETH');
+    assert.equal(matchCase('ann', 'Beth'), 'beth');
+    assert.equal(matchCase('Ann', 'beth'), 'Beth');
+    assert.equal(matchCase('aNn', 'beth'), 'beth');
+  });
+});
+
+describe('expandReplacement', () => {
+  it('expands groups, named groups, $& and $$', () => {
+    const result = /(?<first>\w+) (\w+)/.exec('Ann Lee');
+    assert.equal(expandReplacement('$2, $<first> ($&) $$ $9', result), 'Lee, Ann (Ann Lee) $ $9');
+  });
+});
+
+describe('findReplacements', () => {
+  it('reports code point offsets and the replacement of each match', () => {
+    const { regex } = buildReplacePattern({ find: 'ann', preserveCase: true });
+    const content = { blocks: [block('a', '😀 Ann met ann')], entityMap: {} };
+
+    const matches = findReplacements(content, { regex, replace: 'beth', preserveCase: true });
+
+    assert.deepEqual(matches.map(m => [m.blockKey, m.offset, m.length, m.replacement]), [
+      ['a', 2, 3, 'Beth'],
+      ['a', 10, 3, 'beth']
+    ]);
+  });
+
+  it('gives up on patterns that run out of time', () => {
+    const { regex } = buildReplacePattern({ find: '(a+)+$', regex: true });
+    const content = { blocks: [block('a', `${'a'.repeat(40)}b`)], entityMap: {} };
+    const budget = regexTimeBudget();
+    budget.remaining = 100;
+
+    const started = Date.now();
+    assert.equal(findReplacements(content, { regex, isRegex: true, budget }), null);
+    assert.ok(Date.now() - started < 2000);
+    assert.ok(budget.remaining <= 0);
+  });
+
+  it('uses up the budget across calls', () => {
+    const { regex } = buildReplacePattern({ find: 'a', regex: true });
+    const content = { blocks: [block('a', 'banana')], entityMap: {} };
+    const budget = regexTimeBudget();
+
+    assert.equal(findReplacements(content, { regex, isRegex: true, budget }).length, 3);
+    budget.remaining = 0;
+    assert.equal(findReplacements(content, { regex, isRegex: true, budget }), null);
+  });
+});
+
+describe('applyReplacements', () => {
+  it('rewrites text and moves style ranges around each edit', () => {
+    const { regex } = buildReplacePattern({ find: 'Ann' });
+    const content = {
+      blocks: [block('a', 'Ann and Ann', { inlineStyleRanges: [{ offset: 4, length: 3, style: 'BOLD' }] })],
+      entityMap: {}
+    };
+
+    const result = applyReplacements(content, findReplacements(content, { regex, replace: 'Beth' }));
+
+    assert.equal(result.blocks[0].text, 'Beth and Beth');
+    assert.deepEqual(result.blocks[0].inlineStyleRanges, [{ offset: 5, length: 3, style: 'BOLD' }]);
+  });
+
+  it('keeps plain text content as text', () => {
+    const { regex } = buildReplacePattern({ find: 'x' });
+    const replacements = findReplacements('x\ny x', { regex, replace: 'z' });
+
+    assert.equal(applyReplacements('x\ny x', replacements), 'z\ny z');
+  });
+});
@@ -0,0 +1,73 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { splitContent, mergeContents } = require('../../utils/splitMerge');
+
+const block = (key, text, entityRanges = []) => ({
+  key,
+  type: 'unstyled',
+  text,
+  depth: 0,
+  inlineStyleRanges: [],
+  entityRanges,
+  data: {}
+});
+
+const link = (url) => ({ type: 'LINK', mutability: 'MUTABLE', data: { url } });
+
+const keys = (content) => content.blocks.map(b => b.key);
+
+describe('splitContent', () => {
+  const content = {
+    blocks: [
+      block('a', 'one', [{ offset: 0, length: 3, key: 0 }]),
+      block('b', 'two'),
+      block('c', 'three', [{ offset: 0, length: 5, key: 1 }])
+    ],
+    entityMap: { 0: link('https://a.test'), 1: link('https://c.test') }
+  };
+
+  it('splits before the block and keeps each half\'s entities', () => {
+    const { before, after, movedKeys } = splitContent(content, 'b');
+
+    assert.deepEqual(keys(before), ['a']);
+    assert.deepEqual(keys(after), ['b', 'c']);
+    assert.deepEqual(movedKeys, ['b', 'c']);
+    assert.deepEqual(before.entityMap, { 0: link('https://a.test') });
+    assert.deepEqual(after.entityMap, { 1: link('https://c.test') });
+  });
+
+  it('refuses unknown blocks and the first block', () => {
+    assert.match(splitContent(content, 'z').error, /does not match a block/);
+    assert.match(splitContent(content, 'a').error, /Cannot split at the first block/);
+  });
+});
+
+describe('mergeContents', () => {
+  it('re-keys clashing blocks and reports the new keys', () => {
+    const { content, rekeyed } = mergeContents([
+      { blocks: [block('a', 'one'), block('b', 'two')], entityMap: {} },
+      { blocks: [block('a', 'three'), block('c', 'four')], entityMap: {} }
+    ]);
+
+    const newKey = rekeyed[1].get('a');
+    assert.equal(rekeyed[0].size, 0);
+    assert.equal(rekeyed[1].size, 1);
+    assert.deepEqual(keys(content), ['a', 'b', newKey, 'c']);
+    assert.equal(new Set(keys(content)).size, 4);
+  });
+
+  it('renumbers entities into one map', () => {
+    const { content } = mergeContents([
+      { blocks: [block('a', 'one', [{ offset: 0, length: 3, key: 0 }])], entityMap: { 0: link('https://one.test') } },
+      { blocks: [block('b', 'two', [{ offset: 0, length: 3, key: 0 }])], entityMap: { 0: link('https://two.test') } }
+    ]);
+
+    assert.deepEqual(content.blocks.map(b => b.entityRanges[0].key), [0, 1]);
+    assert.deepEqual(content.entityMap, { 0: link('https://one.test'), 1: link('https://two.test') });
+  });
+
+  it('accepts plain string content', () => {
+    const { content } = mergeContents(['First line', { blocks: [block('x', 'Second')], entityMap: {} }]);
+    assert.deepEqual(content.blocks.map(b => b.text), ['First line', 'Second']);
+  });
+});
@@ -0,0 +1,75 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  normalizeLanguage,
+  normalizeWordCountRules,
+  wordCountOptions,
+  countText,
+  countWords
+} = require('../../utils/wordCount');
+
+describe('countText', () => {
+  it('does not count lone punctuation or scene breaks', () => {
+    assert.equal(countText('She left — quietly.'), 3);
+    assert.equal(countText('***'), 0);
+    assert.equal(countText(''), 0);
+  });
+
+  it('follows the hyphen and dash rules', () => {
+    assert.equal(countText('a well-known fact'), 3);
+    assert.equal(countText('a well-known fact', { hyphenatedWords: 'split' }), 4);
+    assert.equal(countText('yes—no'), 2);
+    assert.equal(countText('yes—no', { emDashes: 'join' }), 1);
+  });
+
+  it('counts numbers unless told to ignore them', () => {
+    assert.equal(countText('In 1984 it rained'), 4);
+    assert.equal(countText('In 1984 it rained', { numbers: 'ignore' }), 3);
+  });
+
+  it('counts Chinese and Japanese by character unless told to segment words', () => {
+    assert.equal(countText('我爱你'), 3);
+    assert.ok(countText('我爱你', { language: 'zh', cjk: 'words' }) < 3);
+  });
+
+  it('segments scripts written without spaces', () => {
+    assert.ok(countText('สวัสดีครับ', { language: 'th' }) > 1);
+  });
+});
+
+describe('countWords', () => {
+  it('sums the blocks of Draft.js content and accepts plain strings', () => {
+    const content = { blocks: [{ text: 'One two' }, { text: 'three' }], entityMap: {} };
+    assert.equal(countWords(content), 3);
+    assert.equal(countWords('one two'), 2);
+    assert.equal(countWords(null), 0);
+  });
+});
+
+describe('wordCountOptions', () => {
+  it('fills in defaults around a project\'s own rules', () => {
+    assert.deepEqual(wordCountOptions({ language: 'fr', wordCountRules: { numbers: 'ignore' } }), {
+      language: 'fr',
+      hyphenatedWords: 'one',
+      emDashes: 'split',
+      numbers: 'ignore',
+      cjk: 'characters'
+    });
+    assert.equal(wordCountOptions(null).language, 'en');
+  });
+});
+
+describe('normalizeWordCountRules and normalizeLanguage', () => {
+  it('rejects unknown rules and values', () => {
+    assert.deepEqual(normalizeWordCountRules({ emDashes: 'join' }), { rules: { emDashes: 'join' } });
+    assert.match(normalizeWordCountRules({ commas: 'count' }).error, /Unknown word count rule "commas"/);
+    assert.match(normalizeWordCountRules({ numbers: 'maybe' }).error, /must be one of: count, ignore/);
+    assert.match(normalizeWordCountRules([]).error, /must be an object/);
+  });
+
+  it('canonicalizes language tags', () => {
+    assert.equal(normalizeLanguage(' en-us '), 'en-US');
+    assert.equal(normalizeLanguage('not a tag!'), null);
+    assert.equal(normalizeLanguage(''), null);
+  });
+});
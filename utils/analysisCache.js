@@ -0,0 +1,92 @@
+// Per-chapter cache for text analyses. A chapter's text is its own content
+// followed by its scenes'. An entry is only used while the chapter is still at
+// the revision, and its scenes at the edits, it was computed from;
+// commitChapterUpdate drops a chapter's entries whenever its content changes.
+const crypto = require('crypto');
+const Chapter = require('../models/Chapter');
+const ChapterAnalysis = require('../models/ChapterAnalysis');
+const Scene = require('../models/Scene');
+const { revisionOf } = require('./revisions');
+const { toDraft } = require('./formats');
+const { getBlocks } = require('./draft');
+const { chapterScenes } = require('./scenes');
+
+// Fingerprint of each chapter's scenes and when they were last edited, by
+// chapter id; chapters without scenes have none
+const sceneFingerprints = async (chapterIds) => {
+  const scenes = await Scene.find({ chapterId: { $in: chapterIds } })
+    .select('chapterId updatedAt')
+    .sort({ orderIndex: 1 })
+    .lean();
+
+  const parts = new Map();
+  scenes.forEach(scene => {
+    const key = scene.chapterId.toString();
+    if (!parts.has(key)) parts.set(key, []);
+    parts.get(key).push(`${scene._id}@${new Date(scene.updatedAt).getTime()}`);
+  });
+  return new Map([...parts].map(([key, list]) => [
+    key,
+    crypto.createHash('sha1').update(list.join(',')).digest('hex')
+  ]));
+};
+
+// A chapter's text with its scenes' blocks after its own, as Draft.js raw content
+const chapterText = async (chapter) => {
+  const { content, format } = chapter.content !== undefined
+    ? chapter
+    : await Chapter.findById(chapter._id).select('content format');
+  const scenes = await chapterScenes(chapter._id);
+
+  const raw = toDraft(content, format);
+  if (scenes.length === 0) return raw;
+  return {
+    blocks: [...getBlocks(raw), ...scenes.flatMap(scene => getBlocks(scene.content))],
+    entityMap: (raw && raw.entityMap) || {}
+  };
+};
+
+// Run `analyze(content)` for each chapter, reusing cached results. Chapters
+// need _id, projectId and revision; text is only loaded for cache misses and
+// is handed to `analyze` as Draft.js raw content whatever its format.
+const cachedAnalyses = async (chapters, kind, analyze) => {
+  const chapterIds = chapters.map(chapter => chapter._id);
+  const [cached, fingerprints] = await Promise.all([
+    ChapterAnalysis.find({ chapterId: { $in: chapterIds }, kind }),
+    sceneFingerprints(chapterIds)
+  ]);
+  // Entries from before scenes were analysed have no fingerprint, which only
+  // matches chapters without scenes
+  const cache = new Map(cached.map(entry => [`${entry.chapterId}:${entry.revision}:${entry.scenes || ''}`, entry.result]));
+
+  const results = [];
+  for (const chapter of chapters) {
+    const revision = revisionOf(chapter);
+    const scenes = fingerprints.get(chapter._id.toString()) || '';
+    const key = `${chapter._id}:${revision}:${scenes}`;
+    if (cache.has(key)) {
+      results.push(cache.get(key));
+      continue;
+    }
+
+    const result = analyze(await chapterText(chapter));
+
+    await ChapterAnalysis.updateOne(
+      { chapterId: chapter._id, kind },
+      { $set: { projectId: chapter.projectId, revision, scenes, result, createdAt: Date.now() } },
+      { upsert: true }
+    );
+    results.push(result);
+  }
+  return results;
+};
+
+const cachedAnalysis = async (chapter, kind, analyze) => {
+  const [result] = await cachedAnalyses([chapter], kind, analyze);
+  return result;
+};
+
+module.exports = {
+  cachedAnalyses,
+  cachedAnalysis
+};
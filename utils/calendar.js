@@ -0,0 +1,278 @@
+// In-world calendars and dates. A project uses the Gregorian calendar unless
+// it defines its own: named months of fixed length and consecutive eras.
+// Dates are turned into ticks (minutes from a fixed point) for ordering.
+const mongoose = require('mongoose');
+
+const MINUTES_PER_DAY = 24 * 60;
+
+const GREGORIAN = {
+  name: 'Gregorian',
+  months: [
+    { name: 'January', days: 31 },
+    { name: 'February', days: 28 },
+    { name: 'March', days: 31 },
+    { name: 'April', days: 30 },
+    { name: 'May', days: 31 },
+    { name: 'June', days: 30 },
+    { name: 'July', days: 31 },
+    { name: 'August', days: 31 },
+    { name: 'September', days: 30 },
+    { name: 'October', days: 31 },
+    { name: 'November', days: 30 },
+    { name: 'December', days: 31 }
+  ],
+  eras: [
+    { name: 'Before Common Era', abbreviation: 'BCE', countsDown: true },
+    { name: 'Common Era', abbreviation: 'CE' }
+  ],
+  leapYears: true
+};
+
+// Stored in-world date; era is the era's abbreviation, or its name
+const inWorldDateSchema = new mongoose.Schema({
+  era: String,
+  year: Number,
+  month: Number,
+  day: Number,
+  hour: Number,
+  minute: Number
+}, { _id: false });
+
+// Stored in-world date range. from and to are the ticks of its start and end
+// (the start again for a single moment), kept for range queries.
+const inWorldRangeSchema = new mongoose.Schema({
+  start: inWorldDateSchema,
+  end: {
+    type: inWorldDateSchema,
+    default: null
+  },
+  from: Number,
+  to: Number
+}, { _id: false });
+
+// The calendar a project's dates are in
+const getCalendar = (project) => {
+  const calendar = project && project.calendar;
+  return calendar && calendar.months && calendar.months.length > 0 ? calendar : GREGORIAN;
+};
+
+const eraLabel = (era) => era.abbreviation || era.name;
+
+// Validate a custom calendar from a request body. Eras follow one another;
+// the first may count down (like BCE) and all but the first and last need
+// their length in years. Returns { calendar } or { error }.
+const normalizeCalendar = (input) => {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { error: 'calendar must be an object with months and eras' };
+  }
+
+  const { months, eras = [] } = input;
+  if (!Array.isArray(months) || months.length === 0 || months.length > 100) {
+    return { error: 'calendar.months must be a list of 1 to 100 months' };
+  }
+  for (const month of months) {
+    if (!month || typeof month.name !== 'string' || !month.name.trim()) {
+      return { error: 'Each month needs a name' };
+    }
+    if (!Number.isInteger(month.days) || month.days < 1 || month.days > 1000) {
+      return { error: `Month "${month.name}" must have a whole number of days from 1 to 1000` };
+    }
+  }
+
+  if (!Array.isArray(eras)) {
+    return { error: 'calendar.eras must be a list of eras' };
+  }
+  const labels = new Set();
+  for (const [index, era] of eras.entries()) {
+    if (!era || typeof era.name !== 'string' || !era.name.trim()) {
+      return { error: 'Each era needs a name' };
+    }
+    const label = eraLabel(era).trim().toLowerCase();
+    if (labels.has(label)) {
+      return { error: `Era "${eraLabel(era)}" is listed twice` };
+    }
+    labels.add(label);
+    if (era.countsDown && index > 0) {
+      return { error: 'Only the first era can count down' };
+    }
+    const needsLength = index > 0 && index < eras.length - 1;
+    if (needsLength && (!Number.isInteger(era.years) || era.years < 1)) {
+      return { error: `Era "${era.name}" needs its length in years` };
+    }
+  }
+
+  return {
+    calendar: {
+      name: typeof input.name === 'string' ? input.name.trim() : undefined,
+      months: months.map(month => ({ name: month.name.trim(), days: month.days })),
+      eras: eras.map((era, index) => ({
+        name: era.name.trim(),
+        abbreviation: typeof era.abbreviation === 'string' ? era.abbreviation.trim() : undefined,
+        years: index > 0 && index < eras.length - 1 ? era.years : undefined,
+        countsDown: index === 0 && Boolean(era.countsDown)
+      }))
+    }
+  };
+};
+
+// Index of an era by name or abbreviation; no era means the latest one
+const findEra = (calendar, era) => {
+  const eras = calendar.eras || [];
+  if (eras.length === 0) return era ? -1 : null;
+  if (era === undefined || era === null || era === '') return eras.length - 1;
+
+  const wanted = String(era).trim().toLowerCase();
+  return eras.findIndex(candidate => candidate.name.toLowerCase() === wanted
+    || (candidate.abbreviation && candidate.abbreviation.toLowerCase() === wanted));
+};
+
+// Years counted from the start of the first counting-up era, so that year 1
+// of that era is 1 and the year before it is 0
+const absoluteYear = (calendar, eraIndex, year) => {
+  if (eraIndex === null) return year;
+
+  const eras = calendar.eras;
+  if (eras[eraIndex].countsDown) return 1 - year;
+
+  const firstUp = eras[0].countsDown ? 1 : 0;
+  let offset = 0;
+  for (let index = firstUp; index < eraIndex; index++) offset += eras[index].years;
+  return offset + year;
+};
+
+const isLeapYear = (year) => (year % 4 === 0 && year % 100 !== 0) || year % 400 === 0;
+
+const daysInMonth = (calendar, year, month) => {
+  const { days } = calendar.months[month - 1];
+  return calendar.leapYears && month === 2 && isLeapYear(year) ? days + 1 : days;
+};
+
+const utcDay = (year, month, day) => {
+  const date = new Date(0);
+  date.setUTCFullYear(year, month - 1, day);
+  return Math.round(date.getTime() / (MINUTES_PER_DAY * 60 * 1000));
+};
+const GREGORIAN_YEAR_ONE = utcDay(1, 1, 1);
+
+// Days from the start of absolute year 1
+const dayNumber = (calendar, year, month, day) => {
+  if (calendar.leapYears) return utcDay(year, month, day) - GREGORIAN_YEAR_ONE;
+
+  const yearLength = calendar.months.reduce((sum, candidate) => sum + candidate.days, 0);
+  const daysBefore = calendar.months.slice(0, month - 1).reduce((sum, candidate) => sum + candidate.days, 0);
+  return (year - 1) * yearLength + daysBefore + day - 1;
+};
+
+// Dates can be written as "year-month-day[ hh:mm][ era]", e.g. "1204-3-15 TA"
+const DATE_PATTERN = /^\s*(\d+)-(\d+)-(\d+)(?:[ T](\d{1,2}):(\d{2}))?(?:\s+(.+?))?\s*$/;
+
+const parseDateString = (text) => {
+  const match = DATE_PATTERN.exec(text);
+  if (!match) return null;
+  const [, year, month, day, hour, minute, era] = match;
+  return {
+    year: Number(year),
+    month: Number(month),
+    day: Number(day),
+    hour: hour === undefined ? undefined : Number(hour),
+    minute: minute === undefined ? undefined : Number(minute),
+    era
+  };
+};
+
+const isWhole = (value, min, max) => Number.isInteger(value) && value >= min && value <= max;
+
+// Validate an in-world date, as an object or a string, against a calendar.
+// Returns { date, tick } or { error }.
+const normalizeDate = (calendar, input) => {
+  const parts = typeof input === 'string' ? parseDateString(input) : input;
+  if (!parts || typeof parts !== 'object') {
+    return { error: 'Dates must be { year, month, day, hour?, minute?, era? } or "year-month-day[ hh:mm][ era]"' };
+  }
+
+  const eraIndex = findEra(calendar, parts.era);
+  if (eraIndex === -1) {
+    const eras = (calendar.eras || []).map(eraLabel);
+    return { error: eras.length > 0 ? `era must be one of: ${eras.join(', ')}` : 'This calendar has no eras' };
+  }
+
+  const year = Number(parts.year);
+  if (!Number.isInteger(year) || (eraIndex !== null && year < 1)) {
+    return { error: 'year must be a whole number of at least 1' };
+  }
+  const era = eraIndex === null ? null : calendar.eras[eraIndex];
+  if (era && era.years && year > era.years && eraIndex < calendar.eras.length - 1) {
+    return { error: `${era.name} only lasts ${era.years} years` };
+  }
+
+  const month = Number(parts.month);
+  if (!isWhole(month, 1, calendar.months.length)) {
+    return { error: `month must be from 1 to ${calendar.months.length}` };
+  }
+  const absolute = absoluteYear(calendar, eraIndex, year);
+  const day = Number(parts.day);
+  const monthDays = daysInMonth(calendar, absolute, month);
+  if (!isWhole(day, 1, monthDays)) {
+    return { error: `${calendar.months[month - 1].name} ${year} has ${monthDays} days` };
+  }
+
+  const hour = parts.hour === undefined || parts.hour === null ? undefined : Number(parts.hour);
+  const minute = parts.minute === undefined || parts.minute === null ? undefined : Number(parts.minute);
+  if ((hour !== undefined && !isWhole(hour, 0, 23)) || (minute !== undefined && !isWhole(minute, 0, 59))) {
+    return { error: 'hour must be from 0 to 23 and minute from 0 to 59' };
+  }
+
+  return {
+    date: {
+      era: era ? eraLabel(era) : undefined,
+      year,
+      month,
+      day,
+      hour,
+      minute
+    },
+    tick: dayNumber(calendar, absolute, month, day) * MINUTES_PER_DAY + (hour || 0) * 60 + (minute || 0)
+  };
+};
+
+// Validate an in-world date range ({ start, end? }), or null to clear it.
+// Returns { when } or { error }.
+const normalizeRange = (calendar, input) => {
+  if (input === null) return { when: null };
+  if (!input || typeof input !== 'object' || Array.isArray(input) || input.start === undefined) {
+    return { error: 'when must be { start, end? } or null' };
+  }
+
+  const start = normalizeDate(calendar, input.start);
+  if (start.error) return { error: `when.start: ${start.error}` };
+  if (input.end === undefined || input.end === null) {
+    return { when: { start: start.date, end: null, from: start.tick, to: start.tick } };
+  }
+
+  const end = normalizeDate(calendar, input.end);
+  if (end.error) return { error: `when.end: ${end.error}` };
+  if (end.tick < start.tick) {
+    return { error: 'when.end cannot be before when.start' };
+  }
+  return { when: { start: start.date, end: end.date, from: start.tick, to: end.tick } };
+};
+
+// "15 March 1204 TA 14:05"
+const formatDate = (calendar, date) => {
+  if (!date) return null;
+  const month = calendar.months[date.month - 1];
+  const time = date.hour !== undefined && date.hour !== null
+    ? ` ${String(date.hour).padStart(2, '0')}:${String(date.minute || 0).padStart(2, '0')}`
+    : '';
+  return `${date.day} ${month ? month.name : date.month} ${date.year}${date.era ? ` ${date.era}` : ''}${time}`;
+};
+
+module.exports = {
+  GREGORIAN,
+  inWorldRangeSchema,
+  getCalendar,
+  normalizeCalendar,
+  normalizeDate,
+  normalizeRange,
+  formatDate
+};
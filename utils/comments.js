@@ -0,0 +1,133 @@
+const Comment = require('../models/Comment');
+const { getBlocks } = require('./draft');
+const { diffWords } = require('./diff');
+const { codePointOffsets } = require('./search');
+
+const codePointLength = (text) => Array.from(text).length;
+
+const sliceCodePoints = (text, offset, length) => Array.from(text).slice(offset, offset + length).join('');
+
+// Map a code point position in the old text to the new text through a word
+// diff. A start position moves past text inserted at it; an end does not.
+const mapPosition = (ops, position, isEnd) => {
+  let oldPos = 0;
+  let newPos = 0;
+
+  for (const op of ops) {
+    const length = codePointLength(op.text);
+    if (op.op === 'insert') {
+      newPos += length;
+      continue;
+    }
+
+    const inside = isEnd ? position <= oldPos + length : position < oldPos + length;
+    if (inside) {
+      // Positions inside deleted text collapse to where the deletion was
+      return op.op === 'equal' ? newPos + (position - oldPos) : newPos;
+    }
+
+    oldPos += length;
+    if (op.op === 'equal') newPos += length;
+  }
+
+  return newPos;
+};
+
+// Find the quoted text again, trying the anchor's own block first
+const locateQuote = (quote, blocks, preferredKey) => {
+  if (!quote) return null;
+
+  const ordered = [
+    ...blocks.filter(block => block.key === preferredKey),
+    ...blocks.filter(block => block.key !== preferredKey)
+  ];
+  for (const block of ordered) {
+    const index = block.text.indexOf(quote);
+    if (index === -1) continue;
+    const offsets = codePointOffsets(block.text);
+    return {
+      blockKey: block.key,
+      offset: offsets[index],
+      length: codePointLength(quote),
+      quote
+    };
+  }
+  return null;
+};
+
+// Move an anchor from old content to new content. Returns { anchor, orphaned };
+// an orphaned comment keeps its last known anchor. Anchors that were already
+// orphaned, or no longer line up with the old text, can only be found again
+// by their quote.
+const remapAnchor = (anchor, oldContent, newContent, wasOrphaned = false) => {
+  const newBlocks = getBlocks(newContent);
+  const newBlock = newBlocks.find(block => block.key === anchor.blockKey);
+  const oldBlock = getBlocks(oldContent).find(block => block.key === anchor.blockKey);
+  const inPlace = !wasOrphaned && oldBlock
+    && sliceCodePoints(oldBlock.text, anchor.offset, anchor.length) === anchor.quote;
+
+  if (newBlock && inPlace) {
+    if (oldBlock.text === newBlock.text) {
+      return { anchor, orphaned: false };
+    }
+
+    const ops = diffWords(oldBlock.text, newBlock.text);
+    const start = mapPosition(ops, anchor.offset, false);
+    const end = mapPosition(ops, anchor.offset + anchor.length, true);
+    if (end > start) {
+      return {
+        anchor: {
+          blockKey: anchor.blockKey,
+          offset: start,
+          length: end - start,
+          quote: sliceCodePoints(newBlock.text, start, end - start)
+        },
+        orphaned: false
+      };
+    }
+  }
+
+  // The anchored text was deleted or its block is gone; look for the quote
+  const found = locateQuote(anchor.quote, newBlocks, anchor.blockKey);
+  return found ? { anchor: found, orphaned: false } : { anchor, orphaned: true };
+};
+
+// Re-anchor a chapter's comments after its content changes. Failures are
+// logged and never block a save.
+const remapChapterComments = async (chapterId, oldContent, newContent) => {
+  try {
+    const comments = await Comment.find({ chapterId, parentId: null, 'anchor.blockKey': { $exists: true } })
+      .select('anchor orphaned');
+
+    const operations = [];
+    comments.forEach(comment => {
+      const current = {
+        blockKey: comment.anchor.blockKey,
+        offset: comment.anchor.offset,
+        length: comment.anchor.length,
+        quote: comment.anchor.quote
+      };
+      const { anchor, orphaned } = remapAnchor(current, oldContent, newContent, comment.orphaned);
+      if (orphaned === comment.orphaned && JSON.stringify(anchor) === JSON.stringify(current)) return;
+
+      operations.push({
+        updateOne: {
+          filter: { _id: comment._id },
+          update: { $set: { anchor, orphaned } }
+        }
+      });
+    });
+
+    if (operations.length > 0) {
+      await Comment.bulkWrite(operations);
+    }
+  } catch (error) {
+    console.error('Remap comments error:', error);
+  }
+};
+
+module.exports = {
+  mapPosition,
+  remapAnchor,
+  remapChapterComments
+};
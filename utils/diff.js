@@ -0,0 +1,203 @@
+const { getBlocks } = require('./draft');
+const { countWords } = require('./wordCount');
+
+// Above this many token comparisons a block is diffed as a whole replacement
+const MAX_WORD_DIFF_CELLS = 4000000;
+
+// Split text into word and whitespace tokens so the diff can be rejoined exactly
+const tokenize = (text) => text.match(/\s+|[^\s]+/g) || [];
+
+const isWord = token => /\S/.test(token);
+
+// Merge consecutive operations of the same kind
+const compact = (ops) => ops.reduce((result, op) => {
+  const last = result[result.length - 1];
+  if (last && last.op === op.op) last.text += op.text;
+  else result.push({ ...op });
+  return result;
+}, []);
+
+// Longest-common-subsequence diff of two token lists
+const diffTokens = (oldTokens, newTokens) => {
+  const n = oldTokens.length;
+  const m = newTokens.length;
+
+  if (n * m > MAX_WORD_DIFF_CELLS) {
+    return compact([
+      ...oldTokens.map(text => ({ op: 'delete', text })),
+      ...newTokens.map(text => ({ op: 'insert', text }))
+    ]);
+  }
+
+  // lengths[i][j] = LCS length of oldTokens[i..] and newTokens[j..]
+  const lengths = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1));
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lengths[i][j] = oldTokens[i] === newTokens[j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const ops = [];
+  let i = 0;
+  let j = 0;
+  while (i < n && j < m) {
+    if (oldTokens[i] === newTokens[j]) {
+      ops.push({ op: 'equal', text: oldTokens[i] });
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      ops.push({ op: 'delete', text: oldTokens[i++] });
+    } else {
+      ops.push({ op: 'insert', text: newTokens[j++] });
+    }
+  }
+  while (i < n) ops.push({ op: 'delete', text: oldTokens[i++] });
+  while (j < m) ops.push({ op: 'insert', text: newTokens[j++] });
+
+  return compact(ops);
+};
+
+// Word-level diff of two strings
+const diffWords = (oldText, newText) => diffTokens(tokenize(oldText), tokenize(newText));
+
+const countTokenWords = (ops, kind) => ops
+  .filter(op => op.op === kind)
+  .reduce((sum, op) => sum + tokenize(op.text).filter(isWord).length, 0);
+
+const sameFormatting = (a, b) => a.type === b.type
+  && (a.depth || 0) === (b.depth || 0)
+  && JSON.stringify(a.inlineStyleRanges) === JSON.stringify(b.inlineStyleRanges);
+
+// Block-level diff of two Draft.js documents.
+// Blocks are matched by key first; unmatched blocks with identical text are
+// paired up so re-keyed but otherwise untouched blocks are not reported.
+// Word counts follow the project's word count `options`.
+const diffContent = (oldContent, newContent, options = {}) => {
+  const oldBlocks = getBlocks(oldContent);
+  const newBlocks = getBlocks(newContent);
+
+  const oldByKey = new Map(oldBlocks.map(block => [block.key, block]));
+  const pairs = new Map();
+  const matchedOld = new Set();
+
+  newBlocks.forEach(block => {
+    const match = oldByKey.get(block.key);
+    if (match && !matchedOld.has(match)) {
+      pairs.set(block, match);
+      matchedOld.add(match);
+    }
+  });
+
+  newBlocks.forEach(block => {
+    if (pairs.has(block)) return;
+    const match = oldBlocks.find(candidate => !matchedOld.has(candidate) && candidate.text === block.text);
+    if (match) {
+      pairs.set(block, match);
+      matchedOld.add(match);
+    }
+  });
+
+  const changes = [];
+  const summary = {
+    added: 0,
+    removed: 0,
+    changed: 0,
+    unchanged: 0,
+    wordsAdded: 0,
+    wordsRemoved: 0
+  };
+
+  // Removed blocks are reported at the position they held in the old content
+  const removedBefore = new Map();
+  oldBlocks.forEach((block, index) => {
+    if (matchedOld.has(block)) return;
+    const next = oldBlocks.slice(index + 1).find(candidate => matchedOld.has(candidate));
+    const anchor = next || null;
+    if (!removedBefore.has(anchor)) removedBefore.set(anchor, []);
+    removedBefore.get(anchor).push(block);
+  });
+
+  const pushRemoved = (anchor) => {
+    (removedBefore.get(anchor) || []).forEach(block => {
+      const words = countWords(block.text, options);
+      summary.removed++;
+      summary.wordsRemoved += words;
+      changes.push({
+        status: 'removed',
+        key: block.key,
+        type: block.type,
+        oldText: block.text,
+        wordDelta: -words
+      });
+    });
+  };
+
+  newBlocks.forEach(block => {
+    const oldBlock = pairs.get(block);
+
+    if (!oldBlock) {
+      const words = countWords(block.text, options);
+      summary.added++;
+      summary.wordsAdded += words;
+      changes.push({
+        status: 'added',
+        key: block.key,
+        type: block.type,
+        newText: block.text,
+        wordDelta: words
+      });
+      return;
+    }
+
+    pushRemoved(oldBlock);
+
+    const textChanged = oldBlock.text !== block.text;
+    const formatChanged = !sameFormatting(oldBlock, block);
+    if (!textChanged && !formatChanged) {
+      summary.unchanged++;
+      return;
+    }
+
+    const words = textChanged ? diffWords(oldBlock.text, block.text) : [{ op: 'equal', text: block.text }];
+    const wordsAdded = countTokenWords(words, 'insert');
+    const wordsRemoved = countTokenWords(words, 'delete');
+    summary.changed++;
+    summary.wordsAdded += wordsAdded;
+    summary.wordsRemoved += wordsRemoved;
+    changes.push({
+      status: 'changed',
+      key: block.key,
+      oldKey: oldBlock.key !== block.key ? oldBlock.key : undefined,
+      type: block.type,
+      oldType: oldBlock.type !== block.type ? oldBlock.type : undefined,
+      textChanged,
+      formatChanged,
+      oldText: oldBlock.text,
+      newText: block.text,
+      words,
+      wordDelta: countWords(block.text, options) - countWords(oldBlock.text, options)
+    });
+  });
+
+  pushRemoved(null);
+
+  const oldWordCount = countWords(oldContent, options);
+  const newWordCount = countWords(newContent, options);
+
+  return {
+    summary: {
+      ...summary,
+      oldWordCount,
+      newWordCount,
+      wordCountDelta: newWordCount - oldWordCount
+    },
+    blocks: changes
+  };
+};
+
+module.exports = {
+  diffContent,
+  diffWords
+};
@@ -0,0 +1,198 @@
+const {
+  AlignmentType,
+  Document,
+  Header,
+  LineRuleType,
+  Packer,
+  PageNumber,
+  Paragraph,
+  TabStopType,
+  TextRun,
+  convertInchesToTwip
+} = require('docx');
+const { HEADER_LEVELS, getBlocks, getStyledSegments } = require('./draft');
+const { manuscriptSequence } = require('./structure');
+
+// Fonts allowed by Standard Manuscript Format
+const MANUSCRIPT_FONTS = {
+  courier: 'Courier New',
+  times: 'Times New Roman'
+};
+
+// 12pt, expressed in half-points as Word expects
+const FONT_SIZE = 24;
+
+// Lines made up only of these characters are treated as scene breaks
+const SCENE_BREAK_PATTERN = /^\s*(?:[*#~]\s*){1,5}$/;
+
+// Round a word count the way manuscript title pages do
+const roundWordCount = (wordCount) => {
+  if (wordCount <= 0) return 0;
+  if (wordCount < 1000) return Math.max(100, Math.round(wordCount / 100) * 100);
+  return Math.round(wordCount / 1000) * 1000;
+};
+
+const toRuns = (block, font) => {
+  return getStyledSegments(block).map(segment => new TextRun({
+    text: segment.text,
+    font,
+    size: FONT_SIZE,
+    bold: segment.styles.includes('BOLD'),
+    italics: segment.styles.includes('ITALIC'),
+    underline: segment.styles.includes('UNDERLINE') ? {} : undefined,
+    strike: segment.styles.includes('STRIKETHROUGH')
+  }));
+};
+
+const centeredLine = (text, font, options = {}) => new Paragraph({
+  alignment: AlignmentType.CENTER,
+  ...options,
+  children: [new TextRun({ text, font, size: FONT_SIZE })]
+});
+
+// Render one chapter: new page, title a third of the way down, then the prose
+const renderChapter = (chapter, font) => {
+  const paragraphs = [
+    centeredLine(chapter.title, font, {
+      pageBreakBefore: true,
+      spacing: { before: convertInchesToTwip(2.5), after: convertInchesToTwip(0.5) }
+    })
+  ];
+
+  getBlocks(chapter.content).forEach(block => {
+    // Manuscripts do not use blank lines between paragraphs
+    if (block.text.trim() === '' || block.type === 'atomic') return;
+
+    if (SCENE_BREAK_PATTERN.test(block.text)) {
+      paragraphs.push(centeredLine('#', font));
+      return;
+    }
+
+    if (HEADER_LEVELS[block.type]) {
+      paragraphs.push(new Paragraph({
+        alignment: AlignmentType.CENTER,
+        children: toRuns(block, font)
+      }));
+      return;
+    }
+
+    if (block.type === 'blockquote') {
+      paragraphs.push(new Paragraph({
+        indent: { left: convertInchesToTwip(1), right: convertInchesToTwip(1) },
+        children: toRuns(block, font)
+      }));
+      return;
+    }
+
+    if (block.type === 'unordered-list-item' || block.type === 'ordered-list-item') {
+      paragraphs.push(new Paragraph({
+        indent: { left: convertInchesToTwip(0.5 * ((block.depth || 0) + 1)) },
+        children: [new TextRun({ text: '- ', font, size: FONT_SIZE }), ...toRuns(block, font)]
+      }));
+      return;
+    }
+
+    paragraphs.push(new Paragraph({
+      indent: { firstLine: convertInchesToTwip(0.5) },
+      children: toRuns(block, font)
+    }));
+  });
+
+  return paragraphs;
+};
+
+// Render a book or part title page: its title alone, centered, on a new page
+const renderPart = (part, font) => [
+  centeredLine(part.title.toUpperCase(), font, {
+    pageBreakBefore: true,
+    spacing: { before: convertInchesToTwip(3) }
+  })
+];
+
+// Build a Standard Manuscript Format .docx for a project's chapters
+const buildManuscriptDocx = async ({ project, chapters, parts = [], author, contact = [], font = 'courier' }) => {
+  const fontName = MANUSCRIPT_FONTS[font] || MANUSCRIPT_FONTS.courier;
+  const authorName = author || 'Anonymous';
+  const surname = authorName.trim().split(/\s+/).pop();
+  const title = project.title || 'Untitled';
+
+  const totalWordCount = chapters.reduce((sum, chapter) => sum + (chapter.wordCount || 0), 0);
+  const wordCountLabel = `about ${roundWordCount(totalWordCount).toLocaleString('en-US')} words`;
+
+  const singleSpaced = { line: 240, lineRule: LineRuleType.AUTO };
+  const rightTab = [{ type: TabStopType.RIGHT, position: convertInchesToTwip(6.5) }];
+
+  // Title page: contact block top left, word count top right, title centered
+  const titlePage = [
+    new Paragraph({
+      spacing: singleSpaced,
+      tabStops: rightTab,
+      children: [
+        new TextRun({ text: authorName, font: fontName, size: FONT_SIZE }),
+        new TextRun({ text: `\t${wordCountLabel}`, font: fontName, size: FONT_SIZE })
+      ]
+    }),
+    ...contact.filter(Boolean).map(line => new Paragraph({
+      spacing: singleSpaced,
+      children: [new TextRun({ text: line, font: fontName, size: FONT_SIZE })]
+    })),
+    centeredLine(title.toUpperCase(), fontName, {
+      spacing: { before: convertInchesToTwip(3) }
+    }),
+    centeredLine(`by ${authorName}`, fontName)
+  ];
+
+  const body = manuscriptSequence(parts, chapters).flatMap(item => (item.type === 'part'
+    ? renderPart(item.part, fontName)
+    : renderChapter(item.chapter, fontName)));
+  body.push(centeredLine('END', fontName, { spacing: { before: convertInchesToTwip(0.5) } }));
+
+  const doc = new Document({
+    creator: authorName,
+    title,
+    description: project.description || undefined,
+    styles: {
+      default: {
+        document: {
+          run: { font: fontName, size: FONT_SIZE },
+          paragraph: { spacing: { line: 480, lineRule: LineRuleType.AUTO } }
+        }
+      }
+    },
+    sections: [{
+      properties: {
+        titlePage: true,
+        page: {
+          margin: {
+            top: convertInchesToTwip(1),
+            right: convertInchesToTwip(1),
+            bottom: convertInchesToTwip(1),
+            left: convertInchesToTwip(1)
+          }
+        }
+      },
+      headers: {
+        // Title page carries no running header
+        first: new Header({ children: [new Paragraph({ children: [] })] }),
+        default: new Header({
+          children: [new Paragraph({
+            alignment: AlignmentType.RIGHT,
+            spacing: singleSpaced,
+            children: [
+              new TextRun({ text: `${surname} / ${title.toUpperCase()} / `, font: fontName, size: FONT_SIZE }),
+              new TextRun({ children: [PageNumber.CURRENT], font: fontName, size: FONT_SIZE })
+            ]
+          })]
+        })
+      },
+      children: [...titlePage, ...body]
+    }]
+  });
+
+  return Packer.toBuffer(doc);
+};
+
+module.exports = {
+  MANUSCRIPT_FONTS,
+  buildManuscriptDocx
+};
@@ -0,0 +1,142 @@
+// Helpers for working with Draft.js raw content as stored on chapters and versions
+
+// Block types that render as headings, mapped to their heading level
+const HEADER_LEVELS = {
+  'header-one': 1,
+  'header-two': 2,
+  'header-three': 3,
+  'header-four': 4,
+  'header-five': 5,
+  'header-six': 6
+};
+
+// Normalize stored content into an array of Draft.js blocks
+const getBlocks = (content) => {
+  if (!content) return [];
+
+  // Plain text content becomes one unstyled block per line
+  if (typeof content === 'string') {
+    return content.split(/\r?\n/).map((text, index) => ({
+      key: `line-${index}`,
+      type: 'unstyled',
+      text,
+      inlineStyleRanges: [],
+      entityRanges: []
+    }));
+  }
+
+  if (typeof content === 'object' && Array.isArray(content.blocks)) {
+    return content.blocks.map(block => ({
+      key: block.key,
+      type: block.type || 'unstyled',
+      text: block.text || '',
+      depth: block.depth || 0,
+      inlineStyleRanges: block.inlineStyleRanges || [],
+      entityRanges: block.entityRanges || [],
+      data: block.data || {}
+    }));
+  }
+
+  return [];
+};
+
+// Split a block into runs of text sharing the same set of inline styles.
+// Draft.js raw offsets are measured in code points, so the text is
+// walked with Array.from rather than by UTF-16 index.
+const getStyledSegments = (block) => {
+  const chars = Array.from(block.text || '');
+  if (chars.length === 0) return [];
+
+  const styles = chars.map(() => []);
+  (block.inlineStyleRanges || []).forEach(range => {
+    const end = Math.min(range.offset + range.length, chars.length);
+    for (let i = Math.max(range.offset, 0); i < end; i++) {
+      if (!styles[i].includes(range.style)) styles[i].push(range.style);
+    }
+  });
+
+  const segments = [];
+  chars.forEach((char, index) => {
+    const charStyles = styles[index].slice().sort();
+    const last = segments[segments.length - 1];
+    if (last && last.styles.join('|') === charStyles.join('|')) {
+      last.text += char;
+    } else {
+      segments.push({ text: char, styles: charStyles });
+    }
+  });
+
+  return segments;
+};
+
+// Generate a block key in the same shape Draft.js uses
+const generateBlockKey = () => Math.random().toString(36).slice(2, 7).padEnd(5, '0');
+
+// Build a raw Draft.js block from runs of text, the inverse of getStyledSegments
+const createBlock = (type, segments, extra = {}) => {
+  let text = '';
+  let offset = 0;
+  const open = {};
+  const inlineStyleRanges = [];
+
+  const closeStyle = (style) => {
+    inlineStyleRanges.push({ offset: open[style], length: offset - open[style], style });
+    delete open[style];
+  };
+
+  segments.forEach(segment => {
+    const length = Array.from(segment.text).length;
+    if (length === 0) return;
+
+    Object.keys(open)
+      .filter(style => !segment.styles.includes(style))
+      .forEach(closeStyle);
+    segment.styles.forEach(style => {
+      if (open[style] === undefined) open[style] = offset;
+    });
+
+    text += segment.text;
+    offset += length;
+  });
+  Object.keys(open).forEach(closeStyle);
+
+  return {
+    key: generateBlockKey(),
+    text,
+    type,
+    depth: 0,
+    inlineStyleRanges: inlineStyleRanges.sort((a, b) => a.offset - b.offset),
+    entityRanges: [],
+    data: {},
+    ...extra
+  };
+};
+
+// Wrap blocks into a raw Draft.js document, making sure block keys are unique
+const toRawContent = (blocks) => {
+  const seen = new Set();
+  blocks.forEach(block => {
+    while (!block.key || seen.has(block.key)) block.key = generateBlockKey();
+    seen.add(block.key);
+  });
+
+  return {
+    blocks: blocks.length > 0 ? blocks : [createBlock('unstyled', [])],
+    entityMap: {}
+  };
+};
+
+// Plain text of the whole document, one block per line
+const getPlainText = (content) => {
+  return getBlocks(content).map(block => block.text).join('\n');
+};
+
+module.exports = {
+  HEADER_LEVELS,
+  getBlocks,
+  getStyledSegments,
+  generateBlockKey,
+  createBlock,
+  toRawContent,
+  getPlainText
+};
@@ -0,0 +1,187 @@
+// Deep copies of projects. Every document of the copy gets a new id and every
+// reference between them is remapped, so the copy shares nothing with the
+// original. What is in the trash, cached analyses, replace history and
+// writing stats stay with the original.
+const mongoose = require('mongoose');
+const Project = require('../models/Project');
+const Chapter = require('../models/Chapter');
+const Version = require('../models/Version');
+const Scene = require('../models/Scene');
+const Part = require('../models/Part');
+const Beat = require('../models/Beat');
+const Mention = require('../models/Mention');
+const Comment = require('../models/Comment');
+const Codex = require('../models/Codex');
+const Relationship = require('../models/Relationship');
+const { recordRevision } = require('./revisions');
+const { purgeProject } = require('./trash');
+
+const BATCH_SIZE = 500;
+
+// Old id -> new id for every document copied so far
+const createIdMap = () => {
+  const ids = new Map();
+  return {
+    // Reserve new ids up front so documents can point at ones copied later
+    reserve: (docs) => docs.forEach(doc => ids.set(doc._id.toString(), new mongoose.Types.ObjectId())),
+    // New id for an old one; null when the referenced document was not copied
+    get: (id) => (id ? ids.get(id.toString()) || null : null),
+    // New ids for a list of old ones, leaving out those not copied
+    list: (values) => (values || []).map(id => ids.get(id.toString())).filter(Boolean)
+  };
+};
+
+// A document's fields without its id and version key
+const fieldsOf = ({ _id, __v, ...fields }) => fields;
+
+// Stream a project's documents and insert their copies in batches. copy
+// returns the new document, or null to leave one out. Returns how many
+// were copied.
+const copyModel = async (Model, filter, copy, afterInsert) => {
+  let docs = [];
+  let copied = 0;
+
+  const flush = async () => {
+    if (docs.length === 0) return;
+    const inserted = await Model.insertMany(docs);
+    if (afterInsert) await afterInsert(inserted);
+    copied += docs.length;
+    docs = [];
+  };
+
+  const cursor = Model.find(filter).lean().cursor();
+  for await (const doc of cursor) {
+    const next = copy(doc);
+    if (!next) continue;
+    docs.push(next);
+    if (docs.length >= BATCH_SIZE) await flush();
+  }
+  await flush();
+  return copied;
+};
+
+// Copy a project with its parts, chapters, scenes, codex entries,
+// relationships, outline beats, mentions and, optionally, comment threads
+// and chapter versions. Returns { project, counts }.
+const copyProject = async (project, { title, versions = false, comments = true } = {}) => {
+  const now = new Date();
+  const source = project.toObject ? project.toObject() : project;
+  const copy = await Project.create({
+    ...fieldsOf(source),
+    title,
+    isArchived: false,
+    createdAt: now,
+    updatedAt: now,
+    lastOpenedAt: now,
+    deletedAt: null
+  });
+  const projectId = copy._id;
+  const ids = createIdMap();
+  const counts = {};
+
+  try {
+    const filter = { projectId: source._id };
+    const [parts, chapters, entities] = await Promise.all([
+      Part.find(filter).select('_id').lean(),
+      Chapter.find(filter).select('_id').lean(),
+      Codex.find(filter).select('_id').lean()
+    ]);
+    ids.reserve(parts);
+    ids.reserve(chapters);
+    ids.reserve(entities);
+
+    counts.parts = await copyModel(Part, filter, part => ({
+      ...fieldsOf(part),
+      _id: ids.get(part._id),
+      projectId,
+      parentId: ids.get(part.parentId)
+    }));
+
+    counts.codex = await copyModel(Codex, filter, entity => ({
+      ...fieldsOf(entity),
+      _id: ids.get(entity._id),
+      projectId,
+      participantIds: ids.list(entity.participantIds)
+    }));
+
+    // Relationships with an end in the trash stay behind
+    counts.relationships = await copyModel(Relationship, filter, relationship => {
+      const sourceId = ids.get(relationship.sourceId);
+      const targetId = ids.get(relationship.targetId);
+      if (!sourceId || !targetId) return null;
+      return { ...fieldsOf(relationship), projectId, sourceId, targetId, deletedWith: null };
+    });
+
+    // Copied chapters keep their revision, stored again so merges still work
+    counts.chapters = await copyModel(Chapter, filter, chapter => ({
+      ...fieldsOf(chapter),
+      _id: ids.get(chapter._id),
+      projectId,
+      partId: ids.get(chapter.partId)
+    }), async (inserted) => {
+      for (const chapter of inserted) await recordRevision(chapter);
+    });
+
+    ids.reserve(await Scene.find(filter).select('_id').lean());
+    counts.scenes = await copyModel(Scene, filter, scene => {
+      const chapterId = ids.get(scene.chapterId);
+      if (!chapterId) return null;
+      return {
+        ...fieldsOf(scene),
+        _id: ids.get(scene._id),
+        projectId,
+        chapterId,
+        povCharacterId: ids.get(scene.povCharacterId),
+        settingId: ids.get(scene.settingId)
+      };
+    });
+
+    counts.beats = await copyModel(Beat, filter, beat => ({
+      ...fieldsOf(beat),
+      projectId,
+      chapterIds: ids.list(beat.chapterIds),
+      entityIds: ids.list(beat.entityIds)
+    }));
+
+    counts.mentions = await copyModel(Mention, filter, mention => {
+      const chapterId = ids.get(mention.chapterId);
+      const entityId = ids.get(mention.entityId);
+      if (!chapterId || !entityId) return null;
+      const blocks = (mention.blocks || []).map(block => ({ ...block, sceneId: ids.get(block.sceneId) }));
+      return { ...fieldsOf(mention), projectId, chapterId, entityId, blocks };
+    });
+
+    if (comments) {
+      ids.reserve(await Comment.find(filter).select('_id').lean());
+      counts.comments = await copyModel(Comment, filter, comment => {
+        const chapterId = ids.get(comment.chapterId);
+        if (!chapterId) return null;
+        return {
+          ...fieldsOf(comment),
+          _id: ids.get(comment._id),
+          projectId,
+          chapterId,
+          parentId: ids.get(comment.parentId)
+        };
+      });
+    }
+
+    if (versions) {
+      counts.versions = await copyModel(Version, filter, version => {
+        const chapterId = ids.get(version.chapterId);
+        if (!chapterId) return null;
+        return { ...fieldsOf(version), projectId, chapterId };
+      });
+    }
+  } catch (error) {
+    // Leave no half-made copy behind
+    await purgeProject(projectId);
+    throw error;
+  }
+
+  return { project: copy, counts };
+};
+
+module.exports = {
+  copyProject
+};
@@ -0,0 +1,387 @@
+const http = require('http');
+const https = require('https');
+const dns = require('dns');
+const net = require('net');
+const JSZip = require('jszip');
+const { HEADER_LEVELS, getBlocks, getStyledSegments } = require('./draft');
+const { manuscriptSequence } = require('./structure');
+
+// Inline Draft.js styles and the XHTML elements they render as
+const INLINE_TAGS = {
+  BOLD: 'strong',
+  ITALIC: 'em',
+  UNDERLINE: 'u',
+  STRIKETHROUGH: 's',
+  CODE: 'code'
+};
+
+// Image types accepted as a cover, keyed by media type
+const COVER_EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/gif': 'gif',
+  'image/webp': 'webp',
+  'image/svg+xml': 'svg'
+};
+
+// Limits on downloading a cover from a URL
+const COVER_TIMEOUT_MS = 10000;
+const MAX_COVER_BYTES = 10 * 1024 * 1024;
+
+// Addresses a cover URL may not lead to: this host, private networks,
+// link-local ones (cloud metadata services) and other reserved ranges
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16],
+  ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+const STYLESHEET = `body { font-family: serif; line-height: 1.5; margin: 0 5%; }
+h1 { text-align: center; margin: 2em 0 1.5em; }
+p { margin: 0; text-indent: 1.5em; }
+h1 + p, h2 + p, h3 + p, hr + p, blockquote + p { text-indent: 0; }
+blockquote { margin: 1em 2em; font-style: italic; }
+.cover { text-align: center; margin: 0; padding: 0; }
+.cover img { max-width: 100%; max-height: 100%; }
+.part { text-align: center; margin-top: 30%; }
+.part-description { text-indent: 0; font-style: italic; }
+`;
+
+const escapeXml = (value) => String(value == null ? '' : value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+// Render a block's text with its inline styles as nested XHTML elements
+const renderInline = (block) => {
+  return getStyledSegments(block).map(segment => {
+    let html = escapeXml(segment.text);
+    segment.styles.forEach(style => {
+      const tag = INLINE_TAGS[style];
+      if (tag) html = `<${tag}>${html}</${tag}>`;
+    });
+    return html;
+  }).join('');
+};
+
+// Convert Draft.js content into the body markup of an XHTML document
+const renderContent = (content) => {
+  const html = [];
+  // Tags of the lists open at each depth; every open list has an open item
+  const openLists = [];
+  const append = (markup) => {
+    html[html.length - 1] += markup;
+  };
+
+  const closeList = () => {
+    append('</li>');
+    html.push(`</${openLists.pop()}>`);
+  };
+  const closeLists = (depth = 0) => {
+    while (openLists.length > depth) closeList();
+  };
+
+  getBlocks(content).forEach(block => {
+    const inner = renderInline(block);
+    const listTag = block.type === 'unordered-list-item' ? 'ul'
+      : block.type === 'ordered-list-item' ? 'ol'
+      : null;
+
+    if (listTag) {
+      // Lists nest at most one level deeper than the one they follow
+      const depth = Math.min(block.depth || 0, openLists.length);
+      closeLists(depth + 1);
+      if (openLists.length > depth && openLists[depth] !== listTag) closeList();
+
+      if (openLists.length > depth) {
+        append('</li>');
+      } else if (depth > 0) {
+        // A nested list goes inside the item above it
+        append(`<${listTag}>`);
+        openLists.push(listTag);
+      } else {
+        html.push(`<${listTag}>`);
+        openLists.push(listTag);
+      }
+      html.push(`<li>${inner}`);
+      return;
+    }
+
+    closeLists();
+
+    if (HEADER_LEVELS[block.type]) {
+      // Chapter titles are rendered as h1, so in-chapter headings start at h2
+      const level = Math.min(HEADER_LEVELS[block.type] + 1, 6);
+      html.push(`<h${level}>${inner}</h${level}>`);
+    } else if (block.type === 'blockquote') {
+      html.push(`<blockquote><p>${inner}</p></blockquote>`);
+    } else if (block.type === 'code-block') {
+      html.push(`<pre>${inner}</pre>`);
+    } else if (block.type === 'atomic') {
+      // Atomic blocks hold embedded media we cannot carry over
+      return;
+    } else if (block.text.trim() === '') {
+      html.push('<p>&#160;</p>');
+    } else {
+      html.push(`<p>${inner}</p>`);
+    }
+  });
+
+  closeLists();
+  return html.join('\n');
+};
+
+const xhtmlDocument = (title, body, language) => `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" xml:lang="${escapeXml(language)}" lang="${escapeXml(language)}">
+<head>
+<meta charset="UTF-8" />
+<title>${escapeXml(title)}</title>
+<link rel="stylesheet" type="text/css" href="styles.css" />
+</head>
+<body>
+${body}
+</body>
+</html>
+`;
+
+// The IPv4 address inside an IPv4-mapped IPv6 one (::ffff:10.0.0.1 or ::ffff:a00:1)
+const mappedIpv4 = (address) => {
+  const match = /^::ffff:(?:(\d+\.\d+\.\d+\.\d+)|([0-9a-f]{1,4}):([0-9a-f]{1,4}))$/i.exec(address);
+  if (!match) return null;
+  if (match[1]) return match[1];
+  const high = parseInt(match[2], 16);
+  const low = parseInt(match[3], 16);
+  return [high >> 8, high & 255, low >> 8, low & 255].join('.');
+};
+
+const isPublicAddress = (address) => {
+  const mapped = mappedIpv4(address);
+  if (mapped) return isPublicAddress(mapped);
+  const family = net.isIP(address);
+  return family !== 0 && !BLOCKED_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+};
+
+// dns.lookup that refuses hosts resolving to a blocked address. Used as the
+// request's lookup, so the check holds for the address actually connected to.
+const publicLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) return callback(error);
+    const addresses = Array.isArray(address) ? address : [{ address }];
+    if (!addresses.every(entry => isPublicAddress(entry.address))) {
+      return callback(new Error(`Cover image host ${hostname} is not a public address`));
+    }
+    callback(null, address, family);
+  });
+};
+
+// Download a cover from a public http(s) URL. Redirects are not followed;
+// slow, oversized and non-image responses give null.
+const downloadCover = (url) => new Promise((resolve, reject) => {
+  const client = url.protocol === 'https:' ? https : http;
+  const request = client.get(url, {
+    lookup: publicLookup,
+    signal: AbortSignal.timeout(COVER_TIMEOUT_MS)
+  }, (response) => {
+    const mediaType = (response.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+    const length = parseInt(response.headers['content-length'], 10);
+    if (response.statusCode !== 200 || !COVER_EXTENSIONS[mediaType] || length > MAX_COVER_BYTES) {
+      request.destroy();
+      return resolve(null);
+    }
+
+    const chunks = [];
+    let size = 0;
+    response.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_COVER_BYTES) {
+        request.destroy();
+        return resolve(null);
+      }
+      chunks.push(chunk);
+    });
+    response.on('end', () => resolve({ mediaType, data: Buffer.concat(chunks) }));
+    response.on('error', reject);
+  });
+  request.on('error', reject);
+});
+
+// Resolve a project's coverImage (data URI or http(s) URL) into image bytes.
+// Returns null when there is no cover or it cannot be loaded.
+const loadCoverImage = async (coverImage) => {
+  if (!coverImage) return null;
+
+  try {
+    const dataUri = coverImage.match(/^data:([^;,]+);base64,(.+)$/);
+    if (dataUri) {
+      const mediaType = dataUri[1].toLowerCase();
+      if (!COVER_EXTENSIONS[mediaType]) return null;
+      return { mediaType, data: Buffer.from(dataUri[2], 'base64') };
+    }
+
+    if (/^https?:\/\//i.test(coverImage)) {
+      const url = new URL(coverImage);
+      // Hosts given as an address skip the lookup, so check them here
+      const host = url.hostname.replace(/^\[|\]$/g, '');
+      if (net.isIP(host) && !isPublicAddress(host)) return null;
+      return await downloadCover(url);
+    }
+  } catch (error) {
+    console.error('Error loading cover image:', error.message);
+  }
+
+  return null;
+};
+
+// Build an EPUB 3 package for a project and its ordered chapters, grouped
+// under title pages for any books and parts they belong to
+const buildEpub = async ({ project, chapters, parts = [], author, language = 'en', cover = null }) => {
+  const zip = new JSZip();
+  const identifier = `urn:narratopia:project:${project._id}`;
+  const modified = new Date().toISOString().replace(/\.\d{3}Z$/, 'Z');
+
+  // The mimetype entry must come first and be stored uncompressed
+  zip.file('mimetype', 'application/epub+zip', { compression: 'STORE' });
+
+  zip.file('META-INF/container.xml', `<?xml version="1.0" encoding="UTF-8"?>
+<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">
+  <rootfiles>
+    <rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml"/>
+  </rootfiles>
+</container>
+`);
+
+  const oebps = zip.folder('OEBPS');
+  oebps.file('styles.css', STYLESHEET);
+
+  const manifest = [
+    '<item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav"/>',
+    '<item id="ncx" href="toc.ncx" media-type="application/x-dtbncx+xml"/>',
+    '<item id="css" href="styles.css" media-type="text/css"/>'
+  ];
+  const spine = [];
+
+  if (cover) {
+    const coverHref = `images/cover.${COVER_EXTENSIONS[cover.mediaType]}`;
+    oebps.file(coverHref, cover.data);
+    oebps.file('cover.xhtml', xhtmlDocument(
+      project.title,
+      `<section class="cover" epub:type="cover"><img src="${coverHref}" alt="${escapeXml(project.title)}" /></section>`,
+      language
+    ));
+    manifest.push(`<item id="cover-image" href="${coverHref}" media-type="${cover.mediaType}" properties="cover-image"/>`);
+    manifest.push('<item id="cover" href="cover.xhtml" media-type="application/xhtml+xml"/>');
+    spine.push('<itemref idref="cover" linear="no"/>');
+  }
+
+  // Title page
+  const titleBody = [
+    `<h1>${escapeXml(project.title)}</h1>`,
+    author ? `<p class="author">${escapeXml(author)}</p>` : ''
+  ].filter(Boolean).join('\n');
+  oebps.file('title.xhtml', xhtmlDocument(project.title, `<section epub:type="titlepage">\n${titleBody}\n</section>`, language));
+  manifest.push('<item id="title" href="title.xhtml" media-type="application/xhtml+xml"/>');
+  spine.push('<itemref idref="title"/>');
+
+  // One document per part title page and per chapter, nested in the
+  // table of contents under their book or part
+  const tocRoot = { children: [] };
+  const tocParts = new Map();
+  const playOrder = [];
+  let partCount = 0;
+  let chapterCount = 0;
+
+  manuscriptSequence(parts, chapters).forEach(item => {
+    let id;
+    let title;
+    let body;
+    if (item.type === 'part') {
+      id = `part-${++partCount}`;
+      title = item.part.title;
+      const description = item.part.description ? `\n<p class="part-description">${escapeXml(item.part.description)}</p>` : '';
+      body = `<section class="part" epub:type="part">\n<h1>${escapeXml(title)}</h1>${description}\n</section>`;
+    } else {
+      id = `chapter-${++chapterCount}`;
+      title = item.chapter.title;
+      body = `<section epub:type="chapter">\n<h1>${escapeXml(title)}</h1>\n${renderContent(item.chapter.content)}\n</section>`;
+    }
+
+    const href = `${id}.xhtml`;
+    oebps.file(href, xhtmlDocument(title, body, language));
+    manifest.push(`<item id="${id}" href="${href}" media-type="application/xhtml+xml"/>`);
+    spine.push(`<itemref idref="${id}"/>`);
+
+    const entry = { id, href, title, children: [] };
+    const parentId = item.type === 'part' ? item.part.parentId : item.chapter.partId;
+    (tocParts.get(String(parentId)) || tocRoot).children.push(entry);
+    if (item.type === 'part') tocParts.set(item.part._id.toString(), entry);
+    playOrder.push(entry);
+  });
+
+  const navList = (entries) => `<ol>
+${entries.map(entry => `<li><a href="${entry.href}">${escapeXml(entry.title)}</a>${entry.children.length > 0 ? `\n${navList(entry.children)}\n` : ''}</li>`).join('\n')}
+</ol>`;
+
+  const navPoints = (entries) => entries.map(entry => `<navPoint id="nav-${entry.id}" playOrder="${playOrder.indexOf(entry) + 1}"><navLabel><text>${escapeXml(entry.title)}</text></navLabel><content src="${entry.href}"/>${entry.children.length > 0 ? `\n${navPoints(entry.children)}\n` : ''}</navPoint>`).join('\n');
+
+  oebps.file('nav.xhtml', xhtmlDocument('Contents', `<nav epub:type="toc" id="toc">
+<h1>Contents</h1>
+${navList(tocRoot.children)}
+</nav>`, language));
+
+  // NCX table of contents for EPUB 2 reading systems
+  oebps.file('toc.ncx', `<?xml version="1.0" encoding="UTF-8"?>
+<ncx xmlns="http://www.daisy.org/z3986/2005/ncx/" version="2005-1">
+<head>
+<meta name="dtb:uid" content="${escapeXml(identifier)}"/>
+</head>
+<docTitle><text>${escapeXml(project.title)}</text></docTitle>
+<navMap>
+${navPoints(tocRoot.children)}
+</navMap>
+</ncx>
+`);
+
+  const metadata = [
+    `<dc:identifier id="book-id">${escapeXml(identifier)}</dc:identifier>`,
+    `<dc:title>${escapeXml(project.title)}</dc:title>`,
+    `<dc:language>${escapeXml(language)}</dc:language>`,
+    author ? `<dc:creator>${escapeXml(author)}</dc:creator>` : null,
+    project.description ? `<dc:description>${escapeXml(project.description)}</dc:description>` : null,
+    project.genre ? `<dc:subject>${escapeXml(project.genre)}</dc:subject>` : null,
+    `<meta property="dcterms:modified">${modified}</meta>`,
+    cover ? '<meta name="cover" content="cover-image"/>' : null
+  ].filter(Boolean);
+
+  oebps.file('content.opf', `<?xml version="1.0" encoding="UTF-8"?>
+<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="book-id" xml:lang="${escapeXml(language)}">
+<metadata xmlns:dc="http://purl.org/dc/elements/1.1/">
+${metadata.join('\n')}
+</metadata>
+<manifest>
+${manifest.join('\n')}
+</manifest>
+<spine toc="ncx">
+${spine.join('\n')}
+</spine>
+</package>
+`);
+
+  return zip.generateAsync({
+    type: 'nodebuffer',
+    mimeType: 'application/epub+zip',
+    compression: 'DEFLATE'
+  });
+};
+
+module.exports = {
+  buildEpub,
+  loadCoverImage,
+  renderContent
+};
@@ -0,0 +1,494 @@
+// Editor content formats. Chapters store content in the format of the editor
+// that wrote it; everything that reads text (word counts, search, analysis,
+// exports) converts it to Draft.js raw content first, which also serves as
+// the go-between when converting from one format to another.
+//
+// Supported formats:
+//   draftjs      Draft.js raw JSON ({ blocks, entityMap }); plain strings are
+//                still accepted here for content saved before raw JSON
+//   prosemirror  ProseMirror / Tiptap document JSON ({ type: 'doc', content })
+//   slate        Slate JSON (an array of element nodes)
+//   markdown     Markdown text
+//   html         HTML text
+const { HEADER_LEVELS, getBlocks, getStyledSegments, createBlock, toRawContent } = require('./draft');
+const { countWords } = require('./wordCount');
+const { htmlToBlocks, markdownToBlocks } = require('./importers');
+const { renderContent } = require('./epub');
+
+const DEFAULT_FORMAT = 'draftjs';
+
+// Other names clients may use for a format
+const FORMAT_ALIASES = {
+  draft: 'draftjs',
+  'draft-js': 'draftjs',
+  tiptap: 'prosemirror',
+  md: 'markdown'
+};
+
+// Heading level to Draft.js block type
+const HEADER_TYPES = Object.keys(HEADER_LEVELS).reduce((types, type) => {
+  types[HEADER_LEVELS[type]] = type;
+  return types;
+}, {});
+
+const LIST_TYPES = ['unordered-list-item', 'ordered-list-item'];
+
+// Converted blocks get keys from their position, so converting the same
+// content twice gives the same keys and block-keyed results stay stable
+const withPositionKeys = (blocks) => toRawContent(blocks.map((block, index) => ({ ...block, key: `b${index}` })));
+
+// Group consecutive blocks that share a value, e.g. list items into lists
+const groupRuns = (blocks, keyOf) => {
+  const runs = [];
+  blocks.forEach(block => {
+    const key = keyOf(block);
+    const last = runs[runs.length - 1];
+    if (key && last && last.key === key) last.blocks.push(block);
+    else runs.push({ key, blocks: [block] });
+  });
+  return runs;
+};
+
+// Split list blocks into lists of one type. Blocks deeper than `depth` stay
+// with the list above them whatever their type, to be nested inside it.
+const listRuns = (blocks, depth = 0) => {
+  const runs = [];
+  blocks.forEach(block => {
+    const last = runs[runs.length - 1];
+    if (last && (last.type === block.type || (block.depth || 0) > depth)) last.blocks.push(block);
+    else runs.push({ type: block.type, blocks: [block] });
+  });
+  return runs;
+};
+
+// Items of a run of list blocks at a depth, each with the deeper blocks that
+// follow it as its children
+const nestListItems = (blocks, depth) => {
+  const items = [];
+  blocks.forEach(block => {
+    const last = items[items.length - 1];
+    if ((block.depth || 0) > depth && last) last.children.push(block);
+    else items.push({ block, children: [] });
+  });
+  return items;
+};
+
+// ProseMirror / Tiptap. Both the Tiptap (camelCase) and prosemirror-schema-basic
+// (snake_case) node names are read; Tiptap names are written.
+const PROSEMIRROR_MARKS = {
+  bold: 'BOLD',
+  strong: 'BOLD',
+  italic: 'ITALIC',
+  em: 'ITALIC',
+  underline: 'UNDERLINE',
+  strike: 'STRIKETHROUGH',
+  strikethrough: 'STRIKETHROUGH',
+  code: 'CODE'
+};
+const PROSEMIRROR_STYLE_MARKS = {
+  BOLD: 'bold',
+  ITALIC: 'italic',
+  UNDERLINE: 'underline',
+  STRIKETHROUGH: 'strike',
+  CODE: 'code'
+};
+
+const prosemirrorInline = (nodes = []) => {
+  const segments = [];
+  nodes.forEach(node => {
+    if (node.type === 'text') {
+      const styles = (node.marks || []).map(mark => PROSEMIRROR_MARKS[mark.type]).filter(Boolean);
+      segments.push({ text: node.text || '', styles: [...new Set(styles)] });
+    } else if (node.type === 'hardBreak' || node.type === 'hard_break') {
+      segments.push({ text: '\n', styles: [] });
+    } else if (node.content) {
+      segments.push(...prosemirrorInline(node.content));
+    }
+  });
+  return segments;
+};
+
+const prosemirrorToBlocks = (doc) => {
+  const blocks = [];
+
+  const walk = (nodes = [], context = { type: 'unstyled', depth: 0 }) => {
+    nodes.forEach(node => {
+      switch (node.type) {
+        case 'paragraph':
+          blocks.push(createBlock(context.type, prosemirrorInline(node.content), { depth: context.depth }));
+          break;
+        case 'heading': {
+          const level = Math.min(Math.max((node.attrs && node.attrs.level) || 1, 1), 6);
+          blocks.push(createBlock(HEADER_TYPES[level], prosemirrorInline(node.content)));
+          break;
+        }
+        case 'blockquote':
+          walk(node.content, { type: 'blockquote', depth: 0 });
+          break;
+        case 'bulletList':
+        case 'bullet_list':
+        case 'orderedList':
+        case 'ordered_list': {
+          const type = /^bullet/.test(node.type) ? 'unordered-list-item' : 'ordered-list-item';
+          const depth = LIST_TYPES.includes(context.type) ? context.depth + 1 : 0;
+          (node.content || []).forEach(item => {
+            // A list item's first paragraph is the item; nested lists go a level deeper
+            const [first, ...rest] = item.content || [];
+            if (first && first.type === 'paragraph') {
+              blocks.push(createBlock(type, prosemirrorInline(first.content), { depth: Math.min(depth, 4) }));
+              walk(rest, { type, depth });
+            } else {
+              walk(item.content, { type, depth });
+            }
+          });
+          break;
+        }
+        case 'codeBlock':
+        case 'code_block':
+          blocks.push(createBlock('code-block', [{ text: prosemirrorInline(node.content).map(segment => segment.text).join(''), styles: [] }]));
+          break;
+        case 'horizontalRule':
+        case 'horizontal_rule':
+          blocks.push(createBlock('unstyled', [{ text: '***', styles: [] }]));
+          break;
+        default:
+          // Unknown containers are unwrapped; unknown leaves are dropped
+          if (node.content) walk(node.content, context);
+      }
+    });
+  };
+
+  walk(doc && doc.content);
+  return blocks;
+};
+
+const prosemirrorText = (block) => getStyledSegments(block).flatMap(segment => {
+  const marks = segment.styles.map(style => PROSEMIRROR_STYLE_MARKS[style]).filter(Boolean).map(type => ({ type }));
+  return segment.text.split('\n').flatMap((text, index) => [
+    ...(index > 0 ? [{ type: 'hardBreak' }] : []),
+    ...(text ? [{ type: 'text', text, ...(marks.length ? { marks } : {}) }] : [])
+  ]);
+});
+
+const prosemirrorParagraph = (block) => {
+  const content = prosemirrorText(block);
+  return content.length ? { type: 'paragraph', content } : { type: 'paragraph' };
+};
+
+// Nest a run of list blocks by depth
+const prosemirrorList = (blocks, depth = 0) => {
+  const type = blocks[0].type === 'ordered-list-item' ? 'orderedList' : 'bulletList';
+
+  return {
+    type,
+    content: nestListItems(blocks, depth).map(({ block, children }) => ({
+      type: 'listItem',
+      content: [
+        prosemirrorParagraph(block),
+        ...listRuns(children, depth + 1).map(run => prosemirrorList(run.blocks, depth + 1))
+      ]
+    }))
+  };
+};
+
+const blocksToProsemirror = (blocks) => {
+  const runs = groupRuns(blocks, block => {
+    if (LIST_TYPES.includes(block.type)) return 'list';
+    return block.type === 'blockquote' ? block.type : null;
+  });
+  const content = runs.flatMap(({ key, blocks: run }) => {
+    if (key === 'list') return listRuns(run).map(list => prosemirrorList(list.blocks));
+    if (key === 'blockquote') return [{ type: 'blockquote', content: run.map(prosemirrorParagraph) }];
+
+    return run.map(block => {
+      if (HEADER_LEVELS[block.type]) {
+        const content = prosemirrorText(block);
+        return { type: 'heading', attrs: { level: HEADER_LEVELS[block.type] }, ...(content.length ? { content } : {}) };
+      }
+      if (block.type === 'code-block') {
+        return { type: 'codeBlock', ...(block.text ? { content: [{ type: 'text', text: block.text }] } : {}) };
+      }
+      return prosemirrorParagraph(block);
+    });
+  });
+
+  return { type: 'doc', content: content.length ? content : [{ type: 'paragraph' }] };
+};
+
+// Slate, using the element and leaf names from Slate's rich text example
+const SLATE_BLOCK_TYPES = {
+  paragraph: 'unstyled',
+  'heading-one': 'header-one',
+  'heading-two': 'header-two',
+  'heading-three': 'header-three',
+  'heading-four': 'header-four',
+  'heading-five': 'header-five',
+  'heading-six': 'header-six',
+  'block-quote': 'blockquote',
+  'code-block': 'code-block'
+};
+const SLATE_LISTS = {
+  'bulleted-list': 'unordered-list-item',
+  'numbered-list': 'ordered-list-item'
+};
+const SLATE_LEAF_STYLES = {
+  bold: 'BOLD',
+  italic: 'ITALIC',
+  underline: 'UNDERLINE',
+  strikethrough: 'STRIKETHROUGH',
+  code: 'CODE'
+};
+
+const isSlateText = (node) => node && typeof node.text === 'string' && !node.children;
+
+const slateInline = (nodes = []) => nodes.flatMap(node => {
+  if (isSlateText(node)) {
+    const styles = Object.keys(SLATE_LEAF_STYLES).filter(key => node[key]).map(key => SLATE_LEAF_STYLES[key]);
+    return [{ text: node.text, styles }];
+  }
+  return slateInline(node.children);
+});
+
+const slateToBlocks = (nodes) => {
+  const blocks = [];
+
+  const walk = (elements = [], listType = null, depth = 0) => {
+    elements.forEach(element => {
+      if (isSlateText(element)) return;
+
+      if (SLATE_LISTS[element.type]) {
+        const nested = listType !== null;
+        walk(element.children, SLATE_LISTS[element.type], nested ? depth + 1 : 0);
+        return;
+      }
+
+      if (element.type === 'list-item' && listType) {
+        // List items hold text directly, possibly followed by a nested list
+        const inline = (element.children || []).filter(child => isSlateText(child) || !SLATE_LISTS[child.type]);
+        blocks.push(createBlock(listType, slateInline(inline), { depth: Math.min(depth, 4) }));
+        walk((element.children || []).filter(child => SLATE_LISTS[child.type]), listType, depth);
+        return;
+      }
+
+      // Elements holding other elements rather than text are unwrapped
+      const children = element.children || [];
+      if (children.length && children.every(child => !isSlateText(child))) {
+        walk(children, listType, depth);
+        return;
+      }
+      blocks.push(createBlock(SLATE_BLOCK_TYPES[element.type] || 'unstyled', slateInline(children)));
+    });
+  };
+
+  walk(Array.isArray(nodes) ? nodes : (nodes && nodes.children) || []);
+  return blocks;
+};
+
+const slateLeaves = (block) => {
+  const leaves = getStyledSegments(block).map(segment => {
+    const leaf = { text: segment.text };
+    Object.keys(SLATE_LEAF_STYLES).forEach(key => {
+      if (segment.styles.includes(SLATE_LEAF_STYLES[key])) leaf[key] = true;
+    });
+    return leaf;
+  });
+  // Slate elements must have at least one text child
+  return leaves.length ? leaves : [{ text: '' }];
+};
+
+const SLATE_ELEMENT_TYPES = Object.keys(SLATE_BLOCK_TYPES).reduce((types, type) => {
+  types[SLATE_BLOCK_TYPES[type]] = type;
+  return types;
+}, {});
+
+const slateList = (blocks, depth = 0) => {
+  const type = blocks[0].type === 'ordered-list-item' ? 'numbered-list' : 'bulleted-list';
+
+  return {
+    type,
+    children: nestListItems(blocks, depth).map(({ block, children }) => ({
+      type: 'list-item',
+      children: [
+        ...slateLeaves(block),
+        ...listRuns(children, depth + 1).map(run => slateList(run.blocks, depth + 1))
+      ]
+    }))
+  };
+};
+
+const blocksToSlate = (blocks) => {
+  const nodes = groupRuns(blocks, block => (LIST_TYPES.includes(block.type) ? 'list' : null))
+    .flatMap(({ key, blocks: run }) => {
+      if (key) return listRuns(run).map(list => slateList(list.blocks));
+      return run.map(block => ({
+        type: SLATE_ELEMENT_TYPES[block.type] || 'paragraph',
+        children: slateLeaves(block)
+      }));
+    });
+  return nodes.length ? nodes : [{ type: 'paragraph', children: [{ text: '' }] }];
+};
+
+// Markdown
+const MARKDOWN_MARKERS = {
+  CODE: '`',
+  BOLD: '**',
+  ITALIC: '_',
+  STRIKETHROUGH: '~~'
+};
+
+const escapeMarkdown = (text) => text.replace(/([\\`*_~[\]])/g, '\\$1');
+
+const markdownInline = (block) => getStyledSegments(block).map(segment => {
+  const code = segment.styles.includes('CODE');
+  let text = code ? segment.text : escapeMarkdown(segment.text);
+  if (!text.trim()) return text;
+
+  // Markers must hug the text, so surrounding spaces stay outside them
+  const [, leading, core, trailing] = /^(\s*)([\s\S]*?)(\s*)$/.exec(text);
+  text = core;
+  ['CODE', 'STRIKETHROUGH', 'ITALIC', 'BOLD'].forEach(style => {
+    if (segment.styles.includes(style)) text = `${MARKDOWN_MARKERS[style]}${text}${MARKDOWN_MARKERS[style]}`;
+  });
+  return `${leading}${text}${trailing}`;
+}).join('');
+
+// Escape characters that would turn a paragraph into a heading, quote or list
+const escapeLineStart = (text) => text
+  .replace(/^(\s*)(#|>|[-+*]\s)/, '$1\\$2')
+  .replace(/^(\s*\d+)([.)]\s)/, '$1\\$2');
+
+const blocksToMarkdown = (blocks) => {
+  const runs = groupRuns(blocks, block => (LIST_TYPES.includes(block.type) || block.type === 'code-block' ? block.type : null));
+  return runs.map(({ key, blocks: run }) => {
+    if (key === 'code-block') {
+      return ['```', ...run.map(block => block.text), '```'].join('\n');
+    }
+    if (LIST_TYPES.includes(key)) {
+      const counters = [];
+      return run.map(block => {
+        const depth = block.depth || 0;
+        counters.length = depth + 1;
+        counters[depth] = (counters[depth] || 0) + 1;
+        const marker = key === 'ordered-list-item' ? `${counters[depth]}.` : '-';
+        return `${'  '.repeat(depth)}${marker} ${markdownInline(block)}`;
+      }).join('\n');
+    }
+
+    return run.map(block => {
+      const text = markdownInline(block);
+      if (HEADER_LEVELS[block.type]) return `${'#'.repeat(HEADER_LEVELS[block.type])} ${text}`;
+      if (block.type === 'blockquote') return `> ${text}`;
+      // Scene breaks read back as the same '***' paragraph
+      if (block.text === '***') return '***';
+      return escapeLineStart(text);
+    }).join('\n\n');
+  }).join('\n\n');
+};
+
+// HTML. Exports render headings a level down to make room for the chapter
+// title, so headings are rendered here as paragraphs and retagged.
+const htmlInline = (block) => renderContent({ blocks: [{ ...block, type: 'unstyled' }] }).replace(/^<p>|<\/p>$/g, '');
+
+const blocksToHtml = (blocks) => groupRuns(blocks, block => (HEADER_LEVELS[block.type] ? null : 'body'))
+  .map(({ key, blocks: run }) => {
+    if (key) return renderContent({ blocks: run });
+    return run.map(block => {
+      const level = HEADER_LEVELS[block.type];
+      return `<h${level}>${htmlInline(block)}</h${level}>`;
+    }).join('\n');
+  })
+  .join('\n');
+
+// Each adapter validates stored content and converts it to and from Draft.js blocks
+const ADAPTERS = {
+  draftjs: {
+    isValid: (content) => typeof content === 'string'
+      || (typeof content === 'object' && !Array.isArray(content) && Array.isArray(content.blocks)),
+    toBlocks: (content) => getBlocks(content),
+    fromBlocks: (blocks) => toRawContent(blocks)
+  },
+  prosemirror: {
+    isValid: (content) => typeof content === 'object' && !Array.isArray(content)
+      && content.type === 'doc' && (content.content === undefined || Array.isArray(content.content)),
+    toBlocks: prosemirrorToBlocks,
+    fromBlocks: blocksToProsemirror
+  },
+  slate: {
+    isValid: (content) => Array.isArray(content)
+      && content.every(node => node && typeof node === 'object' && Array.isArray(node.children)),
+    toBlocks: slateToBlocks,
+    fromBlocks: blocksToSlate
+  },
+  markdown: {
+    isValid: (content) => typeof content === 'string',
+    toBlocks: markdownToBlocks,
+    fromBlocks: blocksToMarkdown
+  },
+  html: {
+    isValid: (content) => typeof content === 'string',
+    toBlocks: htmlToBlocks,
+    fromBlocks: blocksToHtml
+  }
+};
+
+const CONTENT_FORMATS = Object.keys(ADAPTERS);
+
+// Canonical name of a format, or null if it is not supported
+const normalizeFormat = (format) => {
+  if (format === undefined || format === null || format === '') return DEFAULT_FORMAT;
+  const name = String(format).trim().toLowerCase();
+  const canonical = FORMAT_ALIASES[name] || name;
+  return ADAPTERS[canonical] ? canonical : null;
+};
+
+// Check content can be stored as the given format. Returns an error message or null.
+const validateContent = (content, format = DEFAULT_FORMAT) => {
+  if (content === null || content === undefined) return null;
+  const adapter = ADAPTERS[normalizeFormat(format)];
+  if (!adapter) return `format must be one of: ${CONTENT_FORMATS.join(', ')}`;
+  return adapter.isValid(content) ? null : `content is not valid ${format} content`;
+};
+
+// Draft.js raw content for content stored in any format. Draft.js content is
+// returned untouched, so existing keys, entities and plain strings survive.
+const toDraft = (content, format = DEFAULT_FORMAT) => {
+  const name = normalizeFormat(format) || DEFAULT_FORMAT;
+  if (name === DEFAULT_FORMAT || content === null || content === undefined) return content;
+  return withPositionKeys(ADAPTERS[name].toBlocks(content));
+};
+
+// Content in the given format from Draft.js raw content
+const fromDraft = (raw, format = DEFAULT_FORMAT) => {
+  const name = normalizeFormat(format) || DEFAULT_FORMAT;
+  if (name === DEFAULT_FORMAT || raw === null || raw === undefined) return raw;
+  return ADAPTERS[name].fromBlocks(getBlocks(raw));
+};
+
+const convertContent = (content, from, to) => {
+  const source = normalizeFormat(from);
+  const target = normalizeFormat(to);
+  if (source === target || content === null || content === undefined) return content;
+
+  // Legacy plain string Draft.js content becomes proper raw JSON on the way
+  const raw = source === DEFAULT_FORMAT ? toRawContent(getBlocks(content)) : toDraft(content, source);
+  return target === DEFAULT_FORMAT ? raw : fromDraft(raw, target);
+};
+
+// `options` are word counting options, see wordCountOptions in utils/wordCount.js
+const contentWordCount = (content, format = DEFAULT_FORMAT, options = {}) => countWords(toDraft(content, format), options);
+
+const contentPlainText = (content, format = DEFAULT_FORMAT) => {
+  return getBlocks(toDraft(content, format)).map(block => block.text).join('\n');
+};
+
+module.exports = {
+  DEFAULT_FORMAT,
+  CONTENT_FORMATS,
+  normalizeFormat,
+  validateContent,
+  toDraft,
+  fromDraft,
+  convertContent,
+  contentWordCount,
+  contentPlainText
+};
@@ -0,0 +1,377 @@
+const mammoth = require('mammoth');
+const { HEADER_LEVELS, createBlock, toRawContent } = require('./draft');
+const { countWords } = require('./wordCount');
+
+// Heading level to Draft.js block type
+const HEADER_TYPES = Object.keys(HEADER_LEVELS).reduce((types, type) => {
+  types[HEADER_LEVELS[type]] = type;
+  return types;
+}, {});
+
+// Matches chapter numbers: digits, roman numerals or spelled-out words
+const NUMBER_PATTERN = '(?:\\d+|[ivxlcdm]+|[a-z]+(?:[\\s-][a-z]+)?)';
+
+const MAX_TITLE_LENGTH = 100;
+
+// Mammoth style map additions so quotes and underlines survive conversion
+const DOCX_STYLE_MAP = [
+  "p[style-name='Quote'] => blockquote > p:fresh",
+  "p[style-name='Intense Quote'] => blockquote > p:fresh",
+  'u => u'
+];
+
+// Inline HTML tags mapped to Draft.js styles
+const HTML_INLINE_STYLES = {
+  strong: 'BOLD',
+  b: 'BOLD',
+  em: 'ITALIC',
+  i: 'ITALIC',
+  u: 'UNDERLINE',
+  s: 'STRIKETHROUGH',
+  del: 'STRIKETHROUGH',
+  strike: 'STRIKETHROUGH',
+  code: 'CODE'
+};
+
+const decodeEntities = (text) => text
+  .replace(/&#x([0-9a-f]+);/gi, (match, hex) => String.fromCodePoint(parseInt(hex, 16)))
+  .replace(/&#(\d+);/g, (match, dec) => String.fromCodePoint(parseInt(dec, 10)))
+  .replace(/&nbsp;/g, ' ')
+  .replace(/&quot;/g, '"')
+  .replace(/&apos;/g, "'")
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&amp;/g, '&');
+
+// Convert the simple, well-formed HTML produced by mammoth into Draft.js blocks
+const htmlToBlocks = (html) => {
+  const blocks = [];
+  const styleStack = [];
+  const containers = [];
+  let current = null;
+
+  const flush = () => {
+    if (current) {
+      blocks.push(createBlock(current.type, current.segments, { depth: current.depth }));
+      current = null;
+    }
+  };
+
+  // List items are nested one level deeper for each list they sit in
+  const start = (type) => {
+    flush();
+    const lists = containers.filter(container => container === 'ul' || container === 'ol').length;
+    current = { type, segments: [], depth: Math.min(Math.max(lists - 1, 0), 4) };
+  };
+
+  const containerType = () => {
+    const container = containers[containers.length - 1];
+    if (container === 'ul') return 'unordered-list-item';
+    if (container === 'ol') return 'ordered-list-item';
+    if (container === 'blockquote') return 'blockquote';
+    return 'unstyled';
+  };
+
+  const tokenPattern = /<(\/?)([a-z][a-z0-9]*)\b[^>]*?(\/?)>|([^<]+)/gi;
+  let match;
+  while ((match = tokenPattern.exec(html)) !== null) {
+    const [, closing, rawTag, selfClosing, text] = match;
+
+    if (text !== undefined) {
+      if (!current) {
+        if (!text.trim()) continue;
+        start(containerType());
+      }
+      current.segments.push({ text: decodeEntities(text), styles: [...new Set(styleStack)] });
+      continue;
+    }
+
+    const tag = rawTag.toLowerCase();
+    const headingLevel = /^h([1-6])$/.exec(tag);
+
+    if (headingLevel) {
+      if (closing) flush();
+      else start(HEADER_TYPES[headingLevel[1]]);
+    } else if (tag === 'p' || tag === 'li') {
+      if (closing) flush();
+      else start(tag === 'li' ? containerType() : (containers.length ? containerType() : 'unstyled'));
+    } else if (tag === 'pre') {
+      if (closing) flush();
+      else start('code-block');
+    } else if (tag === 'ul' || tag === 'ol' || tag === 'blockquote') {
+      flush();
+      if (closing) containers.pop();
+      else containers.push(tag);
+    } else if (tag === 'br') {
+      if (current) current.segments.push({ text: '\n', styles: [...new Set(styleStack)] });
+    } else if (HTML_INLINE_STYLES[tag] && !selfClosing) {
+      if (closing) {
+        const index = styleStack.lastIndexOf(HTML_INLINE_STYLES[tag]);
+        if (index !== -1) styleStack.splice(index, 1);
+      } else {
+        styleStack.push(HTML_INLINE_STYLES[tag]);
+      }
+    } else if (tag === 'hr') {
+      flush();
+      blocks.push(createBlock('unstyled', [{ text: '***', styles: [] }]));
+    }
+    // Other tags (links, images, tables) are unwrapped and only their text kept
+  }
+
+  flush();
+  return blocks;
+};
+
+// Parse Markdown inline formatting into styled segments
+const parseMarkdownInline = (text, styles = []) => {
+  const pattern = /\\([\\`*_~[\]()#>!.+-])|!\[[^\]]*\]\([^)]*\)|\[([^\]]+)\]\([^)]*\)|(\*\*|__)(?=\S)([\s\S]*?\S)\3|\*(?=[^\s*])([\s\S]*?[^\s*])\*|(?<![\w_])_(?=[^\s_])([\s\S]*?[^\s_])_(?![\w_])|~~(?=\S)([\s\S]*?\S)~~|`([^`]+)`/g;
+  const segments = [];
+  let lastIndex = 0;
+  let match;
+
+  const pushText = (value, segmentStyles) => {
+    if (value) segments.push({ text: value, styles: segmentStyles });
+  };
+
+  while ((match = pattern.exec(text)) !== null) {
+    pushText(text.slice(lastIndex, match.index), styles);
+    const [whole, escaped, linkText, , bold, italicStar, italicUnderscore, strike, code] = match;
+
+    if (escaped !== undefined) {
+      pushText(escaped, styles);
+    } else if (linkText !== undefined) {
+      segments.push(...parseMarkdownInline(linkText, styles));
+    } else if (bold !== undefined) {
+      segments.push(...parseMarkdownInline(bold, [...styles, 'BOLD']));
+    } else if (italicStar !== undefined || italicUnderscore !== undefined) {
+      segments.push(...parseMarkdownInline(italicStar || italicUnderscore, [...styles, 'ITALIC']));
+    } else if (strike !== undefined) {
+      segments.push(...parseMarkdownInline(strike, [...styles, 'STRIKETHROUGH']));
+    } else if (code !== undefined) {
+      pushText(code, [...styles, 'CODE']);
+    }
+    // Images are dropped entirely
+
+    lastIndex = match.index + whole.length;
+  }
+
+  pushText(text.slice(lastIndex), styles);
+  return segments;
+};
+
+// Convert Markdown into Draft.js blocks
+const markdownToBlocks = (markdown) => {
+  const blocks = [];
+  const lines = markdown.replace(/\r\n?/g, '\n').split('\n');
+  let paragraph = null;
+  let fence = null;
+
+  const flushParagraph = () => {
+    if (paragraph) {
+      const text = paragraph.lines.join(' ').trim();
+      if (text) blocks.push(createBlock(paragraph.type, parseMarkdownInline(text)));
+      paragraph = null;
+    }
+  };
+
+  lines.forEach(line => {
+    // Fenced code blocks are copied verbatim
+    if (fence) {
+      if (line.trim().startsWith(fence)) fence = null;
+      else blocks.push(createBlock('code-block', [{ text: line, styles: [] }]));
+      return;
+    }
+    const fenceMatch = /^\s*(`{3,}|~{3,})/.exec(line);
+    if (fenceMatch) {
+      flushParagraph();
+      fence = fenceMatch[1];
+      return;
+    }
+
+    if (!line.trim()) {
+      flushParagraph();
+      return;
+    }
+
+    // Setext headings underline the previous paragraph line
+    if (paragraph && paragraph.type === 'unstyled' && paragraph.lines.length === 1) {
+      if (/^\s*=+\s*$/.test(line)) {
+        paragraph.type = HEADER_TYPES[1];
+        flushParagraph();
+        return;
+      }
+      if (/^\s*-+\s*$/.test(line)) {
+        paragraph.type = HEADER_TYPES[2];
+        flushParagraph();
+        return;
+      }
+    }
+
+    if (/^\s*([*\-_])(\s*\1){2,}\s*$/.test(line)) {
+      flushParagraph();
+      blocks.push(createBlock('unstyled', [{ text: '***', styles: [] }]));
+      return;
+    }
+
+    const heading = /^\s*(#{1,6})\s+(.*?)\s*#*\s*$/.exec(line);
+    if (heading) {
+      flushParagraph();
+      blocks.push(createBlock(HEADER_TYPES[heading[1].length], parseMarkdownInline(heading[2])));
+      return;
+    }
+
+    const quote = /^\s*>\s?(.*)$/.exec(line);
+    const bullet = /^(\s*)[-*+]\s+(.*)$/.exec(line);
+    const ordered = /^(\s*)\d+[.)]\s+(.*)$/.exec(line);
+
+    if (bullet || ordered) {
+      flushParagraph();
+      const [, indent, text] = bullet || ordered;
+      const depth = Math.min(Math.floor(indent.replace(/\t/g, '    ').length / 2), 4);
+      blocks.push(createBlock(
+        bullet ? 'unordered-list-item' : 'ordered-list-item',
+        parseMarkdownInline(text.trim()),
+        { depth }
+      ));
+      return;
+    }
+
+    if (quote) {
+      if (!paragraph || paragraph.type !== 'blockquote') {
+        flushParagraph();
+        paragraph = { type: 'blockquote', lines: [] };
+      }
+      paragraph.lines.push(quote[1]);
+      return;
+    }
+
+    if (paragraph && paragraph.type !== 'unstyled') flushParagraph();
+    if (!paragraph) paragraph = { type: 'unstyled', lines: [] };
+    paragraph.lines.push(line.trim());
+  });
+
+  flushParagraph();
+  return blocks;
+};
+
+// Convert plain text into Draft.js blocks. Text with blank lines between
+// hard-wrapped paragraphs is rejoined; otherwise each line is a paragraph.
+const plainTextToBlocks = (text) => {
+  const normalized = text.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+  const lines = normalized.split('\n');
+  const contentLines = lines.filter(line => line.trim());
+  const continuedLines = lines.filter((line, index) => line.trim() && (lines[index + 1] || '').trim());
+  const hardWrapped = /\n[ \t]*\n/.test(normalized)
+    && continuedLines.length / contentLines.length >= 0.5;
+
+  const paragraphs = hardWrapped
+    ? normalized.split(/\n\s*\n/).map(paragraph => paragraph.split('\n').map(line => line.trim()).join(' '))
+    : lines;
+
+  return paragraphs
+    .map(paragraph => paragraph.trim())
+    .filter(Boolean)
+    .map(paragraph => createBlock('unstyled', [{ text: paragraph, styles: [] }]));
+};
+
+// Convert an uploaded .docx buffer into Draft.js blocks
+const docxToBlocks = async (buffer) => {
+  const result = await mammoth.convertToHtml({ buffer }, { styleMap: DOCX_STYLE_MAP });
+  return htmlToBlocks(result.value);
+};
+
+// Supported import formats keyed by file extension
+const IMPORTERS = {
+  docx: docxToBlocks,
+  md: async (buffer) => markdownToBlocks(buffer.toString('utf8')),
+  markdown: async (buffer) => markdownToBlocks(buffer.toString('utf8')),
+  txt: async (buffer) => plainTextToBlocks(buffer.toString('utf8'))
+};
+
+// Build a matcher for a separator line. The token N stands in for a
+// chapter number, so "Chapter N" matches "Chapter 12" or "Chapter Twelve".
+const buildSeparatorMatcher = (separator) => {
+  if (/\bN\b/.test(separator)) {
+    const source = separator
+      .trim()
+      .split(/\bN\b/)
+      .map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+'))
+      .join(NUMBER_PATTERN);
+    const pattern = new RegExp(`^\\s*${source}\\b`, 'i');
+    return { keepsTitle: true, test: text => pattern.test(text) };
+  }
+
+  const literal = separator.replace(/\s+/g, '');
+  return { keepsTitle: false, test: text => literal !== '' && text.replace(/\s+/g, '') === literal };
+};
+
+const truncateTitle = (title) => {
+  const clean = title.replace(/\s+/g, ' ').trim();
+  return clean.length > MAX_TITLE_LENGTH ? `${clean.slice(0, MAX_TITLE_LENGTH - 1).trim()}…` : clean;
+};
+
+// Split a flat list of blocks into chapters.
+// Options:
+//   splitBy       'heading' (default) or 'separator'
+//   headingLevel  heading level that starts a chapter; defaults to the top level present
+//   separator     separator line for 'separator' mode, e.g. '***' or 'Chapter N'
+//   fallbackTitle title used for text before the first split point
+//   countOptions  word counting options for the project
+const splitIntoChapters = (blocks, options = {}) => {
+  const { splitBy = 'heading', separator = '***', fallbackTitle = 'Untitled', countOptions = {} } = options;
+  const chapters = [];
+  let current = { title: null, blocks: [] };
+
+  let isSplit;
+  let keepsTitle = true;
+
+  if (splitBy === 'separator') {
+    const matcher = buildSeparatorMatcher(separator);
+    isSplit = block => matcher.test(block.text);
+    keepsTitle = matcher.keepsTitle;
+  } else {
+    const levels = blocks.map(block => HEADER_LEVELS[block.type]).filter(Boolean);
+    const headingLevel = Number(options.headingLevel) || (levels.length ? Math.min(...levels) : null);
+    isSplit = block => headingLevel !== null && HEADER_LEVELS[block.type] === headingLevel;
+  }
+
+  blocks.forEach(block => {
+    if (!isSplit(block)) {
+      current.blocks.push(block);
+      return;
+    }
+    chapters.push(current);
+    current = { title: keepsTitle ? block.text : null, blocks: [] };
+  });
+  chapters.push(current);
+
+  // Drop empty leading text (e.g. nothing before the first heading)
+  const nonEmpty = chapters.filter((chapter, index) => {
+    return chapter.title !== null || index > 0 || chapter.blocks.some(block => block.text.trim());
+  });
+
+  return nonEmpty.map((chapter, index) => {
+    let title;
+    if (chapter.title === null) {
+      // Text before the first chapter heading, or a chunk between separators
+      title = keepsTitle ? truncateTitle(fallbackTitle) : `Chapter ${index + 1}`;
+    } else {
+      title = truncateTitle(chapter.title) || `Chapter ${index + 1}`;
+    }
+
+    const content = toRawContent(chapter.blocks);
+    return {
+      title,
+      content,
+      wordCount: countWords(content, countOptions)
+    };
+  });
+};
+
+module.exports = {
+  IMPORTERS,
+  htmlToBlocks,
+  markdownToBlocks,
+  plainTextToBlocks,
+  splitIntoChapters
+};
@@ -0,0 +1,222 @@
+const Chapter = require('../models/Chapter');
+const Scene = require('../models/Scene');
+const Codex = require('../models/Codex');
+const Mention = require('../models/Mention');
+const { getBlocks } = require('./draft');
+const { WORD_START, WORD_END, escapeRegExp } = require('./search');
+const { toDraft } = require('./formats');
+
+// Names and aliases an entity is mentioned by, with whitespace normalized
+const mentionTerms = (entity) => [entity.name, ...(entity.aliases || [])]
+  .map(term => (term || '').trim().replace(/\s+/g, ' '))
+  .filter(Boolean);
+
+// One pattern matching every term of the given entities as a whole word.
+// Matching is case-sensitive since names are proper nouns ("Will" the
+// character, not "will" the verb). Returns null when there is nothing to match.
+const buildMentionMatcher = (entities) => {
+  const termMap = new Map();
+  entities.forEach(entity => {
+    mentionTerms(entity).forEach(term => {
+      if (!termMap.has(term)) termMap.set(term, new Set());
+      termMap.get(term).add(entity._id.toString());
+    });
+  });
+  if (termMap.size === 0) return null;
+
+  // Longest first so "Anna Karenina" wins over "Anna"
+  const body = [...termMap.keys()]
+    .sort((a, b) => b.length - a.length)
+    .map(term => escapeRegExp(term).replace(/ /g, '\\s+'))
+    .join('|');
+
+  return {
+    regex: new RegExp(`${WORD_START}(?:${body})${WORD_END}`, 'gu'),
+    termMap
+  };
+};
+
+// Mentions in a piece of content, as a map of entity ID to
+// { count, blocks: [{ blockKey, count }] }
+const findMentions = (content, matcher) => {
+  const mentions = new Map();
+  if (!matcher) return mentions;
+
+  getBlocks(content).forEach(block => {
+    if (!block.text) return;
+
+    const blockCounts = new Map();
+    matcher.regex.lastIndex = 0;
+    let result;
+    while ((result = matcher.regex.exec(block.text)) !== null) {
+      const entityIds = matcher.termMap.get(result[0].replace(/\s+/g, ' ')) || [];
+      entityIds.forEach(entityId => {
+        blockCounts.set(entityId, (blockCounts.get(entityId) || 0) + 1);
+      });
+    }
+
+    blockCounts.forEach((count, entityId) => {
+      if (!mentions.has(entityId)) mentions.set(entityId, { count: 0, blocks: [] });
+      const mention = mentions.get(entityId);
+      mention.count += count;
+      mention.blocks.push({ blockKey: block.key, count });
+    });
+  });
+
+  return mentions;
+};
+
+// Add mentions to running totals, tagging each block with the scene it was
+// found in (null for the chapter's own content) unless it already has one
+const addMentions = (totals, mentions, sceneId) => {
+  mentions.forEach((mention, entityId) => {
+    if (!totals.has(entityId)) totals.set(entityId, { count: 0, blocks: [] });
+    const total = totals.get(entityId);
+    total.count += mention.count;
+    total.blocks.push(...mention.blocks.map(block => ({ sceneId, ...block })));
+  });
+  return totals;
+};
+
+// Combined mentions in a chapter's scenes, in scene order
+const sceneMentions = (scenes, matcher) => scenes.reduce(
+  (totals, scene) => addMentions(totals, findMentions(scene.content, matcher), scene._id),
+  new Map()
+);
+
+// Mentions in a chapter's own content followed by those in its scenes
+const chapterMentions = (chapter, matcher, fromScenes = new Map()) => {
+  const totals = addMentions(new Map(), findMentions(toDraft(chapter.content, chapter.format), matcher), null);
+  return addMentions(totals, fromScenes, null);
+};
+
+// Scene mentions of every chapter in a project, by chapter ID, for indexing
+// many chapters at once
+const sceneMentionsByChapter = async (projectId, matcher) => {
+  const byChapter = new Map();
+  if (!matcher) return byChapter;
+
+  const cursor = Scene.find({ projectId })
+    .select('chapterId content')
+    .sort({ orderIndex: 1 })
+    .lean()
+    .cursor();
+
+  for await (const scene of cursor) {
+    const chapterId = scene.chapterId.toString();
+    if (!byChapter.has(chapterId)) byChapter.set(chapterId, new Map());
+    addMentions(byChapter.get(chapterId), findMentions(scene.content, matcher), scene._id);
+  }
+  return byChapter;
+};
+
+// Upsert operation storing one chapter's mentions of one entity
+const mentionUpsert = (chapter, entityId, mention) => ({
+  updateOne: {
+    filter: { chapterId: chapter._id, entityId },
+    update: {
+      $set: {
+        projectId: chapter.projectId,
+        count: mention.count,
+        blocks: mention.blocks,
+        updatedAt: new Date()
+      }
+    },
+    upsert: true
+  }
+});
+
+// Replace the stored mentions for a chapter
+const writeChapterMentions = async (chapter, mentions) => {
+  const entityIds = [...mentions.keys()];
+  await Mention.bulkWrite([
+    ...entityIds.map(entityId => mentionUpsert(chapter, entityId, mentions.get(entityId))),
+    { deleteMany: { filter: { chapterId: chapter._id, entityId: { $nin: entityIds } } } }
+  ]);
+};
+
+// Re-index a chapter and its scenes against every entity in its project.
+// Failures are logged and never block a save.
+const indexChapterMentions = async (chapter) => {
+  try {
+    const [entities, scenes] = await Promise.all([
+      Codex.find({ projectId: chapter.projectId }).select('name aliases'),
+      Scene.find({ chapterId: chapter._id }).select('content').sort({ orderIndex: 1 }).lean()
+    ]);
+    const matcher = buildMentionMatcher(entities);
+    await writeChapterMentions(chapter, chapterMentions(chapter, matcher, sceneMentions(scenes, matcher)));
+  } catch (error) {
+    console.error('Index chapter mentions error:', error);
+  }
+};
+
+// Re-index a chapter by ID, e.g. after one of its scenes changed
+const indexChapterMentionsById = async (chapterId) => {
+  try {
+    const chapter = await Chapter.findById(chapterId).select('projectId content format');
+    if (chapter) await indexChapterMentions(chapter);
+  } catch (error) {
+    console.error('Index chapter mentions error:', error);
+  }
+};
+
+// Re-index one entity across every chapter and scene of its project, e.g.
+// after it is created or renamed
+const indexEntityMentions = async (entity) => {
+  try {
+    const matcher = buildMentionMatcher([entity]);
+    const entityId = entity._id.toString();
+    const operations = [];
+    const chapterIds = [];
+
+    if (matcher) {
+      const fromScenes = await sceneMentionsByChapter(entity.projectId, matcher);
+      const cursor = Chapter.find({ projectId: entity.projectId })
+        .select('projectId content format')
+        .lean()
+        .cursor();
+
+      for await (const chapter of cursor) {
+        const mention = chapterMentions(chapter, matcher, fromScenes.get(chapter._id.toString())).get(entityId);
+        if (!mention) continue;
+        chapterIds.push(chapter._id);
+        operations.push(mentionUpsert(chapter, entityId, mention));
+      }
+    }
+
+    operations.push({ deleteMany: { filter: { entityId, chapterId: { $nin: chapterIds } } } });
+    await Mention.bulkWrite(operations);
+  } catch (error) {
+    console.error('Index entity mentions error:', error);
+  }
+};
+
+// Rebuild the whole mention index of a project
+const reindexProjectMentions = async (projectId) => {
+  const entities = await Codex.find({ projectId }).select('name aliases');
+  const matcher = buildMentionMatcher(entities);
+  const fromScenes = await sceneMentionsByChapter(projectId, matcher);
+
+  const cursor = Chapter.find({ projectId })
+    .select('projectId content format')
+    .lean()
+    .cursor();
+
+  let chapterCount = 0;
+  for await (const chapter of cursor) {
+    await writeChapterMentions(chapter, chapterMentions(chapter, matcher, fromScenes.get(chapter._id.toString())));
+    chapterCount++;
+  }
+  return chapterCount;
+};
+
+module.exports = {
+  mentionTerms,
+  buildMentionMatcher,
+  findMentions,
+  chapterMentions,
+  indexChapterMentions,
+  indexChapterMentionsById,
+  indexEntityMentions,
+  reindexProjectMentions
+};
@@ -0,0 +1,143 @@
+const { getBlocks } = require('./draft');
+
+const entitiesOf = (content) => (content && content.entityMap) || {};
+
+// Entity keys are numbered per document, so entity ranges are compared by
+// the entities they point at rather than by key
+const blockSignature = (block, entityMap) => JSON.stringify([
+  block.type,
+  block.text,
+  block.depth || 0,
+  block.inlineStyleRanges || [],
+  (block.entityRanges || []).map(range => [range.offset, range.length, entityMap[range.key] || null]),
+  block.data || {}
+]);
+
+// Signature of every block of a document, by key
+const signaturesOf = (blocks, content) => {
+  const entityMap = entitiesOf(content);
+  return new Map(blocks.map(block => [block.key, blockSignature(block, entityMap)]));
+};
+
+// Three-way merge of Draft.js documents at block granularity.
+// `ours` is the incoming save, `theirs` the content currently stored and
+// `base` the revision both were derived from. Blocks are matched by key;
+// a block edited on only one side takes that side's version. Blocks edited
+// differently on both sides, or edited on one side and deleted on the other,
+// are conflicts: the stored (theirs) version is kept in the result, or the
+// edited version when the other side deleted it, so no text is lost.
+const mergeContent = (base, ours, theirs) => {
+  const baseBlocks = getBlocks(base);
+  const ourBlocks = getBlocks(ours);
+  const theirBlocks = getBlocks(theirs);
+
+  const baseByKey = new Map(baseBlocks.map(block => [block.key, block]));
+  const ourByKey = new Map(ourBlocks.map(block => [block.key, block]));
+  const theirByKey = new Map(theirBlocks.map(block => [block.key, block]));
+
+  // Keep the raw blocks so fields we do not normalize are preserved
+  const rawBlocks = (content) => {
+    const blocks = content && Array.isArray(content.blocks) ? content.blocks : getBlocks(content);
+    return new Map(blocks.map(block => [block.key, block]));
+  };
+  const ourRaw = rawBlocks(ours);
+  const theirRaw = rawBlocks(theirs);
+
+  const baseSignatures = signaturesOf(baseBlocks, base);
+  const ourSignatures = signaturesOf(ourBlocks, ours);
+  const theirSignatures = signaturesOf(theirBlocks, theirs);
+
+  const conflicts = [];
+  const result = [];
+  const placed = new Set();
+
+  // Walk the stored order, resolving each block against the incoming save
+  theirBlocks.forEach(theirBlock => {
+    const key = theirBlock.key;
+    const baseBlock = baseByKey.get(key);
+    const ourBlock = ourByKey.get(key);
+
+    if (!baseBlock) {
+      // Added on the stored side
+      if (ourBlock && ourSignatures.get(key) !== theirSignatures.get(key)) {
+        conflicts.push({ key, reason: 'both-added', ours: ourBlock.text, theirs: theirBlock.text });
+      }
+      result.push(theirRaw.get(key));
+      placed.add(key);
+      return;
+    }
+
+    const theirsChanged = theirSignatures.get(key) !== baseSignatures.get(key);
+
+    if (!ourBlock) {
+      // Deleted in the incoming save
+      if (theirsChanged) {
+        conflicts.push({ key, reason: 'deleted-by-ours', ours: null, theirs: theirBlock.text });
+        result.push(theirRaw.get(key));
+        placed.add(key);
+      }
+      return;
+    }
+
+    const oursChanged = ourSignatures.get(key) !== baseSignatures.get(key);
+    if (oursChanged && theirsChanged && ourSignatures.get(key) !== theirSignatures.get(key)) {
+      conflicts.push({ key, reason: 'both-modified', base: baseBlock.text, ours: ourBlock.text, theirs: theirBlock.text });
+      result.push(theirRaw.get(key));
+    } else {
+      result.push(oursChanged ? ourRaw.get(key) : theirRaw.get(key));
+    }
+    placed.add(key);
+  });
+
+  // Blocks from the incoming save not yet placed: new blocks, and blocks
+  // the stored side deleted
+  ourBlocks.forEach((ourBlock, index) => {
+    const key = ourBlock.key;
+    if (placed.has(key)) return;
+
+    const baseBlock = baseByKey.get(key);
+    if (baseBlock && !theirByKey.has(key)) {
+      if (ourSignatures.get(key) === baseSignatures.get(key)) return;
+      conflicts.push({ key, reason: 'deleted-by-theirs', ours: ourBlock.text, theirs: null });
+    }
+
+    // Insert after the nearest preceding block that is already in the result
+    let insertAt = 0;
+    for (let i = index - 1; i >= 0; i--) {
+      const position = result.findIndex(block => block.key === ourBlocks[i].key);
+      if (position !== -1) {
+        insertAt = position + 1;
+        break;
+      }
+    }
+    result.splice(insertAt, 0, ourRaw.get(key));
+    placed.add(key);
+  });
+
+  // Both sides number their entities from 0, so give the entities of the
+  // placed blocks new keys, as mergeContents in utils/splitMerge.js does
+  const entityMap = {};
+  const entityKeys = new Map([[ours, new Map()], [theirs, new Map()]]);
+  let nextEntityKey = 0;
+  const blocks = result.map(block => {
+    const source = block === ourRaw.get(block.key) ? ours : theirs;
+    const sourceEntities = entitiesOf(source);
+    const keys = entityKeys.get(source);
+    const entityRanges = (block.entityRanges || []).map(range => {
+      if (!keys.has(range.key)) {
+        keys.set(range.key, nextEntityKey);
+        if (sourceEntities[range.key] !== undefined) entityMap[nextEntityKey] = sourceEntities[range.key];
+        nextEntityKey++;
+      }
+      return { ...range, key: keys.get(range.key) };
+    });
+    return { ...block, entityRanges };
+  });
+
+  return {
+    content: { blocks, entityMap },
+    conflicts
+  };
+};
+
+module.exports = { mergeContent };
@@ -0,0 +1,75 @@
+// Project outline: beats in story order with the progress of their chapters
+
+// Beats cut from the story are listed but never reported as unwritten
+const CUT_STATUS = 'cut';
+
+// Each beat with its live chapters and entities filled in and how much of it
+// has been written. Links to trashed chapters or entries are left out.
+const buildOutline = (beats, chapters, entities) => {
+  const chaptersById = new Map(chapters.map(chapter => [chapter._id.toString(), chapter]));
+  const entitiesById = new Map(entities.map(entity => [entity._id.toString(), entity]));
+
+  const outline = beats.map(beat => {
+    const beatChapters = beat.chapterIds
+      .map(id => chaptersById.get(id.toString()))
+      .filter(Boolean)
+      .map(chapter => ({
+        _id: chapter._id,
+        title: chapter.title,
+        orderIndex: chapter.orderIndex,
+        status: chapter.status,
+        isComplete: chapter.isComplete,
+        wordCount: chapter.wordCount || 0,
+        targetWordCount: chapter.targetWordCount
+      }));
+
+    const wordCount = beatChapters.reduce((sum, chapter) => sum + chapter.wordCount, 0);
+    return {
+      _id: beat._id,
+      title: beat.title,
+      synopsis: beat.synopsis,
+      act: beat.act,
+      status: beat.status,
+      tension: beat.tension,
+      orderIndex: beat.orderIndex,
+      chapters: beatChapters,
+      entities: beat.entityIds
+        .map(id => entitiesById.get(id.toString()))
+        .filter(Boolean)
+        .map(entity => ({ _id: entity._id, type: entity.type, name: entity.name })),
+      wordCount,
+      isWritten: wordCount > 0,
+      isComplete: beatChapters.length > 0 && beatChapters.every(chapter => chapter.isComplete)
+    };
+  });
+
+  const active = outline.filter(beat => beat.status !== CUT_STATUS);
+  const linkedChapterIds = new Set(active.flatMap(beat => beat.chapters.map(chapter => chapter._id.toString())));
+  return {
+    beats: outline,
+    summary: {
+      beatCount: active.length,
+      linkedCount: active.filter(beat => beat.chapters.length > 0).length,
+      writtenCount: active.filter(beat => beat.isWritten).length,
+      completeCount: active.filter(beat => beat.isComplete).length,
+      // Chapters no beat accounts for
+      unlinkedChapterCount: chapters.filter(chapter => !linkedChapterIds.has(chapter._id.toString())).length
+    }
+  };
+};
+
+// Beats with nothing written for them yet: no chapter linked, or only empty
+// chapters. Entries come from buildOutline.
+const unwrittenBeats = (outline) => {
+  return outline.beats
+    .filter(beat => beat.status !== CUT_STATUS && !beat.isWritten)
+    .map(beat => ({
+      ...beat,
+      reason: beat.chapters.length === 0 ? 'no-chapter' : 'empty-chapters'
+    }));
+};
+
+module.exports = {
+  buildOutline,
+  unwrittenBeats
+};
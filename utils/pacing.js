@@ -0,0 +1,124 @@
+// Chapter length pacing: targets per chapter and how far each chapter strays
+// from its target and from the chapters around it
+
+const DEFAULT_TOLERANCE = 0.25;
+const DEFAULT_OUTLIER_RATIO = 2;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const hasTarget = (chapter) => chapter.targetWordCount !== null && chapter.targetWordCount !== undefined;
+
+// Target for every chapter, in the order given. Chapters with their own
+// targetWordCount keep it; the rest share whatever is left of the project
+// goal evenly across the chapters still planned.
+const chapterTargets = (chapters, project) => {
+  const explicit = chapters.filter(hasTarget);
+  const planned = Math.max(project.plannedChapterCount || 0, chapters.length);
+  const remainingGoal = Math.max(0, (project.wordCountGoal || 0)
+    - explicit.reduce((sum, chapter) => sum + chapter.targetWordCount, 0));
+  const remainingSlots = planned - explicit.length;
+  const derived = project.wordCountGoal && remainingSlots > 0
+    ? Math.round(remainingGoal / remainingSlots)
+    : null;
+
+  return chapters.map(chapter => (hasTarget(chapter)
+    ? { target: chapter.targetWordCount, source: 'chapter' }
+    : { target: derived, source: derived === null ? null : 'project' }));
+};
+
+const median = (values) => {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+// Average length of the nearest written chapter either side
+const neighbourAverage = (written, index) => {
+  const neighbours = [written[index - 1], written[index + 1]].filter(Boolean);
+  if (neighbours.length === 0) return null;
+  return neighbours.reduce((sum, chapter) => sum + chapter.wordCount, 0) / neighbours.length;
+};
+
+// Length of every chapter against its target and its neighbours. Chapters
+// with no words yet are reported but left out of comparisons and averages.
+// `tolerance` is the fraction a chapter may miss its target by, and
+// `outlierRatio` how many times longer or shorter than its neighbours a
+// chapter must be to be called out.
+const pacingReport = (chapters, project, { tolerance = DEFAULT_TOLERANCE, outlierRatio = DEFAULT_OUTLIER_RATIO } = {}) => {
+  const targets = chapterTargets(chapters, project);
+  const written = chapters.filter(chapter => chapter.wordCount > 0);
+  const writtenIndex = new Map(written.map((chapter, index) => [chapter._id.toString(), index]));
+
+  const lengths = written.map(chapter => chapter.wordCount);
+  const mean = lengths.length ? lengths.reduce((sum, length) => sum + length, 0) / lengths.length : null;
+  const standardDeviation = lengths.length
+    ? Math.sqrt(lengths.reduce((sum, length) => sum + (length - mean) ** 2, 0) / lengths.length)
+    : null;
+
+  const data = chapters.map((chapter, index) => {
+    const { target, source } = targets[index];
+    const wordCount = chapter.wordCount || 0;
+    const entry = {
+      chapterId: chapter._id,
+      title: chapter.title,
+      orderIndex: chapter.orderIndex,
+      wordCount,
+      target,
+      targetSource: source,
+      variance: target === null ? null : wordCount - target,
+      variancePercent: target ? round(((wordCount - target) / target) * 100) : null,
+      neighbourAverage: null,
+      neighbourRatio: null,
+      flags: []
+    };
+
+    if (wordCount === 0) {
+      entry.flags.push('unwritten');
+      return entry;
+    }
+
+    if (target && Math.abs(wordCount - target) > target * tolerance) {
+      entry.flags.push(wordCount > target ? 'over-target' : 'under-target');
+    }
+
+    const average = neighbourAverage(written, writtenIndex.get(chapter._id.toString()));
+    if (average) {
+      entry.neighbourAverage = Math.round(average);
+      entry.neighbourRatio = round(wordCount / average);
+      if (entry.neighbourRatio >= outlierRatio) entry.flags.push('long-for-neighbours');
+      if (entry.neighbourRatio <= 1 / outlierRatio) entry.flags.push('short-for-neighbours');
+    }
+
+    return entry;
+  });
+
+  const totalTarget = targets.every(({ target }) => target !== null)
+    ? targets.reduce((sum, { target }) => sum + target, 0)
+    : null;
+
+  return {
+    summary: {
+      chapterCount: chapters.length,
+      writtenChapterCount: written.length,
+      plannedChapterCount: Math.max(project.plannedChapterCount || 0, chapters.length),
+      wordCountGoal: project.wordCountGoal,
+      totalWordCount: lengths.reduce((sum, length) => sum + length, 0),
+      totalTarget,
+      mean: mean === null ? null : Math.round(mean),
+      median: median(lengths),
+      standardDeviation: standardDeviation === null ? null : Math.round(standardDeviation),
+      outliers: data
+        .filter(entry => entry.flags.some(flag => flag !== 'unwritten'))
+        .map(entry => entry.chapterId)
+    },
+    data
+  };
+};
+
+module.exports = {
+  DEFAULT_TOLERANCE,
+  DEFAULT_OUTLIER_RATIO,
+  chapterTargets,
+  pacingReport
+};
@@ -0,0 +1,115 @@
+const { getBlocks } = require('./draft');
+
+const VALID_OPERATIONS = ['insert', 'update', 'delete'];
+
+// Block fields a patch may set
+const BLOCK_FIELDS = ['text', 'type', 'depth', 'inlineStyleRanges', 'entityRanges', 'data'];
+
+const pickBlockFields = (block) => BLOCK_FIELDS.reduce((fields, field) => {
+  if (block[field] !== undefined) fields[field] = block[field];
+  return fields;
+}, {});
+
+// Returns an error message for invalid block fields, or null
+const validateBlockFields = (fields) => {
+  if (fields.text !== undefined && typeof fields.text !== 'string') {
+    return 'block text must be a string';
+  }
+  if (fields.type !== undefined && typeof fields.type !== 'string') {
+    return 'block type must be a string';
+  }
+  const badRange = ['inlineStyleRanges', 'entityRanges']
+    .find(field => fields[field] !== undefined && !Array.isArray(fields[field]));
+  return badRange ? `${badRange} must be an array` : null;
+};
+
+// Apply block-level operations to Draft.js content.
+// Operations:
+//   { op: 'insert', block, after }  insert after the block keyed `after`;
+//                                   after: null inserts first, omitted appends
+//   { op: 'update', key, block }    merge the given fields into a block
+//   { op: 'delete', key }           remove a block
+// Returns { content }, or { error } when an operation is malformed or
+// refers to a missing block.
+const applyBlockOperations = (content, operations, entityMap) => {
+  if (!Array.isArray(operations)) {
+    return { error: 'operations must be an array' };
+  }
+
+  const blocks = content && Array.isArray(content.blocks)
+    ? content.blocks.map(block => ({ ...block }))
+    : getBlocks(content);
+
+  const indexOf = (key) => blocks.findIndex(block => block.key === key);
+
+  for (let index = 0; index < operations.length; index++) {
+    const operation = operations[index];
+    const fail = message => ({ error: `Operation ${index}: ${message}` });
+
+    if (!operation || !VALID_OPERATIONS.includes(operation.op)) {
+      return fail(`op must be one of ${VALID_OPERATIONS.join(', ')}`);
+    }
+
+    if (operation.op === 'insert') {
+      const block = operation.block || {};
+      if (!block.key || typeof block.key !== 'string') {
+        return fail('inserted block needs a key');
+      }
+      if (indexOf(block.key) !== -1) {
+        return fail(`block ${block.key} already exists`);
+      }
+      const fields = pickBlockFields(block);
+      const invalid = validateBlockFields(fields);
+      if (invalid) return fail(invalid);
+
+      let position = blocks.length;
+      if (operation.after === null) {
+        position = 0;
+      } else if (operation.after !== undefined) {
+        const afterIndex = indexOf(operation.after);
+        if (afterIndex === -1) {
+          return fail(`block ${operation.after} not found`);
+        }
+        position = afterIndex + 1;
+      }
+
+      blocks.splice(position, 0, {
+        key: block.key,
+        text: '',
+        type: 'unstyled',
+        depth: 0,
+        inlineStyleRanges: [],
+        entityRanges: [],
+        data: {},
+        ...fields
+      });
+      continue;
+    }
+
+    const blockIndex = indexOf(operation.key);
+    if (blockIndex === -1) {
+      return fail(`block ${operation.key} not found`);
+    }
+
+    if (operation.op === 'update') {
+      const fields = pickBlockFields(operation.block || {});
+      const invalid = validateBlockFields(fields);
+      if (invalid) return fail(invalid);
+      blocks[blockIndex] = { ...blocks[blockIndex], ...fields };
+    } else {
+      blocks.splice(blockIndex, 1);
+    }
+  }
+
+  return {
+    content: {
+      blocks,
+      entityMap: {
+        ...((content && content.entityMap) || {}),
+        ...(entityMap || {})
+      }
+    }
+  };
+};
+
+module.exports = { applyBlockOperations };
@@ -0,0 +1,198 @@
+// Readability and prose statistics for Draft.js content. The heuristics
+// (syllables, adverbs, passive voice) are tuned for English prose.
+//
+// Analysis happens in two steps: countProse reduces content to additive
+// counts, which can be cached per chapter and summed across a project, and
+// proseMetrics turns counts into scores.
+const { getBlocks, HEADER_LEVELS } = require('./draft');
+
+// Upper bounds (inclusive) of the sentence length histogram buckets, in words
+const SENTENCE_LENGTH_BUCKETS = [5, 10, 15, 20, 30, 40];
+
+const WORD = /[\p{L}\p{N}]+(?:['’][\p{L}\p{N}]+)*/gu;
+const SENTENCE_END = /[.!?…]+["'”’)\]]*(?=\s|$)/gu;
+const DIALOGUE = /[“"«„]([^“”"«»„]*)[”"»“]/gu;
+
+// Abbreviations whose full stop does not end a sentence
+const ABBREVIATIONS = new Set(['mr', 'mrs', 'ms', 'dr', 'prof', 'st', 'sr', 'jr', 'vs', 'etc', 'mt', 'lt', 'col', 'gen', 'capt', 'sgt']);
+
+// -ly words that are not adverbs, or not the kind worth flagging
+const NOT_ADVERBS = new Set([
+  'only', 'family', 'early', 'reply', 'supply', 'apply', 'imply', 'comply',
+  'rely', 'ally', 'belly', 'bully', 'jelly', 'holy', 'ugly', 'lonely', 'lovely',
+  'friendly', 'likely', 'lively', 'silly', 'daily', 'weekly', 'monthly',
+  'yearly', 'fly', 'july', 'italy', 'lily', 'sally', 'emily', 'molly', 'kelly',
+  'hilly', 'chilly', 'curly', 'elderly', 'costly', 'deadly', 'orderly'
+]);
+
+const IRREGULAR_PARTICIPLES = [
+  'been', 'begun', 'bitten', 'blown', 'born', 'borne', 'bought', 'brought',
+  'built', 'caught', 'chosen', 'done', 'drawn', 'driven', 'eaten', 'fallen',
+  'felt', 'forgotten', 'forgiven', 'found', 'frozen', 'given', 'gone', 'grown',
+  'heard', 'held', 'hidden', 'hit', 'hung', 'hurt', 'kept', 'known', 'laid',
+  'led', 'left', 'lost', 'made', 'meant', 'met', 'paid', 'put', 'read', 'ridden',
+  'run', 'said', 'seen', 'sent', 'set', 'shaken', 'shot', 'shown', 'shut',
+  'sold', 'spoken', 'spent', 'stolen', 'struck', 'sung', 'sunk', 'taken',
+  'taught', 'thrown', 'told', 'torn', 'understood', 'woken', 'won', 'worn',
+  'written'
+];
+
+// A form of "to be" or "to get" followed, perhaps after an adverb, by a past participle
+const PASSIVE = new RegExp(
+  `\\b(?:am|is|are|was|were|be|been|being|get|gets|got|gotten|getting)\\s+(?:\\w+ly\\s+)?(?:\\w+ed|${IRREGULAR_PARTICIPLES.join('|')})\\b`,
+  'i'
+);
+
+// Estimate syllables in an English word
+const countSyllables = (word) => {
+  const lower = word.toLowerCase().replace(/[^a-z]/g, '');
+  if (!lower) return 1;
+  if (lower.length <= 3) return 1;
+
+  const trimmed = lower
+    .replace(/(?:[^laeiouy]es|[^laeiouydt]ed|[^laeiouy]e)$/, '')
+    .replace(/^y/, '');
+  const groups = trimmed.match(/[aeiouy]{1,2}/g);
+  return Math.max(1, groups ? groups.length : 0);
+};
+
+const isAdverb = (word) => {
+  const lower = word.toLowerCase();
+  return lower.length > 4 && lower.endsWith('ly') && !NOT_ADVERBS.has(lower);
+};
+
+// Gunning fog counts words of three or more syllables, ignoring ones that
+// only get there through an -es, -ed or -ing ending
+const isComplexWord = (word, syllables) => {
+  if (syllables < 3) return false;
+  return !(syllables === 3 && /(?:es|ed|ing)$/i.test(word));
+};
+
+// Split paragraph text into sentences. Punctuation followed by a lower case
+// word ("Really?" she asked) or after an abbreviation does not end one.
+const splitSentences = (text) => {
+  const sentences = [];
+  let start = 0;
+  let match;
+  SENTENCE_END.lastIndex = 0;
+  while ((match = SENTENCE_END.exec(text)) !== null) {
+    const end = match.index + match[0].length;
+    const before = text.slice(start, match.index).match(/([\p{L}]+)$/u);
+    const after = text.slice(end).match(/^\s*(\S)/u);
+    if (match[0][0] === '.' && before && ABBREVIATIONS.has(before[1].toLowerCase())) continue;
+    if (after && /\p{Ll}/u.test(after[1])) continue;
+    sentences.push(text.slice(start, end).trim());
+    start = end;
+  }
+  sentences.push(text.slice(start).trim());
+  return sentences.filter(sentence => sentence.match(WORD));
+};
+
+const emptyCounts = () => ({
+  paragraphs: 0,
+  sentences: 0,
+  words: 0,
+  syllables: 0,
+  complexWords: 0,
+  dialogueWords: 0,
+  adverbs: 0,
+  passiveSentences: 0,
+  longestSentence: 0,
+  sentenceLengths: new Array(SENTENCE_LENGTH_BUCKETS.length + 1).fill(0)
+});
+
+// Additive counts for a piece of content. Headings are not prose and are skipped.
+const countProse = (content) => {
+  const counts = emptyCounts();
+
+  getBlocks(content).forEach(block => {
+    if (HEADER_LEVELS[block.type] || block.type === 'atomic') return;
+
+    const words = block.text.match(WORD);
+    if (!words) return;
+    counts.paragraphs++;
+
+    words.forEach(word => {
+      const syllables = countSyllables(word);
+      counts.words++;
+      counts.syllables += syllables;
+      if (isComplexWord(word, syllables)) counts.complexWords++;
+      if (isAdverb(word)) counts.adverbs++;
+    });
+
+    for (const quote of block.text.matchAll(DIALOGUE)) {
+      const quoted = quote[1].match(WORD);
+      counts.dialogueWords += quoted ? quoted.length : 0;
+    }
+
+    splitSentences(block.text).forEach(sentence => {
+      const length = sentence.match(WORD).length;
+      const bucket = SENTENCE_LENGTH_BUCKETS.findIndex(limit => length <= limit);
+      counts.sentences++;
+      counts.sentenceLengths[bucket === -1 ? SENTENCE_LENGTH_BUCKETS.length : bucket]++;
+      counts.longestSentence = Math.max(counts.longestSentence, length);
+      if (PASSIVE.test(sentence)) counts.passiveSentences++;
+    });
+  });
+
+  return counts;
+};
+
+// Sum counts from several chapters
+const combineCounts = (countsList) => {
+  return countsList.reduce((total, counts) => {
+    Object.keys(total).forEach(key => {
+      if (key === 'sentenceLengths') {
+        total.sentenceLengths = total.sentenceLengths.map((count, index) => count + (counts.sentenceLengths[index] || 0));
+      } else if (key === 'longestSentence') {
+        total.longestSentence = Math.max(total.longestSentence, counts.longestSentence || 0);
+      } else {
+        total[key] += counts[key] || 0;
+      }
+    });
+    return total;
+  }, emptyCounts());
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Scores and ratios from counts; null where there is no text to measure
+const proseMetrics = (counts) => {
+  const { words, sentences, paragraphs, syllables } = counts;
+  const measurable = words > 0 && sentences > 0;
+  const wordsPerSentence = measurable ? words / sentences : 0;
+  const syllablesPerWord = measurable ? syllables / words : 0;
+
+  const distribution = counts.sentenceLengths.map((count, index) => ({
+    min: index === 0 ? 1 : SENTENCE_LENGTH_BUCKETS[index - 1] + 1,
+    max: index < SENTENCE_LENGTH_BUCKETS.length ? SENTENCE_LENGTH_BUCKETS[index] : null,
+    count
+  }));
+
+  return {
+    wordCount: words,
+    sentenceCount: sentences,
+    paragraphCount: paragraphs,
+    fleschReadingEase: measurable ? round(206.835 - 1.015 * wordsPerSentence - 84.6 * syllablesPerWord) : null,
+    fleschKincaidGrade: measurable ? round(0.39 * wordsPerSentence + 11.8 * syllablesPerWord - 15.59) : null,
+    gunningFog: measurable ? round(0.4 * (wordsPerSentence + 100 * (counts.complexWords / words))) : null,
+    averageSentenceLength: measurable ? round(wordsPerSentence) : null,
+    averageParagraphLength: paragraphs > 0 ? round(words / paragraphs) : null,
+    averageSentencesPerParagraph: paragraphs > 0 ? round(sentences / paragraphs) : null,
+    longestSentence: counts.longestSentence,
+    dialogueRatio: words > 0 ? round(counts.dialogueWords / words) : null,
+    narrationRatio: words > 0 ? round(1 - counts.dialogueWords / words) : null,
+    adverbsPer100Words: words > 0 ? round((counts.adverbs / words) * 100) : null,
+    passiveSentencePercent: sentences > 0 ? round((counts.passiveSentences / sentences) * 100) : null,
+    sentenceLengthDistribution: distribution
+  };
+};
+
+module.exports = {
+  SENTENCE_LENGTH_BUCKETS,
+  countSyllables,
+  splitSentences,
+  countProse,
+  combineCounts,
+  proseMetrics
+};
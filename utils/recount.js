@@ -0,0 +1,120 @@
+// Recounting stored word counts after a project's language or counting rules
+// change, or after the counting rules themselves change (WORD_COUNT_VERSION)
+const Project = require('../models/Project');
+const Chapter = require('../models/Chapter');
+const Scene = require('../models/Scene');
+const Version = require('../models/Version');
+const { WORD_COUNT_VERSION, countWords, wordCountOptions } = require('./wordCount');
+const { contentWordCount } = require('./formats');
+const { TRASHED } = require('./trash');
+
+const BATCH_SIZE = 500;
+// A startup recount not finished within this long is taken to have died and
+// may be claimed again
+const RECOUNT_LEASE_MS = 60 * 60 * 1000;
+// Pause between projects so a startup recount does not crowd out requests
+const RECOUNT_PAUSE_MS = 500;
+
+// Stream documents and write back changed word counts in batches
+const recountModel = async (Model, filter, count) => {
+  let operations = [];
+  let updated = 0;
+
+  const flush = async () => {
+    if (operations.length === 0) return;
+    await Model.bulkWrite(operations);
+    updated += operations.length;
+    operations = [];
+  };
+
+  const cursor = Model.find(filter)
+    .select('content format wordCount')
+    .lean()
+    .cursor();
+
+  for await (const doc of cursor) {
+    const wordCount = await count(doc);
+    if (wordCount === doc.wordCount) continue;
+    operations.push({ updateOne: { filter: { _id: doc._id }, update: { $set: { wordCount } } } });
+    if (operations.length >= BATCH_SIZE) await flush();
+  }
+  await flush();
+  return updated;
+};
+
+// Recount every scene, chapter and version of a project, including those in
+// the trash. Returns how many of each changed.
+const recountProjectWords = async (project) => {
+  const options = wordCountOptions(project);
+  const projectId = project._id;
+
+  // Scenes first, as chapter counts include their scenes
+  const scenes = await recountModel(Scene, { projectId }, scene => countWords(scene.content, options));
+
+  const sceneTotals = new Map();
+  const sceneCounts = await Scene.find({ projectId }).select('chapterId wordCount').lean();
+  sceneCounts.forEach(scene => {
+    const key = scene.chapterId.toString();
+    sceneTotals.set(key, (sceneTotals.get(key) || 0) + (scene.wordCount || 0));
+  });
+
+  const countChapter = chapter => contentWordCount(chapter.content, chapter.format, options)
+    + (sceneTotals.get(chapter._id.toString()) || 0);
+  const chapters = await recountModel(Chapter, { projectId }, countChapter)
+    + await recountModel(Chapter, { projectId, deletedAt: TRASHED }, countChapter);
+
+  // Versions only hold the chapter's own content, so scenes are not included
+  const versions = await recountModel(Version, { projectId }, version => contentWordCount(version.content, version.format, options));
+
+  await Project.updateOne(
+    { _id: projectId, deletedAt: project.deletedAt || null },
+    { $set: { wordCountVersion: WORD_COUNT_VERSION, wordCountRecountStartedAt: null } }
+  );
+
+  return { scenes, chapters, versions };
+};
+
+// Claim one outdated project for recounting, so that servers starting
+// together do not recount the same project. Returns null when none is left.
+const claimOutdatedProject = (deletedAt) => {
+  const now = new Date();
+  return Project.findOneAndUpdate(
+    {
+      wordCountVersion: { $ne: WORD_COUNT_VERSION },
+      deletedAt,
+      $or: [
+        { wordCountRecountStartedAt: null },
+        { wordCountRecountStartedAt: { $lt: new Date(now.getTime() - RECOUNT_LEASE_MS) } }
+      ]
+    },
+    { $set: { wordCountRecountStartedAt: now } },
+    { new: true }
+  ).select('language wordCountRules deletedAt');
+};
+
+const pause = () => new Promise(resolve => setTimeout(resolve, RECOUNT_PAUSE_MS));
+
+// Recount projects whose counts were made with older counting rules, one at a
+// time. Run at startup once the database is connected.
+const recountOutdatedProjects = async () => {
+  let recounted = 0;
+  for (const deletedAt of [null, TRASHED]) {
+    let project;
+    while ((project = await claimOutdatedProject(deletedAt))) {
+      try {
+        await recountProjectWords(project);
+        recounted++;
+      } catch (error) {
+        // The claim is kept, so the project is retried once it goes stale
+        console.error(`Word recount error for project ${project._id}:`, error);
+      }
+      await pause();
+    }
+  }
+  return recounted;
+};
+
+module.exports = {
+  recountProjectWords,
+  recountOutdatedProjects
+};
@@ -0,0 +1,196 @@
+// Word repetition report for Draft.js content: most frequent words, repeated
+// phrases (n-grams), echo words recurring close together and crutch words.
+// Every occurrence is reported with its chapter, scene (null for the
+// chapter's own content), block key and code point offset and length, so
+// clients can jump straight to it.
+const { getBlocks } = require('./draft');
+const { codePointOffsets } = require('./search');
+
+const WORD = /[\p{L}\p{N}]+(?:['’][\p{L}\p{N}]+)*/gu;
+
+const DEFAULT_NGRAM_SIZES = [2, 3, 4];
+// Words between two uses of the same word for the second to count as an echo
+const DEFAULT_ECHO_WINDOW = 50;
+// Shorter words are too common to be worth flagging as echoes
+const MIN_ECHO_LENGTH = 4;
+
+const DEFAULT_CRUTCH_WORDS = [
+  'just', 'really', 'very', 'actually', 'basically', 'literally', 'suddenly',
+  'quite', 'rather', 'somehow', 'somewhat', 'simply', 'totally', 'seemed',
+  'started to', 'began to', 'felt', 'realized', 'noticed', 'a bit', 'a little'
+];
+
+const STOP_WORDS = new Set([
+  'a', 'about', 'above', 'after', 'again', 'against', 'all', 'am', 'an', 'and',
+  'any', 'are', 'as', 'at', 'be', 'because', 'been', 'before', 'being', 'below',
+  'between', 'both', 'but', 'by', 'can', 'could', 'did', 'do', 'does', 'doing',
+  'down', 'during', 'each', 'few', 'for', 'from', 'further', 'had', 'has',
+  'have', 'having', 'he', 'her', 'here', 'hers', 'herself', 'him', 'himself',
+  'his', 'how', 'i', 'if', 'in', 'into', 'is', 'it', 'its', 'itself', 'me',
+  'more', 'most', 'my', 'myself', 'no', 'nor', 'not', 'of', 'off', 'on', 'once',
+  'only', 'or', 'other', 'our', 'ours', 'ourselves', 'out', 'over', 'own',
+  'same', 'she', 'should', 'so', 'some', 'such', 'than', 'that', 'the', 'their',
+  'theirs', 'them', 'themselves', 'then', 'there', 'these', 'they', 'this',
+  'those', 'through', 'to', 'too', 'under', 'until', 'up', 'was', 'we', 'were',
+  'what', 'when', 'where', 'which', 'while', 'who', 'whom', 'why', 'will',
+  'with', 'would', 'you', 'your', 'yours', 'yourself', 'yourselves',
+  'i’m', "i'm", 'it’s', "it's", 'don’t', "don't", 'didn’t', "didn't"
+]);
+
+const normalizeWord = (word) => word.toLowerCase().replace(/’/g, "'");
+
+// Words of every block, with code point positions
+const tokenizeBlocks = (content) => {
+  return getBlocks(content).map(block => {
+    const offsets = codePointOffsets(block.text);
+    const words = [];
+    for (const match of block.text.matchAll(WORD)) {
+      words.push({
+        word: normalizeWord(match[0]),
+        offset: offsets[match.index],
+        length: offsets[match.index + match[0].length] - offsets[match.index]
+      });
+    }
+    return { key: block.key, words };
+  });
+};
+
+// Crutch words and phrases from a list of strings, as word sequences
+const parseCrutchWords = (list) => {
+  return [...new Set(list.map(entry => String(entry).trim().toLowerCase()).filter(Boolean))]
+    .map(phrase => ({ phrase, words: (phrase.match(WORD) || []).map(normalizeWord) }))
+    .filter(crutch => crutch.words.length > 0);
+};
+
+const addLocation = (map, key, location) => {
+  if (!map.has(key)) map.set(key, []);
+  map.get(key).push(location);
+};
+
+// Collects occurrences chapter by chapter, then reports on everything added
+const createRepetitionCollector = ({
+  crutchWords = DEFAULT_CRUTCH_WORDS,
+  ngramSizes = DEFAULT_NGRAM_SIZES,
+  echoWindow = DEFAULT_ECHO_WINDOW
+} = {}) => {
+  const words = new Map();
+  const ngrams = new Map();
+  const crutches = parseCrutchWords(crutchWords);
+  const crutchHits = new Map(crutches.map(crutch => [crutch.phrase, []]));
+  const echoes = [];
+  let totalWords = 0;
+
+  // Scenes ({ _id, content }) are read after the chapter's own content
+  const addChapter = (chapterId, content, scenes = []) => {
+    // Last position of each word in this chapter, for echo detection
+    const lastSeen = new Map();
+    let position = 0;
+
+    const blocks = [
+      ...tokenizeBlocks(content).map(block => ({ ...block, sceneId: null })),
+      ...scenes.flatMap(scene => tokenizeBlocks(scene.content).map(block => ({ ...block, sceneId: scene._id })))
+    ];
+
+    blocks.forEach(block => {
+      const at = (token, length = token.length) => ({
+        chapterId,
+        sceneId: block.sceneId,
+        blockKey: block.key,
+        offset: token.offset,
+        length
+      });
+
+      block.words.forEach((token, index) => {
+        totalWords++;
+        const isStopWord = STOP_WORDS.has(token.word);
+
+        if (!isStopWord) addLocation(words, token.word, at(token));
+
+        if (!isStopWord && Array.from(token.word).length >= MIN_ECHO_LENGTH) {
+          const previous = lastSeen.get(token.word);
+          if (previous && position - previous.position <= echoWindow) {
+            echoes.push({
+              word: token.word,
+              distance: position - previous.position,
+              first: previous.location,
+              second: at(token)
+            });
+          }
+          lastSeen.set(token.word, { position, location: at(token) });
+        }
+
+        // Phrases do not run across blocks
+        ngramSizes.forEach(size => {
+          const run = block.words.slice(index, index + size);
+          if (run.length < size || run.every(part => STOP_WORDS.has(part.word))) return;
+          const last = run[run.length - 1];
+          addLocation(ngrams, run.map(part => part.word).join(' '), at(token, last.offset + last.length - token.offset));
+        });
+
+        crutches.forEach(crutch => {
+          const run = block.words.slice(index, index + crutch.words.length);
+          if (run.length < crutch.words.length || run.some((part, i) => part.word !== crutch.words[i])) return;
+          const last = run[run.length - 1];
+          crutchHits.get(crutch.phrase).push(at(token, last.offset + last.length - token.offset));
+        });
+
+        position++;
+      });
+    });
+  };
+
+  // `limit` caps the number of words, phrases and echoes returned; phrases
+  // and words must occur at least `minCount` times
+  const report = ({ limit = 25, minCount = 2 } = {}) => {
+    const ranked = (map) => [...map.entries()]
+      .filter(([, locations]) => locations.length >= minCount)
+      .map(([text, locations]) => ({ text, count: locations.length, locations }))
+      .sort((a, b) => b.count - a.count || a.text.localeCompare(b.text));
+
+    // Drop phrases that only occur as part of a longer repeated phrase
+    const phrases = ranked(ngrams);
+    const covered = new Set();
+    phrases.forEach(({ text, count }) => {
+      const parts = text.split(' ');
+      for (let size = 1; size < parts.length; size++) {
+        for (let start = 0; start + size <= parts.length; start++) {
+          covered.add(`${parts.slice(start, start + size).join(' ')}|${count}`);
+        }
+      }
+    });
+    const keptPhrases = phrases.filter(({ text, count }) => !covered.has(`${text}|${count}`));
+
+    return {
+      totalWords,
+      words: ranked(words).slice(0, limit).map(({ text, count, locations }) => ({
+        word: text,
+        count,
+        per1000Words: totalWords ? Math.round((count / totalWords) * 100000) / 100 : 0,
+        locations
+      })),
+      phrases: keptPhrases.slice(0, limit).map(({ text, count, locations }) => ({ phrase: text, count, locations })),
+      echoes: [...echoes]
+        .sort((a, b) => a.distance - b.distance)
+        .slice(0, limit),
+      echoCount: echoes.length,
+      crutchWords: crutches
+        .map(crutch => ({
+          phrase: crutch.phrase,
+          count: crutchHits.get(crutch.phrase).length,
+          locations: crutchHits.get(crutch.phrase)
+        }))
+        .filter(entry => entry.count > 0)
+        .sort((a, b) => b.count - a.count)
+    };
+  };
+
+  return { addChapter, report };
+};
+
+module.exports = {
+  DEFAULT_CRUTCH_WORDS,
+  DEFAULT_NGRAM_SIZES,
+  DEFAULT_ECHO_WINDOW,
+  STOP_WORDS,
+  createRepetitionCollector
+};
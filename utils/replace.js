@@ -0,0 +1,239 @@
+// Find and replace over Draft.js block text. Offsets and lengths are in code
+// points; inline style and entity ranges are remapped around each edit.
+const vm = require('vm');
+const { getBlocks } = require('./draft');
+const {
+  MAX_QUERY_LENGTH,
+  WORD_START,
+  WORD_END,
+  escapeRegExp,
+  codePointOffsets,
+  buildSnippet
+} = require('./search');
+
+// Longest a regex find and replace may spend matching, across the manuscript
+const REGEX_TIME_LIMIT_MS = 2000;
+
+// Matching time left to a regex find and replace, used up by findReplacements
+const regexTimeBudget = () => ({ remaining: REGEX_TIME_LIMIT_MS });
+
+// Build the matcher for a find and replace. `find` is a literal phrase unless
+// `regex` is set. Case-preserving replacement always matches case-insensitively.
+// Returns { regex, prefilter } or { error }; `prefilter` is null in regex mode
+// since JavaScript patterns do not always mean the same thing to MongoDB.
+const buildReplacePattern = ({ find, regex = false, wholeWord = false, caseSensitive = false, preserveCase = false }) => {
+  if (typeof find !== 'string' || find === '') {
+    return { error: 'find is required' };
+  }
+  if (find.length > MAX_QUERY_LENGTH) {
+    return { error: `find cannot be more than ${MAX_QUERY_LENGTH} characters` };
+  }
+
+  const ignoreCase = preserveCase || !caseSensitive;
+  const flags = ignoreCase ? 'giu' : 'gu';
+  const body = regex ? find : escapeRegExp(find);
+
+  let pattern;
+  try {
+    pattern = new RegExp(wholeWord ? `${WORD_START}(?:${body})${WORD_END}` : body, flags);
+  } catch (error) {
+    return { error: error.message };
+  }
+
+  return {
+    regex: pattern,
+    prefilter: regex ? null : { $regex: body, $options: ignoreCase ? 'i' : '' }
+  };
+};
+
+// Give the replacement the same capitalisation as the text it replaces
+const matchCase = (source, replacement) => {
+  const hasLetters = source.toUpperCase() !== source.toLowerCase();
+  if (!hasLetters) return replacement;
+  if (source === source.toUpperCase()) return replacement.toUpperCase();
+  if (source === source.toLowerCase()) return replacement.toLowerCase();
+
+  const [first, ...rest] = Array.from(source);
+  const restText = rest.join('');
+  if (first === first.toUpperCase() && restText === restText.toLowerCase()) {
+    const [head, ...tail] = Array.from(replacement);
+    return head ? head.toUpperCase() + tail.join('') : replacement;
+  }
+  return replacement;
+};
+
+// Expand $&, $1..$99, $<name> and $$ in a regex replacement
+const expandReplacement = (template, result) => {
+  return template.replace(/\$(\$|&|\d{1,2}|<([^>]+)>)/g, (token, ref, name) => {
+    if (ref === '$') return '$';
+    if (ref === '&') return result[0];
+    if (name !== undefined) {
+      return result.groups && result.groups[name] !== undefined ? result.groups[name] : '';
+    }
+    const index = parseInt(ref, 10);
+    if (index > 0 && index < result.length) return result[index] === undefined ? '' : result[index];
+    return token;
+  });
+};
+
+// Every non-empty match of a regex in a piece of text
+const execAll = (regex, text) => {
+  const results = [];
+  regex.lastIndex = 0;
+
+  let result;
+  while ((result = regex.exec(text)) !== null) {
+    if (result[0].length === 0) {
+      regex.lastIndex++;
+      continue;
+    }
+    results.push(result);
+  }
+  return results;
+};
+
+// User-written patterns can backtrack for ages on the wrong input, so regex
+// mode matches in a script that is stopped once its time is up
+const MATCH_SCRIPT = new vm.Script('texts.map(text => execAll(regex, text))');
+const matchContext = vm.createContext({ execAll });
+
+// execAll over several texts within a time budget, taking the time spent
+// from it. Returns null when the budget runs out.
+const execAllWithin = (regex, texts, budget) => {
+  const timeout = Math.ceil(budget.remaining);
+  if (timeout < 1) return null;
+
+  const started = Date.now();
+  let timedOut = false;
+  Object.assign(matchContext, { regex, texts });
+  try {
+    return MATCH_SCRIPT.runInContext(matchContext, { timeout });
+  } catch (error) {
+    if (error.code !== 'ERR_SCRIPT_EXECUTION_TIMEOUT') throw error;
+    timedOut = true;
+    return null;
+  } finally {
+    Object.assign(matchContext, { regex: null, texts: null });
+    // The clock may read a little under the timeout, so a timeout spends it all
+    budget.remaining = timedOut ? 0 : budget.remaining - (Date.now() - started);
+  }
+};
+
+// Every match in a piece of content, with the text each would be replaced by.
+// With a `budget` from regexTimeBudget the matching is stopped once the
+// budget is used up, and null is returned instead.
+const findReplacements = (content, { regex, replace = '', isRegex = false, preserveCase = false, budget = null }) => {
+  const blocks = getBlocks(content).filter(block => block.text);
+  const texts = blocks.map(block => block.text);
+  const results = budget
+    ? execAllWithin(regex, texts, budget)
+    : texts.map(text => execAll(regex, text));
+  if (!results) return null;
+
+  const matches = [];
+  blocks.forEach((block, blockIndex) => {
+    const text = block.text;
+    let offsets = null;
+
+    results[blockIndex].forEach(result => {
+      offsets = offsets || codePointOffsets(text);
+
+      let replacement = isRegex ? expandReplacement(replace, result) : replace;
+      if (preserveCase) replacement = matchCase(result[0], replacement);
+
+      const index = result.index;
+      const length = result[0].length;
+      matches.push({
+        blockKey: block.key,
+        offset: offsets[index],
+        length: offsets[index + length] - offsets[index],
+        text: result[0],
+        replacement,
+        snippet: buildSnippet(text, index, length)
+      });
+    });
+  });
+
+  return matches;
+};
+
+// Move a range across edits, applied from the last edit to the first
+const remapRange = (range, edits) => {
+  let start = range.offset;
+  let end = range.offset + range.length;
+
+  edits.forEach(edit => {
+    const editEnd = edit.offset + edit.length;
+    const delta = edit.newLength - edit.length;
+
+    if (start >= editEnd) start += delta;
+    else if (start > edit.offset) start = edit.offset;
+
+    if (end >= editEnd) end += delta;
+    else if (end > edit.offset) end = edit.offset + edit.newLength;
+  });
+
+  return { ...range, offset: start, length: end - start };
+};
+
+// Apply replacements to one block's text and ranges
+const replaceInBlock = (block, replacements) => {
+  const chars = Array.from(block.text || '');
+  const edits = [...replacements]
+    .sort((a, b) => b.offset - a.offset)
+    .map(replacement => ({
+      offset: replacement.offset,
+      length: replacement.length,
+      text: replacement.replacement,
+      newLength: Array.from(replacement.replacement).length
+    }));
+
+  edits.forEach(edit => {
+    chars.splice(edit.offset, edit.length, ...Array.from(edit.text));
+  });
+
+  const remap = ranges => (ranges || [])
+    .map(range => remapRange(range, edits))
+    .filter(range => range.length > 0);
+
+  return {
+    ...block,
+    text: chars.join(''),
+    inlineStyleRanges: remap(block.inlineStyleRanges),
+    entityRanges: remap(block.entityRanges)
+  };
+};
+
+// New content with the given replacements (as returned by findReplacements)
+// applied. Replacements within a block must not overlap.
+const applyReplacements = (content, replacements) => {
+  const byBlock = new Map();
+  replacements.forEach(replacement => {
+    if (!byBlock.has(replacement.blockKey)) byBlock.set(replacement.blockKey, []);
+    byBlock.get(replacement.blockKey).push(replacement);
+  });
+
+  // Plain text content keeps its one-line-per-block shape
+  if (typeof content === 'string') {
+    return getBlocks(content)
+      .map(block => (byBlock.has(block.key) ? replaceInBlock(block, byBlock.get(block.key)).text : block.text))
+      .join('\n');
+  }
+
+  return {
+    ...content,
+    blocks: content.blocks.map(block => (byBlock.has(block.key)
+      ? replaceInBlock(block, byBlock.get(block.key))
+      : block))
+  };
+};
+
+module.exports = {
+  REGEX_TIME_LIMIT_MS,
+  regexTimeBudget,
+  buildReplacePattern,
+  matchCase,
+  expandReplacement,
+  findReplacements,
+  applyReplacements
+};
@@ -0,0 +1,108 @@
+const Chapter = require('../models/Chapter');
+const ChapterRevision = require('../models/ChapterRevision');
+const ChapterAnalysis = require('../models/ChapterAnalysis');
+const { autoSnapshot } = require('./versioning');
+const { indexChapterMentions } = require('./mentions');
+const { remapChapterComments } = require('./comments');
+const { toDraft } = require('./formats');
+
+// Chapters saved before revisions existed have no revision field
+const revisionOf = (chapter) => chapter.revision || 0;
+
+// ETag for a chapter's current content revision
+const chapterEtag = (chapter) => `"${revisionOf(chapter)}"`;
+
+// Read the client's base revision from If-Match or a baseRevision body field.
+// Returns { revision } (null when not supplied), { any: true } for If-Match: *,
+// or { error } when the value cannot be parsed.
+const parseBaseRevision = (req) => {
+  const header = req.get('If-Match');
+  const value = header !== undefined ? header : req.body.baseRevision;
+
+  if (value === undefined || value === null || value === '') return { revision: null };
+  if (typeof value === 'string' && value.trim() === '*') return { any: true };
+
+  const match = /^\s*(?:W\/)?"?(\d+)"?\s*$/.exec(String(value));
+  if (!match) return { error: 'If-Match / baseRevision must be a chapter revision number' };
+
+  return { revision: parseInt(match[1], 10) };
+};
+
+// Query condition matching a chapter still at the given revision
+const revisionFilter = (revision) => {
+  return revision === 0
+    ? { $or: [{ revision: 0 }, { revision: { $exists: false } }] }
+    : { revision };
+};
+
+// Store the content of a chapter's current revision for later merges
+const recordRevision = async (chapter) => {
+  try {
+    await ChapterRevision.updateOne(
+      { chapterId: chapter._id, revision: revisionOf(chapter) },
+      {
+        $set: { projectId: chapter.projectId, content: chapter.content },
+        $setOnInsert: { createdAt: new Date() }
+      },
+      { upsert: true }
+    );
+  } catch (error) {
+    console.error('Record revision error:', error);
+  }
+};
+
+// Content of a chapter at an earlier revision, if it is still kept
+const findRevisionContent = async (chapterId, revision) => {
+  const record = await ChapterRevision.findOne({ chapterId, revision }).select('content');
+  return record ? { content: record.content } : null;
+};
+
+// Apply field updates to a chapter that must still be at the revision it was
+// read at. Replaced content is snapshotted per the project's policy unless
+// `snapshot` is false; when content changes the revision is bumped, the codex
+// mention index refreshed, comments re-anchored and cached analyses dropped.
+// Returns null if another save landed first.
+const commitChapterUpdate = async ({ chapter, project, updateFields, snapshot = true }) => {
+  const contentChanged = updateFields.content !== undefined
+    && JSON.stringify(updateFields.content) !== JSON.stringify(chapter.content);
+
+  // Snapshot the content being replaced if the project's policy calls for it
+  if (contentChanged && snapshot) {
+    await autoSnapshot({
+      chapter,
+      project,
+      newWordCount: updateFields.wordCount
+    });
+  }
+
+  const update = { $set: { ...updateFields, updatedAt: Date.now() } };
+  if (contentChanged) update.$inc = { revision: 1 };
+
+  const updatedChapter = await Chapter.findOneAndUpdate(
+    { _id: chapter._id, ...revisionFilter(revisionOf(chapter)) },
+    update,
+    { new: true, runValidators: true }
+  );
+
+  if (updatedChapter && contentChanged) {
+    await recordRevision(updatedChapter);
+    await indexChapterMentions(updatedChapter);
+    await remapChapterComments(
+      chapter._id,
+      toDraft(chapter.content, chapter.format),
+      toDraft(updatedChapter.content, updatedChapter.format)
+    );
+    await ChapterAnalysis.deleteMany({ chapterId: chapter._id });
+  }
+  return updatedChapter;
+};
+
+module.exports = {
+  revisionOf,
+  chapterEtag,
+  parseBaseRevision,
+  revisionFilter,
+  recordRevision,
+  findRevisionContent,
+  commitChapterUpdate
+};
@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+const Scene = require('../models/Scene');
+const Chapter = require('../models/Chapter');
+const { contentWordCount } = require('./formats');
+
+// Total words across a chapter's scenes
+const sumSceneWords = async (chapterId) => {
+  const [result] = await Scene.aggregate([
+    { $match: { chapterId: new mongoose.Types.ObjectId(chapterId) } },
+    { $group: { _id: null, total: { $sum: '$wordCount' } } }
+  ]);
+  return result ? result.total : 0;
+};
+
+// A chapter's scenes in reading order, with just their content
+const chapterScenes = (chapterId) => {
+  return Scene.find({ chapterId }).select('content').sort({ orderIndex: 1 }).lean();
+};
+
+// Word count of a chapter: its own content plus all of its scenes, counted
+// with the project's word count options
+const chapterWordCount = async (chapterId, content, format, options) => {
+  return contentWordCount(content, format, options) + await sumSceneWords(chapterId);
+};
+
+// Recalculate and store a chapter's word count after its scenes change
+const refreshChapterWordCount = async (chapterId, options) => {
+  const chapter = await Chapter.findById(chapterId).select('content format');
+  if (!chapter) return null;
+
+  const wordCount = await chapterWordCount(chapterId, chapter.content, chapter.format, options);
+  await Chapter.updateOne({ _id: chapterId }, { $set: { wordCount } });
+  return wordCount;
+};
+
+module.exports = {
+  sumSceneWords,
+  chapterScenes,
+  chapterWordCount,
+  refreshChapterWordCount
+};
@@ -0,0 +1,118 @@
+// Text search over Draft.js block text. Offsets and lengths are reported in
+// code points, matching Draft.js raw inline style and entity ranges.
+
+// Characters of context shown either side of a match in snippets
+const SNIPPET_CONTEXT = 40;
+
+const MAX_QUERY_LENGTH = 200;
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Unicode-aware word boundaries; \b only understands ASCII word characters
+const WORD_START = '(?<![\\p{L}\\p{N}_])';
+const WORD_END = '(?![\\p{L}\\p{N}_])';
+
+// Build the matcher for a query. Without `phrase` every whitespace separated
+// term is matched on its own. Returns { regex, prefilter } or { error }, where
+// `prefilter` is a looser pattern suitable for narrowing documents in MongoDB.
+const buildSearchPattern = ({ q, phrase = false, caseSensitive = false, wholeWord = false }) => {
+  const query = typeof q === 'string' ? q.trim() : '';
+  if (!query) {
+    return { error: 'Search query is required' };
+  }
+  if (query.length > MAX_QUERY_LENGTH) {
+    return { error: `Search query cannot be more than ${MAX_QUERY_LENGTH} characters` };
+  }
+
+  const terms = phrase ? [query] : [...new Set(query.split(/\s+/))];
+  // Longest first so overlapping terms prefer the fuller match
+  const alternatives = terms
+    .sort((a, b) => b.length - a.length)
+    .map(term => escapeRegExp(term).replace(/\s+/g, '\\s+'));
+
+  const body = alternatives.join('|');
+  const flags = caseSensitive ? 'gu' : 'giu';
+
+  return {
+    regex: new RegExp(wholeWord ? `${WORD_START}(?:${body})${WORD_END}` : `(?:${body})`, flags),
+    prefilter: { $regex: body, $options: caseSensitive ? '' : 'i' }
+  };
+};
+
+// Code point offset of every UTF-16 index up to the end of the text
+const codePointOffsets = (text) => {
+  const offsets = new Uint32Array(text.length + 1);
+  let codePoints = 0;
+  for (let i = 0; i < text.length; i++) {
+    offsets[i] = codePoints;
+    const code = text.charCodeAt(i);
+    if (code >= 0xd800 && code <= 0xdbff && i + 1 < text.length) {
+      offsets[++i] = codePoints;
+    }
+    codePoints++;
+  }
+  offsets[text.length] = codePoints;
+  return offsets;
+};
+
+// Slice of context around a match, with the match split out for highlighting
+const buildSnippet = (text, index, length) => {
+  let start = Math.max(0, index - SNIPPET_CONTEXT);
+  let end = Math.min(text.length, index + length + SNIPPET_CONTEXT);
+
+  // Avoid cutting a word (or a surrogate pair) in half at either edge
+  if (start > 0) {
+    const space = text.slice(start, index).search(/\s/);
+    if (space !== -1) start += space + 1;
+  }
+  if (end < text.length) {
+    const tail = text.slice(index + length, end);
+    const space = tail.search(/\s\S*$/);
+    if (space !== -1) end = index + length + space;
+  }
+
+  return {
+    before: (start > 0 ? '…' : '') + text.slice(start, index),
+    match: text.slice(index, index + length),
+    after: text.slice(index + length, end) + (end < text.length ? '…' : '')
+  };
+};
+
+// All matches of `regex` in a piece of text
+const findMatches = (text, regex) => {
+  if (!text) return [];
+
+  const matches = [];
+  let offsets = null;
+  regex.lastIndex = 0;
+
+  let result;
+  while ((result = regex.exec(text)) !== null) {
+    if (result[0].length === 0) {
+      regex.lastIndex++;
+      continue;
+    }
+    offsets = offsets || codePointOffsets(text);
+    const index = result.index;
+    const length = result[0].length;
+    matches.push({
+      offset: offsets[index],
+      length: offsets[index + length] - offsets[index],
+      text: result[0],
+      snippet: buildSnippet(text, index, length)
+    });
+  }
+
+  return matches;
+};
+
+module.exports = {
+  MAX_QUERY_LENGTH,
+  WORD_START,
+  WORD_END,
+  escapeRegExp,
+  buildSearchPattern,
+  codePointOffsets,
+  buildSnippet,
+  findMatches
+};
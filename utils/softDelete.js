@@ -0,0 +1,40 @@
+// Schema plugin for documents that go to the trash instead of being deleted.
+// Trashed documents keep every field and get a deletedAt date; queries leave
+// them out unless their filter mentions deletedAt itself, e.g.
+// `Chapter.find({ projectId, deletedAt: { $ne: null } })` lists the trash.
+// Deletes are never filtered so purging reaches trashed documents.
+
+const FILTERED_QUERIES = [
+  'find',
+  'findOne',
+  'findOneAndUpdate',
+  'countDocuments',
+  'distinct',
+  'updateOne',
+  'updateMany'
+];
+
+const softDelete = (schema) => {
+  schema.add({
+    deletedAt: {
+      type: Date,
+      default: null,
+      index: true
+    }
+  });
+
+  schema.pre(FILTERED_QUERIES, function() {
+    if (!Object.prototype.hasOwnProperty.call(this.getFilter(), 'deletedAt')) {
+      this.where({ deletedAt: null });
+    }
+  });
+
+  schema.pre('aggregate', function() {
+    const [first] = this.pipeline();
+    if (!(first && first.$match && Object.prototype.hasOwnProperty.call(first.$match, 'deletedAt'))) {
+      this.pipeline().unshift({ $match: { deletedAt: null } });
+    }
+  });
+};
+
+module.exports = softDelete;
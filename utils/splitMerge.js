@@ -0,0 +1,77 @@
+// Splitting one chapter's Draft.js content in two and joining several
+// chapters' content into one
+const { getBlocks, generateBlockKey, toRawContent } = require('./draft');
+
+// Raw content for a run of blocks, keeping only the entities they use
+const rawWithEntities = (blocks, entityMap = {}) => {
+  const used = {};
+  blocks.forEach(block => {
+    block.entityRanges.forEach(range => {
+      if (entityMap[range.key] !== undefined) used[range.key] = entityMap[range.key];
+    });
+  });
+  return { ...toRawContent(blocks), entityMap: used };
+};
+
+// Split content so the block with `blockKey` starts the second half.
+// Returns { before, after, movedKeys } or { error }.
+const splitContent = (content, blockKey) => {
+  const blocks = getBlocks(content);
+  const index = blocks.findIndex(block => block.key === blockKey);
+  if (index === -1) {
+    return { error: 'blockKey does not match a block in this chapter' };
+  }
+  if (index === 0) {
+    return { error: 'Cannot split at the first block; the chapter would be left empty' };
+  }
+
+  const entityMap = (content && content.entityMap) || {};
+  return {
+    before: rawWithEntities(blocks.slice(0, index), entityMap),
+    after: rawWithEntities(blocks.slice(index), entityMap),
+    movedKeys: blocks.slice(index).map(block => block.key)
+  };
+};
+
+// Join several contents in order. Block keys that clash with an earlier
+// block get new keys and entities are renumbered into one entity map.
+// Returns { content, rekeyed }, where rekeyed[i] maps the old keys of the
+// i-th content's re-keyed blocks to their new keys.
+const mergeContents = (contents) => {
+  const seen = new Set();
+  const blocks = [];
+  const entityMap = {};
+  let nextEntityKey = 0;
+
+  const rekeyed = contents.map(content => {
+    const keyMap = new Map();
+    const entityKeys = new Map();
+    const sourceEntities = (content && content.entityMap) || {};
+
+    getBlocks(content).forEach(block => {
+      let key = block.key;
+      while (!key || seen.has(key)) key = generateBlockKey();
+      seen.add(key);
+      if (key !== block.key) keyMap.set(block.key, key);
+
+      const entityRanges = block.entityRanges.map(range => {
+        if (!entityKeys.has(range.key)) {
+          entityKeys.set(range.key, nextEntityKey);
+          if (sourceEntities[range.key] !== undefined) entityMap[nextEntityKey] = sourceEntities[range.key];
+          nextEntityKey++;
+        }
+        return { ...range, key: entityKeys.get(range.key) };
+      });
+      blocks.push({ ...block, key, entityRanges });
+    });
+
+    return keyMap;
+  });
+
+  return { content: { ...toRawContent(blocks), entityMap }, rekeyed };
+};
+
+module.exports = {
+  splitContent,
+  mergeContents
+};
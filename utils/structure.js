@@ -0,0 +1,141 @@
+// Helpers for the book/part hierarchy that groups a project's chapters.
+// Chapter orderIndex stays the single, project-wide manuscript order;
+// books and parts group contiguous runs of chapters within it.
+
+const idOf = (value) => (value ? value.toString() : null);
+
+// Ancestor chain of a part, outermost first
+const partPath = (partId, partMap) => {
+  const path = [];
+  const seen = new Set();
+  let current = partMap.get(idOf(partId));
+  while (current && !seen.has(current)) {
+    seen.add(current);
+    path.unshift(current);
+    current = partMap.get(idOf(current.parentId));
+  }
+  return path;
+};
+
+const toPartMap = (parts) => new Map(parts.map(part => [part._id.toString(), part]));
+
+// Chapters in manuscript order, interleaved with a heading entry the first
+// time each book or part is entered. Expects chapters sorted by orderIndex.
+const manuscriptSequence = (parts, chapters) => {
+  const partMap = toPartMap(parts);
+  const opened = new Set();
+  const sequence = [];
+
+  chapters.forEach(chapter => {
+    const path = partPath(chapter.partId, partMap);
+    path.forEach((part, depth) => {
+      const id = part._id.toString();
+      if (opened.has(id)) return;
+      opened.add(id);
+      sequence.push({ type: 'part', part, depth });
+    });
+    sequence.push({ type: 'chapter', chapter, depth: path.length });
+  });
+
+  return sequence;
+};
+
+// Nested tree of books and parts with their chapters and word count rollups.
+// Chapters outside any container are returned as `ungrouped`.
+const buildStructureTree = (parts, chapters) => {
+  const nodes = new Map();
+  [...parts].sort((a, b) => a.orderIndex - b.orderIndex).forEach(part => {
+    nodes.set(part._id.toString(), {
+      _id: part._id,
+      kind: part.kind,
+      title: part.title,
+      description: part.description,
+      parentId: part.parentId,
+      orderIndex: part.orderIndex,
+      chapterCount: 0,
+      wordCount: 0,
+      children: [],
+      chapters: []
+    });
+  });
+
+  const containers = [];
+  nodes.forEach(node => {
+    const parent = nodes.get(idOf(node.parentId));
+    (parent ? parent.children : containers).push(node);
+  });
+
+  const ungrouped = [];
+  chapters.forEach(chapter => {
+    const summary = {
+      _id: chapter._id,
+      title: chapter.title,
+      orderIndex: chapter.orderIndex,
+      wordCount: chapter.wordCount || 0,
+      isComplete: chapter.isComplete
+    };
+    const node = nodes.get(idOf(chapter.partId));
+    (node ? node.chapters : ungrouped).push(summary);
+  });
+
+  const rollUp = (node) => {
+    node.children.forEach(rollUp);
+    node.chapterCount = node.chapters.length
+      + node.children.reduce((sum, child) => sum + child.chapterCount, 0);
+    node.wordCount = node.chapters.reduce((sum, chapter) => sum + chapter.wordCount, 0)
+      + node.children.reduce((sum, child) => sum + child.wordCount, 0);
+  };
+  containers.forEach(rollUp);
+
+  return { containers, ungrouped };
+};
+
+// New manuscript order after reordering the sibling containers under
+// `parentId`. Each sibling's run of chapters moves as a unit into the slot
+// held by the sibling at the same position before; chapters outside those
+// siblings keep their places. Expects chapters sorted by orderIndex and
+// returns them in their new order.
+const reorderContainerRuns = (parts, chapters, parentId, siblingOrder) => {
+  const partMap = toPartMap(parts);
+  const parentKey = idOf(parentId);
+
+  const groupOf = (chapter) => {
+    const sibling = partPath(chapter.partId, partMap)
+      .find(part => idOf(part.parentId) === parentKey);
+    return sibling ? sibling._id.toString() : null;
+  };
+
+  const runs = new Map();
+  chapters.forEach(chapter => {
+    const group = groupOf(chapter);
+    if (!group) return;
+    if (!runs.has(group)) runs.set(group, []);
+    runs.get(group).push(chapter);
+  });
+
+  // Siblings missing from the new order keep their relative position at the end
+  const requested = siblingOrder.map(idOf).filter(id => runs.has(id));
+  const queue = [...requested, ...[...runs.keys()].filter(id => !requested.includes(id))];
+  const slotted = new Set();
+  const result = [];
+
+  chapters.forEach(chapter => {
+    const group = groupOf(chapter);
+    if (!group) {
+      result.push(chapter);
+      return;
+    }
+    if (slotted.has(group)) return;
+    slotted.add(group);
+    result.push(...runs.get(queue.shift()));
+  });
+
+  return result;
+};
+
+module.exports = {
+  partPath,
+  manuscriptSequence,
+  buildStructureTree,
+  reorderContainerRuns
+};
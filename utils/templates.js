@@ -0,0 +1,313 @@
+// Project templates: built-in story structures and user-saved project
+// outlines, used to pre-create parts, chapters and codex entries
+const mongoose = require('mongoose');
+const Template = require('../models/Template');
+const Part = require('../models/Part');
+const Chapter = require('../models/Chapter');
+const Codex = require('../models/Codex');
+const { recordRevision } = require('./revisions');
+const { getStatuses, isFinalStatus } = require('./workflow');
+
+// Goal the built-in beat percentages are turned into chapter targets against
+const BUILT_IN_GOAL = 80000;
+
+// A chapter for a beat taking `percent` of the book
+const beat = (title, notes, percent, partIndex = null) => ({
+  title,
+  notes,
+  targetWordCount: Math.round(BUILT_IN_GOAL * percent / 100),
+  partIndex
+});
+
+const act = (title, description) => ({ kind: 'part', title, description, parentIndex: null });
+
+const BUILT_IN_TEMPLATES = [
+  {
+    key: 'three-act',
+    name: 'Three-Act Structure',
+    description: 'Setup, confrontation and resolution, split roughly 25/50/25',
+    wordCountGoal: BUILT_IN_GOAL,
+    parts: [
+      act('Act One', 'Setup: the world, the protagonist and what they want'),
+      act('Act Two', 'Confrontation: rising obstacles and a reversal at the midpoint'),
+      act('Act Three', 'Resolution: the climax and its consequences')
+    ],
+    chapters: [
+      beat('Opening', 'Introduce the protagonist in their ordinary world and hint at what is missing.', 8, 0),
+      beat('Inciting Incident', 'Something happens that disrupts the status quo and demands a response.', 8, 0),
+      beat('First Plot Point', 'The protagonist commits to the journey; there is no going back.', 9, 0),
+      beat('Rising Action', 'New allies, enemies and obstacles raise the stakes.', 12, 1),
+      beat('Midpoint', 'A revelation or reversal changes the protagonist\'s understanding of the goal.', 12, 1),
+      beat('Complications', 'The antagonist pushes back and plans start to fail.', 13, 1),
+      beat('Second Plot Point', 'The lowest point: everything seems lost, forcing a final change.', 13, 1),
+      beat('Climax', 'The protagonist confronts the central conflict head on.', 15, 2),
+      beat('Resolution', 'Show the new normal and how the protagonist has changed.', 10, 2)
+    ],
+    codex: [
+      { type: 'character', name: 'Protagonist', description: 'Who they are, what they want and what they need.' },
+      { type: 'character', name: 'Antagonist', description: 'What they want and why it puts them in the protagonist\'s way.' },
+      { type: 'location', name: 'Ordinary World', description: 'Where the story starts.' }
+    ]
+  },
+  {
+    key: 'save-the-cat',
+    name: 'Save the Cat',
+    description: 'Blake Snyder\'s fifteen-beat sheet',
+    wordCountGoal: BUILT_IN_GOAL,
+    parts: [],
+    chapters: [
+      beat('Opening Image', 'A snapshot of the hero\'s life and flaws before the story begins.', 2),
+      beat('Theme Stated', 'Someone states, often in passing, the lesson the hero will learn.', 2),
+      beat('Set-Up', 'The hero\'s world, what is missing from it and what needs fixing.', 6),
+      beat('Catalyst', 'The life-changing event that sets the story in motion.', 2),
+      beat('Debate', 'The hero doubts, resists and weighs whether to act.', 8),
+      beat('Break into Two', 'The hero chooses to act and enters a new world.', 2),
+      beat('B Story', 'A new relationship that carries the theme.', 3),
+      beat('Fun and Games', 'The promise of the premise: the hero explores the new world.', 25),
+      beat('Midpoint', 'A false victory or false defeat raises the stakes.', 2),
+      beat('Bad Guys Close In', 'External pressure grows and internal doubts return.', 20),
+      beat('All Is Lost', 'The opposite of the midpoint; something or someone is lost.', 2),
+      beat('Dark Night of the Soul', 'The hero wallows before finding the answer.', 4),
+      beat('Break into Three', 'The hero realises what must be done, helped by the B story.', 2),
+      beat('Finale', 'The hero proves they have changed and wins, applying the lesson.', 18),
+      beat('Final Image', 'A mirror of the opening image showing how much has changed.', 2)
+    ],
+    codex: [
+      { type: 'character', name: 'Hero', description: 'What they want, what they need and the flaw standing between the two.' },
+      { type: 'character', name: 'B Story Character', description: 'The friend, mentor or love interest who helps the hero learn the theme.' },
+      { type: 'concept', name: 'Theme', description: 'The lesson the hero learns.' }
+    ]
+  },
+  {
+    key: 'heros-journey',
+    name: 'Hero\'s Journey',
+    description: 'The twelve stages of the monomyth in Christopher Vogler\'s telling',
+    wordCountGoal: BUILT_IN_GOAL,
+    parts: [
+      act('Departure', 'The hero leaves the ordinary world'),
+      act('Initiation', 'Trials and transformation in the special world'),
+      act('Return', 'The hero comes home changed')
+    ],
+    chapters: [
+      beat('The Ordinary World', 'The hero\'s everyday life and what is lacking in it.', 7, 0),
+      beat('Call to Adventure', 'A problem or challenge presents itself.', 5, 0),
+      beat('Refusal of the Call', 'Fear or duty makes the hero hesitate.', 4, 0),
+      beat('Meeting the Mentor', 'Someone gives the hero advice, training or a gift.', 5, 0),
+      beat('Crossing the Threshold', 'The hero commits and leaves for the special world.', 4, 0),
+      beat('Tests, Allies, Enemies', 'The hero learns the rules of the special world.', 15, 1),
+      beat('Approach to the Inmost Cave', 'Preparations for the central ordeal.', 10, 1),
+      beat('The Ordeal', 'The hero faces their greatest fear and seems to die.', 10, 1),
+      beat('Reward', 'Having survived, the hero seizes the prize.', 8, 1),
+      beat('The Road Back', 'The hero heads home, pursued by the consequences.', 10, 2),
+      beat('Resurrection', 'A final test where the hero is reborn, using all they have learned.', 14, 2),
+      beat('Return with the Elixir', 'The hero comes home with something that transforms their world.', 8, 2)
+    ],
+    codex: [
+      { type: 'character', name: 'Hero', description: 'Their ordinary life, their fear and how the journey changes them.' },
+      { type: 'character', name: 'Mentor', description: 'Who guides the hero and what they give them.' },
+      { type: 'character', name: 'Shadow', description: 'The villain or dark force the hero must overcome.' },
+      { type: 'location', name: 'Ordinary World', description: 'Where the hero starts and returns to.' },
+      { type: 'location', name: 'Special World', description: 'The unfamiliar world of the adventure.' },
+      { type: 'item', name: 'Elixir', description: 'What the hero brings back.' }
+    ]
+  },
+  {
+    key: 'romance',
+    name: 'Romance Beats',
+    description: 'Four phases of a romance arc, from meeting to happily ever after',
+    wordCountGoal: BUILT_IN_GOAL,
+    parts: [
+      act('Setup', 'Meet the leads and bring them together'),
+      act('Falling in Love', 'Attraction grows despite the obstacles'),
+      act('Retreating from Love', 'Doubts and wounds drive the leads apart'),
+      act('Fighting for Love', 'The leads choose each other')
+    ],
+    chapters: [
+      beat('Introduce Lead One', 'Their life, their wound and why they are not looking for love.', 5, 0),
+      beat('Introduce Lead Two', 'Their life, their wound and what they want instead.', 5, 0),
+      beat('Meet Cute', 'The leads meet, and sparks or friction fly.', 5, 0),
+      beat('No Way', 'Why this relationship cannot happen.', 5, 0),
+      beat('Adhesion', 'Circumstances force the leads to stay together.', 5, 0),
+      beat('Inkling of Desire', 'One lead notices something they like despite themselves.', 6, 1),
+      beat('Deepening Desire', 'The leads open up and the attraction grows.', 8, 1),
+      beat('Maybe This Could Work', 'The leads imagine a future together.', 8, 1),
+      beat('Midpoint of Love', 'A first kiss or confession: they are in it now.', 6, 1),
+      beat('Inkling of Doubt', 'Old wounds and fears resurface.', 6, 2),
+      beat('Deepening Doubt', 'The external conflict and inner flaws push them apart.', 8, 2),
+      beat('Retreat', 'One or both leads pull back to protect themselves.', 5, 2),
+      beat('Break Up', 'The relationship falls apart.', 5, 2),
+      beat('Dark Night', 'Each lead faces life without the other.', 5, 3),
+      beat('Wake Up', 'A lead realises what they must change to be loved.', 4, 3),
+      beat('Grand Gesture', 'A lead proves their love, at a cost.', 8, 3),
+      beat('Happily Ever After', 'The leads together, and a glimpse of their future.', 6, 3)
+    ],
+    codex: [
+      { type: 'character', name: 'Lead One', description: 'Their wound, what they want and why they resist love.' },
+      { type: 'character', name: 'Lead Two', description: 'Their wound, what they want and why they resist love.' },
+      { type: 'concept', name: 'The Obstacle', description: 'What keeps the leads apart.' }
+    ]
+  }
+];
+
+// Summary of a template for listings
+const templateSummary = (template) => ({
+  ...(template.key ? { key: template.key, builtIn: true } : { _id: template._id, builtIn: false }),
+  name: template.name,
+  description: template.description,
+  wordCountGoal: template.wordCountGoal,
+  partCount: template.parts.length,
+  chapterCount: template.chapters.length,
+  codexCount: template.codex.length
+});
+
+// Find a built-in template by key or one of the user's saved templates by ID.
+// Returns { template } or { error, status }.
+const findTemplate = async (keyOrId, userId) => {
+  const builtIn = BUILT_IN_TEMPLATES.find(template => template.key === keyOrId);
+  if (builtIn) return { template: builtIn };
+
+  if (typeof keyOrId !== 'string' || !mongoose.Types.ObjectId.isValid(keyOrId)) {
+    return {
+      error: `template must be the ID of a saved template or one of: ${BUILT_IN_TEMPLATES.map(template => template.key).join(', ')}`,
+      status: 400
+    };
+  }
+
+  const template = await Template.findById(keyOrId);
+  if (!template) {
+    return { error: 'Template not found', status: 404 };
+  }
+  if (template.userId.toString() !== userId) {
+    return { error: 'Not authorized to use this template', status: 403 };
+  }
+  return { template };
+};
+
+// A project's structure as template data: parts, chapter titles, notes and
+// targets, and optionally its codex entries, but none of its prose
+const templateFromProject = async (project, { includeCodex = true } = {}) => {
+  const projectId = project._id;
+  const [parts, chapters, entities] = await Promise.all([
+    Part.find({ projectId }).select('parentId kind title description orderIndex').lean(),
+    Chapter.find({ projectId }).select('title notes targetWordCount partId orderIndex').sort({ orderIndex: 1 }).lean(),
+    includeCodex
+      ? Codex.find({ projectId }).select('type name aliases description tags').sort({ type: 1, name: 1 }).lean()
+      : []
+  ]);
+
+  // Parents before children so parentIndex always points backwards
+  const orderedParts = [];
+  const addChildren = (parentId) => {
+    parts
+      .filter(part => String(part.parentId || null) === String(parentId))
+      .sort((a, b) => a.orderIndex - b.orderIndex)
+      .forEach(part => {
+        orderedParts.push(part);
+        addChildren(part._id);
+      });
+  };
+  addChildren(null);
+  const partIndex = new Map(orderedParts.map((part, index) => [part._id.toString(), index]));
+
+  return {
+    wordCountGoal: project.wordCountGoal,
+    workflowStatuses: project.workflowStatuses || [],
+    parts: orderedParts.map(part => ({
+      kind: part.kind,
+      title: part.title,
+      description: part.description,
+      parentIndex: part.parentId ? partIndex.get(part.parentId.toString()) : null
+    })),
+    chapters: chapters.map(chapter => ({
+      title: chapter.title,
+      notes: chapter.notes,
+      targetWordCount: chapter.targetWordCount,
+      partIndex: chapter.partId && partIndex.has(chapter.partId.toString())
+        ? partIndex.get(chapter.partId.toString())
+        : null
+    })),
+    codex: entities.map(entity => ({
+      type: entity.type,
+      name: entity.name,
+      aliases: entity.aliases,
+      description: entity.description,
+      tags: entity.tags
+    }))
+  };
+};
+
+// Create a template's parts, chapters and codex entries in a new project.
+// Chapter targets are scaled from the template's goal to the project's.
+// Returns how many of each were created.
+const applyTemplate = async (project, template) => {
+  const projectId = project._id;
+  const scale = template.wordCountGoal && project.wordCountGoal
+    ? project.wordCountGoal / template.wordCountGoal
+    : 1;
+
+  const partIds = template.parts.map(() => new mongoose.Types.ObjectId());
+  const siblingCounts = new Map();
+  const parts = template.parts.map((part, index) => {
+    const parentId = part.parentIndex !== null && part.parentIndex !== undefined
+      ? partIds[part.parentIndex]
+      : null;
+    const siblings = String(parentId);
+    siblingCounts.set(siblings, (siblingCounts.get(siblings) || 0) + 1);
+    return {
+      _id: partIds[index],
+      projectId,
+      parentId,
+      kind: part.kind,
+      title: part.title,
+      description: part.description,
+      orderIndex: siblingCounts.get(siblings)
+    };
+  });
+  if (parts.length > 0) await Part.insertMany(parts);
+
+  const statuses = getStatuses(project);
+  const [{ key: status }] = statuses;
+  const createdAt = new Date();
+  const chapters = template.chapters.length > 0
+    ? await Chapter.insertMany(template.chapters.map((chapter, index) => ({
+      projectId,
+      title: chapter.title,
+      notes: chapter.notes,
+      format: project.contentFormat,
+      partId: chapter.partIndex !== null && chapter.partIndex !== undefined ? partIds[chapter.partIndex] : null,
+      targetWordCount: chapter.targetWordCount !== null && chapter.targetWordCount !== undefined
+        ? Math.round(chapter.targetWordCount * scale)
+        : null,
+      orderIndex: index + 1,
+      status,
+      statusHistory: [{ status, at: createdAt }],
+      isComplete: isFinalStatus(status, statuses)
+    })))
+    : [];
+  await Promise.all(chapters.map(recordRevision));
+
+  if (template.codex.length > 0) {
+    await Codex.insertMany(template.codex.map(entity => ({
+      projectId,
+      type: entity.type,
+      name: entity.name,
+      aliases: entity.aliases,
+      description: entity.description,
+      tags: entity.tags
+    })));
+  }
+
+  return {
+    parts: parts.length,
+    chapters: chapters.length,
+    codex: template.codex.length
+  };
+};
+
+module.exports = {
+  BUILT_IN_TEMPLATES,
+  templateSummary,
+  findTemplate,
+  templateFromProject,
+  applyTemplate
+};
@@ -0,0 +1,247 @@
+// Story timeline: dated codex entries, chapters and scenes in in-world order,
+// and checks for chronology problems between them
+const Codex = require('../models/Codex');
+const Chapter = require('../models/Chapter');
+const Scene = require('../models/Scene');
+const Mention = require('../models/Mention');
+const { getCalendar, normalizeDate, normalizeRange, formatDate } = require('./calendar');
+const { TRASHED } = require('./trash');
+
+const TIMELINE_KINDS = ['codex', 'chapter', 'scene'];
+const DATED = { 'when.from': { $exists: true } };
+
+// Query condition for items overlapping a tick range; either end may be open
+const overlapping = (from, to) => {
+  const filter = { ...DATED };
+  if (to !== undefined) filter['when.from'] = { $lte: to };
+  if (from !== undefined) filter['when.to'] = { $gte: from };
+  return filter;
+};
+
+// Dated documents of a project. Scenes are not trashed themselves, so they
+// are taken from the chapters the filter's deletedAt selects: live chapters
+// unless it asks for the trash.
+const loadDated = async (projectId, kinds, filter) => {
+  const wanted = kind => !kinds || kinds.includes(kind);
+  const { deletedAt, ...sceneFilter } = filter;
+  const chapterIds = wanted('scene')
+    ? await Chapter.distinct('_id', { projectId, ...(deletedAt !== undefined && { deletedAt }) })
+    : [];
+  const [entities, chapters, scenes] = await Promise.all([
+    wanted('codex')
+      ? Codex.find({ projectId, ...filter }).select('type name eventKind participantIds when').lean()
+      : [],
+    wanted('chapter')
+      ? Chapter.find({ projectId, ...filter }).select('title orderIndex when').lean()
+      : [],
+    wanted('scene')
+      ? Scene.find({ projectId, chapterId: { $in: chapterIds }, ...sceneFilter }).select('title chapterId orderIndex povCharacterId settingId when').lean()
+      : []
+  ]);
+  return { entities, chapters, scenes };
+};
+
+// One entry of the timeline
+const timelineItem = (calendar, kind, doc) => ({
+  kind,
+  _id: doc._id,
+  title: kind === 'codex' ? doc.name : doc.title,
+  ...(kind === 'codex' && { type: doc.type, eventKind: doc.eventKind, participantIds: doc.participantIds || [] }),
+  ...(kind === 'chapter' && { orderIndex: doc.orderIndex }),
+  ...(kind === 'scene' && { chapterId: doc.chapterId, orderIndex: doc.orderIndex }),
+  start: doc.when.start,
+  end: doc.when.end || null,
+  from: doc.when.from,
+  to: doc.when.to,
+  label: {
+    start: formatDate(calendar, doc.when.start),
+    end: formatDate(calendar, doc.when.end)
+  }
+});
+
+// Timeline filters from the query string. Returns { filters } or { error }.
+const parseTimelineQuery = (query, calendar) => {
+  const filters = {};
+
+  for (const bound of ['from', 'to']) {
+    if (query[bound] === undefined) continue;
+    const result = normalizeDate(calendar, String(query[bound]));
+    if (result.error) return { error: `${bound}: ${result.error}` };
+    filters[bound] = result.tick;
+  }
+
+  if (query.kinds !== undefined) {
+    filters.kinds = String(query.kinds).split(',').map(kind => kind.trim()).filter(Boolean);
+    if (!filters.kinds.every(kind => TIMELINE_KINDS.includes(kind))) {
+      return { error: `kinds must be a comma-separated list of: ${TIMELINE_KINDS.join(', ')}` };
+    }
+  }
+
+  return { filters };
+};
+
+// Dated items of a project in in-world order, optionally only those
+// overlapping the ticks from..to or of some kinds
+const buildTimeline = async (project, { from, to, kinds } = {}) => {
+  const calendar = getCalendar(project);
+  const { entities, chapters, scenes } = await loadDated(project._id, kinds, overlapping(from, to));
+
+  return [
+    ...entities.map(entity => timelineItem(calendar, 'codex', entity)),
+    ...chapters.map(chapter => timelineItem(calendar, 'chapter', chapter)),
+    ...scenes.map(scene => timelineItem(calendar, 'scene', scene))
+  ].sort((a, b) => a.from - b.from || a.to - b.to || TIMELINE_KINDS.indexOf(a.kind) - TIMELINE_KINDS.indexOf(b.kind));
+};
+
+const describe = (kind, doc) => ({ kind, _id: doc._id, title: kind === 'codex' ? doc.name : doc.title });
+
+// Chronology problems in a project's timeline:
+//   death-before-birth     a character's death event is dated before their birth
+//   appears-after-death    a character is mentioned in a chapter, is a scene's
+//                          point of view or takes part in an event dated after they died
+//   appears-before-birth   the same, dated before they were born
+//   scene-outside-chapter  a scene's dates fall outside its chapter's
+const chronologyIssues = async (project) => {
+  const calendar = getCalendar(project);
+  const { entities, chapters, scenes } = await loadDated(project._id, null, DATED);
+  const issues = [];
+  const label = doc => formatDate(calendar, doc.when.start);
+
+  // When each character was born and died, from birth and death events
+  const lives = new Map();
+  const lifeOf = id => {
+    if (!lives.has(id)) lives.set(id, {});
+    return lives.get(id);
+  };
+  entities
+    .filter(entity => entity.type === 'event' && ['birth', 'death'].includes(entity.eventKind))
+    .forEach(event => {
+      (event.participantIds || []).forEach(participantId => {
+        const life = lifeOf(participantId.toString());
+        const current = life[event.eventKind];
+        // The earliest death and latest birth are the ones that matter
+        if (event.eventKind === 'death' && (!current || event.when.from < current.when.from)) life.death = event;
+        if (event.eventKind === 'birth' && (!current || event.when.to > current.when.to)) life.birth = event;
+      });
+    });
+
+  if (lives.size > 0) {
+    const characterIds = [...lives.keys()];
+    const names = new Map((await Codex.find({ _id: { $in: characterIds } }).select('name').lean())
+      .map(entity => [entity._id.toString(), entity.name]));
+    const nameOf = id => names.get(id) || 'A character';
+
+    // Every dated appearance of each character
+    const appearances = new Map(characterIds.map(id => [id, []]));
+    const appear = (id, item) => {
+      if (id && appearances.has(id.toString())) appearances.get(id.toString()).push(item);
+    };
+
+    const chaptersById = new Map(chapters.map(chapter => [chapter._id.toString(), chapter]));
+    const mentions = await Mention.find({ chapterId: { $in: [...chaptersById.keys()] }, entityId: { $in: characterIds } })
+      .select('chapterId entityId')
+      .lean();
+    mentions.forEach(mention => appear(mention.entityId, { kind: 'chapter', doc: chaptersById.get(mention.chapterId.toString()) }));
+    scenes.forEach(scene => appear(scene.povCharacterId, { kind: 'scene', doc: scene }));
+    entities
+      .filter(entity => entity.type === 'event' && !['birth', 'death'].includes(entity.eventKind))
+      .forEach(event => (event.participantIds || []).forEach(id => appear(id, { kind: 'codex', doc: event })));
+
+    for (const [id, { birth, death }] of lives) {
+      if (birth && death && death.when.to < birth.when.from) {
+        issues.push({
+          type: 'death-before-birth',
+          severity: 'error',
+          message: `${nameOf(id)} dies (${label(death)}) before they are born (${label(birth)})`,
+          entityId: id,
+          eventId: death._id,
+          item: describe('codex', birth)
+        });
+      }
+
+      for (const { kind, doc } of appearances.get(id)) {
+        if (death && doc.when.from > death.when.to) {
+          issues.push({
+            type: 'appears-after-death',
+            severity: 'error',
+            message: `${nameOf(id)} appears in "${describe(kind, doc).title}" (${label(doc)}) after dying (${label(death)})`,
+            entityId: id,
+            eventId: death._id,
+            item: describe(kind, doc)
+          });
+        }
+        if (birth && doc.when.to < birth.when.from) {
+          issues.push({
+            type: 'appears-before-birth',
+            severity: 'error',
+            message: `${nameOf(id)} appears in "${describe(kind, doc).title}" (${label(doc)}) before being born (${label(birth)})`,
+            entityId: id,
+            eventId: birth._id,
+            item: describe(kind, doc)
+          });
+        }
+      }
+    }
+  }
+
+  const chapterDates = new Map(chapters.map(chapter => [chapter._id.toString(), chapter]));
+  scenes.forEach(scene => {
+    const chapter = chapterDates.get(scene.chapterId.toString());
+    if (chapter && (scene.when.from < chapter.when.from || scene.when.to > chapter.when.to)) {
+      issues.push({
+        type: 'scene-outside-chapter',
+        severity: 'warning',
+        message: `Scene "${scene.title || scene.orderIndex}" (${label(scene)}) falls outside its chapter "${chapter.title}" (${label(chapter)})`,
+        item: describe('scene', scene),
+        chapterId: chapter._id
+      });
+    }
+  });
+
+  return issues;
+};
+
+// Re-validate and re-tick every date of a project, including what is in the
+// trash, against a new calendar. Returns { updates } ready to write, or
+// { errors } for dates the calendar cannot express.
+const retickProject = async (project, calendar) => {
+  const live = await loadDated(project._id, null, DATED);
+  const trashed = await loadDated(project._id, null, { ...DATED, deletedAt: TRASHED });
+  const entities = [...live.entities, ...trashed.entities];
+  const chapters = [...live.chapters, ...trashed.chapters];
+  const scenes = [...live.scenes, ...trashed.scenes];
+  const updates = { codex: [], chapter: [], scene: [] };
+  const errors = [];
+
+  const check = (kind, doc) => {
+    const result = normalizeRange(calendar, { start: doc.when.start, end: doc.when.end });
+    if (result.error) {
+      errors.push(`${describe(kind, doc).title}: ${result.error}`);
+      return;
+    }
+    updates[kind].push({
+      updateOne: { filter: { _id: doc._id }, update: { $set: { when: result.when } } }
+    });
+  };
+  entities.forEach(entity => check('codex', entity));
+  chapters.forEach(chapter => check('chapter', chapter));
+  scenes.forEach(scene => check('scene', scene));
+
+  return errors.length > 0 ? { errors } : { updates };
+};
+
+// Write the updates from retickProject
+const applyRetick = async (updates) => {
+  if (updates.codex.length > 0) await Codex.bulkWrite(updates.codex);
+  if (updates.chapter.length > 0) await Chapter.bulkWrite(updates.chapter);
+  if (updates.scene.length > 0) await Scene.bulkWrite(updates.scene);
+};
+
+module.exports = {
+  TIMELINE_KINDS,
+  parseTimelineQuery,
+  buildTimeline,
+  chronologyIssues,
+  retickProject,
+  applyRetick
+};
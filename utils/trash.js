@@ -0,0 +1,280 @@
+// Moving chapters, codex entries, relationships and projects to the trash,
+// restoring them, and purging them for good once they have been there for
+// TRASH_RETENTION_DAYS (30 by default)
+const Project = require('../models/Project');
+const Beat = require('../models/Beat');
+const Chapter = require('../models/Chapter');
+const ChapterRevision = require('../models/ChapterRevision');
+const ChapterAnalysis = require('../models/ChapterAnalysis');
+const Codex = require('../models/Codex');
+const Comment = require('../models/Comment');
+const Mention = require('../models/Mention');
+const Part = require('../models/Part');
+const Relationship = require('../models/Relationship');
+const ReplaceOperation = require('../models/ReplaceOperation');
+const Scene = require('../models/Scene');
+const Version = require('../models/Version');
+const { indexChapterMentions, indexEntityMentions } = require('./mentions');
+
+const DAY = 24 * 60 * 60 * 1000;
+const DEFAULT_RETENTION_DAYS = 30;
+
+const TRASHED = { $ne: null };
+
+const retentionDays = () => {
+  const days = parseInt(process.env.TRASH_RETENTION_DAYS, 10);
+  return Number.isFinite(days) && days >= 0 ? days : DEFAULT_RETENTION_DAYS;
+};
+
+// When something trashed at `deletedAt` will be purged
+const purgeDate = (deletedAt) => new Date(new Date(deletedAt).getTime() + retentionDays() * DAY);
+
+// Trashed chapters keep their orderIndex and are shifted along with the live
+// chapters around them, so a restore lands where the chapter used to be
+const shiftChapters = async (projectId, filter, by) => {
+  await Chapter.updateMany({ projectId, ...filter }, { $inc: { orderIndex: by } });
+  await Chapter.updateMany({ projectId, ...filter, deletedAt: TRASHED }, { $inc: { orderIndex: by } });
+};
+
+// Reorder a project's live chapters with `reorder`, then put each trashed
+// chapter back after the live chapter it followed, so a restore still lands
+// next to its old neighbour
+const reorderChaptersAroundTrash = async (projectId, reorder) => {
+  const trashed = await Chapter.find({ projectId, deletedAt: TRASHED }).select('orderIndex').lean();
+  const live = trashed.length > 0
+    ? await Chapter.find({ projectId }).select('orderIndex').sort({ orderIndex: 1 }).lean()
+    : [];
+  const predecessors = trashed.map(chapter => {
+    const before = live.filter(candidate => candidate.orderIndex < chapter.orderIndex);
+    return before.length > 0 ? before[before.length - 1]._id.toString() : null;
+  });
+
+  await reorder();
+  if (trashed.length === 0) return;
+
+  const reordered = new Map((await Chapter.find({ projectId }).select('orderIndex').lean())
+    .map(chapter => [chapter._id.toString(), chapter.orderIndex]));
+  await Chapter.bulkWrite(trashed.map((chapter, index) => {
+    const predecessor = predecessors[index];
+    const orderIndex = predecessor && reordered.has(predecessor) ? reordered.get(predecessor) + 1 : 1;
+    return {
+      updateOne: { filter: { _id: chapter._id, deletedAt: TRASHED }, update: { $set: { orderIndex } } }
+    };
+  }));
+};
+
+const trashChapter = async (chapter) => {
+  const deletedAt = new Date();
+  await Chapter.updateOne({ _id: chapter._id }, { $set: { deletedAt } });
+  await Mention.deleteMany({ chapterId: chapter._id });
+  await shiftChapters(chapter.projectId, { orderIndex: { $gt: chapter.orderIndex } }, -1);
+  return deletedAt;
+};
+
+const restoreChapter = async (chapter) => {
+  const liveCount = await Chapter.countDocuments({ projectId: chapter.projectId });
+  const orderIndex = Math.min(chapter.orderIndex, liveCount + 1);
+  await shiftChapters(chapter.projectId, { _id: { $ne: chapter._id }, orderIndex: { $gte: orderIndex } }, 1);
+
+  // The chapter's part may have been deleted in the meantime
+  const partId = chapter.partId && await Part.exists({ _id: chapter.partId }) ? chapter.partId : null;
+
+  const restored = await Chapter.findOneAndUpdate(
+    { _id: chapter._id, deletedAt: TRASHED },
+    { $set: { deletedAt: null, orderIndex, partId } },
+    { new: true }
+  );
+  await indexChapterMentions(restored);
+  return restored;
+};
+
+const purgeChapter = async (chapterId) => {
+  await Chapter.deleteOne({ _id: chapterId });
+  await Version.deleteMany({ chapterId });
+  await ChapterRevision.deleteMany({ chapterId });
+  await ChapterAnalysis.deleteMany({ chapterId });
+  await Scene.deleteMany({ chapterId });
+  await Comment.deleteMany({ chapterId });
+  await Mention.deleteMany({ chapterId });
+  await Beat.updateMany({ chapterIds: chapterId }, { $pull: { chapterIds: chapterId } });
+};
+
+// An entry's relationships go to the trash with it and remember why
+const trashEntity = async (entity) => {
+  const deletedAt = new Date();
+  await Codex.updateOne({ _id: entity._id }, { $set: { deletedAt } });
+  await Relationship.updateMany(
+    { $or: [{ sourceId: entity._id }, { targetId: entity._id }] },
+    { $set: { deletedAt, deletedWith: entity._id } }
+  );
+  await Mention.deleteMany({ entityId: entity._id });
+  return deletedAt;
+};
+
+// Bring back the relationships trashed with an entry. Those whose other end
+// is still in the trash now wait for that entry instead, and those whose
+// other end is gone for good (or that duplicate a live one) are purged.
+const relinkRelationships = async (entity) => {
+  const relationships = await Relationship.find({ deletedWith: entity._id, deletedAt: TRASHED });
+
+  for (const relationship of relationships) {
+    const otherId = relationship.sourceId.equals(entity._id) ? relationship.targetId : relationship.sourceId;
+    const otherIsLive = otherId.equals(entity._id) || await Codex.exists({ _id: otherId });
+    const otherIsTrashed = !otherIsLive && await Codex.exists({ _id: otherId, deletedAt: TRASHED });
+    const duplicate = await Relationship.exists({
+      projectId: relationship.projectId,
+      sourceId: relationship.sourceId,
+      targetId: relationship.targetId,
+      type: relationship.type
+    });
+
+    if (duplicate || (!otherIsLive && !otherIsTrashed)) {
+      await Relationship.deleteOne({ _id: relationship._id });
+    } else if (otherIsTrashed) {
+      await Relationship.updateOne(
+        { _id: relationship._id, deletedAt: TRASHED },
+        { $set: { deletedWith: otherId } }
+      );
+    } else {
+      await Relationship.updateOne(
+        { _id: relationship._id, deletedAt: TRASHED },
+        { $set: { deletedAt: null, deletedWith: null } }
+      );
+    }
+  }
+};
+
+const restoreEntity = async (entity) => {
+  const restored = await Codex.findOneAndUpdate(
+    { _id: entity._id, deletedAt: TRASHED },
+    { $set: { deletedAt: null } },
+    { new: true }
+  );
+  await relinkRelationships(restored);
+  await indexEntityMentions(restored);
+  return restored;
+};
+
+const purgeEntity = async (entityId) => {
+  await Codex.deleteOne({ _id: entityId });
+  await Relationship.deleteMany({ $or: [{ sourceId: entityId }, { targetId: entityId }] });
+  await Mention.deleteMany({ entityId });
+  await Beat.updateMany({ entityIds: entityId }, { $pull: { entityIds: entityId } });
+  await Codex.updateMany({ participantIds: entityId }, { $pull: { participantIds: entityId } });
+  await Codex.updateMany({ participantIds: entityId, deletedAt: TRASHED }, { $pull: { participantIds: entityId } });
+};
+
+const trashRelationship = async (relationship) => {
+  const deletedAt = new Date();
+  await Relationship.updateOne({ _id: relationship._id }, { $set: { deletedAt, deletedWith: null } });
+  return deletedAt;
+};
+
+// Returns the restored relationship, or { error, status } when either end is
+// missing or an identical relationship has been created since
+const restoreRelationship = async (relationship) => {
+  const endpointIds = [...new Set([relationship.sourceId.toString(), relationship.targetId.toString()])];
+  const liveEndpoints = await Codex.countDocuments({ _id: { $in: endpointIds } });
+  if (liveEndpoints !== endpointIds.length) {
+    return { error: 'Restore the codex entries this relationship connects first', status: 400 };
+  }
+
+  const duplicate = await Relationship.exists({
+    projectId: relationship.projectId,
+    sourceId: relationship.sourceId,
+    targetId: relationship.targetId,
+    type: relationship.type
+  });
+  if (duplicate) {
+    return { error: 'This relationship already exists', status: 400 };
+  }
+
+  const restored = await Relationship.findOneAndUpdate(
+    { _id: relationship._id, deletedAt: TRASHED },
+    { $set: { deletedAt: null, deletedWith: null } },
+    { new: true }
+  );
+  return { relationship: restored };
+};
+
+const purgeRelationship = async (relationshipId) => {
+  await Relationship.deleteOne({ _id: relationshipId });
+};
+
+// A trashed project hides everything in it without touching its contents
+const trashProject = async (project) => {
+  const deletedAt = new Date();
+  await Project.updateOne({ _id: project._id }, { $set: { deletedAt } });
+  return deletedAt;
+};
+
+const restoreProject = async (project) => {
+  return Project.findOneAndUpdate(
+    { _id: project._id, deletedAt: TRASHED },
+    { $set: { deletedAt: null } },
+    { new: true }
+  );
+};
+
+const purgeProject = async (projectId) => {
+  await Promise.all([
+    Project.deleteOne({ _id: projectId }),
+    Chapter.deleteMany({ projectId }),
+    ChapterRevision.deleteMany({ projectId }),
+    ChapterAnalysis.deleteMany({ projectId }),
+    Version.deleteMany({ projectId }),
+    Scene.deleteMany({ projectId }),
+    Part.deleteMany({ projectId }),
+    Beat.deleteMany({ projectId }),
+    ReplaceOperation.deleteMany({ projectId }),
+    Mention.deleteMany({ projectId }),
+    Comment.deleteMany({ projectId }),
+    Codex.deleteMany({ projectId }),
+    Relationship.deleteMany({ projectId })
+  ]);
+};
+
+// Purge everything that has been in the trash longer than the retention
+// period. Relationships trashed along with an entry go when it does.
+const purgeExpiredTrash = async (now = Date.now()) => {
+  const deletedAt = { $ne: null, $lt: new Date(now - retentionDays() * DAY) };
+
+  const projects = await Project.find({ deletedAt }).select('_id');
+  for (const project of projects) await purgeProject(project._id);
+
+  const chapters = await Chapter.find({ deletedAt }).select('_id');
+  for (const chapter of chapters) await purgeChapter(chapter._id);
+
+  const entities = await Codex.find({ deletedAt }).select('_id');
+  for (const entity of entities) await purgeEntity(entity._id);
+
+  const relationships = await Relationship.deleteMany({ deletedAt, deletedWith: null });
+
+  return {
+    projects: projects.length,
+    chapters: chapters.length,
+    codex: entities.length,
+    relationships: relationships.deletedCount
+  };
+};
+
+module.exports = {
+  TRASHED,
+  retentionDays,
+  shiftChapters,
+  reorderChaptersAroundTrash,
+  purgeDate,
+  trashChapter,
+  restoreChapter,
+  purgeChapter,
+  trashEntity,
+  restoreEntity,
+  purgeEntity,
+  trashRelationship,
+  restoreRelationship,
+  purgeRelationship,
+  trashProject,
+  restoreProject,
+  purgeProject,
+  purgeExpiredTrash
+};
@@ -0,0 +1,115 @@
+const Version = require('../models/Version');
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+const WEEK = 7 * DAY;
+
+// Retention tiers for automatic snapshots, by age. Within each tier only the
+// newest snapshot per bucket is kept; a null bucket keeps everything.
+const RETENTION_TIERS = [
+  { maxAge: HOUR, bucket: null },
+  { maxAge: DAY, bucket: HOUR },
+  { maxAge: 30 * DAY, bucket: DAY },
+  { maxAge: Infinity, bucket: WEEK }
+];
+
+// Policy used when a project has no versioning settings stored
+const DEFAULT_POLICY = {
+  autoSnapshots: true,
+  snapshotInterval: 10,
+  wordDeltaThreshold: 250
+};
+
+// Resolve a project's snapshot policy, falling back to defaults per setting
+const getPolicy = (project) => {
+  const settings = (project && project.versioning) || {};
+  return Object.keys(DEFAULT_POLICY).reduce((policy, key) => {
+    policy[key] = settings[key] !== undefined && settings[key] !== null ? settings[key] : DEFAULT_POLICY[key];
+    return policy;
+  }, {});
+};
+
+// Decide whether the content about to be replaced should be snapshotted
+const shouldAutoSnapshot = ({ lastSnapshot, newWordCount, policy, now = Date.now() }) => {
+  if (!policy.autoSnapshots) return false;
+  if (!lastSnapshot) return true;
+
+  const elapsed = now - new Date(lastSnapshot.createdAt).getTime();
+  if (elapsed >= policy.snapshotInterval * 60 * 1000) return true;
+
+  return Math.abs(newWordCount - (lastSnapshot.wordCount || 0)) >= policy.wordDeltaThreshold;
+};
+
+// Pick which automatic snapshots fall outside the retention tiers.
+// Expects snapshots sorted newest first.
+const selectSnapshotsToPrune = (snapshots, now = Date.now()) => {
+  const keptBuckets = new Set();
+
+  return snapshots.filter(snapshot => {
+    const createdAt = new Date(snapshot.createdAt).getTime();
+    const age = now - createdAt;
+    const tierIndex = RETENTION_TIERS.findIndex(tier => age < tier.maxAge);
+    const tier = RETENTION_TIERS[tierIndex];
+
+    if (!tier.bucket) return false;
+
+    const bucketKey = `${tierIndex}:${Math.floor(createdAt / tier.bucket)}`;
+    if (keptBuckets.has(bucketKey)) return true;
+    keptBuckets.add(bucketKey);
+    return false;
+  });
+};
+
+// Thin out a chapter's automatic snapshots. Manual and restore snapshots are never touched.
+const pruneAutoSnapshots = async (chapterId, now = Date.now()) => {
+  const snapshots = await Version.find({ chapterId, kind: 'auto' })
+    .select('_id createdAt')
+    .sort({ createdAt: -1 });
+
+  const toPrune = selectSnapshotsToPrune(snapshots, now);
+  if (toPrune.length === 0) return 0;
+
+  const result = await Version.deleteMany({ _id: { $in: toPrune.map(snapshot => snapshot._id) } });
+  return result.deletedCount;
+};
+
+// Snapshot a chapter's current content before it is overwritten, if the
+// project's policy calls for it. Failures are logged and never block a save.
+const autoSnapshot = async ({ chapter, project, newWordCount }) => {
+  try {
+    if (!chapter.content) return null;
+
+    const policy = getPolicy(project);
+    const lastSnapshot = await Version.findOne({ chapterId: chapter._id })
+      .select('createdAt wordCount')
+      .sort({ createdAt: -1 });
+
+    if (!shouldAutoSnapshot({ lastSnapshot, newWordCount, policy })) return null;
+
+    const version = await Version.create({
+      projectId: chapter.projectId,
+      chapterId: chapter._id,
+      content: chapter.content,
+      format: chapter.format,
+      wordCount: chapter.wordCount,
+      description: 'Automatic snapshot',
+      kind: 'auto'
+    });
+
+    await pruneAutoSnapshots(chapter._id);
+    return version;
+  } catch (error) {
+    console.error('Auto snapshot error:', error);
+    return null;
+  }
+};
+
+module.exports = {
+  RETENTION_TIERS,
+  DEFAULT_POLICY,
+  getPolicy,
+  shouldAutoSnapshot,
+  selectSnapshotsToPrune,
+  pruneAutoSnapshots,
+  autoSnapshot
+};
@@ -0,0 +1,152 @@
+// Bump when the counting rules change so stored counts get recounted (see utils/recount.js)
+const WORD_COUNT_VERSION = 2;
+
+// How to count the things writers disagree on. Each project can override these.
+//   hyphenatedWords  'one': well-known is one word; 'split': two
+//   emDashes         'split': word—word is two words; 'join': one
+//   numbers          'count': 1984 is a word; 'ignore': only tokens with letters count
+//   cjk              'characters': every Chinese or Japanese character counts as a word,
+//                    as manuscripts in those languages are measured; 'words': dictionary
+//                    word segmentation for the project's language
+const WORD_COUNT_RULES = {
+  hyphenatedWords: ['one', 'split'],
+  emDashes: ['split', 'join'],
+  numbers: ['count', 'ignore'],
+  cjk: ['characters', 'words']
+};
+
+const DEFAULT_WORD_COUNT_RULES = Object.keys(WORD_COUNT_RULES).reduce((rules, rule) => {
+  rules[rule] = WORD_COUNT_RULES[rule][0];
+  return rules;
+}, {});
+
+const CJK = '\\p{Script=Han}\\p{Script=Hiragana}\\p{Script=Katakana}';
+const CJK_CHARACTERS = new RegExp(`[${CJK}]`, 'gu');
+// Scripts written without spaces between words
+const UNSPACED = '\\p{Script=Thai}\\p{Script=Lao}\\p{Script=Khmer}\\p{Script=Myanmar}';
+const UNSPACED_TEXT = new RegExp(`[${UNSPACED}]`, 'u');
+const UNSPACED_OR_CJK_TEXT = new RegExp(`[${UNSPACED}${CJK}]`, 'u');
+
+const DASHES = /[–—―]/g;
+const DASH_BETWEEN_WORDS = /(?<=[\p{L}\p{N}])[–—―](?=[\p{L}\p{N}])/gu;
+const HYPHEN_BETWEEN_WORDS = /(?<=[\p{L}\p{N}])[-‐‑](?=[\p{L}\p{N}])/gu;
+const HAS_LETTER = /\p{L}/u;
+const HAS_LETTER_OR_NUMBER = /[\p{L}\p{N}]/u;
+
+const segmenters = new Map();
+const wordSegmenter = (language) => {
+  const locale = language || 'en';
+  if (!segmenters.has(locale)) {
+    segmenters.set(locale, new Intl.Segmenter(locale, { granularity: 'word' }));
+  }
+  return segmenters.get(locale);
+};
+
+// Canonical BCP 47 tag for a language, or null if it is not a valid one
+const normalizeLanguage = (language) => {
+  if (typeof language !== 'string' || !language.trim()) return null;
+  try {
+    return Intl.getCanonicalLocales(language.trim())[0];
+  } catch (error) {
+    return null;
+  }
+};
+
+// Validate word count rule overrides. Returns { rules } or { error }.
+const normalizeWordCountRules = (rules) => {
+  if (!rules || typeof rules !== 'object' || Array.isArray(rules)) {
+    return { error: 'wordCountRules must be an object' };
+  }
+
+  const normalized = {};
+  for (const [rule, value] of Object.entries(rules)) {
+    if (!WORD_COUNT_RULES[rule]) {
+      return { error: `Unknown word count rule "${rule}"; rules are: ${Object.keys(WORD_COUNT_RULES).join(', ')}` };
+    }
+    if (!WORD_COUNT_RULES[rule].includes(value)) {
+      return { error: `wordCountRules.${rule} must be one of: ${WORD_COUNT_RULES[rule].join(', ')}` };
+    }
+    normalized[rule] = value;
+  }
+  return { rules: normalized };
+};
+
+// Counting options for a project: its language plus its rules over the defaults
+const wordCountOptions = (project) => {
+  const rules = (project && project.wordCountRules) || {};
+  return Object.keys(DEFAULT_WORD_COUNT_RULES).reduce((options, rule) => {
+    options[rule] = rules[rule] || DEFAULT_WORD_COUNT_RULES[rule];
+    return options;
+  }, { language: (project && project.language) || 'en' });
+};
+
+// Count words in a piece of plain text
+const countText = (text, options = {}) => {
+  if (!text) return 0;
+  const { language, hyphenatedWords, emDashes, numbers, cjk } = { ...DEFAULT_WORD_COUNT_RULES, ...options };
+
+  let count = 0;
+  let rest = text;
+  if (cjk === 'characters') {
+    rest = rest.replace(CJK_CHARACTERS, () => {
+      count++;
+      return ' ';
+    });
+  }
+
+  rest = emDashes === 'join' ? rest.replace(DASH_BETWEEN_WORDS, '') : rest.replace(DASHES, ' ');
+  if (hyphenatedWords === 'split') rest = rest.replace(HYPHEN_BETWEEN_WORDS, ' ');
+
+  // Lone punctuation such as a spaced dash or a '***' scene break is not a word
+  const isWord = numbers === 'ignore'
+    ? token => HAS_LETTER.test(token)
+    : token => HAS_LETTER_OR_NUMBER.test(token);
+  const unspaced = cjk === 'words' ? UNSPACED_OR_CJK_TEXT : UNSPACED_TEXT;
+
+  rest.split(/\s+/).forEach(token => {
+    if (!unspaced.test(token)) {
+      if (isWord(token)) count++;
+      return;
+    }
+    for (const { segment, isWordLike } of wordSegmenter(language).segment(token)) {
+      if (isWordLike && isWord(segment)) count++;
+    }
+  });
+
+  return count;
+};
+
+// Count words in content
+const countWords = (content, options = {}) => {
+  try {
+    if (!content) return 0;
+
+    // If content is a string (plain text)
+    if (typeof content === 'string') {
+      return countText(content, options);
+    }
+
+    // If content is Draft.js raw content
+    if (typeof content === 'object' && content.blocks) {
+      return content.blocks
+        .map(block => countText(block.text, options))
+        .reduce((sum, count) => sum + count, 0);
+    }
+
+    return 0;
+  } catch (error) {
+    console.error('Error counting words:', error);
+    return 0;
+  }
+};
+
+module.exports = {
+  WORD_COUNT_VERSION,
+  WORD_COUNT_RULES,
+  DEFAULT_WORD_COUNT_RULES,
+  normalizeLanguage,
+  normalizeWordCountRules,
+  wordCountOptions,
+  countText,
+  countWords
+};
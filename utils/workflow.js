@@ -0,0 +1,142 @@
+// Chapter revision workflow: per-project statuses, transitions and stage timing
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Workflow used when a project has not configured its own
+const DEFAULT_STATUSES = [
+  { key: 'outline', label: 'Outline' },
+  { key: 'draft', label: 'Draft' },
+  { key: 'revising', label: 'Revising' },
+  { key: 'edited', label: 'Edited' },
+  { key: 'final', label: 'Final' }
+];
+
+// A project's statuses in workflow order
+const getStatuses = (project) => {
+  const statuses = project && project.workflowStatuses;
+  if (!statuses || statuses.length === 0) return DEFAULT_STATUSES;
+  return statuses.map(status => ({
+    key: status.key,
+    label: status.label || status.key,
+    color: status.color
+  }));
+};
+
+// The status a chapter is in; chapters from before workflows start at the first
+const statusOf = (chapter, statuses) => {
+  return statuses.some(status => status.key === chapter.status) ? chapter.status : statuses[0].key;
+};
+
+// The last status in the workflow counts as complete
+const isFinalStatus = (key, statuses) => statuses[statuses.length - 1].key === key;
+
+// Validate a workflow from a request body. Returns { statuses } or { error }.
+const normalizeStatuses = (input) => {
+  if (!Array.isArray(input) || input.length === 0) {
+    return { error: 'workflowStatuses must be a non-empty array' };
+  }
+
+  const statuses = [];
+  for (const entry of input) {
+    const status = typeof entry === 'string' ? { label: entry } : entry;
+    if (!status || typeof status !== 'object') {
+      return { error: 'Each workflow status needs a key or label' };
+    }
+
+    const label = typeof status.label === 'string' ? status.label.trim() : '';
+    const key = (typeof status.key === 'string' && status.key.trim()
+      ? status.key
+      : label)
+      .trim()
+      .toLowerCase()
+      .replace(/[^\p{L}\p{N}]+/gu, '-')
+      .replace(/^-+|-+$/g, '');
+
+    if (!key) {
+      return { error: 'Each workflow status needs a key or label' };
+    }
+    if (statuses.some(existing => existing.key === key)) {
+      return { error: `Duplicate workflow status: ${key}` };
+    }
+    statuses.push({ key, label: label || key, color: status.color });
+  }
+
+  return { statuses };
+};
+
+// Time spent in each stage a chapter has been through, oldest first.
+// The current stage runs until `now`.
+const stageDurations = (history, now = Date.now()) => {
+  const entries = (history || [])
+    .filter(entry => entry && entry.at)
+    .sort((a, b) => new Date(a.at) - new Date(b.at));
+
+  return entries.map((entry, index) => {
+    const start = new Date(entry.at).getTime();
+    const next = entries[index + 1];
+    const end = next ? new Date(next.at).getTime() : now;
+    return {
+      status: entry.status,
+      start: new Date(start),
+      end: next ? new Date(end) : null,
+      duration: end - start
+    };
+  });
+};
+
+// Per-status stage statistics across a project's chapters
+const workflowStats = (chapters, statuses, now = Date.now()) => {
+  const stats = new Map(statuses.map(status => [status.key, {
+    key: status.key,
+    label: status.label,
+    current: 0,
+    visits: 0,
+    totalDays: 0,
+    completedVisits: 0,
+    completedDays: 0,
+    longestCurrent: null
+  }]));
+
+  chapters.forEach(chapter => {
+    const current = statusOf(chapter, statuses);
+    stats.get(current).current++;
+
+    stageDurations(chapter.statusHistory, now).forEach(stage => {
+      const stat = stats.get(stage.status);
+      if (!stat) return; // status has since been removed from the workflow
+
+      const days = stage.duration / DAY;
+      stat.visits++;
+      stat.totalDays += days;
+      if (stage.end) {
+        stat.completedVisits++;
+        stat.completedDays += days;
+      } else if (!stat.longestCurrent || days > stat.longestCurrent.days) {
+        stat.longestCurrent = { chapterId: chapter._id, title: chapter.title, days: round(days) };
+      }
+    });
+  });
+
+  return [...stats.values()].map(stat => ({
+    key: stat.key,
+    label: stat.label,
+    current: stat.current,
+    visits: stat.visits,
+    totalDays: round(stat.totalDays),
+    // Average over stages chapters have already moved on from
+    averageDays: stat.completedVisits > 0 ? round(stat.completedDays / stat.completedVisits) : null,
+    longestCurrent: stat.longestCurrent
+  }));
+};
+
+module.exports = {
+  DEFAULT_STATUSES,
+  getStatuses,
+  statusOf,
+  isFinalStatus,
+  normalizeStatuses,
+  stageDurations,
+  workflowStats
+};